@@ -1,5 +1,7 @@
 import { v2 as cloudinary } from 'cloudinary';
 import config from './index.js';
+import logger from '../utils/logger.js';
+import { cloudinaryUploadFailures } from '../utils/metrics.js';
 
 cloudinary.config({
   cloud_name: config.cloudinary.cloudName,
@@ -29,7 +31,7 @@ export const uploadBufferToCloudinary = async (buffer, options = {}) => {
       return reject(new Error('Cannot upload empty buffer to Cloudinary'));
     }
     
-    console.log(`Uploading to Cloudinary: ${uploadBuffer.length} bytes, options:`, JSON.stringify(options));
+    logger.debug('Uploading to Cloudinary', { bytes: uploadBuffer.length, options });
     
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -39,10 +41,11 @@ export const uploadBufferToCloudinary = async (buffer, options = {}) => {
       },
       (error, result) => {
         if (error) {
-          console.error('Cloudinary upload error:', error);
+          logger.error('Cloudinary upload failed', { error, bytes: uploadBuffer.length });
+          cloudinaryUploadFailures.inc({ operation: 'uploadBuffer' });
           reject(new Error(`Cloudinary upload failed: ${error.message}`));
         } else {
-          console.log('Cloudinary upload success:', result?.secure_url);
+          logger.debug('Cloudinary upload succeeded', { publicId: result?.public_id, bytes: result?.bytes });
           resolve(result);
         }
       }
@@ -1,5 +1,7 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import config from './index.js';
+import logger from '../utils/logger.js';
+import { geminiFallbacks } from '../utils/metrics.js';
 
 const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
 
@@ -28,7 +30,7 @@ export const getGeminiModel = (modelName = null) => {
   if (Date.now() - lastResetTime > RESET_INTERVAL) {
     currentModelIndex = 0;
     lastResetTime = Date.now();
-    console.log('Auto-reset to primary model: gemini-2.0-flash');
+    logger.info('Gemini model reset to primary', { model: GEMINI_MODELS[0] });
   }
   
   const model = modelName || GEMINI_MODELS[currentModelIndex] || GEMINI_MODELS[0];
@@ -52,12 +54,20 @@ export const getGeminiVisionModel = () => {
  * Try next model if current one fails due to quota
  */
 export const switchToNextModel = () => {
+  const from = GEMINI_MODELS[currentModelIndex];
+
   if (currentModelIndex < GEMINI_MODELS.length - 1) {
     currentModelIndex++;
-    console.log(`Switching to model ${currentModelIndex + 1}/${GEMINI_MODELS.length}: ${GEMINI_MODELS[currentModelIndex]}`);
+    geminiFallbacks.inc({ from, to: GEMINI_MODELS[currentModelIndex] });
+    logger.warn('Gemini falling back to next model', {
+      model: GEMINI_MODELS[currentModelIndex],
+      position: currentModelIndex + 1,
+      of: GEMINI_MODELS.length,
+    });
     return true;
   }
-  console.log('All models exhausted, no more fallbacks available');
+  geminiFallbacks.inc({ from, to: 'none' });
+  logger.error('Gemini models exhausted, no more fallbacks available');
   return false;
 };
 
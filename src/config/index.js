@@ -1,38 +1,29 @@
 import dotenv from 'dotenv';
+import { loadConfig } from './loader.js';
+
 dotenv.config();
 
-export default {
-  port: process.env.PORT || 5000,
-  nodeEnv: process.env.NODE_ENV || 'development',
-  
-  gemini: {
-    apiKey: process.env.GEMINI_API_KEY,
-  },
-  
-  cloudinary: {
-    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-    apiKey: process.env.CLOUDINARY_API_KEY,
-    apiSecret: process.env.CLOUDINARY_API_SECRET,
-  },
-  
-  upload: {
-    maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
-    allowedMimeTypes: [
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'image/webp',
-      'image/svg+xml',
-      'image/bmp',
-      'image/tiff',
-      'application/pdf',
-    ],
-  },
-  
-  rateLimit: {
-    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-    maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  },
-  
-  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
-};
+// Settings come from the environment and an optional JSON file (CONFIG_FILE,
+// default magicpixels.config.json); config/schema.js lists every one of them.
+// An invalid configuration stops the process before anything else starts.
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (error) {
+  if (error.name !== 'ConfigError') throw error;
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+
+/**
+ * Problems that leave the API running with less: features that were turned
+ * off because their settings are missing, and similar
+ */
+export const configWarnings = loaded.warnings;
+
+/**
+ * The config file that was read, if any
+ */
+export const configFile = loaded.file;
+
+export default loaded.config;
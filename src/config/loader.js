@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import Ajv from 'ajv';
+import { configSchema, requiredSettings, featureRequirements, constraints } from './schema.js';
+
+// Read when it exists and CONFIG_FILE does not name another file
+const DEFAULT_CONFIG_FILE = 'magicpixels.config.json';
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: true });
+ajv.addKeyword({ keyword: 'env', schemaType: 'string' });
+const validateSchema = ajv.compile(configSchema);
+
+/**
+ * Every leaf setting keyed by its dotted path, e.g. 'rateLimit.windowMs'
+ */
+const collectSettings = (schema, prefix = [], settings = new Map()) => {
+  for (const [name, property] of Object.entries(schema.properties)) {
+    const keyPath = [...prefix, name];
+    if (property.type === 'object') {
+      collectSettings(property, keyPath, settings);
+    } else {
+      settings.set(keyPath.join('.'), { path: keyPath, schema: property });
+    }
+  }
+  return settings;
+};
+
+const settings = collectSettings(configSchema);
+
+const getPath = (object, keyPath) => keyPath.reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, keyPath, value) => {
+  const parent = keyPath.slice(0, -1).reduce((current, key) => {
+    if (current[key] === null || typeof current[key] !== 'object') current[key] = {};
+    return current[key];
+  }, object);
+  parent[keyPath[keyPath.length - 1]] = value;
+};
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+const notSet = (names) => `${names.join(', ')} ${names.length > 1 ? 'are' : 'is'} not set`;
+
+const configError = (issues) => {
+  const error = new Error(`Invalid configuration:\n${issues.map((issue) => `  - ${issue}`).join('\n')}`);
+  error.name = 'ConfigError';
+  error.issues = issues;
+  return error;
+};
+
+/**
+ * Environment values are strings: lists are comma-separated and choices are
+ * case-insensitive. Types are checked (and coerced) by the schema.
+ */
+const parseEnvValue = (value, schema) => {
+  const types = [].concat(schema.type);
+  if (types.includes('array')) {
+    return value.split(',').map((item) => item.trim()).filter(Boolean);
+  }
+  if (schema.enum || types.includes('boolean')) {
+    return value.trim().toLowerCase();
+  }
+  return value.trim();
+};
+
+const readConfigFile = (env) => {
+  const file = env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  const resolved = path.resolve(file);
+
+  if (!env.CONFIG_FILE && !fs.existsSync(resolved)) {
+    return { file: null, data: {} };
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw configError([`CONFIG_FILE ${file} cannot be read: ${error.message}`]);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw configError([`${file} is not valid JSON: ${error.message}`]);
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw configError([`${file} must contain a JSON object of settings`]);
+  }
+  return { file, data };
+};
+
+/**
+ * Load the configuration: schema defaults, then the config file, then the
+ * environment. Returns { config, warnings, file }.
+ * Throws a ConfigError listing every problem (with the variable or file
+ * that set each bad value) when anything is invalid or missing.
+ */
+export const loadConfig = (env = process.env) => {
+  const { file, data } = readConfigFile(env);
+  const fromFile = new Set([...settings.keys()].filter((key) => getPath(data, key.split('.')) !== undefined));
+  const fromEnv = new Set();
+
+  for (const [key, setting] of settings) {
+    const value = setting.schema.env && env[setting.schema.env];
+    if (isSet(value)) {
+      setPath(data, setting.path, parseEnvValue(value, setting.schema));
+      fromEnv.add(key);
+    }
+  }
+
+  // How a setting is named in the report: the variable or file it came from
+  const describe = (key) => {
+    const variable = settings.get(key)?.schema.env;
+    if (!fromEnv.has(key) && fromFile.has(key)) return `${key} in ${file}`;
+    return variable ? `${variable} (${key})` : key;
+  };
+
+  const issues = [];
+
+  if (!validateSchema(data)) {
+    for (const error of validateSchema.errors) {
+      const keyPath = error.instancePath.split('/').slice(1);
+
+      if (error.keyword === 'additionalProperties') {
+        const key = [...keyPath, error.params.additionalProperty].join('.');
+        issues.push(`${key}${file ? ` in ${file}` : ''} is not a known setting`);
+        continue;
+      }
+
+      // Errors inside a list point at an item; report the whole setting
+      while (keyPath.length > 1 && !settings.has(keyPath.join('.'))) keyPath.pop();
+      const key = keyPath.join('.');
+      const message = {
+        enum: `must be one of ${error.params.allowedValues?.join(', ')}`,
+        not: 'must be replaced, it is a placeholder',
+      }[error.keyword] ?? error.message;
+      // Secrets are not repeated in the report
+      const value = settings.get(key)?.schema.writeOnly
+        ? undefined
+        : getPath(data, error.instancePath.split('/').slice(1));
+
+      issues.push(`${describe(key)}: ${message}${value === undefined ? '' : `, got ${JSON.stringify(value)}`}`);
+    }
+    throw configError(issues);
+  }
+
+  const config = data;
+  const warnings = [];
+  const missing = (keys) => keys.filter((key) => !isSet(getPath(config, key.split('.'))));
+
+  config.storage.local.publicUrl ??= `http://localhost:${config.port}/storage`;
+
+  for (const rule of requiredSettings) {
+    if (!rule.when(config)) continue;
+    for (const key of missing(rule.settings)) {
+      issues.push(`${describe(key)} is required when ${rule.because}`);
+    }
+  }
+
+  for (const rule of constraints) {
+    if (!rule.check(config)) issues.push(`${describe(rule.setting)} ${rule.message}`);
+  }
+
+  // auto turns a feature off when its settings are missing; true insists on them
+  for (const [name, requirement] of Object.entries(featureRequirements)) {
+    const mode = config.features[name];
+    const absent = missing(requirement.settings);
+
+    if (mode === 'true' && absent.length > 0) {
+      issues.push(`${describe(`features.${name}`)} is true but ${notSet(absent.map(describe))}`);
+    } else if (mode === 'auto' && absent.length > 0) {
+      warnings.push(`${requirement.name} are disabled: ${notSet(absent.map((key) => settings.get(key).schema.env))}`);
+    }
+    config.features[name] = mode !== 'false' && absent.length === 0;
+  }
+
+  if (config.auth.enabled && !config.auth.adminToken) {
+    warnings.push('ADMIN_TOKEN is not set: the admin API is disabled');
+  }
+  if (!config.downloads.signingSecret) {
+    warnings.push('DOWNLOAD_SIGNING_SECRET is not set: download links stop working on restart');
+  }
+  if (config.remoteInput.enabled && config.remoteInput.allowPrivateNetworks) {
+    warnings.push('REMOTE_INPUT_ALLOW_PRIVATE_NETWORKS is on: imageUrl can reach internal services');
+  }
+
+  if (issues.length > 0) throw configError(issues);
+
+  return { config, warnings, file };
+};
+
+export default { loadConfig };
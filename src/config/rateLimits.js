@@ -0,0 +1,66 @@
+import config from './index.js';
+
+/**
+ * Rate limiting policy: the limiters, and which of them each route draws on.
+ *
+ * A limiter allows `max` points per client per fixed window of `windowMs`.
+ * A route rule lists the limiters it counts against and what one request
+ * costs on each. The first rule matching the method and path wins; paths may
+ * end in `/*` to cover everything below them.
+ */
+export const limiters = {
+  general: {
+    windowMs: config.rateLimit.windowMs,
+    max: config.rateLimit.maxRequests,
+    message: 'Too many requests, please try again later.',
+  },
+  ai: {
+    windowMs: config.rateLimit.aiWindowMs,
+    max: config.rateLimit.aiMaxRequests,
+    message: 'AI processing limit reached. Please wait before trying again.',
+  },
+  upload: {
+    windowMs: config.rateLimit.uploadWindowMs,
+    max: config.rateLimit.uploadMaxRequests,
+    message: 'Upload limit reached. Please wait before uploading again.',
+  },
+  chunks: {
+    windowMs: config.rateLimit.chunkWindowMs,
+    max: config.rateLimit.chunkMaxRequests,
+    message: 'Too many upload chunks. Please wait before sending more.',
+  },
+};
+
+export const routeLimits = [
+  // Gemini-backed endpoints
+  { method: 'POST', path: '/api/ai-enhance/manual', limits: { general: 1 } },
+  { method: 'POST', path: '/api/ai-enhance/*', limits: { general: 1, ai: 1 } },
+  { method: 'POST', path: '/api/ai-edit/*', limits: { general: 1, ai: 1 } },
+
+  // Cloudinary transformations; generative ones cost the most upstream
+  { method: 'POST', path: '/api/cloudinary/download', limits: { general: 1 } },
+  { method: 'POST', path: '/api/cloudinary/upscale', limits: { general: 1, ai: 2 } },
+  { method: 'POST', path: '/api/cloudinary/gen-*', limits: { general: 1, ai: 3 } },
+  { method: 'POST', path: '/api/cloudinary/*', limits: { general: 1, ai: 1 } },
+
+  // Chunks of a resumable upload: a large file takes dozens of PUTs
+  { method: 'PUT', path: '/api/upload/sessions/*', limits: { chunks: 1 } },
+  { method: 'POST', path: '/api/upload/multiple', limits: { general: 1, upload: 5 } },
+  { method: 'POST', path: '/api/upload/*', limits: { general: 1, upload: 1 } },
+
+  // Multi-file and multi-output work
+  { method: 'POST', path: '/api/compress/batch', limits: { general: 3 } },
+  { method: 'POST', path: '/api/convert/batch', limits: { general: 3 } },
+  { method: 'POST', path: '/api/convert/multi-format', limits: { general: 2 } },
+  { method: 'POST', path: '/api/resize/batch', limits: { general: 3 } },
+  { method: 'POST', path: '/api/resize/presets', limits: { general: 3 } },
+  { method: 'POST', path: '/api/pdf/to-images', limits: { general: 3 } },
+  { method: 'POST', path: '/api/pdf/merge', limits: { general: 2 } },
+
+  // Polling job status should not eat into the processing budget
+  { method: 'GET', path: '/api/jobs/*', limits: { general: 0 } },
+
+  { path: '/*', limits: { general: 1 } },
+];
+
+export default { limiters, routeLimits };
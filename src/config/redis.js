@@ -0,0 +1,23 @@
+import Redis from 'ioredis';
+import config from './index.js';
+import logger from '../utils/logger.js';
+
+let client = null;
+
+/**
+ * Get the shared Redis client (connects on first use)
+ */
+export const getRedisClient = () => {
+  if (!client) {
+    client = new Redis(config.redis.url, {
+      maxRetriesPerRequest: 3,
+    });
+
+    client.on('error', (error) => {
+      logger.error('Redis connection error', { error });
+    });
+  }
+  return client;
+};
+
+export default getRedisClient;
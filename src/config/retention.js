@@ -0,0 +1,34 @@
+import config from './index.js';
+
+/**
+ * Retention policy: how long stored results live and how often they may be
+ * downloaded before they are deleted.
+ *
+ * - ttlMs: delete this long after storing (null keeps the file)
+ * - maxDownloads: delete once downloaded this many times (null for unlimited)
+ * - deleteAfterFirstFetch: delete as soon as the first download completes
+ *
+ * Downloads are counted through signed links (/api/files/:token) and, with
+ * the local storage driver, through /storage. The first rule matching the
+ * route that stored the file applies on top of the defaults; an API key's
+ * own retention settings apply on top of that.
+ */
+export const defaultRetention = {
+  ttlMs: config.retention.ttlMs,
+  maxDownloads: null,
+  deleteAfterFirstFetch: false,
+};
+
+export const routeRetention = [
+  // Cloudinary AI tool results: a few downloads within a day
+  {
+    path: '/api/cloudinary/*',
+    ttlMs: config.retention.toolTtlMs,
+    maxDownloads: config.retention.toolMaxDownloads,
+  },
+
+  // Uploads are inputs for later edits, so they stay around longer
+  { path: '/api/upload/*', ttlMs: 30 * 24 * 60 * 60 * 1000 },
+];
+
+export default { defaultRetention, routeRetention };
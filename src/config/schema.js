@@ -0,0 +1,291 @@
+/**
+ * Every setting MagicPixels reads, as a JSON Schema. Leaves name the
+ * environment variable that sets them (`env`); the same keys can be set in a
+ * JSON config file (see config/loader.js). Environment variables win over the
+ * file, and the file over the defaults here.
+ */
+
+const string = (env, description, extra = {}) => ({ type: 'string', env, description, ...extra });
+
+const integer = (env, defaultValue, description, { minimum = 1, maximum } = {}) => ({
+  type: 'integer',
+  env,
+  default: defaultValue,
+  minimum,
+  ...(maximum !== undefined && { maximum }),
+  description,
+});
+
+const boolean = (env, defaultValue, description) => ({ type: 'boolean', env, default: defaultValue, description });
+
+const choice = (env, values, defaultValue, description) => ({
+  type: 'string',
+  env,
+  enum: values,
+  default: defaultValue,
+  description,
+});
+
+const url = (env, description, extra = {}) => string(env, description, { pattern: '^https?://', ...extra });
+
+// Keys and tokens: unset turns their feature off, so a guessable value must not turn it on
+const secret = (env, description) => string(env, description, {
+  minLength: 16,
+  not: { pattern: '^change_me' },
+  writeOnly: true,
+});
+
+const section = (properties) => ({
+  type: 'object',
+  default: {},
+  additionalProperties: false,
+  properties,
+});
+
+// auto: on when its settings are present; true: required; false: off
+const feature = (env, description) => choice(env, ['auto', 'true', 'false'], 'auto', description);
+
+// A bare origin, or a wildcard over the subdomains of a host (see middleware/cors.js)
+const ORIGIN = '^https?://(\\*\\.)?[A-Za-z0-9-]+(\\.[A-Za-z0-9-]+)*(:\\d+)?/*$';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const configSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    port: integer('PORT', 5000, 'HTTP port', { maximum: 65535 }),
+    nodeEnv: string('NODE_ENV', 'Node environment', { default: 'development', minLength: 1 }),
+
+    logging: section({
+      level: choice('LOG_LEVEL', ['debug', 'info', 'warn', 'error'], 'info', 'Lowest level that is logged'),
+    }),
+
+    features: section({
+      ai: feature('FEATURE_AI', 'Gemini-powered endpoints (/api/ai-enhance, /api/ai-edit)'),
+      cloudinaryTools: feature('FEATURE_CLOUDINARY_TOOLS', 'Cloudinary AI tools (/api/cloudinary)'),
+      webhooks: feature('FEATURE_WEBHOOKS', 'callbackUrl on processing endpoints'),
+    }),
+
+    gemini: section({
+      apiKey: string('GEMINI_API_KEY', 'Google Gemini API key'),
+    }),
+
+    cloudinary: section({
+      cloudName: string('CLOUDINARY_CLOUD_NAME', 'Cloudinary cloud name'),
+      apiKey: string('CLOUDINARY_API_KEY', 'Cloudinary API key'),
+      apiSecret: string('CLOUDINARY_API_SECRET', 'Cloudinary API secret'),
+    }),
+
+    upload: section({
+      maxFileSize: integer('MAX_FILE_SIZE', 10 * 1024 * 1024, 'Largest accepted upload in bytes'),
+      // A small compressed file can decode to a huge bitmap; these cap what an image may decode to
+      maxPixels: integer('MAX_INPUT_PIXELS', 100 * 1000 * 1000, 'Most pixels an uploaded image (one frame) may have'),
+      maxDimension: integer('MAX_INPUT_DIMENSION', 16384, 'Largest width or height of an uploaded image'),
+      maxFrames: integer('MAX_INPUT_FRAMES', 300, 'Most frames or pages of an uploaded animated or multi-page image'),
+      allowedMimeTypes: {
+        type: 'array',
+        items: { type: 'string', pattern: '^[\\w.+-]+/[\\w.+-]+$' },
+        minItems: 1,
+        default: [
+          'image/jpeg',
+          'image/png',
+          'image/gif',
+          'image/webp',
+          'image/svg+xml',
+          'image/bmp',
+          'image/tiff',
+          'application/pdf',
+        ],
+        description: 'Accepted upload types',
+      },
+    }),
+
+    // imageUrl on processing endpoints: images fetched from the web
+    remoteInput: section({
+      enabled: boolean('REMOTE_INPUT_ENABLED', true, 'Accept imageUrl in place of an uploaded file'),
+      timeoutMs: integer('REMOTE_INPUT_TIMEOUT_MS', 10 * 1000, 'Time allowed for the whole fetch, redirects included', { minimum: 100 }),
+      maxRedirects: integer('REMOTE_INPUT_MAX_REDIRECTS', 3, 'Redirects followed per fetch', { minimum: 0, maximum: 10 }),
+      maxUrls: integer('REMOTE_INPUT_MAX_URLS', 10, 'imageUrl values accepted per request', { maximum: 50 }),
+      // Only for development and tests: lets imageUrl reach localhost and private networks
+      allowPrivateNetworks: boolean('REMOTE_INPUT_ALLOW_PRIVATE_NETWORKS', false, 'Allow fetching from private and loopback addresses'),
+    }),
+
+    // Resumable uploads (POST /api/upload/sessions); endpoints that process in memory
+    // take them up to MAX_FILE_SIZE
+    chunkedUpload: section({
+      enabled: boolean('CHUNKED_UPLOAD_ENABLED', true, 'Accept resumable chunked uploads'),
+      maxFileSize: integer('CHUNKED_UPLOAD_MAX_FILE_SIZE', 500 * 1024 * 1024, 'Largest file a chunked upload may assemble, in bytes'),
+      maxChunkSize: integer('CHUNKED_UPLOAD_MAX_CHUNK_SIZE', 8 * 1024 * 1024, 'Largest chunk one PUT may carry, in bytes', { minimum: 1024 }),
+      ttlMs: integer('CHUNKED_UPLOAD_TTL_MS', DAY, 'How long an upload is kept after its last chunk or use', { minimum: 1000 }),
+      // Per API key (or for all anonymous clients together), so one client cannot fill the disk
+      maxSessions: integer('CHUNKED_UPLOAD_MAX_SESSIONS', 10, 'Uploads a client may have at once, finished or not'),
+      maxReservedBytes: integer('CHUNKED_UPLOAD_MAX_RESERVED_BYTES', 2 * 1024 * 1024 * 1024, 'Total size of the uploads a client may have at once, in bytes'),
+    }),
+
+    storage: section({
+      driver: choice('STORAGE_DRIVER', ['cloudinary', 'local', 's3'], 'cloudinary', 'Where processed results are stored'),
+      local: section({
+        directory: string('STORAGE_LOCAL_DIR', 'Directory for stored results', { default: 'uploads/results', minLength: 1 }),
+        // Defaults to http://localhost:<port>/storage
+        publicUrl: url('STORAGE_LOCAL_PUBLIC_URL', 'Public base URL of /storage'),
+      }),
+      s3: section({
+        endpoint: url('S3_ENDPOINT', 'S3-compatible endpoint (empty for AWS)'),
+        region: string('S3_REGION', 'S3 region', { default: 'us-east-1', minLength: 1 }),
+        bucket: string('S3_BUCKET', 'Bucket for stored results'),
+        accessKeyId: string('S3_ACCESS_KEY_ID', 'S3 access key id'),
+        secretAccessKey: string('S3_SECRET_ACCESS_KEY', 'S3 secret access key'),
+        forcePathStyle: boolean('S3_FORCE_PATH_STYLE', true, 'Path-style URLs (MinIO needs them)'),
+        publicUrl: url('S3_PUBLIC_URL', 'Public base URL for stored objects'),
+      }),
+    }),
+
+    redis: section({
+      url: string('REDIS_URL', 'Redis connection URL', { default: 'redis://localhost:6379', pattern: '^rediss?://' }),
+      keyPrefix: string('REDIS_KEY_PREFIX', 'Prefix for every Redis key', { default: 'magicpixels:' }),
+    }),
+
+    jobs: section({
+      backend: choice('JOBS_BACKEND', ['memory', 'redis'], 'memory', 'Where background jobs are queued'),
+      concurrency: integer('JOBS_CONCURRENCY', 2, 'Jobs run at once per instance', { maximum: 64 }),
+      ttlMs: integer('JOBS_TTL_MS', HOUR, 'How long finished jobs are kept', { minimum: 1000 }),
+    }),
+
+    webhooks: section({
+      secret: secret('WEBHOOK_SECRET', 'HMAC key for X-MagicPixels-Signature'),
+      backend: choice('WEBHOOK_BACKEND', ['memory', 'redis'], 'memory', 'Where delivery logs are kept'),
+      maxAttempts: integer('WEBHOOK_MAX_ATTEMPTS', 5, 'Deliveries tried per callback', { maximum: 20 }),
+      initialDelayMs: integer('WEBHOOK_INITIAL_DELAY_MS', 1000, 'First retry delay'),
+      maxDelayMs: integer('WEBHOOK_MAX_DELAY_MS', 5 * 60 * 1000, 'Longest retry delay'),
+      timeoutMs: integer('WEBHOOK_TIMEOUT_MS', 10 * 1000, 'Per-delivery timeout', { minimum: 100 }),
+      logTtlMs: integer('WEBHOOK_LOG_TTL_MS', DAY, 'How long delivery logs are kept', { minimum: 1000 }),
+      allowPrivateNetworks: boolean('WEBHOOK_ALLOW_PRIVATE_NETWORKS', false, 'Allow callbacks to private and loopback addresses'),
+    }),
+
+    auth: section({
+      enabled: boolean('AUTH_ENABLED', true, 'Require an API key on /api'),
+      adminToken: secret('ADMIN_TOKEN', 'Bearer token for /api/admin'),
+      backend: choice('API_KEYS_BACKEND', ['memory', 'redis'], 'memory', 'Where API keys are kept'),
+      quotaPeriod: choice('QUOTA_PERIOD', ['day', 'month'], 'month', 'Quotas reset every UTC day or month'),
+      defaultQuotas: section({
+        requests: integer('QUOTA_REQUESTS', 10000, 'Requests per period'),
+        bytes: integer('QUOTA_BYTES', 1024 * 1024 * 1024, 'Uploaded bytes per period'),
+        aiCalls: integer('QUOTA_AI_CALLS', 100, 'AI calls per period'),
+      }),
+    }),
+
+    retention: section({
+      backend: choice('RETENTION_BACKEND', ['sqlite', 'memory'], 'sqlite', 'Where retention records are kept'),
+      sqlitePath: string('RETENTION_SQLITE_PATH', 'SQLite file for the sqlite backend', {
+        default: 'data/downloads.sqlite',
+        minLength: 1,
+      }),
+      ttlMs: integer('RETENTION_TTL_MS', 7 * DAY, 'Default lifetime of stored results', { minimum: 1000 }),
+      toolMaxDownloads: integer('RETENTION_TOOL_MAX_DOWNLOADS', 3, 'Downloads allowed per Cloudinary tool result'),
+      toolTtlMs: integer('RETENTION_TOOL_TTL_MS', DAY, 'Lifetime of Cloudinary tool results', { minimum: 1000 }),
+      reapIntervalMs: integer('RETENTION_REAP_INTERVAL_MS', HOUR, 'How often the reaper runs', { minimum: 1000 }),
+      orphanGraceMs: integer('RETENTION_ORPHAN_GRACE_MS', HOUR, 'Age before untracked tool results are deleted', { minimum: 0 }),
+      auditTtlMs: integer('RETENTION_AUDIT_TTL_MS', 30 * DAY, 'How long deletion audit entries are kept', { minimum: 1000 }),
+    }),
+
+    downloads: section({
+      signingSecret: secret('DOWNLOAD_SIGNING_SECRET', 'HMAC key for /api/files/:token links'),
+      linkTtlMs: integer('DOWNLOAD_LINK_TTL_MS', 15 * 60 * 1000, 'Default download link lifetime', { minimum: 1000 }),
+      maxLinkTtlMs: integer('DOWNLOAD_LINK_MAX_TTL_MS', DAY, 'Longest lifetime a link may ask for', { minimum: 1000 }),
+    }),
+
+    health: section({
+      timeoutMs: integer('HEALTH_CHECK_TIMEOUT_MS', 5000, 'Per-check timeout', { minimum: 100 }),
+      cacheMs: integer('HEALTH_CHECK_CACHE_MS', 10 * 1000, 'How long readiness results are reused', { minimum: 0 }),
+    }),
+
+    metrics: section({
+      enabled: boolean('METRICS_ENABLED', true, 'Serve GET /metrics'),
+      token: secret('METRICS_TOKEN', 'Bearer token required by /metrics'),
+    }),
+
+    rateLimit: section({
+      backend: choice('RATE_LIMIT_BACKEND', ['memory', 'redis'], 'memory', 'Where rate limit counters are kept'),
+      windowMs: integer('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000, 'General rate limit window', { minimum: 1000 }),
+      maxRequests: integer('RATE_LIMIT_MAX_REQUESTS', 100, 'Requests per general window'),
+      aiWindowMs: integer('RATE_LIMIT_AI_WINDOW_MS', 60 * 1000, 'AI rate limit window', { minimum: 1000 }),
+      aiMaxRequests: integer('RATE_LIMIT_AI_MAX_REQUESTS', 10, 'AI requests per window'),
+      uploadWindowMs: integer('RATE_LIMIT_UPLOAD_WINDOW_MS', 60 * 1000, 'Upload rate limit window', { minimum: 1000 }),
+      uploadMaxRequests: integer('RATE_LIMIT_UPLOAD_MAX_REQUESTS', 20, 'Uploads per window'),
+      chunkWindowMs: integer('RATE_LIMIT_CHUNK_WINDOW_MS', 15 * 60 * 1000, 'Chunked upload PUT window', { minimum: 1000 }),
+      chunkMaxRequests: integer('RATE_LIMIT_CHUNK_MAX_REQUESTS', 500, 'Chunk PUTs per window'),
+    }),
+
+    cors: section({
+      origins: {
+        type: 'array',
+        env: 'CORS_ORIGINS',
+        items: { type: 'string', pattern: ORIGIN },
+        default: [
+          'http://localhost:5173',
+          'http://localhost:3000',
+          'https://magicpixels.vercel.app',
+          'https://www.magicpixels.vercel.app',
+        ],
+        description: 'Origins allowed to call the API (comma-separated in the environment)',
+      },
+      credentialOrigins: {
+        type: ['array', 'null'],
+        env: 'CORS_CREDENTIAL_ORIGINS',
+        items: { type: 'string', pattern: ORIGIN },
+        default: null,
+        description: 'Allowed origins that may send credentials (null: all of them)',
+      },
+      maxAge: integer('CORS_MAX_AGE', 10 * 60, 'Seconds browsers cache preflights', { minimum: 0 }),
+    }),
+
+    frontendUrl: url('FRONTEND_URL', 'Frontend origin, always allowed by CORS', { default: 'http://localhost:5173' }),
+  },
+};
+
+const CLOUDINARY_CREDENTIALS = ['cloudinary.cloudName', 'cloudinary.apiKey', 'cloudinary.apiSecret'];
+
+/**
+ * Settings that must be set whenever a condition holds
+ */
+export const requiredSettings = [
+  {
+    when: (config) => config.storage.driver === 'cloudinary',
+    because: 'storage.driver is cloudinary',
+    settings: CLOUDINARY_CREDENTIALS,
+  },
+  {
+    when: (config) => config.storage.driver === 's3',
+    because: 'storage.driver is s3',
+    settings: ['storage.s3.bucket'],
+  },
+];
+
+/**
+ * Optional features and the settings they cannot work without
+ */
+export const featureRequirements = {
+  ai: { name: 'AI features', settings: ['gemini.apiKey'] },
+  cloudinaryTools: { name: 'Cloudinary tools', settings: CLOUDINARY_CREDENTIALS },
+  webhooks: { name: 'Webhook callbacks', settings: ['webhooks.secret'] },
+};
+
+/**
+ * Rules that span more than one setting
+ */
+export const constraints = [
+  {
+    setting: 'downloads.linkTtlMs',
+    check: (config) => config.downloads.linkTtlMs <= config.downloads.maxLinkTtlMs,
+    message: 'must not be longer than downloads.maxLinkTtlMs',
+  },
+  {
+    setting: 'webhooks.initialDelayMs',
+    check: (config) => config.webhooks.initialDelayMs <= config.webhooks.maxDelayMs,
+    message: 'must not be longer than webhooks.maxDelayMs',
+  },
+];
+
+export default { configSchema, requiredSettings, featureRequirements, constraints };
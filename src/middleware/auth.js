@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { findApiKey, consumeQuota } from '../services/apiKeys/index.js';
+import { AppError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const QUOTA_HEADERS = {
+  requests: 'Requests',
+  bytes: 'Bytes',
+  aiCalls: 'AI-Calls',
+};
+
+const QUOTA_ERRORS = {
+  requests: 'Request quota exceeded',
+  bytes: 'Data quota exceeded: this request would process more bytes than the key has left',
+  aiCalls: 'AI call quota exceeded',
+};
+
+/**
+ * Read the API key from X-API-Key or an `Authorization: Bearer` header
+ */
+export const getApiKeyFromRequest = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * express.json/urlencoded `verify` hook: remember how many body bytes were
+ * read, for requests that did not say up front (Transfer-Encoding: chunked)
+ */
+export const recordBodyBytes = (req, res, buffer) => {
+  req.bodyBytes = buffer.length;
+};
+
+// Bytes a request said it would send, or the parsed body's size when it did not
+const declaredBytes = (req) => parseInt(req.get('Content-Length')) || req.bodyBytes || 0;
+
+/**
+ * Report a key's usage in X-Quota-* response headers (unlimited quotas are left out)
+ */
+const setQuotaHeaders = (res, quota) => {
+  res.set('X-Quota-Period', quota.period);
+  res.set('X-Quota-Reset', quota.resetAt);
+
+  Object.entries(QUOTA_HEADERS).forEach(([field, label]) => {
+    const { limit, used, remaining } = quota[field];
+    res.set(`X-Quota-${label}-Used`, String(used));
+    if (limit !== null) {
+      res.set(`X-Quota-${label}-Limit`, String(limit));
+      res.set(`X-Quota-${label}-Remaining`, String(remaining));
+    }
+  });
+};
+
+const rejectOverQuota = (res, { exceeded, quota }) => {
+  return res.status(429).json({
+    success: false,
+    error: `${QUOTA_ERRORS[exceeded]}. The quota resets at ${quota.resetAt}`,
+    code: 'QUOTA_EXCEEDED',
+    quota,
+  });
+};
+
+/**
+ * Require a valid, unrevoked API key and count the request (and its size)
+ * against the key's quotas. Does nothing when AUTH_ENABLED=false.
+ */
+export const requireApiKey = async (req, res, next) => {
+  if (!config.auth.enabled) return next();
+
+  try {
+    const apiKey = getApiKeyFromRequest(req);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key required. Send it in the X-API-Key header',
+        code: 'AUTH_REQUIRED',
+      });
+    }
+
+    const record = await findApiKey(apiKey);
+    if (!record) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key',
+        code: 'INVALID_API_KEY',
+      });
+    }
+
+    if (record.revokedAt) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key has been revoked',
+        code: 'INVALID_API_KEY',
+      });
+    }
+
+    const usage = await consumeQuota(record, {
+      requests: 1,
+      bytes: declaredBytes(req),
+    });
+    setQuotaHeaders(res, usage.quota);
+
+    if (!usage.allowed) return rejectOverQuota(res, usage);
+
+    req.apiKey = record;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Count one AI call against the request's API key. Use it after the upload
+ * and validateRequest, so malformed requests cost nothing; a request the
+ * handler still turns away (4xx) gets its call back.
+ */
+export const aiQuota = async (req, res, next) => {
+  if (!req.apiKey) return next();
+
+  try {
+    const usage = await consumeQuota(req.apiKey, { aiCalls: 1 });
+    setQuotaHeaders(res, usage.quota);
+
+    if (!usage.allowed) return rejectOverQuota(res, usage);
+
+    res.on('finish', () => {
+      if (res.statusCode < 400 || res.statusCode >= 500) return;
+      consumeQuota(req.apiKey, { aiCalls: -1 }).catch((error) => {
+        logger.error('Could not refund AI call', { error });
+      });
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Count bytes a request fetched for itself (imageUrl) against its key's data
+ * quota, as requireApiKey does for uploaded bytes. Throws QUOTA_EXCEEDED when
+ * the key has run out.
+ */
+export const chargeBytes = async (req, res, bytes) => {
+  if (!req.apiKey || bytes === 0) return;
+
+  const usage = await consumeQuota(req.apiKey, { bytes });
+  setQuotaHeaders(res, usage.quota);
+
+  if (!usage.allowed) {
+    throw new AppError(`${QUOTA_ERRORS.bytes}. The quota resets at ${usage.quota.resetAt}`, {
+      code: 'QUOTA_EXCEEDED',
+    });
+  }
+};
+
+/**
+ * Count the bytes of a body that was streamed without a Content-Length
+ * (multipart files, upload chunks) once they have been read. Requests that
+ * declared their length were charged for it by requireApiKey.
+ */
+export const chargeReceivedBytes = async (req, res, bytes) => {
+  if (parseInt(req.get('Content-Length'))) return;
+  await chargeBytes(req, res, bytes);
+};
+
+/**
+ * Require the admin token (`Authorization: Bearer <ADMIN_TOKEN>`)
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!config.auth.adminToken) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is disabled: ADMIN_TOKEN is not configured',
+      code: 'ADMIN_DISABLED',
+    });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  // Compare digests so the check takes the same time whatever the input length
+  const given = crypto.createHash('sha256').update(match ? match[1].trim() : '').digest();
+  const expected = crypto.createHash('sha256').update(config.auth.adminToken).digest();
+
+  if (!match || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin token',
+      code: 'INVALID_ADMIN_TOKEN',
+    });
+  }
+
+  next();
+};
+
+export default {
+  getApiKeyFromRequest,
+  recordBodyBytes,
+  requireApiKey,
+  aiQuota,
+  chargeBytes,
+  chargeReceivedBytes,
+  requireAdmin,
+};
@@ -0,0 +1,170 @@
+import cors from 'cors';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'];
+
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'];
+
+// Metadata headers sent with inline (binary) responses, plus rate limit and quota usage
+const EXPOSED_HEADERS = [
+  'Content-Disposition',
+  'X-Request-Id',
+  'X-Image-Format',
+  'X-Image-Width',
+  'X-Image-Height',
+  'X-Original-Size',
+  'X-Original-Format',
+  'X-Compression-Ratio',
+  'X-Quality',
+  'X-Final-Quality',
+  'X-Target-Size',
+  'X-Target-Reached',
+  'X-Actions-Applied',
+  'X-Applied-Edits',
+  'X-Pipeline-Stages',
+  'X-Downloads-Remaining',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'Retry-After',
+  'X-Quota-Period',
+  'X-Quota-Reset',
+  'X-Quota-Requests-Used',
+  'X-Quota-Requests-Limit',
+  'X-Quota-Requests-Remaining',
+  'X-Quota-Bytes-Used',
+  'X-Quota-Bytes-Limit',
+  'X-Quota-Bytes-Remaining',
+  'X-Quota-AI-Calls-Used',
+  'X-Quota-AI-Calls-Limit',
+  'X-Quota-AI-Calls-Remaining',
+];
+
+const ORIGIN_PATTERN = /^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d+))?$/;
+
+/**
+ * Compile an origin pattern: an exact origin (`https://app.example.com`) or a
+ * wildcard that covers every subdomain of a host (`https://*.example.com`,
+ * which does not match example.com itself). Ports must match exactly.
+ */
+const compileOrigin = (pattern) => {
+  const normalized = pattern.trim().toLowerCase().replace(/\/+$/, '');
+  const match = ORIGIN_PATTERN.exec(normalized);
+
+  if (!match) {
+    throw new Error(`Invalid CORS origin "${pattern}". Use forms like https://app.example.com or https://*.example.com`);
+  }
+
+  const [, scheme, wildcard, host, port = ''] = match;
+
+  return {
+    pattern: normalized,
+    type: wildcard ? 'wildcard' : 'exact',
+    // The pattern itself as a parsed origin, so patterns can be matched against each other
+    origin: { protocol: `${scheme}:`, hostname: wildcard ? `*.${host}` : host, port },
+    matches: ({ protocol, hostname, port: originPort }) => {
+      if (protocol !== `${scheme}:` || originPort !== port) return false;
+      return wildcard ? hostname.endsWith(`.${host}`) : hostname === host;
+    },
+  };
+};
+
+const allowedOrigins = [...new Set([...config.cors.origins, config.frontendUrl].filter(Boolean))]
+  .map(compileOrigin);
+
+const credentialOrigins = config.cors.credentialOrigins
+  ? config.cors.credentialOrigins.map(compileOrigin)
+  : null;
+
+/**
+ * Decide whether an Origin header value may call the API:
+ * { origin, allowed, credentials, matchedPattern }
+ */
+export const checkOrigin = (origin) => {
+  let parsed;
+  try {
+    parsed = new URL(origin);
+  } catch {
+    parsed = null;
+  }
+
+  // Only bare origins qualify; `null` and anything with a path are refused
+  const matched = parsed && parsed.origin === String(origin).toLowerCase()
+    ? allowedOrigins.find((entry) => entry.matches(parsed))
+    : null;
+
+  return {
+    origin,
+    allowed: Boolean(matched),
+    credentials: Boolean(matched) && (!credentialOrigins || credentialOrigins.some((entry) => entry.matches(parsed))),
+    matchedPattern: matched ? matched.pattern : null,
+  };
+};
+
+/**
+ * Whether the origins an allowed pattern covers may send credentials, using
+ * the same matchers as checkOrigin: true for all of them, false for none, or
+ * the credential patterns that cover some of them
+ */
+const describeCredentials = (entry) => {
+  if (!credentialOrigins) return true;
+  if (credentialOrigins.some((credential) => credential.matches(entry.origin))) return true;
+
+  const covered = credentialOrigins.filter((credential) => entry.matches(credential.origin));
+  return covered.length > 0 ? covered.map((credential) => credential.pattern) : false;
+};
+
+/**
+ * The effective CORS policy, for the admin API
+ */
+export const describeCorsPolicy = () => ({
+  origins: allowedOrigins.map((entry) => ({
+    pattern: entry.pattern,
+    type: entry.type,
+    credentials: describeCredentials(entry),
+  })),
+  credentialOrigins: credentialOrigins ? credentialOrigins.map((entry) => entry.pattern) : 'all allowed origins',
+  requestsWithoutOrigin: 'allowed',
+  methods: METHODS,
+  allowedHeaders: ALLOWED_HEADERS,
+  exposedHeaders: EXPOSED_HEADERS,
+  maxAge: config.cors.maxAge,
+});
+
+const applyCors = cors((req, callback) => {
+  const origin = req.get('Origin');
+  const decision = origin ? checkOrigin(origin) : null;
+
+  callback(null, {
+    origin: Boolean(decision?.allowed),
+    credentials: Boolean(decision?.credentials),
+    methods: METHODS,
+    allowedHeaders: ALLOWED_HEADERS,
+    exposedHeaders: EXPOSED_HEADERS,
+    maxAge: config.cors.maxAge,
+  });
+});
+
+/**
+ * Enforce the CORS allowlist. Requests without an Origin (curl, servers,
+ * mobile apps) pass; browser requests from other origins are refused with 403
+ * before any work is done, instead of only being hidden from the page.
+ */
+export const corsPolicy = (req, res, next) => {
+  const origin = req.get('Origin');
+
+  if (origin && !checkOrigin(origin).allowed) {
+    logger.warn('CORS blocked origin', { origin });
+    res.vary('Origin');
+    return res.status(403).json({
+      success: false,
+      error: 'Origin not allowed by CORS policy',
+      code: 'ORIGIN_NOT_ALLOWED',
+    });
+  }
+
+  applyCors(req, res, next);
+};
+
+export default { checkOrigin, describeCorsPolicy, corsPolicy };
@@ -0,0 +1,18 @@
+import config from '../config/index.js';
+import { featureRequirements } from '../config/schema.js';
+
+/**
+ * Refuse requests to a feature that is turned off (FEATURE_* or missing
+ * credentials) with 503, before any quota is charged or upload read
+ */
+export const requireFeature = (name) => (req, res, next) => {
+  if (config.features[name]) return next();
+
+  res.status(503).json({
+    success: false,
+    error: `${featureRequirements[name].name} are disabled on this server`,
+    code: 'FEATURE_DISABLED',
+  });
+};
+
+export default { requireFeature };
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import {
+  registry,
+  httpRequests,
+  httpRequestDuration,
+  httpBytesIn,
+  httpBytesOut,
+} from '../utils/metrics.js';
+
+// Label by route pattern (`/api/jobs/:id`), never by raw path, to keep series bounded
+const formatRouteLabel = (baseUrl, route) => `${baseUrl}${route.path}`.replace(/(.)\/$/, '$1');
+
+const getRouteLabel = (req, res) => {
+  if (res.locals.routeLabel) return res.locals.routeLabel;
+  if (req.baseUrl === '/storage') return '/storage';
+  return res.statusCode === 404 ? 'unmatched' : req.baseUrl || 'unmatched';
+};
+
+/**
+ * Record the route label when Express matches a route. That happens inside
+ * the router, while req.baseUrl is still its mount path; by the time an
+ * error reaches the app's error handler req.baseUrl has been reset.
+ */
+const recordRouteLabel = (req, res) => {
+  let route = req.route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) res.locals.routeLabel = formatRouteLabel(req.baseUrl, value);
+    },
+  });
+};
+
+/**
+ * Count every request and its latency and bytes, per route
+ */
+export const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  recordRouteLabel(req, res);
+
+  res.on('finish', () => {
+    const route = getRouteLabel(req, res);
+    const labels = { method: req.method, route, status: String(res.statusCode) };
+
+    httpRequests.inc(labels);
+    endTimer(labels);
+    httpBytesIn.inc({ route }, Number(req.get('Content-Length')) || 0);
+    httpBytesOut.inc({ route }, Number(res.getHeader('Content-Length')) || 0);
+  });
+
+  next();
+};
+
+/**
+ * GET /metrics in Prometheus text format. With METRICS_TOKEN set, scrapers
+ * must send it as a Bearer token.
+ */
+export const metricsEndpoint = async (req, res, next) => {
+  try {
+    if (config.metrics.token) {
+      const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+      // Compare digests so the check takes the same time whatever the input length
+      const given = crypto.createHash('sha256').update(match ? match[1].trim() : '').digest();
+      const expected = crypto.createHash('sha256').update(config.metrics.token).digest();
+
+      if (!match || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({
+          success: false,
+          error: 'A valid metrics token is required',
+          code: 'INVALID_METRICS_TOKEN',
+        });
+      }
+    }
+
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default { httpMetrics, metricsEndpoint };
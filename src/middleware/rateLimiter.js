@@ -1,40 +1,71 @@
-import rateLimit from 'express-rate-limit';
 import config from '../config/index.js';
+import { findApiKey } from '../services/apiKeys/index.js';
+import { findRouteLimits, consumeRateLimits } from '../services/rateLimit/index.js';
+import { getApiKeyFromRequest } from './auth.js';
+import logger from '../utils/logger.js';
 
-// General rate limiter
-export const generalLimiter = rateLimit({
-  windowMs: config.rateLimit.windowMs,
-  max: config.rateLimit.maxRequests,
-  message: {
-    success: false,
-    error: 'Too many requests, please try again later.',
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Strict rate limiter for AI endpoints
-export const aiLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 10, // 10 requests per minute
-  message: {
-    success: false,
-    error: 'AI processing limit reached. Please wait before trying again.',
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Upload rate limiter
-export const uploadLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 20, // 20 uploads per minute
-  message: {
-    success: false,
-    error: 'Upload limit reached. Please wait before uploading again.',
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-export default { generalLimiter, aiLimiter, uploadLimiter };
+/**
+ * Who a request is counted against: the id of its API key once the key has
+ * been verified, otherwise its IP. Unknown and revoked keys count against
+ * the IP, so a client cannot get a fresh budget by inventing keys (or admin
+ * tokens and link tokens sent as keys).
+ */
+const getClientKey = async (req) => {
+  const apiKey = config.auth.enabled ? getApiKeyFromRequest(req) : null;
+  if (!apiKey) return `ip:${req.ip}`;
+
+  try {
+    const record = await findApiKey(apiKey);
+    if (record && !record.revokedAt) return `key:${record.id}`;
+  } catch (error) {
+    logger.error('API key lookup failed, rate limiting by IP', { error });
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Report the most constrained limiter in the standard RateLimit-* headers
+ */
+const setRateLimitHeaders = (res, state) => {
+  const resetSeconds = Math.max(0, Math.ceil((state.resetAt - Date.now()) / 1000));
+  res.set('RateLimit-Limit', String(state.limit));
+  res.set('RateLimit-Remaining', String(state.remaining));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  return resetSeconds;
+};
+
+/**
+ * Apply the rate limiting policy in config/rateLimits.js to every request.
+ * If the store is unreachable, requests are let through rather than failed.
+ */
+export const rateLimits = async (req, res, next) => {
+  const rule = findRouteLimits(req.method, req.path);
+  if (!rule) return next();
+
+  let result;
+  try {
+    result = await consumeRateLimits(await getClientKey(req), rule.limits);
+  } catch (error) {
+    logger.error('Rate limit store error, allowing request', { error });
+    return next();
+  }
+
+  if (!result.allowed) {
+    const resetSeconds = setRateLimitHeaders(res, result.blocked);
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      success: false,
+      error: result.blocked.message,
+      code: 'RATE_LIMITED',
+    });
+  }
+
+  if (result.states.length > 0) {
+    const tightest = result.states.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    setRateLimitHeaders(res, tightest);
+  }
+
+  next();
+};
+
+export default { rateLimits };
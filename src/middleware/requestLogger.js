@@ -0,0 +1,47 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { runWithContext } from '../utils/requestContext.js';
+
+// Ids a client or proxy may pass in; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an id (the caller's X-Request-Id if usable) and log it
+ * when it completes with its status, duration and processing stage timings.
+ * The id is echoed in the X-Request-Id header and in error bodies, and every
+ * log line written while handling the request carries it.
+ */
+export const requestLogger = (req, res, next) => {
+  const given = req.get('X-Request-Id');
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : uuidv4();
+  res.set('X-Request-Id', req.id);
+
+  // Error bodies carry the id too, so a failure can be matched to its logs
+  const json = res.json.bind(res);
+  res.json = (body) => json(body?.success === false && !body.requestId ? { ...body, requestId: req.id } : body);
+
+  const started = process.hrtime.bigint();
+  const context = { requestId: req.id, route: null, owner: null, retention: null, timings: {} };
+
+  res.on('close', () => {
+    const status = res.statusCode;
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      ...(Object.keys(context.timings).length > 0 && { stages: context.timings }),
+      ...(req.apiKey && { apiKeyId: req.apiKey.id }),
+      ...(!res.writableFinished && { aborted: true }),
+    };
+
+    if (status >= 500) logger.error('Request failed', fields);
+    else if (status >= 400) logger.warn('Request rejected', fields);
+    else logger.info('Request completed', fields);
+  });
+
+  runWithContext(context, next);
+};
+
+export default { requestLogger };
@@ -0,0 +1,39 @@
+import { getRetentionStore, recordDownload, deleteWhenSent } from '../services/retention/index.js';
+
+/**
+ * Count downloads of local storage results served from /storage, so their
+ * download limits apply there too. Finished files get a 410 and are deleted;
+ * files without a retention record (or paths that do not decode) are
+ * served as before.
+ */
+export const countStorageDownloads = async (req, res, next) => {
+  if (req.method !== 'GET') return next();
+
+  let publicId;
+  try {
+    publicId = decodeURIComponent(req.path.slice(1));
+  } catch {
+    return next();
+  }
+
+  try {
+    const record = await getRetentionStore().get(publicId);
+    if (!record) return next();
+
+    // The storage URL is the credential here, whoever the file belongs to
+    const download = await recordDownload(publicId, { owner: record.owner });
+    if (!download.allowed) {
+      return res.status(410).json({ success: false, error: download.error, code: 'GONE' });
+    }
+
+    if (download.remaining !== null) {
+      res.set('X-Downloads-Remaining', String(download.remaining));
+    }
+    deleteWhenSent(res, download);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default { countStorageDownloads };
@@ -3,6 +3,14 @@ import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
 import config from '../config/index.js';
+import { bindToContext } from '../utils/requestContext.js';
+import logger from '../utils/logger.js';
+import { AppError, ValidationError, LimitExceededError, UnsupportedFormatError } from '../utils/errors.js';
+import { inspectUpload } from '../services/inspectionService.js';
+import { fetchRemoteFile } from '../services/remoteInputService.js';
+import { openUpload, cleanupExpiredUploads } from '../services/chunkedUploadService.js';
+import { chargeBytes, chargeReceivedBytes } from './auth.js';
+import { normalizeMimeType } from '../utils/fileSignatures.js';
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(process.cwd(), 'uploads');
@@ -24,32 +32,209 @@ const storage = multer.diskStorage({
 // Memory storage for processing
 const memoryStorage = multer.memoryStorage();
 
-// File filter
+// File filter: a first check on the declared type; the content is checked
+// once the file is in (inspectFiles). Clients that do not know the type send
+// application/octet-stream, and the content decides.
 const fileFilter = (req, file, cb) => {
-  if (config.upload.allowedMimeTypes.includes(file.mimetype)) {
+  const declared = normalizeMimeType(file.mimetype);
+  if (declared === 'application/octet-stream' || config.upload.allowedMimeTypes.map(normalizeMimeType).includes(declared)) {
     cb(null, true);
   } else {
-    cb(new Error(`File type ${file.mimetype} is not allowed`), false);
+    cb(new UnsupportedFormatError(`File type ${file.mimetype} is not allowed`), false);
   }
 };
 
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+/**
+ * Check every uploaded file's real content (services/inspectionService.js).
+ * Sanitized SVGs replace the uploaded bytes. Chunked uploads were checked
+ * when they were completed.
+ */
+const inspectFiles = async (req) => {
+  for (const file of uploadedFiles(req)) {
+    if (file.uploadId) continue;
+
+    const buffer = file.buffer || await fs.promises.readFile(file.path);
+    const inspected = await inspectUpload(buffer, { declaredType: file.mimetype, field: file.fieldname });
+
+    file.mimetype = inspected.mimeType;
+    if (inspected.buffer !== buffer) {
+      if (file.buffer) file.buffer = inspected.buffer;
+      else await fs.promises.writeFile(file.path, inspected.buffer);
+      file.size = inspected.buffer.length;
+    }
+  }
+};
+
+// The file field imageUrl and uploadId stand in for, from the multer method's arguments
+const imageUrlTarget = (method, args) => {
+  if (method === 'single') return { method, field: args[0], maxCount: 1 };
+  if (method === 'array') return { method, field: args[0], maxCount: args[1] || Infinity };
+  if (method === 'fields') return { method, field: args[0][0].name, maxCount: args[0][0].maxCount || Infinity };
+  return null;
+};
+
+// imageUrl or uploadId from the body (form field or JSON) or query string:
+// one value, repeated fields or a JSON array
+const getInputValues = (req, name) => {
+  const value = req.body?.[name] ?? req.query?.[name];
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String);
+
+  const trimmed = String(value).trim();
+  if (!trimmed.startsWith('[')) return [trimmed];
+  try {
+    const values = JSON.parse(trimmed);
+    if (Array.isArray(values)) return values.map(String);
+  } catch {
+    // Reported below
+  }
+  throw new ValidationError(`${name} must be a single value or a JSON array`);
+};
+
+// A file object like multer's, in memory or written to uploads/ for uploadDisk
+const toUploadedFile = async (target, { originalname, mimetype, buffer, sourcePath }, toDisk) => {
+  const file = {
+    fieldname: target.field,
+    originalname,
+    encoding: '7bit',
+    mimetype: mimetype || 'application/octet-stream',
+  };
+
+  if (toDisk) {
+    file.destination = uploadsDir;
+    file.filename = `${uuidv4()}${path.extname(originalname)}`;
+    file.path = path.join(uploadsDir, file.filename);
+    // Handlers delete their disk uploads, so a chunked upload is copied rather than moved
+    if (sourcePath) await fs.promises.copyFile(sourcePath, file.path);
+    else await fs.promises.writeFile(file.path, buffer);
+  } else {
+    file.buffer = buffer || await fs.promises.readFile(sourcePath);
+  }
+  return file;
+};
+
+/**
+ * Add imageUrl (fetched by services/remoteInputService.js) and uploadId
+ * (completed chunked uploads, services/chunkedUploadService.js) to the
+ * request's files, as if they had been uploaded to the endpoint's file field
+ */
+const resolveInputs = async (req, res, target, { toDisk }) => {
+  const urls = target ? getInputValues(req, 'imageUrl') : [];
+  const uploadIds = target ? getInputValues(req, 'uploadId') : [];
+  const count = urls.length + uploadIds.length;
+  if (count === 0) return;
+
+  if (urls.length > 0 && !config.remoteInput.enabled) {
+    throw new AppError('imageUrl is disabled on this server', { code: 'FEATURE_DISABLED' });
+  }
+  if (uploadIds.length > 0 && !config.chunkedUpload.enabled) {
+    throw new AppError('Chunked uploads are disabled on this server', { code: 'FEATURE_DISABLED' });
+  }
+  if (urls.length > config.remoteInput.maxUrls) {
+    throw new ValidationError(`At most ${config.remoteInput.maxUrls} imageUrl values are accepted`);
+  }
+
+  const existing = uploadedFiles(req).filter((file) => file.fieldname === target.field);
+  if (target.maxCount === 1 && existing.length + count > 1) {
+    throw new ValidationError(`Send one of a file in "${target.field}", imageUrl or uploadId`);
+  }
+  if (existing.length + count > target.maxCount) {
+    throw new LimitExceededError(`Too many files: "${target.field}" takes at most ${target.maxCount}`);
+  }
+
+  const files = [];
+  let fetchedBytes = 0;
+  for (const url of urls) {
+    const remote = await fetchRemoteFile(url);
+    const file = await toUploadedFile(target, {
+      originalname: remote.originalname,
+      mimetype: remote.mimeType,
+      buffer: remote.buffer,
+    }, toDisk);
+    files.push({ ...file, size: remote.buffer.length, sourceUrl: remote.url });
+    fetchedBytes += remote.buffer.length;
+  }
+
+  // Chunks counted against the data quota as they were sent. Routes that
+  // process in memory take uploads no larger than a direct upload.
+  for (const uploadId of uploadIds) {
+    const upload = await openUpload(uploadId, { owner: req.apiKey?.id || null });
+    if (!toDisk && upload.size > config.upload.maxFileSize) {
+      throw new LimitExceededError(
+        `Upload ${uploadId} is ${upload.size} bytes; this endpoint takes files of at most ${config.upload.maxFileSize} bytes`,
+        [{ in: 'body', field: 'uploadId', message: `must name an upload of at most ${config.upload.maxFileSize} bytes` }]
+      );
+    }
+    const file = await toUploadedFile(target, {
+      originalname: upload.filename,
+      mimetype: upload.mimeType,
+      sourcePath: upload.path,
+    }, toDisk);
+    files.push({ ...file, size: upload.size, uploadId });
+  }
+
+  await chargeBytes(req, res, fetchedBytes);
+
+  if (target.method === 'single') {
+    req.file = files[0];
+  } else if (target.method === 'array') {
+    req.files = [...(req.files || []), ...files];
+  } else {
+    req.files = { ...req.files, [target.field]: [...(req.files?.[target.field] || []), ...files] };
+  }
+};
+
+// Multer calls `next` from the upload stream, which would drop the request
+// context; bind it so handlers after the upload still see it. Streamed
+// uploads are charged for what arrived, imageUrl and uploadId are resolved
+// and every file is inspected before the handler runs.
+const keepContext = (instance, options = {}) => {
+  const wrap = (method) => (...args) => {
+    const middleware = instance[method](...args);
+    const target = imageUrlTarget(method, args);
+
+    return (req, res, next) => middleware(req, res, bindToContext((error) => {
+      if (error) return next(error);
+      const received = uploadedFiles(req).reduce((total, file) => total + file.size, 0);
+      chargeReceivedBytes(req, res, received)
+        .then(() => resolveInputs(req, res, target, options))
+        .then(() => inspectFiles(req))
+        .then(() => next(), next);
+    }));
+  };
+
+  return {
+    single: wrap('single'),
+    array: wrap('array'),
+    fields: wrap('fields'),
+    none: wrap('none'),
+    any: wrap('any'),
+  };
+};
+
 // Disk upload middleware
-export const uploadDisk = multer({
+export const uploadDisk = keepContext(multer({
   storage,
   fileFilter,
   limits: {
     fileSize: config.upload.maxFileSize,
   },
-});
+}), { toDisk: true });
 
 // Memory upload middleware
-export const uploadMemory = multer({
+export const uploadMemory = keepContext(multer({
   storage: memoryStorage,
   fileFilter,
   limits: {
     fileSize: config.upload.maxFileSize,
   },
-});
+}));
 
 // Cleanup temporary files
 export const cleanupFile = (filePath) => {
@@ -58,7 +243,7 @@ export const cleanupFile = (filePath) => {
   }
 };
 
-// Cleanup old files (files older than 1 hour)
+// Cleanup old files (files older than 1 hour, and expired chunked uploads)
 export const cleanupOldFiles = () => {
   const oneHourAgo = Date.now() - 60 * 60 * 1000;
   
@@ -69,12 +254,15 @@ export const cleanupOldFiles = () => {
       const filePath = path.join(uploadsDir, file);
       const stats = fs.statSync(filePath);
       
-      if (stats.mtimeMs < oneHourAgo) {
+      // Skip directories such as the local storage driver's results folder
+      if (stats.isFile() && stats.mtimeMs < oneHourAgo) {
         fs.unlinkSync(filePath);
-        console.log(`Cleaned up old file: ${file}`);
+        logger.debug('Cleaned up old upload', { file });
       }
     });
   }
+
+  cleanupExpiredUploads();
 };
 
 export default { uploadDisk, uploadMemory, cleanupFile, cleanupOldFiles };
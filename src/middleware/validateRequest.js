@@ -0,0 +1,161 @@
+import Ajv from 'ajv';
+import { findOperation } from '../openapi/index.js';
+import { ValidationError } from '../utils/errors.js';
+
+// OpenAPI keywords such as `format: binary` are not JSON Schema vocabulary ajv knows
+const ajv = new Ajv({ strict: false, allErrors: true, coerceTypes: 'array', discriminator: true });
+
+const validators = new Map();
+
+const objectSchema = (parameters) => ({
+  type: 'object',
+  properties: Object.fromEntries(parameters.map((parameter) => [parameter.name, parameter.schema])),
+  required: parameters.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+});
+
+const isBinary = (schema) => schema?.format === 'binary' || schema?.items?.format === 'binary';
+
+// Files arrive in req.file(s), not the body, so their fields are left to the route
+const withoutFiles = (schema) => {
+  const files = Object.keys(schema.properties || {}).filter((name) => isBinary(schema.properties[name]));
+  if (files.length === 0) return schema;
+
+  return {
+    ...schema,
+    properties: Object.fromEntries(Object.entries(schema.properties).filter(([name]) => !files.includes(name))),
+    required: (schema.required || []).filter((name) => !files.includes(name)),
+  };
+};
+
+/**
+ * Compile (once) the validators for an operation: { path, query, body }
+ * where body maps each content type to its validator
+ */
+const getValidators = (template, method, operation) => {
+  const key = `${method} ${template}`;
+  if (!validators.has(key)) {
+    const parameters = operation.parameters || [];
+    const content = operation.requestBody?.content || {};
+
+    validators.set(key, {
+      path: ajv.compile(objectSchema(parameters.filter((parameter) => parameter.in === 'path'))),
+      query: ajv.compile(objectSchema(parameters.filter((parameter) => parameter.in === 'query'))),
+      // Raw binary bodies (chunked uploads) are streamed by the route, not parsed
+      body: Object.fromEntries(Object.entries(content).filter(([, { schema }]) => !isBinary(schema)).map(([type, { schema }]) => [
+        type,
+        { schema: withoutFiles(schema), validate: ajv.compile(withoutFiles(schema)) },
+      ])),
+    });
+  }
+  return validators.get(key);
+};
+
+const typesOf = (schema) => [].concat(schema?.type || []);
+
+const hasLowercaseChoices = (schema) => schema?.enum?.every((choice) => choice === String(choice).toLowerCase());
+
+/**
+ * Form fields are all strings. Before validation: drop empty fields that are
+ * not strings, read JSON arrays and objects, split comma-separated lists and
+ * lowercase choices, in lists too (ajv then coerces numbers and booleans).
+ */
+const prepareFields = (values, schema) => {
+  for (const [name, fieldSchema] of Object.entries(schema.properties || {})) {
+    const value = values[name];
+    if (typeof value !== 'string') continue;
+
+    const types = typesOf(fieldSchema);
+    const trimmed = value.trim();
+
+    if (trimmed === '' && !types.includes('string')) {
+      delete values[name];
+    } else if ((types.includes('array') || types.includes('object')) && /^[[{]/.test(trimmed)) {
+      try {
+        values[name] = JSON.parse(trimmed);
+      } catch {
+        // Left as it is, so the schema reports it (as a one-item list for arrays)
+      }
+    } else if (types.length === 1 && types[0] === 'array') {
+      const items = trimmed.split(',').map((item) => item.trim()).filter(Boolean);
+      values[name] = hasLowercaseChoices(fieldSchema.items) ? items.map((item) => item.toLowerCase()) : items;
+    } else if (hasLowercaseChoices(fieldSchema)) {
+      values[name] = trimmed.toLowerCase();
+    }
+  }
+};
+
+const describeError = (location, error) => {
+  const segments = error.instancePath.split('/').slice(1);
+  let message = error.message;
+
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+    message = 'is required';
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  } else if (error.keyword === 'discriminator') {
+    segments.push(error.params.tag);
+    message = error.params.tagValue === undefined
+      ? 'is required'
+      : `unknown value "${error.params.tagValue}"`;
+  }
+
+  return { in: location, field: segments.join('.') || location, message };
+};
+
+// anyOf/oneOf report every branch; keep one error per field and message
+const uniqueErrors = (errors) => {
+  const seen = new Set();
+  return errors.filter((error) => {
+    const key = `${error.in} ${error.field} ${error.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Validate the path parameters, query string and body of a request against
+ * its operation in the OpenAPI document (openapi/index.js), coercing form
+ * strings to the documented types in place. Use it after the route's upload
+ * middleware so multipart fields have been parsed.
+ * Answers 400 with one { in, field, message } per problem in `details`.
+ */
+export const validateRequest = (req, res, next) => {
+  const path = `${req.baseUrl.replace(/^\/api/, '')}${req.route.path}`;
+  const found = findOperation(req.method, path);
+  if (!found) return next();
+
+  const method = req.method.toLowerCase();
+  const { path: validatePath, query: validateQuery, body } = getValidators(found.template, method, found.operation);
+  const errors = [];
+
+  if (!validatePath(req.params)) {
+    errors.push(...validatePath.errors.map((error) => describeError('path', error)));
+  }
+
+  prepareFields(req.query, validateQuery.schema);
+  if (!validateQuery(req.query)) {
+    errors.push(...validateQuery.errors.map((error) => describeError('query', error)));
+  }
+
+  const types = Object.keys(body);
+  if (types.length > 0) {
+    const type = req.is(types) || types[0];
+    const { schema, validate } = body[type];
+
+    if (!req.body || typeof req.body !== 'object') req.body = {};
+    prepareFields(req.body, schema);
+    if (!validate(req.body)) {
+      errors.push(...validate.errors.map((error) => describeError('body', error)));
+    }
+  }
+
+  if (errors.length > 0) {
+    return next(new ValidationError('Invalid request', uniqueErrors(errors)));
+  }
+
+  next();
+};
+
+export default { validateRequest };
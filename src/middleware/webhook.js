@@ -0,0 +1,76 @@
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { validateCallbackUrl, scheduleWebhook } from '../services/webhooks/index.js';
+
+/**
+ * Read the callback URL from the query string or (parsed) request body
+ */
+export const getCallbackUrl = (req) => req.query?.callbackUrl || req.body?.callbackUrl;
+
+/**
+ * Prepare a callback for this request: { url, requestId, owner } or { error }
+ */
+export const prepareCallback = (req) => {
+  const url = getCallbackUrl(req);
+  if (!url) return null;
+
+  const { valid, error } = validateCallbackUrl(url);
+  if (!valid) return { error };
+
+  if (!config.features.webhooks) {
+    return { error: 'Webhook callbacks are disabled on this server' };
+  }
+
+  req.callbackRequestId = req.callbackRequestId || req.id || uuidv4();
+  return { url, requestId: req.callbackRequestId, owner: req.apiKey?.id || null };
+};
+
+/**
+ * Describe a callback in the response so the client can look up its deliveries
+ */
+export const describeCallback = (callback, extra = {}) => {
+  if (callback.error) {
+    return { error: callback.error };
+  }
+  return {
+    requestId: callback.requestId,
+    url: callback.url,
+    ...extra,
+    deliveriesUrl: `/api/webhooks/${callback.requestId}`,
+  };
+};
+
+/**
+ * Send every JSON response of a request carrying `callbackUrl` to that URL too.
+ * Routes that answer before the work is done (async jobs) set req.webhookDeferred
+ * and hand the callback to the job instead.
+ */
+export const webhookCallbacks = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (req.method !== 'POST' || req.webhookDeferred || !body || typeof body !== 'object') {
+      return json(body);
+    }
+
+    const callback = prepareCallback(req);
+    if (!callback) return json(body);
+    if (callback.error) return json({ ...body, webhook: describeCallback(callback) });
+
+    const event = res.statusCode < 400 && body.success !== false ? 'request.completed' : 'request.failed';
+
+    try {
+      const delivery = scheduleWebhook({ ...callback, event, result: body });
+      return json({
+        ...body,
+        webhook: describeCallback(callback, { deliveryId: delivery.id, event }),
+      });
+    } catch (error) {
+      return json({ ...body, webhook: { error: error.message } });
+    }
+  };
+
+  next();
+};
+
+export default webhookCallbacks;
@@ -0,0 +1,276 @@
+import { OUTPUT_FORMATS, MAX_DIMENSION } from '../services/pipelineService.js';
+import { ERROR_CODES } from '../utils/errors.js';
+
+/**
+ * Building blocks for the OpenAPI document. Request schemas are written out
+ * inline (no $ref) because middleware/validateRequest.js compiles them as they
+ * are; responses may point at the shared schemas below.
+ */
+
+export const quality = (defaultValue) => ({
+  type: 'integer',
+  minimum: 1,
+  maximum: 100,
+  default: defaultValue,
+  description: 'Encoder quality',
+});
+
+export const dimension = (description) => ({
+  type: 'integer',
+  minimum: 1,
+  maximum: MAX_DIMENSION,
+  description,
+});
+
+export const outputFormat = (defaultValue) => ({
+  type: 'string',
+  enum: OUTPUT_FORMATS,
+  ...(defaultValue && { default: defaultValue }),
+  description: 'Output format',
+});
+
+export const hexColor = {
+  type: 'string',
+  pattern: '^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$',
+};
+
+export const pageList = {
+  type: 'string',
+  description: 'Pages such as "1-3,7,10-" or "all"',
+};
+
+// How the result comes back; accepted in the query string or the body
+const deliveryFields = {
+  delivery: {
+    type: 'string',
+    description: 'inline returns the bytes, async queues a background job (multi-file endpoints)',
+  },
+  async: { type: 'boolean', description: 'Shorthand for delivery=async' },
+  output: { type: 'string', enum: ['files', 'zip'], description: 'zip bundles multi-file results' },
+  callbackUrl: { type: 'string', pattern: '^https?://', description: 'POST the JSON result here as a signed webhook; private and loopback addresses are refused' },
+};
+
+export const deliveryParameters = Object.entries(deliveryFields).map(([name, schema]) => ({
+  name,
+  in: 'query',
+  required: false,
+  schema,
+}));
+
+const binary = { type: 'string', format: 'binary' };
+
+const remoteUrl = { type: 'string', pattern: '^https?://' };
+export const uploadId = { type: 'string', pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' };
+
+// One value, or several for multi-file fields
+const oneOrMore = (schema, file, description) => ({
+  type: ['string', 'array'],
+  pattern: schema.pattern,
+  items: schema,
+  ...(file.multiple && { maxItems: file.maxCount }),
+  description: description + (file.multiple ? '; repeat the field or send a JSON array for several' : ''),
+});
+
+// Taken in place of the first file field (middleware/upload.js)
+const inputFields = (file) => ({
+  imageUrl: oneOrMore(remoteUrl, file, 'Public http(s) URL to fetch instead of uploading the file'),
+  uploadId: oneOrMore(uploadId, file, 'A completed chunked upload (POST /upload/sessions), at most MAX_FILE_SIZE, to use instead of uploading the file'),
+});
+
+/**
+ * A multipart/form-data request body. `files` maps field names to
+ * { multiple, maxCount, required, description }. The first file may instead
+ * be given as imageUrl or uploadId, so no file is listed as required; routes
+ * check that one of them was sent.
+ */
+export const multipartBody = ({ files = {}, properties = {}, required = [] } = {}) => {
+  const fileProperties = Object.fromEntries(Object.entries(files).map(([name, file]) => [
+    name,
+    file.multiple
+      ? { type: 'array', items: binary, maxItems: file.maxCount, description: file.description }
+      : { ...binary, description: file.description },
+  ]));
+  const [firstFile] = Object.values(files);
+
+  return {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          properties: {
+            ...fileProperties,
+            ...(firstFile && inputFields(firstFile)),
+            ...properties,
+            ...deliveryFields,
+          },
+          required,
+        },
+      },
+    },
+  };
+};
+
+export const image = { image: { description: 'Image to process' } };
+export const images = (maxCount) => ({ images: { multiple: true, maxCount, description: 'Images to process' } });
+export const pdf = { pdf: { description: 'PDF to process' } };
+
+/**
+ * A JSON request body
+ */
+export const jsonBody = (properties, required = []) => ({
+  required: true,
+  content: {
+    'application/json': {
+      schema: { type: 'object', properties, required },
+    },
+  },
+});
+
+export const pathParameter = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  schema: { type: 'string', minLength: 1 },
+  description,
+});
+
+const envelope = (data) => ({
+  type: 'object',
+  properties: {
+    success: { const: true },
+    data,
+  },
+  required: ['success'],
+});
+
+/**
+ * 200 with { success: true, data }
+ */
+export const ok = (description, data = { type: 'object' }, extra = {}) => ({
+  200: {
+    description,
+    content: { 'application/json': { schema: envelope(data) } },
+  },
+  ...extra,
+});
+
+/**
+ * 200 with a stored result, or its bytes for inline delivery
+ */
+export const storedResult = (description, data = { $ref: '#/components/schemas/StoredFile' }) => ({
+  200: {
+    description,
+    content: {
+      'application/json': { schema: envelope(data) },
+      'application/octet-stream': { schema: binary },
+    },
+  },
+});
+
+/**
+ * Multi-file results: run now (200), queued with delivery=async (202)
+ */
+export const jobResult = (description) => ({
+  200: {
+    description,
+    content: {
+      'application/json': { schema: envelope({ type: 'array', items: { $ref: '#/components/schemas/StoredFile' } }) },
+      'application/zip': { schema: binary },
+    },
+  },
+  202: {
+    description: 'Queued as a background job (delivery=async); poll GET /jobs/{id}',
+    content: { 'application/json': { schema: envelope({ $ref: '#/components/schemas/Job' }) } },
+  },
+});
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+export const errors = {
+  400: errorResponse('Invalid request; `details` lists each invalid field'),
+  401: errorResponse('Missing or invalid API key'),
+  404: errorResponse('Not found'),
+  409: errorResponse('The chunked upload is not in a state for this request; `details` gives the expected offset'),
+  413: errorResponse('Upload larger than MAX_FILE_SIZE, too many files, or an image over the decode limits'),
+  415: errorResponse('File format not supported, or not the type it was sent as'),
+  422: errorResponse('File could not be decoded or made safe, or does not match its checksum'),
+  429: errorResponse('Rate limit or quota exceeded'),
+  502: errorResponse('Upstream provider failed'),
+  503: errorResponse('Feature disabled, provider busy or storage unavailable'),
+};
+
+export const components = {
+  securitySchemes: {
+    ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    AdminToken: { type: 'http', scheme: 'bearer' },
+  },
+  schemas: {
+    StoredFile: {
+      type: 'object',
+      properties: {
+        url: { type: 'string' },
+        publicId: { type: 'string' },
+        format: { type: 'string' },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        size: { type: 'integer' },
+      },
+    },
+    Job: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string' },
+        status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+        progress: { type: 'object' },
+        items: { type: 'array', items: { type: 'object' } },
+      },
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        success: { const: false },
+        error: { type: 'string' },
+        code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'See GET /errors' },
+        requestId: { type: 'string' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              in: { type: 'string', enum: ['path', 'query', 'body'] },
+              field: { type: 'string' },
+              message: { type: 'string' },
+            },
+          },
+        },
+      },
+      required: ['success', 'error'],
+    },
+  },
+};
+
+export default {
+  quality,
+  dimension,
+  outputFormat,
+  hexColor,
+  pageList,
+  deliveryParameters,
+  multipartBody,
+  image,
+  images,
+  pdf,
+  uploadId,
+  jsonBody,
+  pathParameter,
+  ok,
+  storedResult,
+  jobResult,
+  errors,
+  components,
+};
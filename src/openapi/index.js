@@ -0,0 +1,138 @@
+import { components, deliveryParameters, errors, ok } from './components.js';
+import uploadPaths from './paths/upload.js';
+import resizePaths from './paths/resize.js';
+import compressPaths from './paths/compress.js';
+import convertPaths from './paths/convert.js';
+import pdfPaths from './paths/pdf.js';
+import backgroundRemovePaths from './paths/backgroundRemove.js';
+import aiEnhancePaths from './paths/aiEnhance.js';
+import aiEditPaths from './paths/aiEdit.js';
+import cloudinaryToolsPaths from './paths/cloudinaryTools.js';
+import pipelinePaths from './paths/pipeline.js';
+import jobsPaths from './paths/jobs.js';
+import webhooksPaths from './paths/webhooks.js';
+import healthPaths from './paths/health.js';
+import adminPaths from './paths/admin.js';
+import filesPaths from './paths/files.js';
+
+// Where each router in routes/ is mounted, as in routes/index.js
+const routers = [
+  ['/health', healthPaths],
+  ['/admin', adminPaths],
+  ['/files', filesPaths],
+  ['/upload', uploadPaths],
+  ['/resize', resizePaths],
+  ['/compress', compressPaths],
+  ['/convert', convertPaths],
+  ['/pdf', pdfPaths],
+  ['/background-remove', backgroundRemovePaths],
+  ['/ai-enhance', aiEnhancePaths],
+  ['/ai-edit', aiEditPaths],
+  ['/cloudinary', cloudinaryToolsPaths],
+  ['/pipeline', pipelinePaths],
+  ['/jobs', jobsPaths],
+  ['/webhooks', webhooksPaths],
+];
+
+const METHODS = ['get', 'post', 'put', 'delete'];
+
+// Processing endpoints take the delivery options in the query string as well as the body
+const withDeliveryParameters = (operation) => {
+  if (!operation.requestBody?.content['multipart/form-data']) return operation;
+  return {
+    ...operation,
+    parameters: [...(operation.parameters || []), ...deliveryParameters],
+    responses: {
+      401: errors[401],
+      413: errors[413],
+      415: errors[415],
+      422: errors[422],
+      429: errors[429],
+      ...operation.responses,
+    },
+  };
+};
+
+const paths = {
+  '/openapi.json': {
+    get: {
+      summary: 'This document',
+      security: [],
+      responses: { 200: { description: 'OpenAPI 3.1 document', content: { 'application/json': {} } } },
+    },
+  },
+  '/errors': {
+    get: {
+      summary: 'Error catalogue: every `code` an error response may carry, with its status',
+      security: [],
+      responses: ok('Error codes', {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            code: { type: 'string' },
+            status: { type: 'integer' },
+            description: { type: 'string' },
+          },
+        },
+      }),
+    },
+  },
+};
+for (const [mount, routerPaths] of routers) {
+  for (const [routePath, item] of Object.entries(routerPaths)) {
+    const fullPath = routePath === '/' ? mount : `${mount}${routePath}`;
+    paths[fullPath] = Object.fromEntries(Object.entries(item).map(([method, operation]) => [
+      method,
+      withDeliveryParameters(operation),
+    ]));
+  }
+}
+
+/**
+ * The OpenAPI 3.1 description of every route under /api, served at
+ * GET /api/openapi.json and used to validate requests
+ */
+export const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'MagicPixels API',
+    version: '1.0.0',
+    description: 'Image and PDF processing. Responses are { success, data } or '
+      + '{ success: false, error, code, details? } (codes: GET /errors). Processing endpoints take multipart '
+      + 'uploads; structured fields (arrays, objects) may be sent as JSON strings.',
+  },
+  servers: [{ url: '/api' }],
+  security: [{ ApiKey: [] }],
+  paths,
+  components,
+};
+
+// Path templates as patterns, most specific (fewest parameters) first
+const operations = Object.entries(paths)
+  .flatMap(([template, item]) => Object.entries(item)
+    .filter(([method]) => METHODS.includes(method))
+    .map(([method, operation]) => ({
+      method: method.toUpperCase(),
+      template,
+      operation,
+      pattern: new RegExp(`^${template.replace(/\{[^}]+\}/g, '[^/]+')}$`),
+      parameterCount: (template.match(/\{/g) || []).length,
+    })))
+  .sort((a, b) => a.parameterCount - b.parameterCount);
+
+/**
+ * Find the operation for a method and path relative to /api, written the
+ * Express way (`/jobs/:id`) or as a concrete path (`/jobs/123`).
+ * Returns { template, operation } or null.
+ */
+export const findOperation = (method, path) => {
+  const normalized = path.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+  const upper = method.toUpperCase();
+
+  const match = operations.find((entry) => entry.method === upper
+    && (entry.template === normalized || entry.pattern.test(normalized)));
+  return match ? { template: match.template, operation: match.operation } : null;
+};
+
+export default { openApiDocument, findOperation };
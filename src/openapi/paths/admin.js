@@ -0,0 +1,104 @@
+import { jsonBody, pathParameter, ok, errors } from '../components.js';
+
+const tags = ['Admin'];
+const security = [{ AdminToken: [] }];
+
+const limit = { type: ['integer', 'null'], minimum: 0 };
+
+const quotas = {
+  type: 'object',
+  properties: { requests: limit, bytes: limit, aiCalls: limit },
+  description: 'Per-period limits; null means unlimited',
+};
+
+const retention = {
+  type: 'object',
+  properties: {
+    ttlSeconds: { type: ['integer', 'null'], minimum: 1 },
+    maxDownloads: { type: ['integer', 'null'], minimum: 1 },
+    deleteAfterFirstFetch: { type: 'boolean' },
+  },
+  description: 'Overrides for the results the key stores; null means no limit',
+};
+
+const keyId = pathParameter('id', 'API key id');
+
+const key = (operationId, summary, extra = {}) => ({
+  operationId,
+  summary,
+  tags,
+  security,
+  parameters: [keyId],
+  responses: { ...ok('The key'), 404: errors[404] },
+  ...extra,
+});
+
+export default {
+  '/keys': {
+    post: {
+      operationId: 'createApiKey',
+      summary: 'Issue an API key (the key is only shown in this response)',
+      tags,
+      security,
+      requestBody: { ...jsonBody({ name: { type: 'string', maxLength: 200 }, quotas, retention }), required: false },
+      responses: { 201: { description: 'The new key' }, 400: errors[400], 401: errors[401] },
+    },
+    get: {
+      operationId: 'listApiKeys',
+      summary: 'Issued keys, without the keys themselves',
+      tags,
+      security,
+      responses: ok('Keys', { type: 'array', items: { type: 'object' } }),
+    },
+  },
+  '/keys/{id}': {
+    get: key('getApiKey', 'A key with its usage this period'),
+    delete: key('revokeApiKey', 'Revoke a key'),
+  },
+  '/keys/{id}/quotas': {
+    put: key('updateApiKeyQuotas', 'Change a key\'s quotas', {
+      requestBody: jsonBody({ quotas, ...quotas.properties }),
+    }),
+  },
+  '/keys/{id}/retention': {
+    put: key('updateApiKeyRetention', 'Replace a key\'s retention overrides', {
+      requestBody: jsonBody({ retention, ...retention.properties }),
+    }),
+  },
+  '/cors': {
+    get: {
+      operationId: 'getCorsPolicy',
+      summary: 'The effective CORS policy',
+      tags,
+      security,
+      parameters: [{ name: 'origin', in: 'query', schema: { type: 'string' }, description: 'Also check this origin' }],
+      responses: ok('CORS policy'),
+    },
+  },
+  '/retention': {
+    get: {
+      operationId: 'getRetentionPolicy',
+      summary: 'The retention policy',
+      tags,
+      security,
+      parameters: [
+        { name: 'route', in: 'query', schema: { type: 'string' }, description: 'Resolve the policy for results stored by this route' },
+        { name: 'key', in: 'query', schema: { type: 'string' }, description: '...and this API key id' },
+      ],
+      responses: { ...ok('Retention policy'), 404: errors[404] },
+    },
+  },
+  '/retention/audit': {
+    get: {
+      operationId: 'listRetentionAudit',
+      summary: 'The newest deletions and why they happened',
+      tags,
+      security,
+      parameters: [
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } },
+        { name: 'owner', in: 'query', schema: { type: 'string' }, description: 'Only this API key id\'s files' },
+      ],
+      responses: ok('Audit entries', { type: 'array', items: { type: 'object' } }),
+    },
+  },
+};
@@ -0,0 +1,72 @@
+import {
+  multipartBody, image, ok, storedResult, errors,
+} from '../components.js';
+
+const tags = ['AI'];
+
+const prompt = { type: 'string', minLength: 1, maxLength: 2000 };
+
+export default {
+  '/': {
+    post: {
+      operationId: 'editImageWithPrompt',
+      summary: 'Edit an image from a natural language request',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: { prompt: { ...prompt, description: 'What to change, e.g. "make it square and brighter"' } },
+        required: ['prompt'],
+      }),
+      responses: { ...storedResult('Edited image with the actions applied'), 400: errors[400], 502: errors[502], 503: errors[503] },
+    },
+  },
+  '/analyze': {
+    post: {
+      operationId: 'analyzeImage',
+      summary: 'Answer a question about an image',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: { prompt: { ...prompt, description: 'Defaults to a detailed description' } },
+      }),
+      responses: { ...ok('Analysis text'), 400: errors[400], 502: errors[502], 503: errors[503] },
+    },
+  },
+  '/ideas': {
+    post: {
+      operationId: 'suggestEdits',
+      summary: 'Creative editing ideas for an image',
+      tags,
+      requestBody: multipartBody({ files: image }),
+      responses: { ...ok('Editing ideas'), 400: errors[400], 502: errors[502], 503: errors[503] },
+    },
+  },
+  '/batch': {
+    post: {
+      operationId: 'applyEdits',
+      summary: 'Apply a list of edits in order',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          edits: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 50,
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['resize', 'enhance', 'rotate', 'flip', 'convert'] },
+                params: { type: 'object' },
+              },
+              required: ['type'],
+            },
+            description: 'JSON array in multipart forms, e.g. [{"type":"rotate","params":{"angle":90}}]',
+          },
+        },
+        required: ['edits'],
+      }),
+      responses: { ...storedResult('Edited image with the outcome of each edit'), 400: errors[400], 502: errors[502], 503: errors[503] },
+    },
+  },
+};
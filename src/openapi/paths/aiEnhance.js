@@ -0,0 +1,58 @@
+import {
+  multipartBody, image, ok, storedResult, errors,
+} from '../components.js';
+
+const tags = ['AI'];
+
+const enhancement = { type: 'number', minimum: 0, maximum: 10, default: 1 };
+
+export default {
+  '/': {
+    post: {
+      operationId: 'enhanceImageWithAi',
+      summary: 'Get Gemini enhancement suggestions, optionally applied',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: { autoApply: { type: 'boolean', default: false } },
+      }),
+      responses: { ...storedResult('Image with the suggestions (and what was applied)'), 400: errors[400], 502: errors[502], 503: errors[503] },
+    },
+  },
+  '/manual': {
+    post: {
+      operationId: 'enhanceImage',
+      summary: 'Apply brightness, contrast, saturation, sharpening and blur',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          brightness: enhancement,
+          contrast: enhancement,
+          saturation: enhancement,
+          sharpen: { type: 'boolean', default: false },
+          blur: { type: 'number', minimum: 0, maximum: 1000, default: 0, description: '0 for none, otherwise the blur sigma (0.3 or more)' },
+        },
+      }),
+      responses: { ...storedResult('Enhanced image'), 400: errors[400] },
+    },
+  },
+  '/alt-text': {
+    post: {
+      operationId: 'generateAltText',
+      summary: 'Describe an image for screen readers',
+      tags,
+      requestBody: multipartBody({ files: image }),
+      responses: { ...ok('Alt text', { type: 'object', properties: { altText: { type: 'string' } } }), 400: errors[400], 502: errors[502], 503: errors[503] },
+    },
+  },
+  '/detect': {
+    post: {
+      operationId: 'detectObjects',
+      summary: 'List the objects in an image',
+      tags,
+      requestBody: multipartBody({ files: image }),
+      responses: { ...ok('Detected objects'), 400: errors[400], 502: errors[502], 503: errors[503] },
+    },
+  },
+};
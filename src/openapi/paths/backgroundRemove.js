@@ -0,0 +1,80 @@
+import {
+  multipartBody, image, hexColor, storedResult, errors,
+} from '../components.js';
+import { COLOR_SPACES, KEY_MODES, MAX_TOLERANCE } from '../../services/colorKeyService.js';
+
+const tags = ['Background'];
+
+export default {
+  '/': {
+    post: {
+      operationId: 'removeBackground',
+      summary: 'Remove a plain background locally',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          color: {
+            type: 'string',
+            default: 'white',
+            description: 'Background color: a hex color, white, black or auto (estimated from the border)',
+          },
+          threshold: { type: 'integer', minimum: 0, maximum: 442, default: 50, description: 'RGB distance treated as background' },
+          cleanup: { type: 'integer', minimum: 0, maximum: 10, default: 1, description: 'Mask cleanup passes' },
+          feather: { type: 'number', minimum: 0, maximum: 50, default: 1, description: 'Edge softening in pixels' },
+          includeMask: { type: 'boolean', default: false, description: 'Also store the mask (inline delivery sends a ZIP of both)' },
+        },
+      }),
+      responses: {
+        ...storedResult('PNG with a transparent background (inline with includeMask: a ZIP of the image and its mask)'),
+        400: errors[400],
+      },
+    },
+  },
+  '/replace': {
+    post: {
+      operationId: 'replaceBackground',
+      summary: 'Put an image over a background image or color',
+      tags,
+      requestBody: multipartBody({
+        files: {
+          ...image,
+          background: { required: false, description: 'Background image, resized to cover' },
+        },
+        properties: {
+          backgroundColor: {
+            type: 'string',
+            pattern: '^#[0-9a-fA-F]{6}$',
+            description: '#rrggbb, used when no background image is sent',
+          },
+        },
+      }),
+      responses: { ...storedResult('Composited image'), 400: errors[400] },
+    },
+  },
+  '/transparent': {
+    post: {
+      operationId: 'colorKeyImage',
+      summary: 'Make pixels close to a color transparent (color key)',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          targetColor: { ...hexColor, default: '#ffffff' },
+          tolerance: {
+            type: 'number',
+            minimum: 0,
+            maximum: Math.max(...Object.values(MAX_TOLERANCE)),
+            default: 30,
+            description: `Color distance keyed out (up to ${Object.entries(MAX_TOLERANCE).map(([space, max]) => `${max} in ${space}`).join(', ')})`,
+          },
+          colorSpace: { type: 'string', enum: COLOR_SPACES, default: 'rgb' },
+          mode: { type: 'string', enum: KEY_MODES, default: 'global', description: 'flood only keys regions touching the border' },
+          feather: { type: 'number', minimum: 0, maximum: 50, default: 0 },
+          despill: { type: 'boolean', default: false, description: 'Remove color spill from kept edges' },
+        },
+      }),
+      responses: { ...storedResult('PNG with the key color removed'), 400: errors[400] },
+    },
+  },
+};
@@ -0,0 +1,105 @@
+import {
+  multipartBody, jsonBody, image, dimension, pathParameter, ok, storedResult, errors,
+} from '../components.js';
+import { getArtisticFilters } from '../../services/cloudinaryService.js';
+import { DOWNLOAD_FORMATS } from '../../services/downloadLinkService.js';
+
+const tags = ['Cloudinary'];
+
+const responses = (description) => ({ ...storedResult(description), 400: errors[400], 502: errors[502], 503: errors[503] });
+
+const tool = (operationId, summary, { properties, required } = {}) => ({
+  post: {
+    operationId,
+    summary,
+    tags,
+    requestBody: multipartBody({ files: image, properties, required }),
+    responses: responses('Result stored in Cloudinary, with its download allowance'),
+  },
+});
+
+const adjustment = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+
+export default {
+  '/bg-remove': tool('cloudinaryRemoveBackground', 'Remove the background with Cloudinary AI'),
+  '/bg-replace': tool('cloudinaryReplaceBackground', 'Replace the background with a color', {
+    properties: { backgroundColor: { type: 'string', default: 'white', description: 'Color name or hex' } },
+  }),
+  '/enhance': tool('cloudinaryEnhance', 'Enhance an image with Cloudinary AI'),
+  '/upscale': tool('cloudinaryUpscale', 'Upscale an image with Cloudinary AI'),
+  '/gen-fill': tool('cloudinaryGenerativeFill', 'Extend an image to new dimensions with generated content', {
+    properties: {
+      width: dimension('Target width'),
+      height: dimension('Target height'),
+      gravity: { type: 'string', default: 'center' },
+    },
+    required: ['width', 'height'],
+  }),
+  '/gen-remove': tool('cloudinaryGenerativeRemove', 'Remove the objects a prompt describes', {
+    properties: { prompt: { type: 'string', minLength: 1, maxLength: 500 } },
+    required: ['prompt'],
+  }),
+  '/gen-recolor': tool('cloudinaryGenerativeRecolor', 'Recolor the objects a prompt describes', {
+    properties: {
+      prompt: { type: 'string', minLength: 1, maxLength: 500 },
+      toColor: { type: 'string', minLength: 1, description: 'Color name or hex' },
+    },
+    required: ['prompt', 'toColor'],
+  }),
+  '/artistic-filter': tool('cloudinaryArtisticFilter', 'Apply an artistic filter', {
+    properties: {
+      filter: { type: 'string', enum: getArtisticFilters().map((filter) => filter.id), default: 'athena' },
+    },
+  }),
+  '/filters': {
+    get: {
+      operationId: 'listArtisticFilters',
+      summary: 'Artistic filters for /artistic-filter',
+      tags,
+      responses: ok('Filters', { type: 'array', items: { type: 'object' } }),
+    },
+  },
+  '/smart-crop': tool('cloudinarySmartCrop', 'Crop around the most interesting area', {
+    properties: {
+      width: dimension('Crop width'),
+      height: dimension('Crop height'),
+      gravity: { type: 'string', default: 'auto' },
+    },
+    required: ['width', 'height'],
+  }),
+  '/blur-faces': tool('cloudinaryBlurFaces', 'Blur every face'),
+  '/pixelate-faces': tool('cloudinaryPixelateFaces', 'Pixelate every face'),
+  '/adjust-colors': tool('cloudinaryAdjustColors', 'Adjust brightness, contrast, saturation, hue and gamma', {
+    properties: {
+      brightness: adjustment(-99, 100),
+      contrast: adjustment(-100, 100),
+      saturation: adjustment(-100, 100),
+      hue: adjustment(-100, 100),
+      gamma: adjustment(-50, 150),
+    },
+  }),
+  '/auto-improve': tool('cloudinaryAutoImprove', 'Improve colors, contrast and lighting automatically'),
+  '/download': {
+    post: {
+      operationId: 'cloudinaryDownloadLink',
+      summary: 'Issue a signed, expiring download link for a tool result',
+      tags,
+      requestBody: jsonBody({
+        publicId: { type: 'string', minLength: 1 },
+        format: { type: 'string', enum: DOWNLOAD_FORMATS, default: 'png' },
+        ttl: { type: 'integer', minimum: 1, description: 'Link lifetime in seconds' },
+        maxDownloads: { type: 'integer', minimum: 1 },
+      }, ['publicId']),
+      responses: { ...ok('Download link'), 400: errors[400], 404: errors[404] },
+    },
+  },
+  '/status/{publicId}': {
+    get: {
+      operationId: 'cloudinaryDownloadStatus',
+      summary: 'Downloads used and left for a tool result',
+      tags,
+      parameters: [pathParameter('publicId', 'URL-encoded public id')],
+      responses: ok('Retention status'),
+    },
+  },
+};
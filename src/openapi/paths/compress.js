@@ -0,0 +1,53 @@
+import {
+  multipartBody, image, images, quality, outputFormat, storedResult, jobResult, errors,
+} from '../components.js';
+
+const tags = ['Compress'];
+
+export default {
+  '/': {
+    post: {
+      operationId: 'compressImage',
+      summary: 'Re-encode an image at a lower quality',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          quality: quality(80),
+          format: outputFormat(),
+        },
+      }),
+      responses: { ...storedResult('Compressed image with the size saved'), 400: errors[400] },
+    },
+  },
+  '/auto': {
+    post: {
+      operationId: 'compressImageToSize',
+      summary: 'Lower the quality until the image fits a target size',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          targetSize: { type: 'integer', minimum: 1, default: 500000, description: 'Target size in bytes' },
+          format: outputFormat(),
+        },
+      }),
+      responses: { ...storedResult('Compressed image and whether the target was reached'), 400: errors[400] },
+    },
+  },
+  '/batch': {
+    post: {
+      operationId: 'compressImages',
+      summary: 'Compress up to 10 images',
+      tags,
+      requestBody: multipartBody({
+        files: images(10),
+        properties: {
+          quality: quality(80),
+          format: outputFormat(),
+        },
+      }),
+      responses: { ...jobResult('One compressed image per upload'), 400: errors[400] },
+    },
+  },
+};
@@ -0,0 +1,69 @@
+import {
+  multipartBody, image, images, quality, outputFormat, ok, storedResult, jobResult, errors,
+} from '../components.js';
+import { OUTPUT_FORMATS } from '../../services/pipelineService.js';
+
+const tags = ['Convert'];
+
+export default {
+  '/': {
+    post: {
+      operationId: 'convertImage',
+      summary: 'Convert an image to another format',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          format: outputFormat('png'),
+          quality: quality(90),
+        },
+      }),
+      responses: { ...storedResult('Converted image'), 400: errors[400] },
+    },
+  },
+  '/batch': {
+    post: {
+      operationId: 'convertImages',
+      summary: 'Convert up to 10 images to one format',
+      tags,
+      requestBody: multipartBody({
+        files: images(10),
+        properties: {
+          format: outputFormat('png'),
+          quality: quality(90),
+        },
+      }),
+      responses: { ...jobResult('One converted image per upload'), 400: errors[400] },
+    },
+  },
+  '/multi-format': {
+    post: {
+      operationId: 'convertImageToFormats',
+      summary: 'Convert an image to several formats',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          formats: {
+            type: 'array',
+            items: { type: 'string', enum: OUTPUT_FORMATS },
+            minItems: 1,
+            uniqueItems: true,
+            default: ['png', 'jpeg', 'webp'],
+            description: 'Repeated fields, a comma-separated list or a JSON array',
+          },
+          quality: quality(90),
+        },
+      }),
+      responses: { ...jobResult('One converted image per format'), 400: errors[400] },
+    },
+  },
+  '/formats': {
+    get: {
+      operationId: 'listFormats',
+      summary: 'Supported input and output formats',
+      tags,
+      responses: ok('Formats and recommendations'),
+    },
+  },
+};
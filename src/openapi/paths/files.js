@@ -0,0 +1,42 @@
+import { jsonBody, pathParameter, errors } from '../components.js';
+import { DOWNLOAD_FORMATS } from '../../services/downloadLinkService.js';
+
+const tags = ['Files'];
+
+export default {
+  '/': {
+    post: {
+      operationId: 'createDownloadLink',
+      summary: 'Issue a signed, expiring download link for a stored result',
+      tags,
+      requestBody: jsonBody({
+        publicId: { type: 'string', minLength: 1 },
+        format: { type: 'string', enum: DOWNLOAD_FORMATS, description: 'Conversion for Cloudinary images' },
+        ttl: { type: 'integer', minimum: 1, description: 'Link lifetime in seconds' },
+        maxDownloads: { type: 'integer', minimum: 1 },
+      }, ['publicId']),
+      responses: {
+        201: {
+          description: 'Download link',
+          content: { 'application/json': { schema: { type: 'object' } } },
+        },
+        400: errors[400],
+        404: errors[404],
+      },
+    },
+  },
+  '/{token}': {
+    get: {
+      operationId: 'downloadFile',
+      summary: 'Download a file through a signed link',
+      tags,
+      security: [],
+      parameters: [pathParameter('token', 'Link token')],
+      responses: {
+        200: { description: 'The file', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+        404: errors[404],
+        410: { description: 'Link expired or used up, or the file was deleted' },
+      },
+    },
+  },
+};
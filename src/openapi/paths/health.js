@@ -0,0 +1,36 @@
+import { ok } from '../components.js';
+
+const tags = ['Health'];
+
+export default {
+  '/': {
+    get: {
+      operationId: 'getHealth',
+      summary: 'Basic liveness check',
+      tags,
+      security: [],
+      responses: { 200: { description: 'The API is running' } },
+    },
+  },
+  '/live': {
+    get: {
+      operationId: 'getLiveness',
+      summary: 'Liveness: the process is up',
+      tags,
+      security: [],
+      responses: ok('Uptime'),
+    },
+  },
+  '/ready': {
+    get: {
+      operationId: 'getReadiness',
+      summary: 'Readiness of each component',
+      tags,
+      security: [],
+      responses: {
+        ...ok('Ready (possibly degraded)'),
+        503: { description: 'A critical component is failing' },
+      },
+    },
+  },
+};
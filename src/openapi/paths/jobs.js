@@ -0,0 +1,26 @@
+import { pathParameter, ok, errors } from '../components.js';
+
+const tags = ['Jobs'];
+
+const job = { $ref: '#/components/schemas/Job' };
+
+export default {
+  '/{id}': {
+    get: {
+      operationId: 'getJob',
+      summary: 'Job status, per-item progress, results and errors',
+      tags,
+      parameters: [pathParameter('id', 'Job id')],
+      responses: { ...ok('The job', job), 404: errors[404] },
+    },
+  },
+  '/{id}/cancel': {
+    post: {
+      operationId: 'cancelJob',
+      summary: 'Cancel a queued or running job',
+      tags,
+      parameters: [pathParameter('id', 'Job id')],
+      responses: { ...ok('The cancelled job', job), 404: errors[404] },
+    },
+  },
+};
@@ -0,0 +1,156 @@
+import {
+  multipartBody, images, pdf, quality, pageList, ok, storedResult, jobResult, errors,
+} from '../components.js';
+
+const tags = ['PDF'];
+
+const layout = {
+  pageSize: { type: 'string', enum: ['A4', 'Letter', 'Legal', 'A3', 'A5'], default: 'A4' },
+  margin: { type: 'integer', minimum: 0, maximum: 200, default: 20, description: 'Page margin in points' },
+  fitMode: {
+    type: 'string',
+    enum: ['contain', 'cover', 'none'],
+    default: 'contain',
+    description: 'How images are scaled to the page (none keeps their size)',
+  },
+};
+
+const pdfResult = (description) => storedResult(description, {
+  type: 'object',
+  properties: {
+    url: { type: 'string' },
+    publicId: { type: 'string' },
+    size: { type: 'integer' },
+  },
+});
+
+export default {
+  '/from-images': {
+    post: {
+      operationId: 'createPdfFromImages',
+      summary: 'Create a PDF with one image per page',
+      tags,
+      requestBody: multipartBody({ files: images(20), properties: layout }),
+      responses: { ...pdfResult('Stored PDF'), 400: errors[400] },
+    },
+  },
+  '/from-images-direct': {
+    post: {
+      operationId: 'createPdfFromImagesDirect',
+      summary: 'Create a PDF from images and download it directly',
+      tags,
+      requestBody: multipartBody({ files: images(20), properties: layout }),
+      responses: {
+        200: { description: 'The PDF', content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } } },
+        400: errors[400],
+      },
+    },
+  },
+  '/merge': {
+    post: {
+      operationId: 'mergePdfs',
+      summary: 'Merge 2 to 20 PDFs, optionally picking pages from each',
+      tags,
+      requestBody: multipartBody({
+        files: { pdfs: { multiple: true, maxCount: 20, description: 'PDFs in merge order' } },
+        properties: {
+          ranges: {
+            type: ['array', 'string'],
+            items: { type: 'string' },
+            description: 'Pages per file in upload order, e.g. ["1-3", "all", "2,5-"]',
+          },
+        },
+      }),
+      responses: { ...pdfResult('Merged PDF'), 400: errors[400] },
+    },
+  },
+  '/split': {
+    post: {
+      operationId: 'splitPdf',
+      summary: 'Split a PDF into single pages or into the parts of `ranges`',
+      tags,
+      requestBody: multipartBody({
+        files: pdf,
+        properties: { ranges: { ...pageList, description: 'One output file per part, e.g. "1-3,7,10-"' } },
+      }),
+      responses: { ...jobResult('One PDF per page or range'), 400: errors[400] },
+    },
+  },
+  '/organize': {
+    post: {
+      operationId: 'organizePdf',
+      summary: 'Reorder, duplicate, remove and rotate pages',
+      tags,
+      requestBody: multipartBody({
+        files: pdf,
+        properties: {
+          order: { ...pageList, description: 'Pages to keep in output order; repeats duplicate a page' },
+          remove: { ...pageList, description: 'Pages to drop from that order' },
+          rotate: {
+            type: 'string',
+            pattern: '^\\s*[^:,]+:\\s*-?\\d+\\s*(,\\s*[^:,]+:\\s*-?\\d+\\s*)*$',
+            description: 'Clockwise rotations by source page, e.g. "1-3:90,7:-90"',
+          },
+        },
+        required: ['order'],
+      }),
+      responses: { ...pdfResult('Organized PDF'), 400: errors[400] },
+    },
+  },
+  '/to-images': {
+    post: {
+      operationId: 'convertPdfToImages',
+      summary: 'Extract embedded images and/or render pages to images',
+      tags,
+      requestBody: multipartBody({
+        files: pdf,
+        properties: {
+          extract: { type: 'boolean', default: true, description: 'Extract embedded images' },
+          pages: { ...pageList, description: 'Render these pages ("all" or e.g. "1-3,7")' },
+          dpi: { type: 'integer', minimum: 36, maximum: 600, default: 150 },
+          format: { type: 'string', enum: ['png', 'jpeg', 'jpg', 'webp'], default: 'png' },
+          quality: quality(90),
+        },
+      }),
+      responses: {
+        ...ok('Extracted and rendered images, or a ZIP of them'),
+        400: errors[400],
+      },
+    },
+  },
+  '/watermark': {
+    post: {
+      operationId: 'watermarkPdf',
+      summary: 'Stamp text across every page',
+      tags,
+      requestBody: multipartBody({
+        files: pdf,
+        properties: {
+          text: { type: 'string', minLength: 1, maxLength: 200, default: 'WATERMARK' },
+          fontSize: { type: 'integer', minimum: 6, maximum: 300, default: 50 },
+          opacity: { type: 'number', minimum: 0, maximum: 1, default: 0.3 },
+          rotation: { type: 'integer', minimum: -360, maximum: 360, default: -45, description: 'Degrees' },
+        },
+      }),
+      responses: { ...pdfResult('Watermarked PDF'), 400: errors[400] },
+    },
+  },
+  '/compress': {
+    post: {
+      operationId: 'compressPdf',
+      summary: 'Rewrite a PDF with object streams',
+      tags,
+      requestBody: multipartBody({ files: pdf }),
+      responses: { ...pdfResult('Compressed PDF'), 400: errors[400] },
+    },
+  },
+  '/metadata': {
+    post: {
+      operationId: 'getPdfMetadata',
+      summary: 'Page count, size and document info',
+      tags,
+      requestBody: multipartBody({ files: pdf }),
+      responses: { ...ok('PDF metadata'), 400: errors[400] },
+    },
+  },
+};
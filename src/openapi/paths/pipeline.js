@@ -0,0 +1,33 @@
+import { multipartBody, image, ok, storedResult, errors } from '../components.js';
+import { pipelineSchema } from '../../services/pipelineService.js';
+
+const tags = ['Pipeline'];
+
+export default {
+  '/': {
+    post: {
+      operationId: 'runPipeline',
+      summary: 'Apply an ordered list of operations in as few passes as possible',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          operations: {
+            ...pipelineSchema.properties.operations,
+            description: 'JSON array in multipart forms, e.g. [{"type":"resize","width":800},{"type":"grayscale"}]',
+          },
+        },
+        required: ['operations'],
+      }),
+      responses: { ...storedResult('Processed image and the stages it took'), 400: errors[400] },
+    },
+  },
+  '/schema': {
+    get: {
+      operationId: 'getPipelineSchema',
+      summary: 'The JSON schema pipeline specs are validated against',
+      tags,
+      responses: ok('JSON schema'),
+    },
+  },
+};
@@ -0,0 +1,76 @@
+import {
+  multipartBody, image, quality, dimension, outputFormat, storedResult, jobResult, errors,
+} from '../components.js';
+
+const tags = ['Resize'];
+
+const fit = { type: 'string', enum: ['cover', 'contain', 'fill', 'inside', 'outside'], default: 'cover' };
+
+export default {
+  '/': {
+    post: {
+      operationId: 'resizeImage',
+      summary: 'Resize an image (width, height or both)',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          width: dimension('Target width in pixels'),
+          height: dimension('Target height in pixels'),
+          fit,
+          format: outputFormat('png'),
+          quality: quality(90),
+        },
+      }),
+      responses: { ...storedResult('Resized image'), 400: errors[400] },
+    },
+  },
+  '/batch': {
+    post: {
+      operationId: 'resizeImageToSizes',
+      summary: 'Resize an image to several sizes',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          sizes: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 50,
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                width: dimension('Width in pixels'),
+                height: dimension('Height in pixels'),
+                fit,
+              },
+              anyOf: [{ required: ['width'] }, { required: ['height'] }],
+            },
+            description: 'JSON array in multipart forms, e.g. [{"name":"thumb","width":150,"height":150}]',
+          },
+          format: outputFormat('png'),
+          quality: quality(90),
+        },
+        required: ['sizes'],
+      }),
+      responses: { ...jobResult('One resized image per size'), 400: errors[400] },
+    },
+  },
+  '/presets': {
+    post: {
+      operationId: 'resizeImageToPreset',
+      summary: 'Resize an image to a preset group of sizes',
+      tags,
+      requestBody: multipartBody({
+        files: image,
+        properties: {
+          preset: { type: 'string', enum: ['social', 'web', 'icons'], default: 'social' },
+          format: outputFormat('png'),
+          quality: quality(90),
+        },
+      }),
+      responses: { ...jobResult('One resized image per preset size'), 400: errors[400] },
+    },
+  },
+};
@@ -0,0 +1,146 @@
+import {
+  multipartBody, jsonBody, pathParameter, image, images, uploadId, ok, storedResult, errors,
+} from '../components.js';
+
+const tags = ['Upload'];
+
+const UploadStatus = {
+  type: 'object',
+  properties: {
+    uploadId,
+    filename: { type: 'string' },
+    size: { type: 'integer' },
+    offset: { type: 'integer', description: 'Bytes received so far: where the next chunk starts' },
+    complete: { type: 'boolean' },
+    mimeType: { type: ['string', 'null'] },
+    format: { type: 'string', description: 'Detected format, once complete' },
+    sha256: { type: 'string', description: 'Once complete' },
+    completedAt: { type: 'string', format: 'date-time' },
+    maxChunkSize: { type: 'integer' },
+    expiresAt: { type: 'string', format: 'date-time', description: 'Moves on with every chunk and use' },
+  },
+};
+
+const sessionParameter = pathParameter('uploadId', 'Upload id from POST /upload/sessions');
+
+export default {
+  '/': {
+    post: {
+      operationId: 'uploadImage',
+      summary: 'Store an image as it is',
+      tags,
+      requestBody: multipartBody({ files: image }),
+      responses: { ...storedResult('Stored image with its metadata'), 400: errors[400] },
+    },
+  },
+  '/multiple': {
+    post: {
+      operationId: 'uploadImages',
+      summary: 'Store up to 10 images',
+      tags,
+      requestBody: multipartBody({ files: images(10) }),
+      responses: {
+        ...ok('Stored images', { type: 'array', items: { $ref: '#/components/schemas/StoredFile' } }),
+        400: errors[400],
+      },
+    },
+  },
+  '/base64': {
+    post: {
+      operationId: 'uploadBase64',
+      summary: 'Store an image sent as base64 or a data URL',
+      tags,
+      requestBody: jsonBody({
+        image: { type: 'string', minLength: 1, description: 'Base64 data, with or without a data: prefix' },
+        filename: { type: 'string', default: 'image.png' },
+      }, ['image']),
+      responses: { ...storedResult('Stored image with its metadata'), 400: errors[400] },
+    },
+  },
+  '/sessions': {
+    post: {
+      operationId: 'createChunkedUpload',
+      summary: 'Start a resumable upload',
+      description: 'PUT the bytes in chunks, complete the upload with their SHA-256, then pass '
+        + 'uploadId to any processing endpoint in place of the file. Endpoints that process in memory '
+        + 'take uploads of at most MAX_FILE_SIZE.',
+      tags,
+      requestBody: jsonBody({
+        size: { type: 'integer', minimum: 1, description: 'Size of the whole file in bytes' },
+        filename: { type: 'string', maxLength: 255 },
+        mimeType: { type: 'string', description: 'When given, the assembled file must be this type' },
+      }, ['size']),
+      responses: {
+        201: {
+          description: 'Upload created',
+          content: { 'application/json': { schema: { type: 'object', properties: { success: { const: true }, data: UploadStatus } } } },
+        },
+        400: errors[400],
+        413: errors[413],
+        415: errors[415],
+      },
+    },
+  },
+  '/sessions/{uploadId}': {
+    get: {
+      operationId: 'getChunkedUpload',
+      summary: 'Status of a chunked upload, with the offset to resume from',
+      tags,
+      parameters: [sessionParameter],
+      responses: { ...ok('Upload status', UploadStatus), 404: errors[404], 410: { description: 'Upload expired' } },
+    },
+    put: {
+      operationId: 'appendChunk',
+      summary: 'Append a chunk at the upload\'s current offset',
+      tags,
+      parameters: [
+        sessionParameter,
+        {
+          name: 'offset',
+          in: 'query',
+          required: true,
+          schema: { type: 'integer', minimum: 0 },
+          description: 'Where this chunk starts; must equal the upload\'s offset',
+        },
+      ],
+      requestBody: {
+        required: true,
+        content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } },
+      },
+      responses: {
+        ...ok('Upload status after the chunk', UploadStatus),
+        404: errors[404],
+        409: errors[409],
+        413: errors[413],
+        415: errors[415],
+      },
+    },
+    delete: {
+      operationId: 'deleteChunkedUpload',
+      summary: 'Abandon or discard a chunked upload',
+      tags,
+      parameters: [sessionParameter],
+      responses: { ...ok('Upload deleted'), 404: errors[404] },
+    },
+  },
+  '/sessions/{uploadId}/complete': {
+    post: {
+      operationId: 'completeChunkedUpload',
+      summary: 'Verify the checksum of a fully received upload and inspect it',
+      tags,
+      parameters: [sessionParameter],
+      requestBody: jsonBody({
+        checksum: { type: 'string', pattern: '^[0-9a-fA-F]{64}$', description: 'SHA-256 of the whole file, hex' },
+      }, ['checksum']),
+      responses: {
+        ...ok('Completed upload; its uploadId can now be used', UploadStatus),
+        400: errors[400],
+        404: errors[404],
+        409: errors[409],
+        413: errors[413],
+        415: errors[415],
+        422: errors[422],
+      },
+    },
+  },
+};
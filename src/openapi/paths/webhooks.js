@@ -0,0 +1,13 @@
+import { pathParameter, ok, errors } from '../components.js';
+
+export default {
+  '/{requestId}': {
+    get: {
+      operationId: 'listWebhookDeliveries',
+      summary: 'Delivery attempts for the callbacks of a request made with the same API key',
+      tags: ['Webhooks'],
+      parameters: [pathParameter('requestId', 'The request id returned with the callback')],
+      responses: { ...ok('Deliveries', { type: 'object' }), 404: errors[404] },
+    },
+  },
+};
@@ -0,0 +1,208 @@
+import express from 'express';
+import { requireAdmin } from '../middleware/auth.js';
+import { checkOrigin, describeCorsPolicy } from '../middleware/cors.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import {
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  updateApiKeyQuotas,
+  updateApiKeyRetention,
+  revokeApiKey,
+} from '../services/apiKeys/index.js';
+import { describeRetentionPolicy, resolveRetention, listAudit } from '../services/retention/index.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const keyNotFound = () => new NotFoundError('API key not found');
+
+/**
+ * POST /api/admin/keys
+ * Issue an API key. Body: { name?, quotas?: { requests, bytes, aiCalls },
+ * retention?: { ttlSeconds, maxDownloads, deleteAfterFirstFetch } } (null means
+ * unlimited). The key itself is only ever shown in this response.
+ */
+router.post('/keys', validateRequest, async (req, res, next) => {
+  try {
+    const { key, apiKey } = await createApiKey({
+      name: req.body?.name,
+      quotas: req.body?.quotas,
+      retention: req.body?.retention,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey,
+        key,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/keys
+ * List issued keys (without the keys themselves)
+ */
+router.get('/keys', validateRequest, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listApiKeys(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/keys/:id
+ * Get a key with its usage for the current quota period
+ */
+router.get('/keys/:id', validateRequest, async (req, res, next) => {
+  try {
+    const apiKey = await getApiKey(req.params.id);
+    if (!apiKey) return next(keyNotFound());
+
+    res.json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/keys/:id/quotas
+ * Change a key's quotas; fields left out keep their current value
+ */
+router.put('/keys/:id/quotas', validateRequest, async (req, res, next) => {
+  try {
+    const apiKey = await updateApiKeyQuotas(req.params.id, req.body?.quotas ?? req.body);
+    if (!apiKey) return next(keyNotFound());
+
+    res.json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/keys/:id/retention
+ * Replace a key's retention overrides for the results it stores:
+ * { ttlSeconds?, maxDownloads?, deleteAfterFirstFetch? }. Settings left out
+ * follow the route's policy; null means no limit.
+ */
+router.put('/keys/:id/retention', validateRequest, async (req, res, next) => {
+  try {
+    const apiKey = await updateApiKeyRetention(req.params.id, req.body?.retention ?? req.body);
+    if (!apiKey) return next(keyNotFound());
+
+    res.json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke a key; requests using it are refused from now on
+ */
+router.delete('/keys/:id', validateRequest, async (req, res, next) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+    if (!apiKey) return next(keyNotFound());
+
+    res.json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/cors
+ * Show the effective CORS policy; `?origin=` also reports whether that origin is allowed
+ */
+router.get('/cors', (req, res) => {
+  const { origin } = req.query;
+
+  res.json({
+    success: true,
+    data: {
+      ...describeCorsPolicy(),
+      ...(origin && { check: checkOrigin(String(origin)) }),
+    },
+  });
+});
+
+/**
+ * GET /api/admin/retention
+ * Show the retention policy; `?route=` (and `&key=` for an API key id) also
+ * resolves the policy a result stored there would get
+ */
+router.get('/retention', validateRequest, async (req, res, next) => {
+  try {
+    const { route, key } = req.query;
+
+    let retention = null;
+    if (key) {
+      const apiKey = await getApiKey(String(key));
+      if (!apiKey) return next(keyNotFound());
+      retention = apiKey.retention;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...describeRetentionPolicy(),
+        ...(route && {
+          check: {
+            route: String(route),
+            key: key || null,
+            ...resolveRetention({ route: String(route), retention }),
+          },
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/retention/audit
+ * The newest deletions and why they happened; `?owner=` filters by API key id
+ */
+router.get('/retention/audit', validateRequest, async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const entries = await listAudit({ limit, owner: req.query.owner ? String(req.query.owner) : null });
+
+    res.json({
+      success: true,
+      data: entries.map((entry) => ({
+        ...entry,
+        deletedAt: new Date(entry.deletedAt).toISOString(),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
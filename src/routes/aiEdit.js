@@ -1,7 +1,8 @@
 import express from 'express';
 import { uploadMemory } from '../middleware/upload.js';
-import { aiLimiter } from '../middleware/rateLimiter.js';
-import { uploadBufferToCloudinary } from '../config/cloudinary.js';
+import { aiQuota } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { storeBuffer } from '../services/storage/index.js';
 import {
   analyzeImage,
   processImageWithPrompt,
@@ -15,7 +16,9 @@ import {
   flipImage,
   convertFormat,
 } from '../services/imageService.js';
+import { wantsInlineDelivery, sendInline } from '../utils/delivery.js';
 import sharp from 'sharp';
+import { ValidationError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -23,22 +26,16 @@ const router = express.Router();
  * POST /api/ai-edit
  * AI-powered image editing based on natural language prompt
  */
-router.post('/', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { prompt } = req.body;
 
     if (!prompt) {
-      return res.status(400).json({
-        success: false,
-        error: 'Prompt is required for AI editing',
-      });
+      return next(new ValidationError('Prompt is required for AI editing'));
     }
 
     // Get AI instructions
@@ -138,17 +135,27 @@ router.post('/', aiLimiter, uploadMemory.single('image'), async (req, res, next)
       }
     }
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(processedBuffer);
+    if (wantsInlineDelivery(req)) {
+      return sendInline(res, processedBuffer, {
+        originalName: req.file.originalname,
+        suffix: 'edited',
+        headers: {
+          'X-Actions-Applied': actionsApplied.join('; '),
+        },
+      });
+    }
+
+    // Upload to storage
+    const storedFile = await storeBuffer(processedBuffer);
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
         aiInstructions: instructions,
         actionsApplied,
         originalPrompt: prompt,
@@ -163,13 +170,10 @@ router.post('/', aiLimiter, uploadMemory.single('image'), async (req, res, next)
  * POST /api/ai-edit/analyze
  * Analyze image and get detailed description
  */
-router.post('/analyze', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/analyze', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { prompt = 'Describe this image in detail, including colors, composition, subjects, and mood.' } = req.body;
@@ -192,13 +196,10 @@ router.post('/analyze', aiLimiter, uploadMemory.single('image'), async (req, res
  * POST /api/ai-edit/ideas
  * Generate creative editing ideas for an image
  */
-router.post('/ideas', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/ideas', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const ideas = await generateCreativeIdeas(req.file.buffer);
@@ -216,22 +217,16 @@ router.post('/ideas', aiLimiter, uploadMemory.single('image'), async (req, res,
  * POST /api/ai-edit/batch
  * Apply multiple AI edits in sequence
  */
-router.post('/batch', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/batch', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { edits } = req.body;
 
     if (!edits || !Array.isArray(edits)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Edits array is required',
-      });
+      return next(new ValidationError('Edits array is required'));
     }
 
     let processedBuffer = req.file.buffer;
@@ -268,17 +263,30 @@ router.post('/batch', aiLimiter, uploadMemory.single('image'), async (req, res,
       }
     }
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(processedBuffer);
+    if (wantsInlineDelivery(req)) {
+      return sendInline(res, processedBuffer, {
+        originalName: req.file.originalname,
+        suffix: 'edited',
+        headers: {
+          'X-Applied-Edits': appliedEdits
+            .filter((edit) => edit.success)
+            .map((edit) => edit.type)
+            .join(','),
+        },
+      });
+    }
+
+    // Upload to storage
+    const storedFile = await storeBuffer(processedBuffer);
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
         appliedEdits,
       },
     });
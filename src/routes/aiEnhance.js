@@ -1,9 +1,12 @@
 import express from 'express';
 import { uploadMemory } from '../middleware/upload.js';
-import { aiLimiter } from '../middleware/rateLimiter.js';
-import { uploadBufferToCloudinary } from '../config/cloudinary.js';
+import { aiQuota } from '../middleware/auth.js';
+import { requireFeature } from '../middleware/features.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { storeBuffer } from '../services/storage/index.js';
 import { enhanceImage } from '../services/imageService.js';
 import { getEnhancementSuggestions, generateAltText, detectObjects } from '../services/aiService.js';
+import { ValidationError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -11,13 +14,10 @@ const router = express.Router();
  * POST /api/ai-enhance
  * AI-powered image enhancement with suggestions
  */
-router.post('/', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/', requireFeature('ai'), uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { autoApply = false } = req.body;
@@ -66,17 +66,17 @@ router.post('/', aiLimiter, uploadMemory.single('image'), async (req, res, next)
       }
     }
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(processedBuffer);
+    // Upload to storage
+    const storedFile = await storeBuffer(processedBuffer);
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
         aiSuggestions: suggestions,
         appliedEnhancements,
         autoApplied: autoApply,
@@ -91,13 +91,10 @@ router.post('/', aiLimiter, uploadMemory.single('image'), async (req, res, next)
  * POST /api/ai-enhance/manual
  * Apply manual enhancements with AI guidance
  */
-router.post('/manual', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/manual', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const {
@@ -117,17 +114,17 @@ router.post('/manual', uploadMemory.single('image'), async (req, res, next) => {
       blur: parseFloat(blur),
     });
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(processedBuffer);
+    // Upload to storage
+    const storedFile = await storeBuffer(processedBuffer);
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
         appliedSettings: {
           brightness: parseFloat(brightness),
           contrast: parseFloat(contrast),
@@ -146,13 +143,10 @@ router.post('/manual', uploadMemory.single('image'), async (req, res, next) => {
  * POST /api/ai-enhance/alt-text
  * Generate accessible alt text for image
  */
-router.post('/alt-text', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/alt-text', requireFeature('ai'), uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const altText = await generateAltText(req.file.buffer);
@@ -173,13 +167,10 @@ router.post('/alt-text', aiLimiter, uploadMemory.single('image'), async (req, re
  * POST /api/ai-enhance/detect
  * Detect objects in image
  */
-router.post('/detect', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/detect', requireFeature('ai'), uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const detection = await detectObjects(req.file.buffer);
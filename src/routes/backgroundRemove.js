@@ -1,47 +1,107 @@
 import express from 'express';
 import { uploadMemory } from '../middleware/upload.js';
-import { uploadBufferToCloudinary } from '../config/cloudinary.js';
-import { removeBackground } from '../services/imageService.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { storeBuffer } from '../services/storage/index.js';
+import { removeBackground, parseBackgroundColor } from '../services/imageService.js';
+import {
+  applyColorKey,
+  parseHexColor,
+  COLOR_SPACES,
+  KEY_MODES,
+  MAX_TOLERANCE,
+} from '../services/colorKeyService.js';
+import { wantsInlineDelivery, sendInline, buildFilename } from '../utils/delivery.js';
+import { getMimeType } from '../utils/mimeTypes.js';
+import { pipeZip } from '../utils/zip.js';
 import sharp from 'sharp';
+import { ValidationError } from '../utils/errors.js';
 
 const router = express.Router();
 
 /**
  * POST /api/background-remove
- * Remove background from image (basic implementation)
+ * Remove a plain background locally (`color=auto` estimates it from the border).
+ * Inline delivery with includeMask sends a ZIP of the image and its mask.
  */
-router.post('/', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
+    }
+
+    const {
+      threshold = 50,
+      color = 'white',
+      cleanup = 1,
+      feather = 1,
+      includeMask = false,
+    } = req.body;
+
+    if (!parseBackgroundColor(color)) {
+      return next(new ValidationError('color must be a hex color, white, black or auto'));
     }
 
-    const { threshold = 50, color = 'white' } = req.body;
+    const thresholdValue = parseInt(threshold);
+    if (Number.isNaN(thresholdValue) || thresholdValue < 0 || thresholdValue > 442) {
+      return next(new ValidationError('threshold must be between 0 and 442'));
+    }
+
+    const withMask = includeMask === true || includeMask === 'true';
 
     // Process image
-    const processedBuffer = await removeBackground(req.file.buffer, {
-      threshold: parseInt(threshold),
+    const result = await removeBackground(req.file.buffer, {
+      threshold: thresholdValue,
       color,
+      cleanup: Math.min(Math.max(parseInt(cleanup) || 0, 0), 10),
+      feather: Math.min(Math.max(parseFloat(feather) || 0, 0), 50),
+      includeMask: true,
     });
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(processedBuffer, {
+    if (wantsInlineDelivery(req)) {
+      if (withMask) {
+        const { originalname } = req.file;
+        res.setHeader('Content-Type', getMimeType('zip'));
+        res.setHeader('Content-Disposition', `attachment; filename="${buildFilename(originalname, 'no-bg', 'zip')}"`);
+        return pipeZip([
+          { name: buildFilename(originalname, 'no-bg', 'png'), buffer: result.buffer },
+          { name: buildFilename(originalname, 'mask', 'png'), buffer: result.mask },
+        ], res);
+      }
+
+      return sendInline(res, result.buffer, {
+        format: 'png',
+        originalName: req.file.originalname,
+        suffix: 'no-bg',
+      });
+    }
+
+    // Upload to storage
+    const storedFile = await storeBuffer(result.buffer, {
       format: 'png',
     });
+    const storedMask = withMask
+      ? await storeBuffer(result.mask, { format: 'png' })
+      : null;
+
+    const { r, g, b } = result.background;
+    const toHex = (value) => value.toString(16).padStart(2, '0');
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
         format: 'png',
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
-        message: 'Background removal applied. For best results, use AI-powered removal.',
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
+        backgroundColor: `#${toHex(r)}${toHex(g)}${toHex(b)}`,
+        ...(storedMask && {
+          mask: {
+            url: storedMask.url,
+            publicId: storedMask.publicId,
+          },
+        }),
       },
     });
   } catch (error) {
@@ -56,16 +116,13 @@ router.post('/', uploadMemory.single('image'), async (req, res, next) => {
 router.post('/replace', uploadMemory.fields([
   { name: 'image', maxCount: 1 },
   { name: 'background', maxCount: 1 },
-]), async (req, res, next) => {
+]), validateRequest, async (req, res, next) => {
   try {
     const imageFile = req.files?.image?.[0];
     const backgroundFile = req.files?.background?.[0];
 
     if (!imageFile) {
-      return res.status(400).json({
-        success: false,
-        error: 'No image file uploaded',
-      });
+      return next(new ValidationError('No image file uploaded'));
     }
 
     const { backgroundColor } = req.body;
@@ -101,23 +158,20 @@ router.post('/replace', uploadMemory.fields([
         .flatten({ background: color })
         .toBuffer();
     } else {
-      return res.status(400).json({
-        success: false,
-        error: 'Either background image or backgroundColor is required',
-      });
+      return next(new ValidationError('Either background image or backgroundColor is required'));
     }
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(processedBuffer);
+    // Upload to storage
+    const storedFile = await storeBuffer(processedBuffer);
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
       },
     });
   } catch (error) {
@@ -127,41 +181,81 @@ router.post('/replace', uploadMemory.fields([
 
 /**
  * POST /api/background-remove/transparent
- * Make specific color transparent
+ * Make pixels close to a color transparent (color key), without the AI call
  */
-router.post('/transparent', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/transparent', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
-    const { targetColor = '#ffffff', tolerance = 30 } = req.body;
+    const {
+      targetColor = '#ffffff',
+      tolerance = 30,
+      colorSpace = 'rgb',
+      mode = 'global',
+      feather = 0,
+      despill = false,
+    } = req.body;
 
-    // For advanced transparency, we would need more complex image processing
-    // This is a simplified version
-    const processedBuffer = await sharp(req.file.buffer)
-      .ensureAlpha()
-      .png()
-      .toBuffer();
+    const keyColor = parseHexColor(targetColor);
+    if (!keyColor) {
+      return next(new ValidationError('targetColor must be a hex color such as #00ff00'));
+    }
+
+    if (!COLOR_SPACES.includes(colorSpace)) {
+      return next(new ValidationError(`Invalid colorSpace. Supported: ${COLOR_SPACES.join(', ')}`));
+    }
+
+    if (!KEY_MODES.includes(mode)) {
+      return next(new ValidationError(`Invalid mode. Supported: ${KEY_MODES.join(', ')}`));
+    }
+
+    const toleranceValue = parseFloat(tolerance);
+    if (Number.isNaN(toleranceValue) || toleranceValue < 0 || toleranceValue > MAX_TOLERANCE[colorSpace]) {
+      return next(new ValidationError(`tolerance must be between 0 and ${MAX_TOLERANCE[colorSpace]} for ${colorSpace}`));
+    }
+
+    const featherValue = parseFloat(feather);
+    if (Number.isNaN(featherValue) || featherValue < 0 || featherValue > 50) {
+      return next(new ValidationError('feather must be between 0 and 50 pixels'));
+    }
+
+    const result = await applyColorKey(req.file.buffer, {
+      targetColor: keyColor,
+      tolerance: toleranceValue,
+      colorSpace,
+      mode,
+      feather: featherValue,
+      despill: despill === true || despill === 'true',
+    });
+
+    if (wantsInlineDelivery(req)) {
+      return sendInline(res, result.buffer, {
+        format: 'png',
+        width: result.width,
+        height: result.height,
+        originalName: req.file.originalname,
+        suffix: 'transparent',
+      });
+    }
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(processedBuffer, {
+    // Upload to storage
+    const storedFile = await storeBuffer(result.buffer, {
       format: 'png',
     });
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
         format: 'png',
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
-        note: 'For advanced color-based transparency, consider using specialized tools.',
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
+        keyedPixels: result.keyedPixels,
+        keyedPercent: result.keyedPercent,
       },
     });
   } catch (error) {
@@ -1,6 +1,7 @@
 import express from 'express';
 import { uploadMemory } from '../middleware/upload.js';
-import { aiLimiter } from '../middleware/rateLimiter.js';
+import { aiQuota } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
 import {
   removeBackgroundAI,
   replaceBackground,
@@ -15,26 +16,60 @@ import {
   pixelateFaces,
   adjustColors,
   autoImprove,
-  trackDownload,
-  getDownloadStatus,
-  getDownloadUrl,
   getArtisticFilters,
+  deleteFile,
+  fetchAssetBuffer,
 } from '../services/cloudinaryService.js';
+import { retainResult, getRetentionStatus } from '../services/retention/index.js';
+import { createDownloadLink, describeDownloadLink } from '../services/downloadLinkService.js';
+import { wantsInlineDelivery, sendInline } from '../utils/delivery.js';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
 
 const router = express.Router();
 
+/**
+ * Send a tool result back as bytes instead of a URL.
+ * The Cloudinary copy is never handed out, so it is deleted right away.
+ */
+const sendResultInline = async (req, res, result, suffix) => {
+  const buffer = await fetchAssetBuffer(result.secure_url);
+
+  deleteFile(result.public_id).catch((error) => {
+    logger.error('Failed to delete inline result from Cloudinary', { publicId: result.public_id, error });
+  });
+
+  return sendInline(res, buffer, {
+    format: result.format,
+    width: result.width,
+    height: result.height,
+    originalName: req.file.originalname,
+    suffix,
+  });
+};
+
 /**
  * POST /api/cloudinary/bg-remove
  * Remove background using Cloudinary AI
  */
-router.post('/bg-remove', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/bg-remove', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const result = await removeBackgroundAI(req.file.buffer);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'bg-remove');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -57,15 +92,25 @@ router.post('/bg-remove', aiLimiter, uploadMemory.single('image'), async (req, r
  * POST /api/cloudinary/bg-replace
  * Replace background with color
  */
-router.post('/bg-replace', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/bg-replace', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { backgroundColor = 'white' } = req.body;
     const result = await replaceBackground(req.file.buffer, backgroundColor);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'bg-replace');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -88,14 +133,24 @@ router.post('/bg-replace', aiLimiter, uploadMemory.single('image'), async (req,
  * POST /api/cloudinary/enhance
  * AI enhance image
  */
-router.post('/enhance', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/enhance', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const result = await aiEnhance(req.file.buffer);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'enhance');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -118,14 +173,24 @@ router.post('/enhance', aiLimiter, uploadMemory.single('image'), async (req, res
  * POST /api/cloudinary/upscale
  * Upscale image using AI
  */
-router.post('/upscale', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/upscale', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const result = await upscaleImage(req.file.buffer);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'upscale');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -148,16 +213,16 @@ router.post('/upscale', aiLimiter, uploadMemory.single('image'), async (req, res
  * POST /api/cloudinary/gen-fill
  * Generative fill - extend image
  */
-router.post('/gen-fill', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/gen-fill', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { width, height, gravity = 'center' } = req.body;
     
     if (!width || !height) {
-      return res.status(400).json({ success: false, error: 'Width and height are required' });
+      return next(new ValidationError('Width and height are required'));
     }
 
     const result = await generativeFill(req.file.buffer, {
@@ -165,7 +230,17 @@ router.post('/gen-fill', aiLimiter, uploadMemory.single('image'), async (req, re
       height: parseInt(height),
       gravity,
     });
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'gen-fill');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -188,20 +263,30 @@ router.post('/gen-fill', aiLimiter, uploadMemory.single('image'), async (req, re
  * POST /api/cloudinary/gen-remove
  * Generative remove - remove objects by prompt
  */
-router.post('/gen-remove', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/gen-remove', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { prompt } = req.body;
     
     if (!prompt) {
-      return res.status(400).json({ success: false, error: 'Prompt is required' });
+      return next(new ValidationError('Prompt is required'));
     }
 
     const result = await generativeRemove(req.file.buffer, prompt);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'gen-remove');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -224,20 +309,30 @@ router.post('/gen-remove', aiLimiter, uploadMemory.single('image'), async (req,
  * POST /api/cloudinary/gen-recolor
  * Generative recolor - change color of objects
  */
-router.post('/gen-recolor', aiLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/gen-recolor', uploadMemory.single('image'), validateRequest, aiQuota, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { prompt, toColor } = req.body;
     
     if (!prompt || !toColor) {
-      return res.status(400).json({ success: false, error: 'Prompt and toColor are required' });
+      return next(new ValidationError('Prompt and toColor are required'));
     }
 
     const result = await generativeRecolor(req.file.buffer, prompt, toColor);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'gen-recolor');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -260,15 +355,25 @@ router.post('/gen-recolor', aiLimiter, uploadMemory.single('image'), async (req,
  * POST /api/cloudinary/artistic-filter
  * Apply artistic filter
  */
-router.post('/artistic-filter', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/artistic-filter', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { filter = 'athena' } = req.body;
     const result = await applyArtisticFilter(req.file.buffer, filter);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'artistic-filter');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -303,16 +408,16 @@ router.get('/filters', (req, res) => {
  * POST /api/cloudinary/smart-crop
  * Smart crop with auto-detection
  */
-router.post('/smart-crop', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/smart-crop', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { width, height, gravity = 'auto' } = req.body;
     
     if (!width || !height) {
-      return res.status(400).json({ success: false, error: 'Width and height are required' });
+      return next(new ValidationError('Width and height are required'));
     }
 
     const result = await smartCrop(req.file.buffer, {
@@ -320,7 +425,17 @@ router.post('/smart-crop', uploadMemory.single('image'), async (req, res, next)
       height: parseInt(height),
       gravity,
     });
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'smart-crop');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -343,14 +458,24 @@ router.post('/smart-crop', uploadMemory.single('image'), async (req, res, next)
  * POST /api/cloudinary/blur-faces
  * Blur faces for privacy
  */
-router.post('/blur-faces', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/blur-faces', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const result = await blurFaces(req.file.buffer);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'blur-faces');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -373,14 +498,24 @@ router.post('/blur-faces', uploadMemory.single('image'), async (req, res, next)
  * POST /api/cloudinary/pixelate-faces
  * Pixelate faces for privacy
  */
-router.post('/pixelate-faces', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/pixelate-faces', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const result = await pixelateFaces(req.file.buffer);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'pixelate-faces');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -403,10 +538,10 @@ router.post('/pixelate-faces', uploadMemory.single('image'), async (req, res, ne
  * POST /api/cloudinary/adjust-colors
  * Adjust image colors
  */
-router.post('/adjust-colors', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/adjust-colors', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { brightness, contrast, saturation, hue, gamma } = req.body;
@@ -418,7 +553,17 @@ router.post('/adjust-colors', uploadMemory.single('image'), async (req, res, nex
       hue: hue ? parseInt(hue) : undefined,
       gamma: gamma ? parseInt(gamma) : undefined,
     });
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'adjust-colors');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -441,14 +586,24 @@ router.post('/adjust-colors', uploadMemory.single('image'), async (req, res, nex
  * POST /api/cloudinary/auto-improve
  * Auto improve image quality
  */
-router.post('/auto-improve', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/auto-improve', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const result = await autoImprove(req.file.buffer);
-    const status = getDownloadStatus(result.public_id);
+
+    if (wantsInlineDelivery(req)) {
+      return sendResultInline(req, res, result, 'auto-improve');
+    }
+
+    const status = await retainResult({
+      publicId: result.public_id,
+      storage: 'cloudinary',
+      url: result.secure_url,
+      format: result.format,
+    });
 
     res.json({
       success: true,
@@ -469,38 +624,27 @@ router.post('/auto-improve', uploadMemory.single('image'), async (req, res, next
 
 /**
  * POST /api/cloudinary/download
- * Track download and get download URL
+ * Issue a signed, expiring download link (GET /api/files/:token).
+ * Optional `ttl` (seconds) and `maxDownloads` set how long and how often the link works.
  */
-router.post('/download', async (req, res, next) => {
+router.post('/download', validateRequest, async (req, res, next) => {
   try {
-    const { publicId, format = 'png' } = req.body;
+    const { publicId, format = 'png', ttl, maxDownloads } = req.body;
 
     if (!publicId) {
-      return res.status(400).json({ success: false, error: 'Public ID is required' });
-    }
-
-    const downloadResult = await trackDownload(publicId);
-
-    if (!downloadResult.allowed) {
-      return res.status(403).json({
-        success: false,
-        error: downloadResult.error,
-        remaining: downloadResult.remaining,
-      });
+      return next(new ValidationError('Public ID is required'));
     }
 
-    const downloadUrl = getDownloadUrl(publicId, { format });
+    const link = await createDownloadLink(publicId, {
+      owner: req.apiKey?.id,
+      format,
+      ttlSeconds: ttl,
+      maxDownloads,
+    });
 
     res.json({
       success: true,
-      data: {
-        downloadUrl,
-        remaining: downloadResult.remaining,
-        downloads: downloadResult.downloads,
-        message: downloadResult.remaining === 0 
-          ? 'This was your last download. File will be deleted.' 
-          : `${downloadResult.remaining} downloads remaining`,
-      },
+      data: describeDownloadLink(link, `${req.protocol}://${req.get('host')}/api/files/${link.token}`),
     });
   } catch (error) {
     next(error);
@@ -511,14 +655,18 @@ router.post('/download', async (req, res, next) => {
  * GET /api/cloudinary/status/:publicId
  * Get download status for a file
  */
-router.get('/status/:publicId', (req, res) => {
-  const { publicId } = req.params;
-  const status = getDownloadStatus(decodeURIComponent(publicId));
+router.get('/status/:publicId', validateRequest, async (req, res, next) => {
+  try {
+    const { publicId } = req.params;
+    const status = await getRetentionStatus(decodeURIComponent(publicId), { owner: req.apiKey?.id });
 
-  res.json({
-    success: true,
-    data: status,
-  });
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 export default router;
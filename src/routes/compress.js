@@ -1,21 +1,76 @@
 import express from 'express';
 import { uploadMemory } from '../middleware/upload.js';
-import { uploadBufferToCloudinary } from '../config/cloudinary.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { storeBuffer } from '../services/storage/index.js';
 import { compressImage, getImageMetadata } from '../services/imageService.js';
+import { registerJobType } from '../services/jobs/index.js';
+import { wantsInlineDelivery, sendInline, deliverJob, buildFilename } from '../utils/delivery.js';
+import { ValidationError } from '../utils/errors.js';
 
 const router = express.Router();
 
+/**
+ * Compress one uploaded file of a batch
+ */
+const createCompressedFile = async ({ input, originalName, originalSize }, { inputs, params }) => {
+  const buffer = await compressImage(inputs[input], {
+    quality: params.quality,
+    format: params.format,
+  });
+  const { format } = await getImageMetadata(buffer);
+
+  return {
+    filename: buildFilename(originalName, 'compressed', format),
+    buffer,
+    format,
+    info: { originalName, originalSize },
+  };
+};
+
+/**
+ * Batch compression, one item per uploaded file
+ */
+registerJobType('compress.batch', {
+  createFile: createCompressedFile,
+
+  processItem: async (spec, context) => {
+    const file = await createCompressedFile(spec, context);
+    const storedFile = await storeBuffer(file.buffer);
+
+    return {
+      originalName: spec.originalName,
+      url: storedFile.url,
+      publicId: storedFile.publicId,
+      originalSize: spec.originalSize,
+      compressedSize: storedFile.size,
+      compressionRatio: `${((1 - storedFile.size / spec.originalSize) * 100).toFixed(2)}%`,
+    };
+  },
+
+  summarize: (results) => {
+    const totalOriginal = results.reduce((sum, r) => sum + r.originalSize, 0);
+    const totalCompressed = results.reduce((sum, r) => sum + r.compressedSize, 0);
+
+    return {
+      data: results,
+      summary: {
+        totalOriginal,
+        totalCompressed,
+        totalSaved: totalOriginal - totalCompressed,
+        overallRatio: `${((1 - totalCompressed / totalOriginal) * 100).toFixed(2)}%`,
+      },
+    };
+  },
+});
+
 /**
  * POST /api/compress
  * Compress an uploaded image
  */
-router.post('/', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { quality = 80, format } = req.body;
@@ -34,19 +89,32 @@ router.post('/', uploadMemory.single('image'), async (req, res, next) => {
     const compressedSize = compressedBuffer.length;
     const compressionRatio = ((1 - compressedSize / originalSize) * 100).toFixed(2);
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(compressedBuffer);
+    if (wantsInlineDelivery(req)) {
+      return sendInline(res, compressedBuffer, {
+        format,
+        originalName: req.file.originalname,
+        suffix: 'compressed',
+        headers: {
+          'X-Original-Size': originalSize,
+          'X-Compression-Ratio': `${compressionRatio}%`,
+          'X-Quality': parseInt(quality),
+        },
+      });
+    }
+
+    // Upload to storage
+    const storedFile = await storeBuffer(compressedBuffer);
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        format: cloudinaryResult.format,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        format: storedFile.format,
+        width: storedFile.width,
+        height: storedFile.height,
         originalSize,
-        compressedSize: cloudinaryResult.bytes,
+        compressedSize: storedFile.size,
         compressionRatio: `${compressionRatio}%`,
         quality: parseInt(quality),
       },
@@ -60,13 +128,10 @@ router.post('/', uploadMemory.single('image'), async (req, res, next) => {
  * POST /api/compress/auto
  * Auto-compress to target file size
  */
-router.post('/auto', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/auto', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { targetSize = 500000, format } = req.body; // Default 500KB
@@ -90,19 +155,34 @@ router.post('/auto', uploadMemory.single('image'), async (req, res, next) => {
 
     const compressionRatio = ((1 - compressedBuffer.length / originalSize) * 100).toFixed(2);
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(compressedBuffer);
+    if (wantsInlineDelivery(req)) {
+      return sendInline(res, compressedBuffer, {
+        format,
+        originalName: req.file.originalname,
+        suffix: 'compressed',
+        headers: {
+          'X-Original-Size': originalSize,
+          'X-Compression-Ratio': `${compressionRatio}%`,
+          'X-Final-Quality': quality + 10,
+          'X-Target-Size': targetBytes,
+          'X-Target-Reached': String(compressedBuffer.length <= targetBytes),
+        },
+      });
+    }
+
+    // Upload to storage
+    const storedFile = await storeBuffer(compressedBuffer);
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        format: cloudinaryResult.format,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        format: storedFile.format,
+        width: storedFile.width,
+        height: storedFile.height,
         originalSize,
-        compressedSize: cloudinaryResult.bytes,
+        compressedSize: storedFile.size,
         compressionRatio: `${compressionRatio}%`,
         finalQuality: quality + 10,
         targetSize: targetBytes,
@@ -116,53 +196,23 @@ router.post('/auto', uploadMemory.single('image'), async (req, res, next) => {
 
 /**
  * POST /api/compress/batch
- * Compress multiple images
+ * Compress multiple images (`?delivery=async` queues a background job)
  */
-router.post('/batch', uploadMemory.array('images', 10), async (req, res, next) => {
+router.post('/batch', uploadMemory.array('images', 10), validateRequest, async (req, res, next) => {
   try {
     if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No files uploaded',
-      });
+      return next(new ValidationError('No files uploaded'));
     }
 
     const { quality = 80, format } = req.body;
 
-    const results = await Promise.all(
-      req.files.map(async (file) => {
-        const originalSize = file.size;
-
-        const compressedBuffer = await compressImage(file.buffer, {
-          quality: parseInt(quality),
-          format,
-        });
-
-        const cloudinaryResult = await uploadBufferToCloudinary(compressedBuffer);
-
-        return {
-          originalName: file.originalname,
-          url: cloudinaryResult.secure_url,
-          publicId: cloudinaryResult.public_id,
-          originalSize,
-          compressedSize: cloudinaryResult.bytes,
-          compressionRatio: `${((1 - cloudinaryResult.bytes / originalSize) * 100).toFixed(2)}%`,
-        };
-      })
-    );
-
-    const totalOriginal = results.reduce((sum, r) => sum + r.originalSize, 0);
-    const totalCompressed = results.reduce((sum, r) => sum + r.compressedSize, 0);
-
-    res.json({
-      success: true,
-      data: results,
-      summary: {
-        totalOriginal,
-        totalCompressed,
-        totalSaved: totalOriginal - totalCompressed,
-        overallRatio: `${((1 - totalCompressed / totalOriginal) * 100).toFixed(2)}%`,
-      },
+    await deliverJob(req, res, 'compress.batch', {
+      inputs: req.files.map((file) => file.buffer),
+      items: req.files.map((file, index) => ({
+        name: file.originalname,
+        spec: { input: index, originalName: file.originalname, originalSize: file.size },
+      })),
+      params: { quality: parseInt(quality), format },
     });
   } catch (error) {
     next(error);
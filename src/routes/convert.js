@@ -1,31 +1,110 @@
 import express from 'express';
 import { uploadMemory } from '../middleware/upload.js';
-import { uploadBufferToCloudinary } from '../config/cloudinary.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { storeBuffer } from '../services/storage/index.js';
 import { convertFormat, getImageMetadata } from '../services/imageService.js';
+import { registerJobType } from '../services/jobs/index.js';
+import { wantsInlineDelivery, sendInline, deliverJob, buildFilename } from '../utils/delivery.js';
+import { ValidationError } from '../utils/errors.js';
 
 const router = express.Router();
 
+/**
+ * Convert one uploaded file of a batch
+ */
+const createBatchFile = async ({ input, originalName }, { inputs, params }) => {
+  const originalMetadata = await getImageMetadata(inputs[input]);
+  const buffer = await convertFormat(inputs[input], params.format, {
+    quality: params.quality,
+  });
+  const format = params.format === 'jpg' ? 'jpeg' : params.format;
+
+  return {
+    filename: buildFilename(originalName, null, format),
+    buffer,
+    format,
+    info: { originalName, originalFormat: originalMetadata.format },
+  };
+};
+
+/**
+ * Convert the input to one of the requested formats
+ */
+const createFormatFile = async ({ format }, { inputs, params }) => {
+  const buffer = await convertFormat(inputs[0], format, {
+    quality: params.quality,
+  });
+  const outputFormat = format === 'jpg' ? 'jpeg' : format;
+
+  return {
+    filename: buildFilename(params.originalName, null, outputFormat),
+    buffer,
+    format: outputFormat,
+    info: {},
+  };
+};
+
+/**
+ * Convert several files to one format, one item per file
+ */
+registerJobType('convert.batch', {
+  createFile: createBatchFile,
+
+  processItem: async (spec, context) => {
+    const file = await createBatchFile(spec, context);
+    const storedFile = await storeBuffer(file.buffer);
+
+    return {
+      originalName: spec.originalName,
+      url: storedFile.url,
+      publicId: storedFile.publicId,
+      originalFormat: file.info.originalFormat,
+      newFormat: storedFile.format,
+      width: storedFile.width,
+      height: storedFile.height,
+      size: storedFile.size,
+    };
+  },
+});
+
+/**
+ * Convert one file to several formats, one item per format
+ */
+registerJobType('convert.formats', {
+  createFile: createFormatFile,
+
+  processItem: async (spec, context) => {
+    const file = await createFormatFile(spec, context);
+    const storedFile = await storeBuffer(file.buffer, {
+      format: file.format,
+    });
+
+    return {
+      format: storedFile.format,
+      url: storedFile.url,
+      publicId: storedFile.publicId,
+      width: storedFile.width,
+      height: storedFile.height,
+      size: storedFile.size,
+    };
+  },
+});
+
 /**
  * POST /api/convert
  * Convert image format
  */
-router.post('/', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { format = 'png', quality = 90 } = req.body;
 
     const validFormats = ['jpeg', 'jpg', 'png', 'webp', 'avif', 'tiff', 'gif'];
     if (!validFormats.includes(format.toLowerCase())) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid format. Supported formats: ${validFormats.join(', ')}`,
-      });
+      return next(new ValidationError(`Invalid format. Supported formats: ${validFormats.join(', ')}`));
     }
 
     // Get original metadata
@@ -36,21 +115,31 @@ router.post('/', uploadMemory.single('image'), async (req, res, next) => {
       quality: parseInt(quality),
     });
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(convertedBuffer, {
+    if (wantsInlineDelivery(req)) {
+      return sendInline(res, convertedBuffer, {
+        format,
+        originalName: req.file.originalname,
+        headers: {
+          'X-Original-Format': originalMetadata.format,
+        },
+      });
+    }
+
+    // Upload to storage
+    const storedFile = await storeBuffer(convertedBuffer, {
       format: format === 'jpg' ? 'jpeg' : format,
     });
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
         originalFormat: originalMetadata.format,
-        newFormat: cloudinaryResult.format,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
+        newFormat: storedFile.format,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
       },
     });
   } catch (error) {
@@ -60,43 +149,23 @@ router.post('/', uploadMemory.single('image'), async (req, res, next) => {
 
 /**
  * POST /api/convert/batch
- * Convert multiple images to a format
+ * Convert multiple images to a format (`?delivery=async` queues a background job)
  */
-router.post('/batch', uploadMemory.array('images', 10), async (req, res, next) => {
+router.post('/batch', uploadMemory.array('images', 10), validateRequest, async (req, res, next) => {
   try {
     if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No files uploaded',
-      });
+      return next(new ValidationError('No files uploaded'));
     }
 
     const { format = 'png', quality = 90 } = req.body;
 
-    const results = await Promise.all(
-      req.files.map(async (file) => {
-        const originalMetadata = await getImageMetadata(file.buffer);
-        const convertedBuffer = await convertFormat(file.buffer, format, {
-          quality: parseInt(quality),
-        });
-        const cloudinaryResult = await uploadBufferToCloudinary(convertedBuffer);
-
-        return {
-          originalName: file.originalname,
-          url: cloudinaryResult.secure_url,
-          publicId: cloudinaryResult.public_id,
-          originalFormat: originalMetadata.format,
-          newFormat: cloudinaryResult.format,
-          width: cloudinaryResult.width,
-          height: cloudinaryResult.height,
-          size: cloudinaryResult.bytes,
-        };
-      })
-    );
-
-    res.json({
-      success: true,
-      data: results,
+    await deliverJob(req, res, 'convert.batch', {
+      inputs: req.files.map((file) => file.buffer),
+      items: req.files.map((file, index) => ({
+        name: file.originalname,
+        spec: { input: index, originalName: file.originalname },
+      })),
+      params: { format, quality: parseInt(quality) },
     });
   } catch (error) {
     next(error);
@@ -105,42 +174,20 @@ router.post('/batch', uploadMemory.array('images', 10), async (req, res, next) =
 
 /**
  * POST /api/convert/multi-format
- * Convert single image to multiple formats
+ * Convert single image to multiple formats (`?delivery=async` queues a background job)
  */
-router.post('/multi-format', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/multi-format', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { formats = ['png', 'jpeg', 'webp'], quality = 90 } = req.body;
 
-    const results = await Promise.all(
-      formats.map(async (format) => {
-        const convertedBuffer = await convertFormat(req.file.buffer, format, {
-          quality: parseInt(quality),
-        });
-        const cloudinaryResult = await uploadBufferToCloudinary(convertedBuffer, {
-          format: format === 'jpg' ? 'jpeg' : format,
-        });
-
-        return {
-          format: cloudinaryResult.format,
-          url: cloudinaryResult.secure_url,
-          publicId: cloudinaryResult.public_id,
-          width: cloudinaryResult.width,
-          height: cloudinaryResult.height,
-          size: cloudinaryResult.bytes,
-        };
-      })
-    );
-
-    res.json({
-      success: true,
-      data: results,
+    await deliverJob(req, res, 'convert.formats', {
+      inputs: [req.file.buffer],
+      items: formats.map((format) => ({ name: format, spec: { format } })),
+      params: { quality: parseInt(quality), originalName: req.file.originalname },
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,90 @@
+import express from 'express';
+import path from 'path';
+import { pipeline } from 'stream';
+import { requireApiKey } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { createDownloadLink, redeemDownloadLink, describeDownloadLink } from '../services/downloadLinkService.js';
+import { openResult, deleteWhenSent } from '../services/retention/index.js';
+import { GoneError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/files
+ * Issue a signed, expiring download link for any stored result.
+ * Body: { publicId, format?, ttl?, maxDownloads? } where ttl is in seconds
+ * and format only applies to Cloudinary images.
+ */
+router.post('/', requireApiKey, validateRequest, async (req, res, next) => {
+  try {
+    const { publicId, format, ttl, maxDownloads } = req.body || {};
+
+    if (!publicId) {
+      return next(new ValidationError('Public ID is required'));
+    }
+
+    const link = await createDownloadLink(publicId, {
+      owner: req.apiKey?.id,
+      format,
+      ttlSeconds: ttl,
+      maxDownloads,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: describeDownloadLink(link, `${req.protocol}://${req.get('host')}/api/files/${link.token}`),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/files/:token
+ * Download a file through a signed link from POST /api/files or
+ * POST /api/cloudinary/download. The token is the only credential, so this
+ * works without an API key. The file is proxied so its storage URL is never
+ * handed out, and deleted afterwards if that was its last download.
+ */
+router.get('/:token', validateRequest, async (req, res, next) => {
+  try {
+    const { publicId, format, remaining, download } = await redeemDownloadLink(req.params.token);
+
+    const file = await openResult(download.record, { format });
+    if (!file) {
+      return next(new GoneError('File is no longer available'));
+    }
+
+    // Cloudinary public ids have no extension; local and S3 keys do
+    const name = path.posix.basename(publicId);
+    const extension = format || (path.posix.extname(name) ? null : download.record.format);
+    const filename = extension ? `${name}.${extension}` : name;
+
+    res.set({
+      'Content-Type': file.contentType || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+      'X-Downloads-Remaining': String(remaining),
+    });
+    if (file.size !== undefined) {
+      res.set('Content-Length', String(file.size));
+    }
+
+    deleteWhenSent(res, download);
+    pipeline(file.stream, res, (error) => {
+      if (!error) return;
+      logger.warn('Download stream failed', { publicId, error });
+      // Once the file has started the status is sent; cut the response short instead
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import express from 'express';
+import { getLiveness, getReadiness } from '../services/healthService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/health
+ * Basic liveness check, kept for existing monitors
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'MagicPixels API is running',
+    timestamp: new Date().toISOString(),
+    version: '1.0.0',
+  });
+});
+
+/**
+ * GET /api/health/live
+ * Liveness: the process is up. Never checks dependencies, so a slow
+ * provider cannot get the instance restarted.
+ */
+router.get('/live', (req, res) => {
+  res.json({
+    success: true,
+    data: getLiveness(),
+  });
+});
+
+/**
+ * GET /api/health/ready
+ * Readiness: config, uploads directory, sharp formats, storage, retention
+ * store, Redis (when used) and the AI provider, each ok, degraded or fail
+ * (or disabled, for AI turned off by configuration).
+ * Responds 503 when a critical component fails.
+ */
+router.get('/ready', async (req, res, next) => {
+  try {
+    const report = await getReadiness();
+
+    res.status(report.status === 'fail' ? 503 : 200).json({
+      success: report.status !== 'fail',
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
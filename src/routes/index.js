@@ -8,19 +8,52 @@ import backgroundRemoveRouter from './backgroundRemove.js';
 import aiEnhanceRouter from './aiEnhance.js';
 import aiEditRouter from './aiEdit.js';
 import cloudinaryToolsRouter from './cloudinaryTools.js';
+import pipelineRouter from './pipeline.js';
+import jobsRouter from './jobs.js';
+import webhooksRouter from './webhooks.js';
+import healthRouter from './health.js';
+import adminRouter from './admin.js';
+import filesRouter from './files.js';
+import { webhookCallbacks } from '../middleware/webhook.js';
+import { requireApiKey } from '../middleware/auth.js';
+import { requireFeature } from '../middleware/features.js';
+import { requestContext } from '../utils/requestContext.js';
+import { openApiDocument } from '../openapi/index.js';
+import { listErrorCodes } from '../utils/errors.js';
 
 const router = express.Router();
 
-// Health check
-router.get('/health', (req, res) => {
+// The OpenAPI description of this API
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Every error code the API answers with, its status and meaning
+router.get('/errors', (req, res) => {
   res.json({
     success: true,
-    message: 'MagicPixels API is running',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0',
+    data: listErrorCodes(),
   });
 });
 
+// Liveness and readiness checks
+router.use('/health', healthRouter);
+
+// Key management (protected by the admin token, not an API key)
+router.use('/admin', adminRouter);
+
+// Signed download links carry their own authorization
+router.use('/files', filesRouter);
+
+// Everything below needs an API key and counts against its quotas
+router.use(requireApiKey);
+
+// Remember the route and API key for what the request stores (retention)
+router.use(requestContext);
+
+// Post results to callbackUrl when a request asks for it
+router.use(webhookCallbacks);
+
 // Mount routes
 router.use('/upload', uploadRouter);
 router.use('/resize', resizeRouter);
@@ -29,7 +62,10 @@ router.use('/convert', convertRouter);
 router.use('/pdf', pdfRouter);
 router.use('/background-remove', backgroundRemoveRouter);
 router.use('/ai-enhance', aiEnhanceRouter);
-router.use('/ai-edit', aiEditRouter);
-router.use('/cloudinary', cloudinaryToolsRouter);
+router.use('/ai-edit', requireFeature('ai'), aiEditRouter);
+router.use('/cloudinary', requireFeature('cloudinaryTools'), cloudinaryToolsRouter);
+router.use('/pipeline', pipelineRouter);
+router.use('/jobs', jobsRouter);
+router.use('/webhooks', webhooksRouter);
 
 export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import { getJob, cancelJob } from '../services/jobs/index.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/:id
+ * Get job status, per-item progress, results and errors (only for the key that submitted it)
+ */
+router.get('/:id', validateRequest, async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id, { owner: req.apiKey?.id || null });
+
+    if (!job) {
+      return next(new NotFoundError('Job not found or expired'));
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job
+ */
+router.post('/:id/cancel', validateRequest, async (req, res, next) => {
+  try {
+    const job = await cancelJob(req.params.id, { owner: req.apiKey?.id || null });
+
+    if (!job) {
+      return next(new NotFoundError('Job not found or expired'));
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,29 +1,92 @@
 import express from 'express';
 import { uploadMemory } from '../middleware/upload.js';
-import { uploadBufferToCloudinary } from '../config/cloudinary.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { storeBuffer } from '../services/storage/index.js';
 import {
   createPdfFromImages,
   mergePdfs,
-  splitPdf,
+  organizePdf,
+  loadPdf,
+  extractPdfPages,
+  getPdfPageCount,
   addWatermark,
   compressPdf,
   getPdfMetadata,
+  extractImagesFromPdf,
+  renderPdfPages,
 } from '../services/pdfService.js';
+import { registerJobType } from '../services/jobs/index.js';
+import { deliverJob, wantsInlineDelivery, sendInline, buildFilename } from '../utils/delivery.js';
+import { getExtension } from '../utils/mimeTypes.js';
+import { pipeZip } from '../utils/zip.js';
+import { buildArchive, storeArchive } from '../services/archiveService.js';
+import { parsePageRanges, parsePageList } from '../utils/pageRanges.js';
+import { AppError, ValidationError, StorageError } from '../utils/errors.js';
 
 const router = express.Router();
 
+/**
+ * Copy one group of pages out of the source PDF
+ */
+const createSplitFile = async ({ label, pageIndices }, { params, context }) => {
+  const buffer = await extractPdfPages(context.source, pageIndices);
+  const suffix = pageIndices.length === 1 ? `page-${label}` : `pages-${label}`;
+
+  return {
+    filename: buildFilename(params.originalName || 'document', suffix, 'pdf'),
+    buffer,
+    format: 'pdf',
+    info: {
+      range: label,
+      pages: pageIndices.map((index) => index + 1),
+    },
+  };
+};
+
+/**
+ * Split a PDF, one item per output file (a page, or a group of pages).
+ * The source is parsed once per job.
+ */
+registerJobType('pdf.split', {
+  setup: async ({ inputs }) => ({
+    source: await loadPdf(inputs[0]),
+  }),
+
+  createFile: createSplitFile,
+
+  processItem: async (spec, context) => {
+    const file = await createSplitFile(spec, context);
+
+    const storedFile = await storeBuffer(file.buffer, {
+      resourceType: 'raw',
+      format: 'pdf',
+    });
+
+    return {
+      ...(file.info.pages.length === 1 && { page: file.info.pages[0] }),
+      ...file.info,
+      url: storedFile.url,
+      publicId: storedFile.publicId,
+      size: storedFile.size,
+    };
+  },
+
+  summarize: (results, params) => ({
+    data: results,
+    totalPages: params.pageCount ?? results.length,
+    totalFiles: results.length,
+  }),
+});
+
 /**
  * POST /api/pdf/from-images
  * Create PDF from uploaded images
  */
-router.post('/from-images', uploadMemory.array('images', 20), async (req, res, next) => {
+router.post('/from-images', uploadMemory.array('images', 20), validateRequest, async (req, res, next) => {
   try {
     // Strict validation - ensure files exist and are actual images
     if (!req.files || !Array.isArray(req.files) || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No image files uploaded. Please select at least one image.',
-      });
+      return next(new ValidationError('No image files uploaded. Please select at least one image.'));
     }
 
     // Validate each file is an actual image
@@ -31,27 +94,19 @@ router.post('/from-images', uploadMemory.array('images', 20), async (req, res, n
     const invalidFiles = req.files.filter(file => !validImageTypes.includes(file.mimetype));
     
     if (invalidFiles.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid file types detected. Only images (PNG, JPG, GIF, WebP) are allowed. Invalid files: ${invalidFiles.map(f => f.originalname).join(', ')}`,
-      });
+      return next(new ValidationError(`Invalid file types detected. Only images (PNG, JPG, GIF, WebP) are allowed. Invalid files: ${invalidFiles.map(f => f.originalname).join(', ')}`));
     }
 
     // Validate files have actual content
     const emptyFiles = req.files.filter(file => !file.buffer || file.buffer.length === 0);
     if (emptyFiles.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'One or more files are empty or corrupted.',
-      });
+      return next(new ValidationError('One or more files are empty or corrupted.'));
     }
 
     const { pageSize = 'A4', margin = 20, fitMode = 'contain' } = req.body;
 
     const imageBuffers = req.files.map((file) => file.buffer);
 
-    console.log(`Creating PDF from ${imageBuffers.length} images with page size: ${pageSize}`);
-
     const pdfBuffer = await createPdfFromImages(imageBuffers, {
       pageSize,
       margin: parseInt(margin),
@@ -60,43 +115,32 @@ router.post('/from-images', uploadMemory.array('images', 20), async (req, res, n
 
     // Verify PDF was created successfully
     if (!pdfBuffer || pdfBuffer.length === 0) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to generate PDF. The output file is empty.',
-      });
+      return next(new AppError('Failed to generate PDF. The output file is empty.'));
     }
 
-    console.log(`PDF generated successfully, size: ${pdfBuffer.length} bytes`);
-
-    // Upload to Cloudinary with proper settings for PDF
-    const cloudinaryResult = await uploadBufferToCloudinary(pdfBuffer, {
-      resource_type: 'raw',
+    // Store as a raw file so the PDF is kept byte-for-byte
+    const storedFile = await storeBuffer(pdfBuffer, {
+      resourceType: 'raw',
       format: 'pdf',
-      public_id: `pdf_${Date.now()}`,
+      name: `pdf_${Date.now()}`,
     });
 
     // Verify upload was successful
-    if (!cloudinaryResult || !cloudinaryResult.secure_url) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to upload PDF to storage.',
-      });
+    if (!storedFile || !storedFile.url) {
+      return next(new StorageError('Failed to upload PDF to storage.'));
     }
 
-    console.log(`PDF uploaded to Cloudinary: ${cloudinaryResult.secure_url}, size: ${cloudinaryResult.bytes} bytes`);
-
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        size: cloudinaryResult.bytes || pdfBuffer.length,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        size: storedFile.size || pdfBuffer.length,
         pageCount: req.files.length,
         pageSize,
       },
     });
   } catch (error) {
-    console.error('PDF creation error:', error);
     next(error);
   }
 });
@@ -105,20 +149,15 @@ router.post('/from-images', uploadMemory.array('images', 20), async (req, res, n
  * POST /api/pdf/from-images-direct
  * Create PDF from images and return as direct download (fallback option)
  */
-router.post('/from-images-direct', uploadMemory.array('images', 20), async (req, res, next) => {
+router.post('/from-images-direct', uploadMemory.array('images', 20), validateRequest, async (req, res, next) => {
   try {
     if (!req.files || !Array.isArray(req.files) || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No image files uploaded. Please select at least one image.',
-      });
+      return next(new ValidationError('No image files uploaded. Please select at least one image.'));
     }
 
     const { pageSize = 'A4', margin = 20, fitMode = 'contain' } = req.body;
     const imageBuffers = req.files.map((file) => file.buffer);
 
-    console.log(`Creating PDF (direct download) from ${imageBuffers.length} images`);
-
     const pdfBuffer = await createPdfFromImages(imageBuffers, {
       pageSize,
       margin: parseInt(margin),
@@ -126,10 +165,7 @@ router.post('/from-images-direct', uploadMemory.array('images', 20), async (req,
     });
 
     if (!pdfBuffer || pdfBuffer.length === 0) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to generate PDF.',
-      });
+      return next(new AppError('Failed to generate PDF.'));
     }
 
     // Send as direct download
@@ -138,39 +174,59 @@ router.post('/from-images-direct', uploadMemory.array('images', 20), async (req,
     res.setHeader('Content-Length', pdfBuffer.length);
     res.send(pdfBuffer);
   } catch (error) {
-    console.error('PDF direct creation error:', error);
     next(error);
   }
 });
 
 /**
  * POST /api/pdf/merge
- * Merge multiple PDFs
+ * Merge multiple PDFs. `ranges` optionally picks pages per file, in upload
+ * order: a JSON array such as ["1-3", "all", "2,5-"], or one field per file.
  */
-router.post('/merge', uploadMemory.array('pdfs', 20), async (req, res, next) => {
+router.post('/merge', uploadMemory.array('pdfs', 20), validateRequest, async (req, res, next) => {
   try {
     if (!req.files || req.files.length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'At least 2 PDF files are required',
-      });
+      return next(new ValidationError('At least 2 PDF files are required'));
     }
 
-    const pdfBuffers = req.files.map((file) => file.buffer);
-    const mergedPdfBuffer = await mergePdfs(pdfBuffers);
+    let { ranges = [] } = req.body;
+    if (typeof ranges === 'string') {
+      try {
+        ranges = ranges.trim().startsWith('[') ? JSON.parse(ranges) : [ranges];
+      } catch {
+        return next(new ValidationError('ranges must be a JSON array of page ranges, one per file'));
+      }
+    }
+
+    if (!Array.isArray(ranges) || ranges.length > req.files.length) {
+      return next(new ValidationError('ranges must have at most one entry per uploaded file'));
+    }
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(mergedPdfBuffer, {
-      resource_type: 'raw',
+    const pdfBuffers = req.files.map((file) => file.buffer);
+    const pageSelections = await Promise.all(pdfBuffers.map(async (buffer, index) => {
+      if (!ranges[index]) return null;
+      try {
+        return parsePageList(ranges[index], await getPdfPageCount(buffer));
+      } catch (error) {
+        error.message = `${req.files[index].originalname}: ${error.message}`;
+        throw error;
+      }
+    }));
+
+    const mergedPdfBuffer = await mergePdfs(pdfBuffers, pageSelections);
+
+    // Upload to storage
+    const storedFile = await storeBuffer(mergedPdfBuffer, {
+      resourceType: 'raw',
       format: 'pdf',
     });
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        size: storedFile.size,
         mergedCount: req.files.length,
       },
     });
@@ -181,40 +237,229 @@ router.post('/merge', uploadMemory.array('pdfs', 20), async (req, res, next) =>
 
 /**
  * POST /api/pdf/split
- * Split PDF into individual pages
+ * Split PDF into individual pages, or into one file per part of `ranges`
+ * (e.g. "1-3,7,10-"). `?delivery=async` queues a background job.
  */
-router.post('/split', uploadMemory.single('pdf'), async (req, res, next) => {
+router.post('/split', uploadMemory.single('pdf'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No PDF file uploaded',
-      });
+      return next(new ValidationError('No PDF file uploaded'));
+    }
+
+    const { ranges } = req.body;
+    const pageCount = await getPdfPageCount(req.file.buffer);
+
+    const groups = ranges
+      ? parsePageRanges(ranges, pageCount)
+      : Array.from({ length: pageCount }, (_, pageIndex) => ({
+        label: String(pageIndex + 1),
+        pages: [pageIndex],
+      }));
+
+    await deliverJob(req, res, 'pdf.split', {
+      inputs: [req.file.buffer],
+      items: groups.map((group) => ({
+        name: `pages-${group.label}`,
+        spec: { label: group.label, pageIndices: group.pages },
+      })),
+      params: { pageCount, originalName: req.file.originalname },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/pdf/organize
+ * Reorder, duplicate, delete and rotate pages.
+ * - order: pages to keep, in output order ("3,1-2,2"; repeats duplicate a page)
+ * - remove: pages to drop from that order ("4,9-")
+ * - rotate: clockwise rotations by source page ("1-3:90,7:-90")
+ */
+router.post('/organize', uploadMemory.single('pdf'), validateRequest, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ValidationError('No PDF file uploaded'));
     }
 
-    const splitPages = await splitPdf(req.file.buffer);
+    const { order, remove, rotate } = req.body;
+    const pageCount = await getPdfPageCount(req.file.buffer);
 
-    // Upload each page to Cloudinary
-    const results = await Promise.all(
-      splitPages.map(async (pageBuffer, index) => {
-        const cloudinaryResult = await uploadBufferToCloudinary(pageBuffer, {
-          resource_type: 'raw',
-          format: 'pdf',
+    const removed = new Set(remove ? parsePageList(remove, pageCount) : []);
+    const pageOrder = parsePageList(order, pageCount).filter((index) => !removed.has(index));
+
+    if (pageOrder.length === 0) {
+      return next(new ValidationError('The result would have no pages'));
+    }
+
+    const rotations = {};
+    if (rotate) {
+      for (const entry of String(rotate).split(',')) {
+        const separator = entry.lastIndexOf(':');
+        const angle = Number(entry.slice(separator + 1));
+
+        if (separator === -1 || !Number.isInteger(angle) || angle % 90 !== 0) {
+          return next(new ValidationError(`Invalid rotation "${entry.trim()}". Use page:angle with a multiple of 90, e.g. 1-3:90`));
+        }
+
+        parsePageList(entry.slice(0, separator), pageCount).forEach((index) => {
+          rotations[index] = (rotations[index] || 0) + angle;
         });
+      }
+    }
 
+    const organizedPdf = await organizePdf(req.file.buffer, pageOrder, rotations);
+
+    if (wantsInlineDelivery(req)) {
+      return sendInline(res, organizedPdf, {
+        format: 'pdf',
+        originalName: req.file.originalname,
+        suffix: 'organized',
+      });
+    }
+
+    // Upload to storage
+    const storedFile = await storeBuffer(organizedPdf, {
+      resourceType: 'raw',
+      format: 'pdf',
+    });
+
+    res.json({
+      success: true,
+      data: {
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        size: storedFile.size,
+        originalPageCount: pageCount,
+        pageCount: pageOrder.length,
+        pages: pageOrder.map((index) => index + 1),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/pdf/to-images
+ * Extract embedded images and/or render pages to images.
+ * `pages` turns on rendering ("all" or a range like "1-3,7"); `output=zip` (or inline
+ * delivery) returns a single ZIP instead of one URL per file.
+ */
+router.post('/to-images', uploadMemory.single('pdf'), validateRequest, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ValidationError('No PDF file uploaded'));
+    }
+
+    const {
+      extract = 'true',
+      pages,
+      dpi = 150,
+      format = 'png',
+      quality = 90,
+      output = 'files',
+    } = req.body;
+
+    const shouldExtract = extract === true || extract === 'true';
+    const shouldRender = pages !== undefined && pages !== '';
+
+    if (!shouldExtract && !shouldRender) {
+      return next(new ValidationError('Nothing to do: enable extract or choose pages to render'));
+    }
+
+    const validFormats = ['png', 'jpeg', 'jpg', 'webp'];
+    if (!validFormats.includes(String(format).toLowerCase())) {
+      return next(new ValidationError(`Invalid format. Supported formats: ${validFormats.join(', ')}`));
+    }
+
+    const dpiValue = parseInt(dpi);
+    if (Number.isNaN(dpiValue) || dpiValue < 36 || dpiValue > 600) {
+      return next(new ValidationError('dpi must be between 36 and 600'));
+    }
+
+    if (!['files', 'zip'].includes(output)) {
+      return next(new ValidationError('output must be files or zip'));
+    }
+
+    const extracted = shouldExtract
+      ? await extractImagesFromPdf(req.file.buffer)
+      : { images: [], skipped: [] };
+
+    const rendered = shouldRender
+      ? await renderPdfPages(req.file.buffer, {
+        pages: parsePageList(pages, await getPdfPageCount(req.file.buffer)).map((index) => index + 1),
+        dpi: dpiValue,
+        format: String(format).toLowerCase(),
+        quality: parseInt(quality),
+      })
+      : [];
+
+    const imageNumbers = {};
+    const files = [
+      ...extracted.images.map((image) => {
+        imageNumbers[image.page] = (imageNumbers[image.page] || 0) + 1;
         return {
-          page: index + 1,
-          url: cloudinaryResult.secure_url,
-          publicId: cloudinaryResult.public_id,
-          size: cloudinaryResult.bytes,
+          kind: 'image',
+          filename: `images/page-${image.page}-image-${imageNumbers[image.page]}.${getExtension(image.format)}`,
+          ...image,
         };
-      })
-    );
+      }),
+      ...rendered.map((page) => ({
+        kind: 'page',
+        filename: `pages/page-${page.page}.${getExtension(page.format)}`,
+        ...page,
+      })),
+    ];
+
+    if (output === 'zip' || wantsInlineDelivery(req)) {
+      const archive = buildArchive('pdf.to-images', files.map((file) => ({
+        filename: file.filename,
+        buffer: file.buffer,
+        format: file.format,
+        info: { kind: file.kind, page: file.page, width: file.width, height: file.height },
+      })));
+      archive.manifest.skipped = extracted.skipped;
+
+      if (wantsInlineDelivery(req)) {
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${buildFilename(req.file.originalname, 'images', 'zip')}"`);
+        return pipeZip(archive.entries, res);
+      }
+
+      return res.json({
+        success: true,
+        data: await storeArchive(archive),
+      });
+    }
+
+    // Upload to storage
+    const storedFiles = await Promise.all(files.map(async (file) => {
+      const storedFile = await storeBuffer(file.buffer, {
+        format: file.format,
+        // JPEG 2000 is passed through untouched and not every backend reads it
+        resourceType: file.format === 'jp2' ? 'raw' : 'image',
+      });
+
+      return {
+        kind: file.kind,
+        page: file.page,
+        format: file.format,
+        width: file.width,
+        height: file.height,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        size: storedFile.size,
+      };
+    }));
 
     res.json({
       success: true,
-      data: results,
-      totalPages: results.length,
+      data: {
+        images: storedFiles.filter((file) => file.kind === 'image').map(({ kind, ...file }) => file),
+        pages: storedFiles.filter((file) => file.kind === 'page').map(({ kind, ...file }) => file),
+        skipped: extracted.skipped,
+      },
     });
   } catch (error) {
     next(error);
@@ -225,22 +470,16 @@ router.post('/split', uploadMemory.single('pdf'), async (req, res, next) => {
  * POST /api/pdf/watermark
  * Add watermark to PDF
  */
-router.post('/watermark', uploadMemory.single('pdf'), async (req, res, next) => {
+router.post('/watermark', uploadMemory.single('pdf'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No PDF file uploaded',
-      });
+      return next(new ValidationError('No PDF file uploaded'));
     }
 
     const { text = 'WATERMARK', fontSize = 50, opacity = 0.3, rotation = -45 } = req.body;
 
     if (!text) {
-      return res.status(400).json({
-        success: false,
-        error: 'Watermark text is required',
-      });
+      return next(new ValidationError('Watermark text is required'));
     }
 
     const watermarkedPdf = await addWatermark(req.file.buffer, text, {
@@ -249,18 +488,18 @@ router.post('/watermark', uploadMemory.single('pdf'), async (req, res, next) =>
       rotation: parseInt(rotation),
     });
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(watermarkedPdf, {
-      resource_type: 'raw',
+    // Upload to storage
+    const storedFile = await storeBuffer(watermarkedPdf, {
+      resourceType: 'raw',
       format: 'pdf',
     });
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        size: storedFile.size,
         watermarkText: text,
       },
     });
@@ -273,32 +512,29 @@ router.post('/watermark', uploadMemory.single('pdf'), async (req, res, next) =>
  * POST /api/pdf/compress
  * Compress PDF
  */
-router.post('/compress', uploadMemory.single('pdf'), async (req, res, next) => {
+router.post('/compress', uploadMemory.single('pdf'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No PDF file uploaded',
-      });
+      return next(new ValidationError('No PDF file uploaded'));
     }
 
     const originalSize = req.file.size;
     const compressedPdf = await compressPdf(req.file.buffer);
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(compressedPdf, {
-      resource_type: 'raw',
+    // Upload to storage
+    const storedFile = await storeBuffer(compressedPdf, {
+      resourceType: 'raw',
       format: 'pdf',
     });
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
         originalSize,
-        compressedSize: cloudinaryResult.bytes,
-        compressionRatio: `${((1 - cloudinaryResult.bytes / originalSize) * 100).toFixed(2)}%`,
+        compressedSize: storedFile.size,
+        compressionRatio: `${((1 - storedFile.size / originalSize) * 100).toFixed(2)}%`,
       },
     });
   } catch (error) {
@@ -310,13 +546,10 @@ router.post('/compress', uploadMemory.single('pdf'), async (req, res, next) => {
  * POST /api/pdf/metadata
  * Get PDF metadata
  */
-router.post('/metadata', uploadMemory.single('pdf'), async (req, res, next) => {
+router.post('/metadata', uploadMemory.single('pdf'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No PDF file uploaded',
-      });
+      return next(new ValidationError('No PDF file uploaded'));
     }
 
     const metadata = await getPdfMetadata(req.file.buffer);
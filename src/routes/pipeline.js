@@ -0,0 +1,93 @@
+import express from 'express';
+import { uploadMemory } from '../middleware/upload.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { storeBuffer } from '../services/storage/index.js';
+import { pipelineSchema, validatePipeline, runPipeline } from '../services/pipelineService.js';
+import { wantsInlineDelivery, sendInline } from '../utils/delivery.js';
+import { ValidationError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Read the pipeline spec from the request body. Multipart forms send
+ * `operations` as a JSON string; JSON bodies may send the array itself.
+ */
+const parsePipelineSpec = (body) => {
+  let { operations } = body;
+
+  if (typeof operations === 'string') {
+    try {
+      operations = JSON.parse(operations);
+    } catch {
+      return { error: { path: '/operations', message: 'must be valid JSON' } };
+    }
+  }
+
+  return { spec: { operations } };
+};
+
+/**
+ * POST /api/pipeline
+ * Apply an ordered list of operations to an image in as few passes as possible
+ */
+router.post('/', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ValidationError('No file uploaded'));
+    }
+
+    const { spec, error } = parsePipelineSpec(req.body);
+    const validation = error ? { valid: false, errors: [error] } : validatePipeline(spec);
+
+    if (!validation.valid) {
+      return next(new ValidationError('Invalid pipeline spec', validation.errors));
+    }
+
+    const result = await runPipeline(req.file.buffer, spec.operations);
+
+    if (wantsInlineDelivery(req)) {
+      return sendInline(res, result.buffer, {
+        format: result.format,
+        width: result.width,
+        height: result.height,
+        originalName: req.file.originalname,
+        suffix: 'edited',
+        headers: {
+          'X-Pipeline-Stages': result.stages,
+        },
+      });
+    }
+
+    // Upload to storage
+    const storedFile = await storeBuffer(result.buffer, { format: result.format });
+
+    res.json({
+      success: true,
+      data: {
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        format: storedFile.format,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
+        operations: spec.operations.length,
+        stages: result.stages,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/pipeline/schema
+ * Get the JSON schema that pipeline specs are validated against
+ */
+router.get('/schema', (req, res) => {
+  res.json({
+    success: true,
+    data: pipelineSchema,
+  });
+});
+
+export default router;
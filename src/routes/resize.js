@@ -1,30 +1,80 @@
 import express from 'express';
 import { uploadMemory } from '../middleware/upload.js';
-import { uploadBufferToCloudinary } from '../config/cloudinary.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { storeBuffer } from '../services/storage/index.js';
 import { resizeImage } from '../services/imageService.js';
+import { registerJobType } from '../services/jobs/index.js';
+import { wantsInlineDelivery, sendInline, deliverJob, buildFilename } from '../utils/delivery.js';
+import { ValidationError } from '../utils/errors.js';
 
 const router = express.Router();
 
+/**
+ * Resize the input to one of the requested sizes
+ */
+const createResizedFile = async (size, { inputs, params }) => {
+  const name = size.name || `${size.width}x${size.height}`;
+  const buffer = await resizeImage(inputs[0], {
+    width: size.width,
+    height: size.height,
+    fit: size.fit || 'cover',
+    format: params.format,
+    quality: params.quality,
+  });
+
+  return {
+    filename: buildFilename(params.originalName, name, params.format),
+    buffer,
+    format: params.format === 'jpg' ? 'jpeg' : params.format,
+    info: {
+      sizeName: name,
+      ...(params.preset && { preset: params.preset }),
+    },
+  };
+};
+
+/**
+ * Resize one input to several sizes, one item per size
+ */
+registerJobType('resize.sizes', {
+  createFile: createResizedFile,
+
+  processItem: async (size, context) => {
+    const file = await createResizedFile(size, context);
+    const storedFile = await storeBuffer(file.buffer, {
+      format: context.params.format,
+    });
+
+    return {
+      name: file.info.sizeName,
+      url: storedFile.url,
+      publicId: storedFile.publicId,
+      width: storedFile.width,
+      height: storedFile.height,
+      size: storedFile.size,
+    };
+  },
+
+  summarize: (results, params) => ({
+    ...(params.preset && { preset: params.preset }),
+    data: results,
+  }),
+});
+
 /**
  * POST /api/resize
  * Resize an uploaded image
  */
-router.post('/', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { width, height, fit = 'cover', format = 'png', quality = 90 } = req.body;
 
     if (!width && !height) {
-      return res.status(400).json({
-        success: false,
-        error: 'At least width or height is required',
-      });
+      return next(new ValidationError('At least width or height is required'));
     }
 
     // Resize image
@@ -36,20 +86,28 @@ router.post('/', uploadMemory.single('image'), async (req, res, next) => {
       quality: parseInt(quality),
     });
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(resizedBuffer, {
+    if (wantsInlineDelivery(req)) {
+      return sendInline(res, resizedBuffer, {
+        format,
+        originalName: req.file.originalname,
+        suffix: 'resized',
+      });
+    }
+
+    // Upload to storage
+    const storedFile = await storeBuffer(resizedBuffer, {
       format,
     });
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        format: cloudinaryResult.format,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        format: storedFile.format,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
       },
     });
   } catch (error) {
@@ -59,54 +117,27 @@ router.post('/', uploadMemory.single('image'), async (req, res, next) => {
 
 /**
  * POST /api/resize/batch
- * Resize image to multiple sizes
+ * Resize image to multiple sizes (`?delivery=async` queues a background job)
  */
-router.post('/batch', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/batch', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { sizes, format = 'png', quality = 90 } = req.body;
 
     if (!sizes || !Array.isArray(sizes)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Sizes array is required',
-      });
+      return next(new ValidationError('Sizes array is required'));
     }
 
-    const results = await Promise.all(
-      sizes.map(async (size) => {
-        const resizedBuffer = await resizeImage(req.file.buffer, {
-          width: size.width,
-          height: size.height,
-          fit: size.fit || 'cover',
-          format,
-          quality: parseInt(quality),
-        });
-
-        const cloudinaryResult = await uploadBufferToCloudinary(resizedBuffer, {
-          format,
-        });
-
-        return {
-          name: size.name || `${size.width}x${size.height}`,
-          url: cloudinaryResult.secure_url,
-          publicId: cloudinaryResult.public_id,
-          width: cloudinaryResult.width,
-          height: cloudinaryResult.height,
-          size: cloudinaryResult.bytes,
-        };
-      })
-    );
-
-    res.json({
-      success: true,
-      data: results,
+    await deliverJob(req, res, 'resize.sizes', {
+      inputs: [req.file.buffer],
+      items: sizes.map((size) => ({
+        name: size.name || `${size.width}x${size.height}`,
+        spec: size,
+      })),
+      params: { format, quality: parseInt(quality), originalName: req.file.originalname },
     });
   } catch (error) {
     next(error);
@@ -115,15 +146,12 @@ router.post('/batch', uploadMemory.single('image'), async (req, res, next) => {
 
 /**
  * POST /api/resize/presets
- * Resize to common preset sizes
+ * Resize to common preset sizes (`?delivery=async` queues a background job)
  */
-router.post('/presets', uploadMemory.single('image'), async (req, res, next) => {
+router.post('/presets', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     const { preset = 'social', format = 'png', quality = 90 } = req.body;
@@ -157,35 +185,10 @@ router.post('/presets', uploadMemory.single('image'), async (req, res, next) =>
 
     const selectedPreset = presets[preset] || presets.social;
 
-    const results = await Promise.all(
-      selectedPreset.map(async (size) => {
-        const resizedBuffer = await resizeImage(req.file.buffer, {
-          width: size.width,
-          height: size.height,
-          fit: 'cover',
-          format,
-          quality: parseInt(quality),
-        });
-
-        const cloudinaryResult = await uploadBufferToCloudinary(resizedBuffer, {
-          format,
-        });
-
-        return {
-          name: size.name,
-          url: cloudinaryResult.secure_url,
-          publicId: cloudinaryResult.public_id,
-          width: cloudinaryResult.width,
-          height: cloudinaryResult.height,
-          size: cloudinaryResult.bytes,
-        };
-      })
-    );
-
-    res.json({
-      success: true,
-      preset,
-      data: results,
+    await deliverJob(req, res, 'resize.sizes', {
+      inputs: [req.file.buffer],
+      items: selectedPreset.map((size) => ({ name: size.name, spec: size })),
+      params: { preset, format, quality: parseInt(quality), originalName: req.file.originalname },
     });
   } catch (error) {
     next(error);
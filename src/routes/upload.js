@@ -1,8 +1,15 @@
 import express from 'express';
-import { uploadMemory, cleanupFile } from '../middleware/upload.js';
-import { uploadLimiter } from '../middleware/rateLimiter.js';
-import { uploadBufferToCloudinary } from '../config/cloudinary.js';
+import config from '../config/index.js';
+import { uploadMemory } from '../middleware/upload.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { chargeReceivedBytes } from '../middleware/auth.js';
+import { storeBuffer } from '../services/storage/index.js';
 import { getImageMetadata } from '../services/imageService.js';
+import { inspectUpload } from '../services/inspectionService.js';
+import {
+  createUpload, getUpload, appendChunk, completeUpload, deleteUpload,
+} from '../services/chunkedUploadService.js';
+import { AppError, ValidationError, UnsupportedFormatError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -10,32 +17,31 @@ const router = express.Router();
  * POST /api/upload
  * Upload single image
  */
-router.post('/', uploadLimiter, uploadMemory.single('image'), async (req, res, next) => {
+router.post('/', uploadMemory.single('image'), validateRequest, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-      });
+      return next(new ValidationError('No file uploaded'));
     }
 
     // Get metadata
     const metadata = await getImageMetadata(req.file.buffer);
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadBufferToCloudinary(req.file.buffer, {
-      transformation: [{ quality: 'auto', fetch_format: 'auto' }],
+    // Upload to storage
+    const storedFile = await storeBuffer(req.file.buffer, {
+      driverOptions: {
+        transformation: [{ quality: 'auto', fetch_format: 'auto' }],
+      },
     });
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        format: cloudinaryResult.format,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        format: storedFile.format,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
         originalName: req.file.originalname,
         metadata: {
           format: metadata.format,
@@ -57,27 +63,24 @@ router.post('/', uploadLimiter, uploadMemory.single('image'), async (req, res, n
  * POST /api/upload/multiple
  * Upload multiple images
  */
-router.post('/multiple', uploadLimiter, uploadMemory.array('images', 10), async (req, res, next) => {
+router.post('/multiple', uploadMemory.array('images', 10), validateRequest, async (req, res, next) => {
   try {
     if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No files uploaded',
-      });
+      return next(new ValidationError('No files uploaded'));
     }
 
     const results = await Promise.all(
       req.files.map(async (file) => {
         const metadata = await getImageMetadata(file.buffer);
-        const cloudinaryResult = await uploadBufferToCloudinary(file.buffer);
+        const storedFile = await storeBuffer(file.buffer);
 
         return {
-          url: cloudinaryResult.secure_url,
-          publicId: cloudinaryResult.public_id,
-          format: cloudinaryResult.format,
-          width: cloudinaryResult.width,
-          height: cloudinaryResult.height,
-          size: cloudinaryResult.bytes,
+          url: storedFile.url,
+          publicId: storedFile.publicId,
+          format: storedFile.format,
+          width: storedFile.width,
+          height: storedFile.height,
+          size: storedFile.size,
           originalName: file.originalname,
           metadata,
         };
@@ -97,33 +100,33 @@ router.post('/multiple', uploadLimiter, uploadMemory.array('images', 10), async
  * POST /api/upload/base64
  * Upload image from base64 string
  */
-router.post('/base64', uploadLimiter, async (req, res, next) => {
+router.post('/base64', validateRequest, async (req, res, next) => {
   try {
     const { image, filename = 'image.png' } = req.body;
 
     if (!image) {
-      return res.status(400).json({
-        success: false,
-        error: 'No image data provided',
-      });
+      return next(new ValidationError('No image data provided'));
     }
 
-    // Remove data URL prefix if present
-    const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
+    // A data URL says what type it claims to be; the content has to agree
+    const dataUrl = /^data:([\w.+-]+\/[\w.+-]+);base64,/.exec(image);
+    const { buffer } = await inspectUpload(Buffer.from(image.slice(dataUrl ? dataUrl[0].length : 0), 'base64'), {
+      declaredType: dataUrl?.[1],
+      field: 'image',
+    });
 
     const metadata = await getImageMetadata(buffer);
-    const cloudinaryResult = await uploadBufferToCloudinary(buffer);
+    const storedFile = await storeBuffer(buffer);
 
     res.json({
       success: true,
       data: {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
-        format: cloudinaryResult.format,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        size: cloudinaryResult.bytes,
+        url: storedFile.url,
+        publicId: storedFile.publicId,
+        format: storedFile.format,
+        width: storedFile.width,
+        height: storedFile.height,
+        size: storedFile.size,
         originalName: filename,
         metadata,
       },
@@ -133,4 +136,111 @@ router.post('/base64', uploadLimiter, async (req, res, next) => {
   }
 });
 
+// Resumable uploads answer FEATURE_DISABLED when CHUNKED_UPLOAD_ENABLED=false
+const requireChunkedUploads = (req, res, next) => {
+  if (config.chunkedUpload.enabled) return next();
+  next(new AppError('Chunked uploads are disabled on this server', { code: 'FEATURE_DISABLED' }));
+};
+
+/**
+ * POST /api/upload/sessions
+ * Start a resumable upload for a file larger than one request may carry.
+ * Body: { size, filename?, mimeType? }. Send the bytes with PUT, complete it
+ * with their SHA-256, then pass the uploadId to any processing endpoint.
+ */
+router.post('/sessions', requireChunkedUploads, validateRequest, async (req, res, next) => {
+  try {
+    const { size, filename, mimeType } = req.body;
+    const upload = await createUpload({ size, filename, mimeType }, { owner: req.apiKey?.id || null });
+
+    res.status(201).json({
+      success: true,
+      data: upload,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/upload/sessions/:uploadId
+ * Upload status; `offset` is where to resume after an interruption
+ */
+router.get('/sessions/:uploadId', requireChunkedUploads, validateRequest, async (req, res, next) => {
+  try {
+    const upload = await getUpload(req.params.uploadId, { owner: req.apiKey?.id || null });
+
+    res.json({
+      success: true,
+      data: upload,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/upload/sessions/:uploadId?offset=
+ * Append the request body (application/octet-stream) at `offset`, which must
+ * be the upload's current offset
+ */
+router.put('/sessions/:uploadId', requireChunkedUploads, validateRequest, async (req, res, next) => {
+  try {
+    if (!req.is('application/octet-stream')) {
+      return next(new UnsupportedFormatError('Send chunks as application/octet-stream'));
+    }
+
+    const upload = await appendChunk(req.params.uploadId, req.query.offset, req, {
+      length: parseInt(req.get('Content-Length')) || undefined,
+      owner: req.apiKey?.id || null,
+      onReceived: (bytes) => chargeReceivedBytes(req, res, bytes),
+    });
+
+    res.json({
+      success: true,
+      data: upload,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/upload/sessions/:uploadId/complete
+ * Check the assembled file against `checksum` (SHA-256, hex) and inspect it.
+ * Body: { checksum }
+ */
+router.post('/sessions/:uploadId/complete', requireChunkedUploads, validateRequest, async (req, res, next) => {
+  try {
+    const upload = await completeUpload(req.params.uploadId, {
+      checksum: req.body.checksum,
+      owner: req.apiKey?.id || null,
+    });
+
+    res.json({
+      success: true,
+      data: upload,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/upload/sessions/:uploadId
+ * Abandon an upload or discard a completed one
+ */
+router.delete('/sessions/:uploadId', requireChunkedUploads, validateRequest, async (req, res, next) => {
+  try {
+    await deleteUpload(req.params.uploadId, { owner: req.apiKey?.id || null });
+
+    res.json({
+      success: true,
+      data: { uploadId: req.params.uploadId, deleted: true },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
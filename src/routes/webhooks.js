@@ -0,0 +1,32 @@
+import express from 'express';
+import { getDeliveries } from '../services/webhooks/index.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/webhooks/:requestId
+ * Get the callback delivery log for a request made with the same API key
+ */
+router.get('/:requestId', validateRequest, async (req, res, next) => {
+  try {
+    const deliveries = await getDeliveries(req.params.requestId, { owner: req.apiKey?.id || null });
+
+    if (deliveries.length === 0) {
+      return next(new NotFoundError('No webhook deliveries found for this request'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        requestId: req.params.requestId,
+        deliveries,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,55 +1,57 @@
 import express from 'express';
-import cors from 'cors';
 import helmet from 'helmet';
-import config from './config/index.js';
+import config, { configWarnings, configFile } from './config/index.js';
 import routes from './routes/index.js';
 import errorHandler from './middleware/errorHandler.js';
-import { generalLimiter } from './middleware/rateLimiter.js';
+import { requestLogger } from './middleware/requestLogger.js';
+import { httpMetrics, metricsEndpoint } from './middleware/metrics.js';
+import { corsPolicy } from './middleware/cors.js';
+import { rateLimits } from './middleware/rateLimiter.js';
+import { recordBodyBytes } from './middleware/auth.js';
 import { cleanupOldFiles } from './middleware/upload.js';
+import { getStorage } from './services/storage/index.js';
+import { startJobWorkers } from './services/jobs/index.js';
+import { startReaper } from './services/retention/index.js';
+import { countStorageDownloads } from './middleware/retention.js';
+import logger from './utils/logger.js';
 
 const app = express();
 
 // Trust proxy - Required for Render, Heroku, and other cloud platforms
-// This allows express-rate-limit to work correctly behind a reverse proxy
+// This lets rate limiting see the real client IP behind a reverse proxy
 app.set('trust proxy', 1);
 
+// Request ids and structured request logs (first, so every response gets an id)
+app.use(requestLogger);
+
+// Request counts, latency and bytes per route, scraped from GET /metrics
+app.use(httpMetrics);
+if (config.metrics.enabled) {
+  app.get('/metrics', metricsEndpoint);
+}
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: 'cross-origin' },
 }));
 
-// CORS configuration - Allow multiple origins (localhost for dev, Vercel for production)
-const allowedOrigins = [
-  'http://localhost:5173',
-  'http://localhost:3000',
-  'https://magicpixels.vercel.app',
-  'https://www.magicpixels.vercel.app',
-  config.frontendUrl,
-].filter(Boolean);
-
-app.use(cors({
-  origin: function (origin, callback) {
-    // Allow requests with no origin (like mobile apps or curl)
-    if (!origin) return callback(null, true);
-    
-    if (allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      console.log('CORS blocked origin:', origin);
-      callback(null, true); // Allow all for now, can restrict later
-    }
-  },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: true,
-}));
+// CORS allowlist (CORS_ORIGINS); other browser origins are refused
+app.use(corsPolicy);
+
+// Rate limiting (policy in config/rateLimits.js)
+app.use(rateLimits);
 
-// Rate limiting
-app.use(generalLimiter);
+// Body parsing (body sizes are kept for the data quota)
+app.use(express.json({ limit: '50mb', verify: recordBodyBytes }));
+app.use(express.urlencoded({ extended: true, limit: '50mb', verify: recordBodyBytes }));
 
-// Body parsing
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Serve results written by the local storage driver, counting downloads against their retention
+if (config.storage.driver === 'local') {
+  app.use('/storage', countStorageDownloads, express.static(getStorage().directory, {
+    index: false,
+    dotfiles: 'deny',
+  }));
+}
 
 // API routes
 app.use('/api', routes);
@@ -63,6 +65,7 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       upload: '/api/upload',
+      chunkedUpload: '/api/upload/sessions',
       resize: '/api/resize',
       compress: '/api/compress',
       convert: '/api/convert',
@@ -70,6 +73,12 @@ app.get('/', (req, res) => {
       backgroundRemove: '/api/background-remove',
       aiEnhance: '/api/ai-enhance',
       aiEdit: '/api/ai-edit',
+      pipeline: '/api/pipeline',
+      jobs: '/api/jobs/:id',
+      files: '/api/files',
+      adminKeys: '/api/admin/keys',
+      openapi: '/api/openapi.json',
+      errors: '/api/errors',
     },
   });
 });
@@ -79,6 +88,7 @@ app.use((req, res) => {
   res.status(404).json({
     success: false,
     error: 'Endpoint not found',
+    code: 'NOT_FOUND',
   });
 });
 
@@ -88,35 +98,25 @@ app.use(errorHandler);
 // Cleanup old files every hour
 setInterval(cleanupOldFiles, 60 * 60 * 1000);
 
+// Delete expired, used-up and orphaned results, starting with whatever an
+// earlier run left behind
+startReaper();
+
+// Background workers for batch jobs submitted with ?delivery=async
+startJobWorkers();
+
 // Start server
 const PORT = config.port;
 app.listen(PORT, () => {
-  console.log(`
-  ╔════════════════════════════════════════════════════════════════╗
-  ║                                                                ║
-  ║   🎨 MagicPixels Backend Server                               ║
-  ║                                                                ║
-  ║   Server running on: http://localhost:${PORT}                   ║
-  ║   Environment: ${config.nodeEnv}                               ║
-  ║                                                                ║
-  ║   Cloudinary AI Tools (3 downloads, auto-delete):              ║
-  ║   • POST /api/cloudinary/bg-remove     - AI Background Remove  ║
-  ║   • POST /api/cloudinary/bg-replace    - Replace Background    ║
-  ║   • POST /api/cloudinary/enhance       - AI Enhance            ║
-  ║   • POST /api/cloudinary/upscale       - AI Upscale            ║
-  ║   • POST /api/cloudinary/gen-fill      - Generative Fill       ║
-  ║   • POST /api/cloudinary/gen-remove    - Remove Objects        ║
-  ║   • POST /api/cloudinary/gen-recolor   - Recolor Objects       ║
-  ║   • POST /api/cloudinary/artistic-filter - Art Filters         ║
-  ║   • POST /api/cloudinary/smart-crop    - Smart Crop            ║
-  ║   • POST /api/cloudinary/blur-faces    - Blur Faces            ║
-  ║   • POST /api/cloudinary/auto-improve  - Auto Improve          ║
-  ║                                                                ║
-  ║   Other endpoints:                                             ║
-  ║   • POST /api/resize, /api/compress, /api/convert, /api/pdf   ║
-  ║                                                                ║
-  ╚════════════════════════════════════════════════════════════════╝
-  `);
+  logger.info('MagicPixels API listening', {
+    port: PORT,
+    url: `http://localhost:${PORT}`,
+    environment: config.nodeEnv,
+    storage: config.storage.driver,
+    features: config.features,
+    configFile,
+  });
+  configWarnings.forEach((warning) => logger.warn(warning));
 });
 
 export default app;
@@ -1,5 +1,8 @@
 import { getGeminiVisionModel, switchToNextModel, getCurrentModelName, getAvailableModels } from '../config/gemini.js';
 import sharp from 'sharp';
+import logger from '../utils/logger.js';
+import { geminiCalls, geminiCallDuration } from '../utils/metrics.js';
+import { ProviderQuotaError, ProviderUnavailableError } from '../utils/errors.js';
 
 // Retry configuration - increased to support more model fallbacks
 const MAX_RETRIES = 7; // Match the number of available models
@@ -10,6 +13,45 @@ const RETRY_DELAY_MS = 1500;
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Call a Gemini model and return its text, counting the call and its latency per model
+ */
+const generateText = async (model, modelName, request) => {
+  const endTimer = geminiCallDuration.startTimer({ model: modelName });
+  try {
+    const result = await model.generateContent(request);
+    const response = await result.response;
+    geminiCalls.inc({ model: modelName, outcome: 'success' });
+    return response.text();
+  } catch (error) {
+    geminiCalls.inc({ model: modelName, outcome: 'error' });
+    throw error;
+  } finally {
+    endTimer();
+  }
+};
+
+// The SDK's GoogleGenerativeAIFetchError carries the HTTP status of the failed call
+const isRateLimited = (error) => error.status === 429;
+const isModelMissing = (error) => error.status === 404;
+
+/**
+ * The typed error for a Gemini call that failed on every model we tried
+ */
+const toProviderError = (error) => {
+  if (error && isRateLimited(error)) {
+    return new ProviderQuotaError('gemini', 'AI service is temporarily busy. Please try again in a few moments.', {
+      retryAfter: 60,
+      cause: error,
+    });
+  }
+  return new ProviderUnavailableError(
+    'gemini',
+    `AI service temporarily unavailable: ${error?.message || 'Unknown error'}. Please try again later.`,
+    { cause: error }
+  );
+};
+
 /**
  * Parse JSON from AI response safely
  */
@@ -36,19 +78,19 @@ const parseJsonResponse = (response) => {
  */
 export const analyzeImage = async (imageBuffer, prompt = 'Describe this image in detail.') => {
   let lastError = null;
+
+  // Read the image once: a file sharp cannot decode is the caller's problem, not Gemini's
+  const base64Image = imageBuffer.toString('base64');
+  const metadata = await sharp(imageBuffer).metadata();
+  const mimeType = `image/${metadata.format || 'png'}`;
   
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
     try {
       const model = getGeminiVisionModel();
       
-      // Convert buffer to base64
-      const base64Image = imageBuffer.toString('base64');
-      const metadata = await sharp(imageBuffer).metadata();
-      const mimeType = `image/${metadata.format || 'png'}`;
+      logger.debug('Gemini analysis attempt', { attempt: attempt + 1, model: getCurrentModelName() });
       
-      console.log(`AI Analysis attempt ${attempt + 1} using model: ${getCurrentModelName()}`);
-      
-      const result = await model.generateContent([
+      return await generateText(model, getCurrentModelName(), [
         prompt,
         {
           inlineData: {
@@ -57,29 +99,24 @@ export const analyzeImage = async (imageBuffer, prompt = 'Describe this image in
           },
         },
       ]);
-      
-      const response = await result.response;
-      return response.text();
     } catch (error) {
       lastError = error;
-      console.error(`AI Analysis attempt ${attempt + 1} failed:`, error.message);
+      logger.warn('Gemini analysis attempt failed', { attempt: attempt + 1, model: getCurrentModelName(), error });
       
       // Check if it's a quota/rate limit error
-      if (error.message.includes('429') || error.message.includes('quota') || error.message.includes('Too Many Requests')) {
+      if (isRateLimited(error)) {
         // Try switching to a different model
         const switched = switchToNextModel();
         if (switched) {
-          console.log('Switched to fallback model, retrying...');
           await sleep(RETRY_DELAY_MS);
           continue;
         }
       }
       
       // Check if it's a 404 model not found error
-      if (error.message.includes('404') || error.message.includes('not found')) {
+      if (isModelMissing(error)) {
         const switched = switchToNextModel();
         if (switched) {
-          console.log('Model not found, switched to alternative model');
           continue;
         }
       }
@@ -91,7 +128,7 @@ export const analyzeImage = async (imageBuffer, prompt = 'Describe this image in
     }
   }
   
-  throw new Error(`AI service temporarily unavailable: ${lastError?.message || 'Unknown error'}. Please try again later.`);
+  throw toProviderError(lastError);
 };
 
 /**
@@ -135,7 +172,7 @@ export const getEnhancementSuggestions = async (imageBuffer) => {
     }
     return { raw: response };
   } catch (error) {
-    console.error('Enhancement suggestions failed:', error.message);
+    logger.error('Enhancement suggestions failed', { error });
     // Return default suggestions
     return {
       brightness: 'none',
@@ -185,7 +222,7 @@ export const processImageWithPrompt = async (imageBuffer, userPrompt) => {
     // If parsing failed, try to extract intent from raw response
     return extractIntentFromResponse(response, userPrompt);
   } catch (error) {
-    console.error('AI processing failed, using fallback:', error.message);
+    logger.error('AI edit interpretation failed, using fallback', { error });
     // Fallback to rule-based processing
     return fallbackProcessing(userPrompt);
   }
@@ -285,7 +322,7 @@ export const detectObjects = async (imageBuffer) => {
     }
     return { raw: response };
   } catch (error) {
-    console.error('Object detection failed:', error.message);
+    logger.error('Object detection failed', { error });
     return {
       objects: [],
       scene: 'Unable to analyze image',
@@ -323,7 +360,7 @@ export const generateCreativeIdeas = async (imageBuffer) => {
     }
     return { raw: response };
   } catch (error) {
-    console.error('Creative ideas generation failed:', error.message);
+    logger.error('Creative ideas generation failed', { error });
     return {
       ideas: [
         { title: 'Grayscale Conversion', description: 'Convert to black and white for a classic look', difficulty: 'easy' },
@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../../config/index.js';
+import { getRedisClient } from '../../config/redis.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createRedisStore } from './redisStore.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const KEY_PREFIX = 'mpk_';
+
+// Usage counters tracked per key and period
+export const QUOTA_FIELDS = ['requests', 'bytes', 'aiCalls'];
+
+// Retention settings a key may override for the results it stores
+export const RETENTION_FIELDS = ['ttlSeconds', 'maxDownloads', 'deleteAfterFirstFetch'];
+
+let store = null;
+
+/**
+ * Get the configured API key store (created on first use)
+ */
+export const getApiKeyStore = () => {
+  if (!store) {
+    if (config.auth.backend === 'redis') {
+      store = createRedisStore({
+        client: getRedisClient(),
+        keyPrefix: config.redis.keyPrefix,
+      });
+    } else if (config.auth.backend === 'memory') {
+      store = createMemoryStore();
+    } else {
+      throw new Error(`Unknown API keys backend "${config.auth.backend}". Supported backends: memory, redis`);
+    }
+  }
+  return store;
+};
+
+/**
+ * Use a specific store instead of the configured one (e.g. a local Redis stand-in)
+ */
+export const setApiKeyStore = (customStore) => {
+  store = customStore;
+};
+
+/**
+ * Hash an API key for storage and lookup; the plaintext key is never stored
+ */
+export const hashApiKey = (apiKey) => {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+/**
+ * Merge requested quotas over the configured defaults.
+ * Each quota is a non-negative integer, or null for unlimited.
+ */
+const resolveQuotas = (quotas = {}, base = config.auth.defaultQuotas) => {
+  if (typeof quotas !== 'object' || quotas === null || Array.isArray(quotas)) {
+    throw new ValidationError('quotas must be an object');
+  }
+
+  const unknown = Object.keys(quotas).filter((field) => !QUOTA_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown quota "${unknown[0]}". Supported quotas: ${QUOTA_FIELDS.join(', ')}`);
+  }
+
+  return Object.fromEntries(QUOTA_FIELDS.map((field) => {
+    const value = field in quotas ? quotas[field] : base[field];
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      throw new ValidationError(`Quota "${field}" must be a non-negative integer or null for unlimited`);
+    }
+    return [field, value];
+  }));
+};
+
+/**
+ * Check a key's retention overrides. Fields left out fall back to the route's
+ * policy; ttlSeconds and maxDownloads are positive integers or null for no limit.
+ */
+const resolveRetention = (retention = {}) => {
+  if (typeof retention !== 'object' || retention === null || Array.isArray(retention)) {
+    throw new ValidationError('retention must be an object');
+  }
+
+  const unknown = Object.keys(retention).filter((field) => !RETENTION_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown retention setting "${unknown[0]}". Supported settings: ${RETENTION_FIELDS.join(', ')}`);
+  }
+
+  for (const field of ['ttlSeconds', 'maxDownloads']) {
+    const value = retention[field];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      throw new ValidationError(`Retention "${field}" must be a positive integer or null for no limit`);
+    }
+  }
+
+  if (retention.deleteAfterFirstFetch !== undefined && typeof retention.deleteAfterFirstFetch !== 'boolean') {
+    throw new ValidationError('Retention "deleteAfterFirstFetch" must be a boolean');
+  }
+
+  return Object.fromEntries(RETENTION_FIELDS
+    .filter((field) => retention[field] !== undefined)
+    .map((field) => [field, retention[field]]));
+};
+
+/**
+ * The current quota period: { id, resetAt } with calendar periods in UTC
+ */
+export const getQuotaPeriod = (now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (config.auth.quotaPeriod === 'day') {
+    const day = now.getUTCDate();
+    return {
+      id: now.toISOString().slice(0, 10),
+      resetAt: new Date(Date.UTC(year, month, day + 1)),
+    };
+  }
+
+  return {
+    id: now.toISOString().slice(0, 7),
+    resetAt: new Date(Date.UTC(year, month + 1, 1)),
+  };
+};
+
+/**
+ * Shape a stored key for API responses (the hash stays internal)
+ */
+export const toPublicApiKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  prefix: record.prefix,
+  quotas: record.quotas,
+  retention: record.retention || {},
+  status: record.revokedAt ? 'revoked' : 'active',
+  createdAt: record.createdAt,
+  revokedAt: record.revokedAt,
+});
+
+/**
+ * Describe a key's quotas against its usage for the period
+ */
+export const describeQuota = (record, usage, period) => ({
+  period: period.id,
+  resetAt: period.resetAt.toISOString(),
+  ...Object.fromEntries(QUOTA_FIELDS.map((field) => {
+    const limit = record.quotas[field];
+    const used = usage[field] || 0;
+    return [field, {
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+    }];
+  })),
+});
+
+/**
+ * Issue a new API key. The plaintext key is returned only here.
+ */
+export const createApiKey = async ({ name, quotas, retention } = {}) => {
+  if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+    throw new ValidationError('name must be a string of at most 100 characters');
+  }
+
+  const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: uuidv4(),
+    name: name || null,
+    prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+    hash: hashApiKey(apiKey),
+    quotas: resolveQuotas(quotas),
+    retention: resolveRetention(retention),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  await getApiKeyStore().saveKey(record);
+
+  return { key: apiKey, apiKey: toPublicApiKey(record) };
+};
+
+/**
+ * List every issued key, newest first
+ */
+export const listApiKeys = async () => {
+  const records = await getApiKeyStore().listKeys();
+  return records
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublicApiKey);
+};
+
+/**
+ * Get a key with its usage for the current period, or null if it does not exist
+ */
+export const getApiKey = async (id) => {
+  const keyStore = getApiKeyStore();
+  const record = await keyStore.getKey(id);
+  if (!record) return null;
+
+  const period = getQuotaPeriod();
+  const usage = await keyStore.getUsage(record.id, period.id);
+  return { ...toPublicApiKey(record), usage: describeQuota(record, usage, period) };
+};
+
+/**
+ * Change a key's quotas; fields left out keep their current value
+ */
+export const updateApiKeyQuotas = async (id, quotas) => {
+  const keyStore = getApiKeyStore();
+  const record = await keyStore.getKey(id);
+  if (!record) return null;
+
+  record.quotas = resolveQuotas(quotas, record.quotas);
+  await keyStore.saveKey(record);
+  return getApiKey(id);
+};
+
+/**
+ * Replace a key's retention overrides; an empty object follows the route policy again
+ */
+export const updateApiKeyRetention = async (id, retention) => {
+  const keyStore = getApiKeyStore();
+  const record = await keyStore.getKey(id);
+  if (!record) return null;
+
+  record.retention = resolveRetention(retention);
+  await keyStore.saveKey(record);
+  return getApiKey(id);
+};
+
+/**
+ * Revoke a key; it stops working immediately
+ */
+export const revokeApiKey = async (id) => {
+  const keyStore = getApiKeyStore();
+  const record = await keyStore.getKey(id);
+  if (!record) return null;
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await keyStore.saveKey(record);
+  }
+  return toPublicApiKey(record);
+};
+
+/**
+ * Look up the stored record for a plaintext key, or null if it is unknown
+ */
+export const findApiKey = async (apiKey) => {
+  if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) return null;
+  return getApiKeyStore().findKeyByHash(hashApiKey(apiKey));
+};
+
+/**
+ * Count usage against a key's quotas, e.g. { requests: 1, bytes: 2048 }.
+ * Usage that would take any counter past its limit is not counted:
+ * returns { allowed: false, exceeded: field, quota } instead.
+ */
+export const consumeQuota = async (record, amounts) => {
+  const keyStore = getApiKeyStore();
+  const period = getQuotaPeriod();
+  // Counters outlive their period by a day so the last one can still be reported
+  const ttlMs = period.resetAt.getTime() - Date.now() + 24 * 60 * 60 * 1000;
+
+  const usage = await keyStore.addUsage(record.id, period.id, amounts, ttlMs);
+
+  const exceeded = Object.keys(amounts).find((field) => {
+    const limit = record.quotas[field];
+    return limit !== null && amounts[field] > 0 && usage[field] > limit;
+  });
+
+  if (!exceeded) {
+    return { allowed: true, quota: describeQuota(record, usage, period) };
+  }
+
+  const refund = Object.fromEntries(Object.entries(amounts).map(([field, amount]) => [field, -amount]));
+  const restored = await keyStore.addUsage(record.id, period.id, refund, ttlMs);
+  return { allowed: false, exceeded, quota: describeQuota(record, restored, period) };
+};
+
+export default {
+  QUOTA_FIELDS,
+  RETENTION_FIELDS,
+  getApiKeyStore,
+  setApiKeyStore,
+  hashApiKey,
+  getQuotaPeriod,
+  toPublicApiKey,
+  describeQuota,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  updateApiKeyQuotas,
+  updateApiKeyRetention,
+  revokeApiKey,
+  findApiKey,
+  consumeQuota,
+};
@@ -0,0 +1,55 @@
+/**
+ * API key store that keeps everything in this process.
+ * Keys are lost on restart; use the redis store to keep them.
+ */
+export const createMemoryStore = () => {
+  const keys = new Map();
+  const idsByHash = new Map();
+  const usage = new Map();
+
+  return {
+    name: 'memory',
+
+    saveKey: async (record) => {
+      keys.set(record.id, structuredClone(record));
+      idsByHash.set(record.hash, record.id);
+    },
+
+    getKey: async (id) => {
+      const record = keys.get(id);
+      return record ? structuredClone(record) : null;
+    },
+
+    findKeyByHash: async (hash) => {
+      const id = idsByHash.get(hash);
+      return id ? structuredClone(keys.get(id)) : null;
+    },
+
+    listKeys: async () => [...keys.values()].map((record) => structuredClone(record)),
+
+    getUsage: async (id, period) => ({ ...usage.get(`${id}:${period}`)?.counters }),
+
+    // Adds to the period's counters and returns the new totals
+    addUsage: async (id, period, amounts, ttlMs) => {
+      const now = Date.now();
+
+      // Periods can outlast a timer's range, so old counters are dropped lazily
+      usage.forEach((entry, usageKey) => {
+        if (entry.expiresAt <= now) usage.delete(usageKey);
+      });
+
+      const usageKey = `${id}:${period}`;
+      const entry = usage.get(usageKey) || { counters: {} };
+      entry.expiresAt = now + ttlMs;
+      usage.set(usageKey, entry);
+
+      Object.entries(amounts).forEach(([field, amount]) => {
+        entry.counters[field] = (entry.counters[field] || 0) + amount;
+      });
+
+      return { ...entry.counters };
+    },
+  };
+};
+
+export default createMemoryStore;
@@ -0,0 +1,65 @@
+/**
+ * API key store backed by Redis so keys survive restarts and usage is
+ * counted across every instance
+ */
+export const createRedisStore = ({ client, keyPrefix }) => {
+  const key = (...parts) => `${keyPrefix}apikeys:${parts.join(':')}`;
+  const idsKey = key('ids');
+
+  const toCounters = (hash) => Object.fromEntries(
+    Object.entries(hash).map(([field, value]) => [field, parseInt(value)])
+  );
+
+  return {
+    name: 'redis',
+
+    saveKey: async (record) => {
+      await client
+        .pipeline()
+        .set(key('key', record.id), JSON.stringify(record))
+        .set(key('hash', record.hash), record.id)
+        .sadd(idsKey, record.id)
+        .exec();
+    },
+
+    getKey: async (id) => {
+      const raw = await client.get(key('key', id));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    findKeyByHash: async (hash) => {
+      const id = await client.get(key('hash', hash));
+      if (!id) return null;
+      const raw = await client.get(key('key', id));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    listKeys: async () => {
+      const ids = await client.smembers(idsKey);
+      if (ids.length === 0) return [];
+      const raws = await client.mget(ids.map((id) => key('key', id)));
+      return raws.filter(Boolean).map((raw) => JSON.parse(raw));
+    },
+
+    getUsage: async (id, period) => toCounters(await client.hgetall(key('usage', id, period))),
+
+    // Adds to the period's counters and returns the new totals
+    addUsage: async (id, period, amounts, ttlMs) => {
+      const usageKey = key('usage', id, period);
+      const pipeline = client.pipeline();
+
+      Object.entries(amounts).forEach(([field, amount]) => {
+        pipeline.hincrby(usageKey, field, amount);
+      });
+      pipeline.pexpire(usageKey, ttlMs);
+      pipeline.hgetall(usageKey);
+
+      const results = await pipeline.exec();
+      const [error, hash] = results[results.length - 1];
+      if (error) throw error;
+      return toCounters(hash);
+    },
+  };
+};
+
+export default createRedisStore;
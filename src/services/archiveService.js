@@ -0,0 +1,56 @@
+import { storeBuffer } from './storage/index.js';
+import { uniqueEntryNames, createZipBuffer } from '../utils/zip.js';
+
+export const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Lay out a ZIP archive for a set of created files: unique entry names plus
+ * a manifest.json describing each entry (and any items that failed).
+ * Files are { filename, buffer, format, info }.
+ */
+export const buildArchive = (type, files, failed = []) => {
+  const names = uniqueEntryNames(files.map((file) => file.filename));
+
+  const manifest = {
+    type,
+    fileCount: files.length,
+    files: files.map((file, index) => ({
+      ...file.info,
+      name: names[index],
+      format: file.format,
+      size: file.buffer.length,
+    })),
+    ...(failed.length > 0 && { failed }),
+  };
+
+  const entries = files.map((file, index) => ({ name: names[index], buffer: file.buffer }));
+  entries.push({ name: MANIFEST_NAME, buffer: Buffer.from(JSON.stringify(manifest, null, 2)) });
+
+  return { entries, manifest };
+};
+
+/**
+ * Zip an archive and upload it, returning the public description of it
+ */
+export const storeArchive = async (archive) => {
+  const zipBuffer = await createZipBuffer(archive.entries);
+
+  const storedFile = await storeBuffer(zipBuffer, {
+    resourceType: 'raw',
+    format: 'zip',
+  });
+
+  return {
+    url: storedFile.url,
+    publicId: storedFile.publicId,
+    format: 'zip',
+    size: storedFile.size,
+    manifest: archive.manifest,
+  };
+};
+
+export default {
+  MANIFEST_NAME,
+  buildArchive,
+  storeArchive,
+};
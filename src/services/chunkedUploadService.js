@@ -0,0 +1,350 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { inspectFile } from './inspectionService.js';
+import { normalizeMimeType } from '../utils/fileSignatures.js';
+import {
+  ChunkedUploadError, LimitExceededError, NotFoundError, GoneError, UnsupportedFormatError,
+} from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Each upload is <id>.json (the session) and <id>.bin (the bytes received so far)
+const chunkedDir = path.join(process.cwd(), 'uploads', 'chunked');
+
+const UPLOAD_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const sessionPath = (uploadId) => path.join(chunkedDir, `${uploadId}.json`);
+const dataPath = (uploadId) => path.join(chunkedDir, `${uploadId}.bin`);
+
+// Uploads a request is writing to or completing. Chunks go to local disk, so
+// every request for an upload has to reach the same instance anyway.
+const busy = new Set();
+
+const exclusive = async (uploadId, fn) => {
+  if (busy.has(uploadId)) {
+    throw new ChunkedUploadError('UPLOAD_CONFLICT', 'Another request is writing to this upload; retry when it has finished');
+  }
+
+  busy.add(uploadId);
+  try {
+    return await fn();
+  } finally {
+    busy.delete(uploadId);
+  }
+};
+
+const saveSession = async (session) => {
+  await fs.promises.writeFile(sessionPath(session.id), JSON.stringify(session));
+};
+
+const removeUploadFiles = async (uploadId) => {
+  await Promise.all([sessionPath(uploadId), dataPath(uploadId)].map((file) => fs.promises.rm(file, { force: true })));
+};
+
+/**
+ * Load an upload with the number of bytes received so far. Uploads of other
+ * API keys are reported as not found.
+ */
+const loadSession = async (uploadId, owner = null) => {
+  const notFound = new NotFoundError('Upload not found');
+  if (!UPLOAD_ID.test(String(uploadId))) throw notFound;
+
+  let session;
+  let offset;
+  try {
+    session = JSON.parse(await fs.promises.readFile(sessionPath(uploadId), 'utf8'));
+    ({ size: offset } = await fs.promises.stat(dataPath(uploadId)));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw notFound;
+    throw error;
+  }
+
+  if (session.owner !== owner) throw notFound;
+  if (Date.parse(session.updatedAt) + config.chunkedUpload.ttlMs <= Date.now()) {
+    throw new GoneError('Upload has expired');
+  }
+  return { session, offset };
+};
+
+const offsetConflict = (message, offset) => new ChunkedUploadError('UPLOAD_CONFLICT', message, [
+  { in: 'query', field: 'offset', message: `must be ${offset}, the number of bytes received so far` },
+]);
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * The uploads a client has that have not expired, read from their sessions
+ */
+const listOwnSessions = async (owner) => {
+  const files = await fs.promises.readdir(chunkedDir).catch(() => []);
+  const expiredBefore = Date.now() - config.chunkedUpload.ttlMs;
+  const sessions = [];
+
+  for (const file of files.filter((name) => name.endsWith('.json'))) {
+    try {
+      const session = JSON.parse(await fs.promises.readFile(path.join(chunkedDir, file), 'utf8'));
+      if (session.owner === owner && Date.parse(session.updatedAt) > expiredBefore) sessions.push(session);
+    } catch {
+      // Deleted while we were listing
+    }
+  }
+  return sessions;
+};
+
+/**
+ * What clients see of an upload. `offset` is where the next chunk starts.
+ */
+export const toUploadStatus = (session, offset) => ({
+  uploadId: session.id,
+  filename: session.filename,
+  size: session.size,
+  offset,
+  complete: Boolean(session.completedAt),
+  mimeType: session.mimeType,
+  ...(session.completedAt && {
+    format: session.format,
+    sha256: session.sha256,
+    completedAt: session.completedAt,
+  }),
+  maxChunkSize: config.chunkedUpload.maxChunkSize,
+  expiresAt: new Date(Date.parse(session.updatedAt) + config.chunkedUpload.ttlMs).toISOString(),
+});
+
+/**
+ * Start a resumable upload of `size` bytes. `mimeType` is optional; when
+ * given, the assembled file has to be that type. A client may keep
+ * CHUNKED_UPLOAD_MAX_SESSIONS uploads of CHUNKED_UPLOAD_MAX_RESERVED_BYTES in
+ * all until they expire or are deleted.
+ */
+export const createUpload = async ({ filename, size, mimeType }, { owner = null } = {}) => {
+  const { maxFileSize } = config.chunkedUpload;
+  if (size > maxFileSize) {
+    throw new LimitExceededError(`Chunked uploads may be at most ${maxFileSize} bytes`, [
+      { in: 'body', field: 'size', message: `must be at most ${maxFileSize}` },
+    ]);
+  }
+
+  const { maxSessions, maxReservedBytes } = config.chunkedUpload;
+  const sessions = await listOwnSessions(owner);
+  if (sessions.length >= maxSessions) {
+    throw new LimitExceededError(
+      `At most ${maxSessions} chunked uploads may be kept at once; complete and use, or delete, an earlier one`
+    );
+  }
+  const reserved = sessions.reduce((total, session) => total + session.size, 0);
+  if (reserved + size > maxReservedBytes) {
+    throw new LimitExceededError(
+      `Chunked uploads may take at most ${maxReservedBytes} bytes at once; ${reserved} are already reserved`,
+      [{ in: 'body', field: 'size', message: `must be at most ${Math.max(0, maxReservedBytes - reserved)}` }]
+    );
+  }
+
+  const declared = mimeType ? normalizeMimeType(mimeType) : null;
+  if (declared && declared !== 'application/octet-stream'
+    && !config.upload.allowedMimeTypes.map(normalizeMimeType).includes(declared)) {
+    throw new UnsupportedFormatError(`File type ${mimeType} is not allowed`);
+  }
+
+  const now = new Date().toISOString();
+  const session = {
+    id: uuidv4(),
+    filename: path.basename(filename || 'upload').slice(0, 255),
+    size,
+    mimeType: declared,
+    owner,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+
+  await fs.promises.mkdir(chunkedDir, { recursive: true });
+  await fs.promises.writeFile(dataPath(session.id), '');
+  await saveSession(session);
+
+  logger.debug('Chunked upload created', { uploadId: session.id, size });
+  return toUploadStatus(session, 0);
+};
+
+/**
+ * An upload's status, for a client resuming it
+ */
+export const getUpload = async (uploadId, { owner = null } = {}) => {
+  const { session, offset } = await loadSession(uploadId, owner);
+  return toUploadStatus(session, offset);
+};
+
+/**
+ * Append a chunk read from `stream` at `offset`, which has to be the number of
+ * bytes received so far. `length` (Content-Length) is checked up front when
+ * known. If the stream breaks off, what arrived is kept and the upload's
+ * offset says where to resume. `onReceived(bytes)` is called with what was
+ * read; if it throws (quota), the chunk is dropped again.
+ */
+export const appendChunk = (uploadId, offset, stream, { length, owner = null, onReceived } = {}) => exclusive(uploadId, async () => {
+  const { session, offset: received } = await loadSession(uploadId, owner);
+
+  if (session.completedAt) {
+    throw new ChunkedUploadError('UPLOAD_CONFLICT', 'Upload has already been completed');
+  }
+  if (offset !== received) {
+    throw offsetConflict(`Chunk starts at byte ${offset}, but ${received} bytes have been received`, received);
+  }
+
+  const maxBytes = Math.min(config.chunkedUpload.maxChunkSize, session.size - received);
+  const tooLarge = () => new LimitExceededError(
+    `Chunk is larger than the ${maxBytes} bytes allowed here (maxChunkSize, or what is left of the upload)`
+  );
+  if (length > maxBytes) throw tooLarge();
+
+  let written = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      if (written > maxBytes) return callback(tooLarge());
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(stream, limit, fs.createWriteStream(dataPath(uploadId), { flags: 'a' }));
+  } finally {
+    session.updatedAt = new Date().toISOString();
+    await saveSession(session);
+
+    if (onReceived) {
+      try {
+        await onReceived(written);
+      } catch (error) {
+        await fs.promises.truncate(dataPath(uploadId), received);
+        throw error;
+      }
+    }
+  }
+
+  const { size: next } = await fs.promises.stat(dataPath(uploadId));
+  return toUploadStatus(session, next);
+});
+
+/**
+ * Finish an upload: every byte must have arrived and their SHA-256 must equal
+ * `checksum` (hex). The file is then inspected like any upload
+ * (services/inspectionService.js); a file that fails is discarded.
+ * Completing again with the same checksum returns the same result.
+ */
+export const completeUpload = (uploadId, { checksum, owner = null } = {}) => exclusive(uploadId, async () => {
+  const { session, offset } = await loadSession(uploadId, owner);
+  const expected = String(checksum).toLowerCase();
+  const mismatch = (actual) => new ChunkedUploadError(
+    'CHECKSUM_MISMATCH',
+    `The upload's SHA-256 is ${actual}, not ${expected}`,
+    [{ in: 'body', field: 'checksum', message: 'does not match the bytes received' }]
+  );
+
+  if (session.completedAt) {
+    if (session.sha256 !== expected) throw mismatch(session.sha256);
+    return toUploadStatus(session, offset);
+  }
+  if (offset < session.size) {
+    throw offsetConflict(`Only ${offset} of ${session.size} bytes have been received`, offset);
+  }
+
+  const sha256 = await hashFile(dataPath(uploadId));
+  if (sha256 !== expected) throw mismatch(sha256);
+
+  // Read from disk as far as each check needs; sanitized SVGs replace what was sent
+  let inspected;
+  try {
+    inspected = await inspectFile(dataPath(uploadId), { declaredType: session.mimeType, field: 'file' });
+  } catch (error) {
+    await removeUploadFiles(uploadId);
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  Object.assign(session, {
+    size: inspected.size,
+    mimeType: inspected.mimeType,
+    format: inspected.format,
+    sha256,
+    completedAt: now,
+    updatedAt: now,
+  });
+  await saveSession(session);
+
+  logger.info('Chunked upload completed', { uploadId, size: session.size, format: session.format });
+  return toUploadStatus(session, session.size);
+});
+
+/**
+ * A completed upload as input to a processing endpoint:
+ * { path, filename, mimeType, size }. Each use keeps it for another ttlMs.
+ */
+export const openUpload = async (uploadId, { owner = null } = {}) => {
+  const { session } = await loadSession(uploadId, owner);
+  if (!session.completedAt) {
+    throw new ChunkedUploadError('UPLOAD_CONFLICT', `Upload ${uploadId} has not been completed`);
+  }
+
+  session.updatedAt = new Date().toISOString();
+  await saveSession(session);
+
+  return {
+    path: dataPath(uploadId),
+    filename: session.filename,
+    mimeType: session.mimeType,
+    size: session.size,
+  };
+};
+
+/**
+ * Abandon or discard an upload
+ */
+export const deleteUpload = (uploadId, { owner = null } = {}) => exclusive(uploadId, async () => {
+  await loadSession(uploadId, owner);
+  await removeUploadFiles(uploadId);
+  logger.debug('Chunked upload deleted', { uploadId });
+});
+
+/**
+ * Remove uploads untouched for CHUNKED_UPLOAD_TTL_MS, finished or not
+ * (called by cleanupOldFiles). Every chunk and use rewrites the session, so
+ * the newest modification time of an upload's files is its last activity.
+ */
+export const cleanupExpiredUploads = () => {
+  if (!fs.existsSync(chunkedDir)) return;
+
+  const lastActivity = new Map();
+  fs.readdirSync(chunkedDir).forEach((file) => {
+    const uploadId = path.parse(file).name;
+    const { mtimeMs } = fs.statSync(path.join(chunkedDir, file));
+    lastActivity.set(uploadId, Math.max(lastActivity.get(uploadId) || 0, mtimeMs));
+  });
+
+  const expiredBefore = Date.now() - config.chunkedUpload.ttlMs;
+  lastActivity.forEach((mtimeMs, uploadId) => {
+    if (mtimeMs >= expiredBefore || busy.has(uploadId)) return;
+
+    fs.rmSync(sessionPath(uploadId), { force: true });
+    fs.rmSync(dataPath(uploadId), { force: true });
+    logger.debug('Cleaned up expired chunked upload', { uploadId });
+  });
+};
+
+export default {
+  toUploadStatus,
+  createUpload,
+  getUpload,
+  appendChunk,
+  completeUpload,
+  openUpload,
+  deleteUpload,
+  cleanupExpiredUploads,
+};
@@ -1,5 +1,8 @@
 import { v2 as cloudinary } from 'cloudinary';
 import config from '../config/index.js';
+import { timed } from '../utils/timing.js';
+import { cloudinaryUploadFailures } from '../utils/metrics.js';
+import { ValidationError, ProviderQuotaError, ProviderUnavailableError } from '../utils/errors.js';
 
 // Configure Cloudinary
 cloudinary.config({
@@ -8,13 +11,55 @@ cloudinary.config({
   api_secret: config.cloudinary.apiSecret,
 });
 
-// Store for tracking downloads (in production, use Redis or database)
-const downloadTracker = new Map();
+// Folders the tools upload into. Everything in them is a retained result,
+// so the reaper may delete whatever the retention store does not know about.
+export const TOOL_FOLDERS = [
+  'magicpixels/bg-removed',
+  'magicpixels/bg-replaced',
+  'magicpixels/enhanced',
+  'magicpixels/upscaled',
+  'magicpixels/gen-fill',
+  'magicpixels/gen-remove',
+  'magicpixels/gen-recolor',
+  'magicpixels/artistic',
+  'magicpixels/smart-crop',
+  'magicpixels/face-blur',
+  'magicpixels/face-pixelate',
+  'magicpixels/color-adjusted',
+  'magicpixels/auto-improved',
+];
+
+/**
+ * The typed error for a failed Cloudinary call. Cloudinary puts the HTTP
+ * status in `http_code`: 400 is a problem with what we sent, 420 and 429 are
+ * its rate limits.
+ */
+const cloudinaryError = (action, error) => {
+  const message = `${action}: ${error.message}`;
+  if (error.http_code === 400) return new ValidationError(message);
+  if (error.http_code === 420 || error.http_code === 429) {
+    return new ProviderQuotaError('cloudinary', message, { cause: error });
+  }
+  return new ProviderUnavailableError('cloudinary', message, { cause: error });
+};
+
+/**
+ * Wrap a tool's upload-and-transform call: timed as the upload stage, with
+ * failures counted per operation
+ */
+const cloudinaryUpload = (operation, fn) => timed('upload', operation, async (...args) => {
+  try {
+    return await fn(...args);
+  } catch (error) {
+    cloudinaryUploadFailures.inc({ operation });
+    throw error;
+  }
+});
 
 /**
  * Upload image to Cloudinary with automatic enhancement
  */
-export const uploadWithEnhancement = async (buffer, options = {}) => {
+export const uploadWithEnhancement = cloudinaryUpload('uploadWithEnhancement', async (buffer, options = {}) => {
   return new Promise((resolve, reject) => {
     const uploadOptions = {
       folder: 'magicpixels',
@@ -30,26 +75,18 @@ export const uploadWithEnhancement = async (buffer, options = {}) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       uploadOptions,
       (error, result) => {
-        if (error) reject(new Error(`Upload failed: ${error.message}`));
-        else {
-          // Initialize download tracker for this file
-          downloadTracker.set(result.public_id, {
-            downloads: 0,
-            maxDownloads: 3,
-            createdAt: new Date(),
-          });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Upload failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Remove background using Cloudinary AI - outputs transparent PNG
  */
-export const removeBackgroundAI = async (buffer, options = {}) => {
+export const removeBackgroundAI = cloudinaryUpload('removeBackgroundAI', async (buffer, options = {}) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -64,21 +101,18 @@ export const removeBackgroundAI = async (buffer, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Background removal failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Background removal failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Replace background with color or image
  */
-export const replaceBackground = async (buffer, backgroundColor, options = {}) => {
+export const replaceBackground = cloudinaryUpload('replaceBackground', async (buffer, backgroundColor, options = {}) => {
   return new Promise((resolve, reject) => {
     const transformations = [
       { effect: 'background_removal' },
@@ -94,21 +128,18 @@ export const replaceBackground = async (buffer, backgroundColor, options = {}) =
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Background replacement failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Background replacement failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * AI Enhance - Improve image quality automatically
  */
-export const aiEnhance = async (buffer, options = {}) => {
+export const aiEnhance = cloudinaryUpload('aiEnhance', async (buffer, options = {}) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -121,21 +152,18 @@ export const aiEnhance = async (buffer, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Enhancement failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Enhancement failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Upscale image using AI
  */
-export const upscaleImage = async (buffer, scale = 2, options = {}) => {
+export const upscaleImage = cloudinaryUpload('upscaleImage', async (buffer, scale = 2, options = {}) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -148,21 +176,18 @@ export const upscaleImage = async (buffer, scale = 2, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Upscale failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Upscale failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Generative Fill - Extend image with AI-generated content
  */
-export const generativeFill = async (buffer, options = {}) => {
+export const generativeFill = cloudinaryUpload('generativeFill', async (buffer, options = {}) => {
   const { width, height, gravity = 'center' } = options;
   
   return new Promise((resolve, reject) => {
@@ -185,21 +210,18 @@ export const generativeFill = async (buffer, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Generative fill failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Generative fill failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Generative Remove - Remove objects from image
  */
-export const generativeRemove = async (buffer, prompt, options = {}) => {
+export const generativeRemove = cloudinaryUpload('generativeRemove', async (buffer, prompt, options = {}) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -212,21 +234,18 @@ export const generativeRemove = async (buffer, prompt, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Generative remove failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Generative remove failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Generative Recolor - Recolor objects in image
  */
-export const generativeRecolor = async (buffer, prompt, toColor, options = {}) => {
+export const generativeRecolor = cloudinaryUpload('generativeRecolor', async (buffer, prompt, toColor, options = {}) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -239,21 +258,18 @@ export const generativeRecolor = async (buffer, prompt, toColor, options = {}) =
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Generative recolor failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Generative recolor failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Apply artistic filters
  */
-export const applyArtisticFilter = async (buffer, filter, options = {}) => {
+export const applyArtisticFilter = cloudinaryUpload('applyArtisticFilter', async (buffer, filter, options = {}) => {
   const filters = {
     'al_dente': 'al_dente',
     'athena': 'athena',
@@ -292,21 +308,18 @@ export const applyArtisticFilter = async (buffer, filter, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Filter failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Filter failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Smart crop with face/object detection
  */
-export const smartCrop = async (buffer, options = {}) => {
+export const smartCrop = cloudinaryUpload('smartCrop', async (buffer, options = {}) => {
   const { width, height, gravity = 'auto' } = options;
 
   return new Promise((resolve, reject) => {
@@ -326,21 +339,18 @@ export const smartCrop = async (buffer, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Smart crop failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Smart crop failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Face blur for privacy
  */
-export const blurFaces = async (buffer, options = {}) => {
+export const blurFaces = cloudinaryUpload('blurFaces', async (buffer, options = {}) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -353,21 +363,18 @@ export const blurFaces = async (buffer, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Face blur failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Face blur failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Pixelate faces for privacy
  */
-export const pixelateFaces = async (buffer, options = {}) => {
+export const pixelateFaces = cloudinaryUpload('pixelateFaces', async (buffer, options = {}) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -380,21 +387,18 @@ export const pixelateFaces = async (buffer, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Face pixelate failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Face pixelate failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Color adjustments
  */
-export const adjustColors = async (buffer, adjustments = {}, options = {}) => {
+export const adjustColors = cloudinaryUpload('adjustColors', async (buffer, adjustments = {}, options = {}) => {
   const { brightness, contrast, saturation, hue, gamma } = adjustments;
   const transformations = [];
 
@@ -415,21 +419,18 @@ export const adjustColors = async (buffer, adjustments = {}, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Color adjustment failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Color adjustment failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
  * Auto-improve image (auto color, brightness, contrast)
  */
-export const autoImprove = async (buffer, options = {}) => {
+export const autoImprove = cloudinaryUpload('autoImprove', async (buffer, options = {}) => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -442,79 +443,58 @@ export const autoImprove = async (buffer, options = {}) => {
         ...options,
       },
       (error, result) => {
-        if (error) reject(new Error(`Auto improve failed: ${error.message}`));
-        else {
-          downloadTracker.set(result.public_id, { downloads: 0, maxDownloads: 3, createdAt: new Date() });
-          resolve(result);
-        }
+        if (error) reject(cloudinaryError('Auto improve failed', error));
+        else resolve(result);
       }
     );
     uploadStream.end(buffer);
   });
-};
+});
 
 /**
- * Track download and check if allowed
+ * Delete file from Cloudinary
  */
-export const trackDownload = async (publicId) => {
-  const tracker = downloadTracker.get(publicId);
-  
-  if (!tracker) {
-    return { allowed: false, error: 'File not found or already deleted', remaining: 0 };
-  }
-
-  if (tracker.downloads >= tracker.maxDownloads) {
-    // Delete the file from Cloudinary
-    await deleteFile(publicId);
-    downloadTracker.delete(publicId);
-    return { allowed: false, error: 'Download limit reached. File has been deleted.', remaining: 0 };
-  }
-
-  tracker.downloads++;
-  const remaining = tracker.maxDownloads - tracker.downloads;
-  
-  // If this was the last download, schedule deletion
-  if (tracker.downloads >= tracker.maxDownloads) {
-    setTimeout(async () => {
-      try {
-        await deleteFile(publicId);
-        downloadTracker.delete(publicId);
-      } catch (e) {
-        console.error('Auto-delete failed:', e);
-      }
-    }, 5000); // Delete after 5 seconds
+export const deleteFile = async (publicId) => {
+  try {
+    return await cloudinary.uploader.destroy(publicId);
+  } catch (error) {
+    throw cloudinaryError('Delete failed', error);
   }
-
-  return { allowed: true, remaining, downloads: tracker.downloads };
 };
 
 /**
- * Get download status
+ * List every image under a Cloudinary folder, following pagination.
+ * Needs the Admin API, so API credentials must be configured.
  */
-export const getDownloadStatus = (publicId) => {
-  const tracker = downloadTracker.get(publicId);
-  if (!tracker) {
-    return { exists: false, downloads: 0, remaining: 0 };
-  }
-  return {
-    exists: true,
-    downloads: tracker.downloads,
-    remaining: tracker.maxDownloads - tracker.downloads,
-    maxDownloads: tracker.maxDownloads,
-  };
+export const listFolder = async (folder) => {
+  const resources = [];
+  let cursor;
+  do {
+    const page = await cloudinary.api.resources({
+      type: 'upload',
+      resource_type: 'image',
+      prefix: `${folder}/`,
+      max_results: 500,
+      ...(cursor && { next_cursor: cursor }),
+    });
+    resources.push(...page.resources);
+    cursor = page.next_cursor;
+  } while (cursor);
+  return resources;
 };
 
 /**
- * Delete file from Cloudinary
+ * Fetch the bytes of a processed asset from its delivery URL
  */
-export const deleteFile = async (publicId) => {
-  try {
-    const result = await cloudinary.uploader.destroy(publicId);
-    downloadTracker.delete(publicId);
-    return result;
-  } catch (error) {
-    throw new Error(`Delete failed: ${error.message}`);
+export const fetchAssetBuffer = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new ProviderUnavailableError(
+      'cloudinary',
+      `Failed to fetch processed asset: ${response.status} ${response.statusText}`
+    );
   }
+  return Buffer.from(await response.arrayBuffer());
 };
 
 /**
@@ -577,9 +557,10 @@ export default {
   pixelateFaces,
   adjustColors,
   autoImprove,
-  trackDownload,
-  getDownloadStatus,
+  TOOL_FOLDERS,
   deleteFile,
+  listFolder,
+  fetchAssetBuffer,
   getDownloadUrl,
   getArtisticFilters,
 };
@@ -0,0 +1,221 @@
+import sharp from 'sharp';
+import { timed } from '../utils/timing.js';
+
+export const COLOR_SPACES = ['rgb', 'lab'];
+export const KEY_MODES = ['global', 'flood'];
+
+// Largest possible distance in each space, used to clamp tolerances
+export const MAX_TOLERANCE = {
+  rgb: 442, // sqrt(3 * 255^2)
+  lab: 100,
+};
+
+/**
+ * Parse "#rgb" / "#rrggbb" into { r, g, b }, or null if it is not a hex color
+ */
+export const parseHexColor = (value) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) return null;
+
+  const hex = match[1].length === 3
+    ? match[1].split('').map((c) => c + c).join('')
+    : match[1];
+
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16),
+  };
+};
+
+// sRGB channel value -> linear light, precomputed for every 8-bit value
+const SRGB_TO_LINEAR = Float64Array.from({ length: 256 }, (_, value) => {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+
+const labF = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+
+/**
+ * Convert an 8-bit sRGB color to CIE Lab (D65 white point)
+ */
+const rgbToLab = (r, g, b) => {
+  const lr = SRGB_TO_LINEAR[r];
+  const lg = SRGB_TO_LINEAR[g];
+  const lb = SRGB_TO_LINEAR[b];
+
+  const fx = labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047);
+  const fy = labF(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+  const fz = labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+/**
+ * Build a function giving each pixel's distance to the key color:
+ * Euclidean RGB distance, or CIE76 ΔE in Lab
+ */
+const createDistance = (key, colorSpace) => {
+  if (colorSpace === 'lab') {
+    const [kl, ka, kb] = rgbToLab(key.r, key.g, key.b);
+    return (r, g, b) => {
+      const [l, a, bb] = rgbToLab(r, g, b);
+      return Math.hypot(l - kl, a - ka, bb - kb);
+    };
+  }
+  return (r, g, b) => Math.hypot(r - key.r, g - key.g, b - key.b);
+};
+
+/**
+ * Mark every pixel within tolerance that is connected to an image corner
+ */
+const floodFromCorners = (matches, width, height) => {
+  const keyed = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  let top = 0;
+
+  for (const start of [0, width - 1, (height - 1) * width, height * width - 1]) {
+    if (matches[start] && !keyed[start]) {
+      keyed[start] = 1;
+      stack[top++] = start;
+    }
+  }
+
+  while (top > 0) {
+    const index = stack[--top];
+    const x = index % width;
+    const neighbours = [
+      x > 0 ? index - 1 : -1,
+      x < width - 1 ? index + 1 : -1,
+      index - width,
+      index + width,
+    ];
+    for (const next of neighbours) {
+      if (next >= 0 && next < keyed.length && matches[next] && !keyed[next]) {
+        keyed[next] = 1;
+        stack[top++] = next;
+      }
+    }
+  }
+
+  return keyed;
+};
+
+/**
+ * Edge pixels next to the keyed area are partly backdrop. Estimate how much of
+ * each is subject from its distance to the key (the band between tolerance and
+ * twice the tolerance), take the key color back out and fade it by that share.
+ */
+const despillEdges = (data, { keyed, distances, mask, width, height, targetColor, tolerance }) => {
+  const key = [targetColor.r, targetColor.g, targetColor.b];
+
+  for (let i = 0; i < keyed.length; i++) {
+    if (keyed[i]) continue;
+
+    const x = i % width;
+    const y = Math.floor(i / width);
+    const isEdge = (x > 0 && keyed[i - 1]) ||
+      (x < width - 1 && keyed[i + 1]) ||
+      (y > 0 && keyed[i - width]) ||
+      (y < height - 1 && keyed[i + width]);
+    if (!isEdge) continue;
+
+    const share = tolerance > 0 ? Math.min(1, (distances[i] - tolerance) / tolerance) : 1;
+    if (share <= 0 || share >= 1) continue;
+
+    const offset = i * 4;
+    for (let channel = 0; channel < 3; channel++) {
+      const value = (data[offset + channel] - (1 - share) * key[channel]) / share;
+      data[offset + channel] = Math.min(255, Math.max(0, Math.round(value)));
+    }
+    mask[i] = Math.round(mask[i] * share);
+  }
+};
+
+/**
+ * Make pixels close to a key color transparent.
+ * - tolerance: max distance still keyed out (RGB units, or ΔE for lab)
+ * - mode: 'global' keys every match, 'flood' only matches connected to a corner
+ * - feather: blur radius in pixels for a soft cut-out edge
+ * - despill: remove the key color bleeding into the subject's edge pixels
+ */
+export const applyColorKey = timed('transform', 'applyColorKey', async (buffer, options = {}) => {
+  const {
+    targetColor = { r: 255, g: 255, b: 255 },
+    tolerance = 30,
+    colorSpace = 'rgb',
+    mode = 'global',
+    feather = 0,
+    despill = false,
+  } = options;
+
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .toColourspace('srgb')
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const pixelCount = width * height;
+  const distance = createDistance(targetColor, colorSpace);
+
+  // Pixels within tolerance of the key (already transparent ones don't count)
+  const distances = new Float32Array(pixelCount);
+  const matches = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    const offset = i * 4;
+    distances[i] = distance(data[offset], data[offset + 1], data[offset + 2]);
+    matches[i] = data[offset + 3] > 0 && distances[i] <= tolerance ? 1 : 0;
+  }
+
+  const keyed = mode === 'flood' ? floodFromCorners(matches, width, height) : matches;
+
+  // Coverage mask: 255 keeps the pixel, 0 removes it
+  const mask = Buffer.alloc(pixelCount);
+  let keyedCount = 0;
+  for (let i = 0; i < pixelCount; i++) {
+    mask[i] = keyed[i] ? 0 : 255;
+    keyedCount += keyed[i];
+  }
+
+  // Feather inwards only, so no halo of the backdrop is brought back
+  if (feather > 0 && keyedCount > 0) {
+    const blurred = await sharp(mask, { raw: { width, height, channels: 1 } })
+      .blur(Math.max(feather, 0.3))
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+    for (let i = 0; i < pixelCount; i++) {
+      mask[i] = Math.min(mask[i], blurred[i]);
+    }
+  }
+
+  if (despill && keyedCount > 0) {
+    despillEdges(data, { keyed, distances, mask, width, height, targetColor, tolerance });
+  }
+
+  for (let i = 0; i < pixelCount; i++) {
+    data[i * 4 + 3] = Math.round(data[i * 4 + 3] * (mask[i] / 255));
+  }
+
+  const output = await sharp(data, { raw: { width, height, channels: 4 } })
+    .png()
+    .toBuffer();
+
+  return {
+    buffer: output,
+    width,
+    height,
+    keyedPixels: keyedCount,
+    keyedPercent: Math.round((keyedCount / pixelCount) * 10000) / 100,
+  };
+});
+
+export default {
+  COLOR_SPACES,
+  KEY_MODES,
+  MAX_TOLERANCE,
+  parseHexColor,
+  applyColorKey,
+};
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { getRetentionStore, getRetainedResult, toRetentionStatus, recordDownload } from './retention/index.js';
+import logger from '../utils/logger.js';
+import { ValidationError, NotFoundError, GoneError } from '../utils/errors.js';
+
+// Formats Cloudinary images can be converted to on download
+export const DOWNLOAD_FORMATS = ['png', 'jpg', 'jpeg', 'webp', 'avif', 'gif'];
+
+// Most downloads one link may allow when the file itself has no limit
+const MAX_LINK_DOWNLOADS = 1000;
+
+let fallbackSecret = null;
+
+const getSigningSecret = () => {
+  if (config.downloads.signingSecret) return config.downloads.signingSecret;
+
+  if (!fallbackSecret) {
+    logger.warn('DOWNLOAD_SIGNING_SECRET is not set: download links stop working on restart and on other instances');
+    fallbackSecret = crypto.randomBytes(32);
+  }
+  return fallbackSecret;
+};
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+};
+
+// Optional positive integer option; undefined when not given
+const parseLimit = (value, name, max) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new ValidationError(`${name} must be a whole number from 1 to ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Issue a signed download link for a retained file. The link works until it
+ * expires (`ttlSeconds`, never past the file's own expiry) or has been used
+ * `maxDownloads` times; each use also counts against the file's downloads.
+ * `format` converts Cloudinary images on the way out; other files are sent as stored.
+ * Returns { token, format, maxDownloads, expiresAt, file } where file is the
+ * file's retention status.
+ */
+export const createDownloadLink = async (publicId, options = {}) => {
+  const { owner = null } = options;
+
+  const record = await getRetainedResult(publicId, { owner });
+  const status = toRetentionStatus(record);
+  if (!record || status.remaining === 0) {
+    throw new NotFoundError('File not found or already deleted');
+  }
+
+  let format = null;
+  if (record.storage === 'cloudinary' && record.resourceType === 'image') {
+    format = String(options.format || 'png').toLowerCase();
+    if (!DOWNLOAD_FORMATS.includes(format)) {
+      throw new ValidationError(`Invalid format "${options.format}". Supported formats: ${DOWNLOAD_FORMATS.join(', ')}`);
+    }
+  }
+
+  const ttlSeconds = parseLimit(options.ttlSeconds, 'ttl', Math.floor(config.downloads.maxLinkTtlMs / 1000));
+  const maxDownloads = parseLimit(options.maxDownloads, 'maxDownloads', status.remaining ?? MAX_LINK_DOWNLOADS) || 1;
+
+  const expiresAt = Math.min(
+    Date.now() + (ttlSeconds ? ttlSeconds * 1000 : config.downloads.linkTtlMs),
+    record.expiresAt ?? Infinity
+  );
+
+  const link = {
+    id: uuidv4(),
+    publicId,
+    owner,
+    format,
+    downloads: 0,
+    maxDownloads,
+    expiresAt,
+  };
+  await getRetentionStore().createLink(link);
+
+  const payload = `${link.id}.${expiresAt.toString(36)}`;
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    format,
+    maxDownloads,
+    expiresAt: new Date(expiresAt).toISOString(),
+    file: status,
+  };
+};
+
+/**
+ * Check a link token and count one download through it, on the link and on
+ * the file. Returns { publicId, format, remaining, download } where remaining
+ * is the downloads left on the link and download is the file's recorded
+ * download (see retention recordDownload).
+ * Throws errors with a statusCode: 404 for unknown or tampered tokens,
+ * 410 for expired or used-up links and deleted files.
+ */
+export const redeemDownloadLink = async (token) => {
+  const [id, expiresText, signature] = String(token).split('.');
+  const payload = `${id}.${expiresText}`;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature || '');
+  if (!id || !expiresText || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new NotFoundError('Download link is invalid');
+  }
+
+  const now = Date.now();
+  if (parseInt(expiresText, 36) <= now) {
+    throw new GoneError('Download link has expired');
+  }
+
+  const link = await getRetentionStore().useLink(id, now);
+  if (!link) {
+    throw new GoneError('Download link has expired or been used up');
+  }
+
+  const download = await recordDownload(link.publicId, { owner: link.owner });
+  if (!download.allowed) {
+    throw new GoneError(download.error);
+  }
+
+  return {
+    publicId: link.publicId,
+    format: link.format,
+    remaining: link.maxDownloads - link.downloads,
+    download,
+  };
+};
+
+/**
+ * Describe an issued link for API responses
+ */
+export const describeDownloadLink = (link, downloadUrl) => ({
+  downloadUrl,
+  expiresAt: link.expiresAt,
+  maxDownloads: link.maxDownloads,
+  remaining: link.file.remaining,
+  downloads: link.file.downloads,
+  message: `Link works for ${link.maxDownloads} download(s) until ${link.expiresAt}. `
+    + (link.file.remaining === null
+      ? 'This file has no download limit'
+      : `${link.file.remaining} download(s) left for this file`),
+});
+
+export default {
+  DOWNLOAD_FORMATS,
+  createDownloadLink,
+  redeemDownloadLink,
+  describeDownloadLink,
+};
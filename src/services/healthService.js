@@ -0,0 +1,200 @@
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import config, { configWarnings, configFile } from '../config/index.js';
+import { getRedisClient } from '../config/redis.js';
+import { getCurrentModelName, getAvailableModels } from '../config/gemini.js';
+import { getStorage } from './storage/index.js';
+import { getRetentionStore } from './retention/index.js';
+
+// Worst first; a report takes the worst status of its components
+// (a feature that is turned off reports 'disabled', which counts as neither)
+const STATUSES = ['fail', 'degraded', 'ok'];
+
+// Formats the API cannot work without, and ones only some routes need
+const REQUIRED_FORMATS = ['jpeg', 'png', 'webp'];
+const OPTIONAL_FORMATS = ['gif', 'tiff', 'heif', 'svg'];
+
+const GEMINI_MODELS_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const worstStatus = (statuses) => STATUSES.find((status) => statuses.includes(status)) || 'ok';
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * The configuration was validated at startup (config/loader.js); what is
+ * left to report is which features are on and why some are not
+ */
+const checkConfig = async () => ({
+  status: configWarnings.length > 0 ? 'degraded' : 'ok',
+  features: config.features,
+  ...(configFile && { file: configFile }),
+  warnings: configWarnings,
+});
+
+/**
+ * Multer writes disk uploads here
+ */
+const checkUploadsDir = async () => {
+  const directory = path.join(process.cwd(), 'uploads');
+  const probe = path.join(directory, `.health-${process.pid}`);
+
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(probe, '');
+  await fs.unlink(probe);
+  return { status: 'ok', directory };
+};
+
+/**
+ * libvips version and which formats it was built with
+ */
+const checkSharp = async () => {
+  const supports = (format) => Boolean(sharp.format[format]?.input.buffer);
+  const formats = Object.fromEntries([...REQUIRED_FORMATS, ...OPTIONAL_FORMATS].map((format) => [format, {
+    input: supports(format),
+    output: Boolean(sharp.format[format]?.output.buffer),
+  }]));
+
+  const missingRequired = REQUIRED_FORMATS.filter((format) => !formats[format].input || !formats[format].output);
+  const missingOptional = OPTIONAL_FORMATS.filter((format) => !formats[format].input);
+
+  // Decode and encode for real, so a broken native install shows up here
+  await sharp({ create: { width: 1, height: 1, channels: 3, background: '#000' } }).png().toBuffer();
+
+  return {
+    status: missingRequired.length > 0 ? 'fail' : missingOptional.length > 0 ? 'degraded' : 'ok',
+    ...(missingRequired.length > 0 && { message: `Missing required formats: ${missingRequired.join(', ')}` }),
+    ...(missingRequired.length === 0 && missingOptional.length > 0 && {
+      message: `Missing optional formats: ${missingOptional.join(', ')}`,
+    }),
+    versions: { sharp: sharp.versions.sharp, vips: sharp.versions.vips },
+    formats,
+  };
+};
+
+/**
+ * The configured storage driver can be written to / reached
+ */
+const checkStorage = async () => {
+  const driver = getStorage();
+  const details = await driver.check();
+  return { status: 'ok', driver: driver.name, ...details };
+};
+
+/**
+ * Gemini key validity (listing models costs no quota) and whether requests
+ * are currently on a fallback model. Reports disabled when AI features are off.
+ */
+const checkAi = async () => {
+  if (!config.features.ai) {
+    return { status: 'disabled' };
+  }
+
+  const response = await fetch(`${GEMINI_MODELS_URL}?pageSize=1`, {
+    headers: { 'x-goog-api-key': config.gemini.apiKey },
+  });
+  if (!response.ok) {
+    return { status: 'degraded', message: `Gemini rejected the API key check: ${response.status} ${response.statusText}` };
+  }
+
+  const model = getCurrentModelName();
+  const onFallback = model !== getAvailableModels()[0];
+  return {
+    status: onFallback ? 'degraded' : 'ok',
+    model,
+    ...(onFallback && { message: 'Running on a fallback model after quota or availability errors' }),
+  };
+};
+
+const usesRedis = () => [
+  config.jobs.backend,
+  config.auth.backend,
+  config.rateLimit.backend,
+  config.webhooks.backend,
+].includes('redis');
+
+const checkRedis = async () => {
+  await getRedisClient().ping();
+  return { status: 'ok' };
+};
+
+const checkRetention = async () => {
+  const files = await getRetentionStore().count();
+  return { status: 'ok', backend: config.retention.backend, files };
+};
+
+/**
+ * Components checked for readiness. A critical component failing makes the
+ * instance not ready; anything else only degrades it.
+ */
+const COMPONENTS = [
+  { name: 'config', critical: true, check: checkConfig },
+  { name: 'uploads', critical: true, check: checkUploadsDir },
+  { name: 'sharp', critical: true, check: checkSharp },
+  { name: 'storage', critical: true, check: checkStorage },
+  { name: 'retention', critical: true, check: checkRetention },
+  { name: 'redis', critical: true, check: checkRedis, enabled: usesRedis },
+  { name: 'ai', critical: false, check: checkAi },
+];
+
+const runCheck = async ({ name, critical, check }) => {
+  const started = Date.now();
+  let result;
+  try {
+    result = await withTimeout(check(), config.health.timeoutMs);
+  } catch (error) {
+    result = { status: 'fail', message: error.message };
+  }
+
+  return {
+    name,
+    critical,
+    ...result,
+    // An optional component that is down leaves the instance usable
+    ...(!critical && result.status === 'fail' && { status: 'degraded' }),
+    durationMs: Date.now() - started,
+  };
+};
+
+let cached = null;
+
+/**
+ * Check every component: { status, checkedAt, components } where status is
+ * ok, degraded (working with reduced features) or fail (not ready).
+ * Results are cached for HEALTH_CHECK_CACHE_MS.
+ */
+export const getReadiness = async () => {
+  if (cached && Date.now() - cached.at < config.health.cacheMs) {
+    return cached.report;
+  }
+
+  const components = await Promise.all(COMPONENTS
+    .filter((component) => !component.enabled || component.enabled())
+    .map(runCheck));
+
+  const report = {
+    status: worstStatus(components.map((component) => component.status)),
+    checkedAt: new Date().toISOString(),
+    components: Object.fromEntries(components.map(({ name, ...component }) => [name, component])),
+  };
+
+  cached = { at: Date.now(), report };
+  return report;
+};
+
+/**
+ * Liveness: the process is up and serving requests
+ */
+export const getLiveness = () => ({
+  status: 'ok',
+  uptimeSeconds: Math.round(process.uptime()),
+  timestamp: new Date().toISOString(),
+});
+
+export default { getReadiness, getLiveness };
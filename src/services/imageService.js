@@ -1,9 +1,13 @@
 import sharp from 'sharp';
+import { parseHexColor } from './colorKeyService.js';
+import { openMask, closeMask } from '../utils/mask.js';
+import { timed } from '../utils/timing.js';
+import { ValidationError } from '../utils/errors.js';
 
 /**
  * Resize an image
  */
-export const resizeImage = async (buffer, options) => {
+export const resizeImage = timed('transform', 'resizeImage', async (buffer, options) => {
   const { width, height, fit = 'cover', format = 'png' } = options;
   
   let sharpInstance = sharp(buffer);
@@ -21,12 +25,12 @@ export const resizeImage = async (buffer, options) => {
   sharpInstance = formatImage(sharpInstance, format, options.quality);
   
   return await sharpInstance.toBuffer();
-};
+});
 
 /**
  * Compress an image
  */
-export const compressImage = async (buffer, options = {}) => {
+export const compressImage = timed('transform', 'compressImage', async (buffer, options = {}) => {
   const { quality = 80, format } = options;
   
   const metadata = await sharp(buffer).metadata();
@@ -36,53 +40,156 @@ export const compressImage = async (buffer, options = {}) => {
   sharpInstance = formatImage(sharpInstance, outputFormat, quality);
   
   return await sharpInstance.toBuffer();
-};
+});
 
 /**
  * Convert image format
  */
-export const convertFormat = async (buffer, targetFormat, options = {}) => {
+export const convertFormat = timed('transform', 'convertFormat', async (buffer, targetFormat, options = {}) => {
   const { quality = 90 } = options;
   
   let sharpInstance = sharp(buffer);
   sharpInstance = formatImage(sharpInstance, targetFormat, quality);
   
   return await sharpInstance.toBuffer();
+});
+
+const NAMED_BACKGROUNDS = {
+  white: { r: 255, g: 255, b: 255 },
+  black: { r: 0, g: 0, b: 0 },
 };
 
 /**
- * Remove background (basic implementation using transparency)
+ * Resolve a background color option: a name, a hex color, or 'auto'.
+ * Returns null for anything else.
  */
-export const removeBackground = async (buffer, options = {}) => {
-  const { threshold = 50, color = 'white' } = options;
-  
-  let sharpInstance = sharp(buffer);
-  
-  // Extract alpha channel or create one
-  const metadata = await sharpInstance.metadata();
-  
-  if (color === 'white') {
-    // Remove white background
-    sharpInstance = sharpInstance
-      .flatten({ background: { r: 255, g: 255, b: 255 } })
-      .removeAlpha()
-      .ensureAlpha();
+export const parseBackgroundColor = (color) => {
+  if (color === 'auto') return 'auto';
+  return NAMED_BACKGROUNDS[String(color).toLowerCase()] || parseHexColor(color);
+};
+
+/**
+ * Estimate the background color from a band of pixels along the image border
+ * (per-channel median, so a subject touching the edge does not skew it).
+ * The median is read from a 256-bin histogram per channel.
+ */
+const sampleBorderColor = (data, width, height, channels) => {
+  const band = Math.max(1, Math.round(Math.min(width, height) * 0.02));
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  let count = 0;
+
+  const addPixel = (x, y) => {
+    const offset = (y * width + x) * channels;
+    for (let c = 0; c < 3; c++) histograms[c][data[offset + c]]++;
+    count++;
+  };
+
+  // Full rows along the top and bottom, then the left and right ends of the rows between
+  const bottom = Math.max(band, height - band);
+  const right = Math.max(band, width - band);
+  for (let y = 0; y < height; y++) {
+    if (y < band || y >= bottom) {
+      for (let x = 0; x < width; x++) addPixel(x, y);
+    } else {
+      for (let x = 0; x < Math.min(band, width); x++) addPixel(x, y);
+      for (let x = right; x < width; x++) addPixel(x, y);
+    }
   }
-  
-  return await sharpInstance.png().toBuffer();
+
+  const [r, g, b] = histograms.map((histogram) => {
+    const middle = Math.floor(count / 2);
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen > middle) return value;
+    }
+    return 255;
+  });
+  return { r, g, b };
 };
 
+/**
+ * Remove background locally: pixels within `threshold` (RGB distance, 0-442)
+ * of the background color become transparent. `color` may be a name, a hex
+ * color or 'auto' to estimate it from the image border. The mask is cleaned
+ * up morphologically and its edge softened before it becomes the alpha channel.
+ * With `includeMask`, returns { buffer, mask, background } instead of the PNG buffer.
+ */
+export const removeBackground = timed('transform', 'removeBackground', async (buffer, options = {}) => {
+  const {
+    threshold = 50,
+    color = 'white',
+    cleanup = 1,
+    feather = 1,
+    includeMask = false,
+  } = options;
+
+  const background = parseBackgroundColor(color);
+  if (!background) {
+    throw new ValidationError(`Invalid background color "${color}". Use a hex color, white, black or auto`);
+  }
+
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .toColourspace('srgb')
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+
+  const key = background === 'auto'
+    ? sampleBorderColor(data, width, height, channels)
+    : background;
+
+  // Thresholded mask: 0 for background, 255 for subject
+  let mask = Buffer.alloc(width * height);
+  for (let i = 0; i < mask.length; i++) {
+    const offset = i * channels;
+    const distance = Math.hypot(data[offset] - key.r, data[offset + 1] - key.g, data[offset + 2] - key.b);
+    mask[i] = distance > threshold ? 255 : 0;
+  }
+
+  // Drop stray specks in the background, then fill pinholes in the subject
+  if (cleanup > 0) {
+    mask = openMask(mask, width, height, cleanup);
+    mask = closeMask(mask, width, height, cleanup);
+  }
+
+  if (feather > 0) {
+    mask = await sharp(mask, { raw: { width, height, channels: 1 } })
+      .blur(Math.max(feather, 0.3))
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+  }
+
+  for (let i = 0; i < mask.length; i++) {
+    const offset = i * channels + 3;
+    data[offset] = Math.round(data[offset] * (mask[i] / 255));
+  }
+
+  const output = await sharp(data, { raw: { width, height, channels } }).png().toBuffer();
+
+  if (!includeMask) return output;
+
+  return {
+    buffer: output,
+    mask: await sharp(mask, { raw: { width, height, channels: 1 } }).toColourspace('b-w').png().toBuffer(),
+    background: key,
+  };
+});
+
 /**
  * Get image metadata
  */
-export const getImageMetadata = async (buffer) => {
+export const getImageMetadata = timed('decode', 'getImageMetadata', async (buffer) => {
   return await sharp(buffer).metadata();
-};
+});
 
 /**
  * Apply image enhancements
  */
-export const enhanceImage = async (buffer, options = {}) => {
+export const enhanceImage = timed('transform', 'enhanceImage', async (buffer, options = {}) => {
   const {
     brightness = 1,
     saturation = 1,
@@ -119,12 +226,12 @@ export const enhanceImage = async (buffer, options = {}) => {
   }
   
   return await sharpInstance.toBuffer();
-};
+});
 
 /**
  * Crop image
  */
-export const cropImage = async (buffer, options) => {
+export const cropImage = timed('transform', 'cropImage', async (buffer, options) => {
   const { left, top, width, height } = options;
   
   return await sharp(buffer)
@@ -135,23 +242,23 @@ export const cropImage = async (buffer, options) => {
       height: parseInt(height),
     })
     .toBuffer();
-};
+});
 
 /**
  * Rotate image
  */
-export const rotateImage = async (buffer, angle, options = {}) => {
+export const rotateImage = timed('transform', 'rotateImage', async (buffer, angle, options = {}) => {
   const { background = { r: 255, g: 255, b: 255, alpha: 0 } } = options;
   
   return await sharp(buffer)
     .rotate(parseInt(angle), { background })
     .toBuffer();
-};
+});
 
 /**
  * Flip image
  */
-export const flipImage = async (buffer, direction = 'vertical') => {
+export const flipImage = timed('transform', 'flipImage', async (buffer, direction = 'vertical') => {
   let sharpInstance = sharp(buffer);
   
   if (direction === 'vertical') {
@@ -161,12 +268,12 @@ export const flipImage = async (buffer, direction = 'vertical') => {
   }
   
   return await sharpInstance.toBuffer();
-};
+});
 
 /**
  * Format image with specific format and quality
  */
-const formatImage = (sharpInstance, format, quality = 90) => {
+export const formatImage = (sharpInstance, format, quality = 90) => {
   const q = parseInt(quality);
   
   switch (format.toLowerCase()) {
@@ -193,9 +300,11 @@ export default {
   compressImage,
   convertFormat,
   removeBackground,
+  parseBackgroundColor,
   getImageMetadata,
   enhanceImage,
   cropImage,
   rotateImage,
   flipImage,
+  formatImage,
 };
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import sharp from 'sharp';
+import config from '../config/index.js';
+import { detectFileType, normalizeMimeType } from '../utils/fileSignatures.js';
+import { sanitizeSvg } from '../utils/svgSanitizer.js';
+import {
+  UnsupportedFormatError, ContentMismatchError, ImageLimitError, LimitExceededError,
+} from '../utils/errors.js';
+import { timeStage } from '../utils/timing.js';
+import logger from '../utils/logger.js';
+
+// Enough of a file to recognise every format detectFileType knows
+const SNIFF_BYTES = 4096;
+
+/**
+ * Check that an image (a buffer or a file path) will not decode into more
+ * than the configured limits allow. Reads the header only, so a decompression
+ * bomb is caught before any pixels are allocated.
+ */
+const checkImageLimits = async (input, field) => {
+  const { maxPixels, maxDimension, maxFrames } = config.upload;
+  const metadata = await sharp(input, { limitInputPixels: false }).metadata();
+
+  const width = metadata.width || 0;
+  const height = metadata.pageHeight || metadata.height || 0;
+  const frames = metadata.pages || 1;
+  const detail = (message) => [{ in: 'body', field, message }];
+
+  if (width > maxDimension || height > maxDimension) {
+    throw new ImageLimitError(
+      'DIMENSION_LIMIT_EXCEEDED',
+      `Image is ${width}x${height}; the largest side allowed is ${maxDimension} pixels`,
+      detail(`must be at most ${maxDimension} pixels wide and high`)
+    );
+  }
+  if (width * height > maxPixels) {
+    throw new ImageLimitError(
+      'PIXEL_LIMIT_EXCEEDED',
+      `Image has ${width * height} pixels; at most ${maxPixels} are allowed`,
+      detail(`must have at most ${maxPixels} pixels`)
+    );
+  }
+  if (frames > maxFrames) {
+    throw new ImageLimitError(
+      'FRAME_LIMIT_EXCEEDED',
+      `Image has ${frames} frames or pages; at most ${maxFrames} are allowed`,
+      detail(`must have at most ${maxFrames} frames`)
+    );
+  }
+};
+
+// The file's real type from its first bytes, if it is allowed and what it was sent as
+const checkFileType = (head, { declaredType, field }) => {
+  const detected = detectFileType(head);
+  const allowed = config.upload.allowedMimeTypes.map(normalizeMimeType);
+
+  if (!detected || !allowed.includes(detected.mimeType)) {
+    throw new UnsupportedFormatError(
+      detected
+        ? `${detected.format.toUpperCase()} files are not accepted`
+        : 'The file content is not a supported image or PDF format',
+      { details: [{ in: 'body', field, message: `must be one of: ${allowed.join(', ')}` }] }
+    );
+  }
+
+  const declared = normalizeMimeType(declaredType);
+  if (declared && declared !== 'application/octet-stream' && declared !== detected.mimeType) {
+    throw new ContentMismatchError(
+      `The file was sent as ${declared} but its content is ${detected.mimeType}`,
+      [{ in: 'body', field, message: `content is ${detected.mimeType}, not ${declared}` }]
+    );
+  }
+  return detected;
+};
+
+/**
+ * Inspect an uploaded file before anything processes it:
+ * - detect its real format from its magic bytes and refuse formats that are
+ *   not allowed (UNSUPPORTED_FORMAT) or differ from the declared type
+ *   (CONTENT_MISMATCH)
+ * - sanitize SVGs (scripts, event handlers, external references)
+ * - refuse images over MAX_INPUT_PIXELS, MAX_INPUT_DIMENSION or MAX_INPUT_FRAMES
+ *
+ * `declaredType` may be empty when the client did not say. Returns
+ * { buffer, mimeType, format } where buffer is the sanitized SVG if it changed.
+ */
+export const inspectUpload = async (buffer, { declaredType, field = 'file' } = {}) => {
+  return timeStage('decode', 'inspectUpload', async () => {
+    const detected = checkFileType(buffer, { declaredType, field });
+
+    let inspected = buffer;
+    if (detected.format === 'svg') {
+      const { svg, removed } = sanitizeSvg(buffer.toString('utf8'));
+      if (removed > 0) {
+        logger.warn('Sanitized uploaded SVG', { field, removed });
+        inspected = Buffer.from(svg, 'utf8');
+      }
+    }
+
+    if (detected.format !== 'pdf') {
+      await checkImageLimits(inspected, field);
+    }
+
+    return { buffer: inspected, mimeType: detected.mimeType, format: detected.format };
+  });
+};
+
+const readHead = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * inspectUpload for a file on disk (chunked uploads), without reading it
+ * into memory: the type comes from its first bytes and the limits from the
+ * image header. SVGs are text that has to be sanitized whole, so they may be
+ * at most MAX_FILE_SIZE and are rewritten in place when something is removed.
+ * Returns { mimeType, format, size }.
+ */
+export const inspectFile = async (filePath, { declaredType, field = 'file' } = {}) => {
+  const detected = checkFileType(await readHead(filePath), { declaredType, field });
+  const { size } = await fs.promises.stat(filePath);
+
+  if (detected.format === 'svg') {
+    if (size > config.upload.maxFileSize) {
+      throw new LimitExceededError(`SVG files may be at most ${config.upload.maxFileSize} bytes`, [
+        { in: 'body', field, message: `must be at most ${config.upload.maxFileSize} bytes` },
+      ]);
+    }
+
+    const buffer = await fs.promises.readFile(filePath);
+    const inspected = await inspectUpload(buffer, { declaredType, field });
+    if (inspected.buffer !== buffer) await fs.promises.writeFile(filePath, inspected.buffer);
+    return { mimeType: inspected.mimeType, format: inspected.format, size: inspected.buffer.length };
+  }
+
+  if (detected.format !== 'pdf') {
+    await timeStage('decode', 'inspectFile', () => checkImageLimits(filePath, field));
+  }
+  return { mimeType: detected.mimeType, format: detected.format, size };
+};
+
+export default { inspectUpload, inspectFile };
@@ -0,0 +1,390 @@
+import { v4 as uuidv4 } from 'uuid';
+import config from '../../config/index.js';
+import { getRedisClient } from '../../config/redis.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createRedisStore } from './redisStore.js';
+import { scheduleWebhook } from '../webhooks/index.js';
+import { buildArchive, storeArchive } from '../archiveService.js';
+import { detachContext, runWithContext } from '../../utils/requestContext.js';
+import logger from '../../utils/logger.js';
+
+// How long an idle worker waits on the queue before checking again
+const DEQUEUE_TIMEOUT_MS = 5000;
+
+// Job types register how to process one item and how to summarize the results
+const jobTypes = new Map();
+
+let store = null;
+let workersStarted = false;
+
+/**
+ * Get the configured job store (created on first use)
+ */
+export const getJobStore = () => {
+  if (!store) {
+    if (config.jobs.backend === 'redis') {
+      store = createRedisStore({
+        client: getRedisClient(),
+        keyPrefix: config.redis.keyPrefix,
+        ttlMs: config.jobs.ttlMs,
+      });
+    } else if (config.jobs.backend === 'memory') {
+      store = createMemoryStore({ ttlMs: config.jobs.ttlMs });
+    } else {
+      throw new Error(`Unknown jobs backend "${config.jobs.backend}". Supported backends: memory, redis`);
+    }
+  }
+  return store;
+};
+
+/**
+ * Use a specific store instead of the configured one (e.g. a local Redis stand-in)
+ */
+export const setJobStore = (customStore) => {
+  store = customStore;
+};
+
+/**
+ * Register a job type.
+ * - processItem(spec, { inputs, params, context }) returns one item's result
+ * - setup({ inputs, params }) optionally prepares a context shared by all items
+ * - summarize(results, params) optionally shapes the final result
+ * - createFile(spec, { inputs, params, context }) optionally returns the item's
+ *   file as { filename, buffer, format, info }; types with it support ZIP output
+ */
+export const registerJobType = (type, definition) => {
+  if (typeof definition.processItem !== 'function') {
+    throw new Error(`Job type "${type}" must define processItem`);
+  }
+  jobTypes.set(type, definition);
+};
+
+const getJobType = (type) => {
+  const definition = jobTypes.get(type);
+  if (!definition) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  return definition;
+};
+
+const summarizeResults = (definition, results, params) => {
+  return definition.summarize ? definition.summarize(results, params) : { data: results };
+};
+
+/**
+ * Check whether a job type can deliver its items as one ZIP archive
+ */
+export const supportsArchive = (type) => {
+  return typeof getJobType(type).createFile === 'function';
+};
+
+const isArchiveJob = (params) => params.output === 'zip';
+
+// What an archive item reports while the job runs; the bytes stay in the worker
+const describeFile = (file) => ({
+  ...file.info,
+  filename: file.filename,
+  format: file.format,
+  size: file.buffer.length,
+});
+
+/**
+ * Run a job inside the current request, all items in parallel.
+ * Any failing item fails the whole run, like the synchronous routes always did.
+ * ZIP jobs (`params.output === 'zip'`) return { archive } for the caller to
+ * stream or store instead of per-item results.
+ */
+export const runJobNow = async (type, { inputs = [], items, params = {} }) => {
+  const definition = getJobType(type);
+  const context = definition.setup ? await definition.setup({ inputs, params }) : {};
+
+  if (isArchiveJob(params)) {
+    const files = await Promise.all(
+      items.map((item) => definition.createFile(item.spec, { inputs, params, context }))
+    );
+    return { archive: buildArchive(type, files) };
+  }
+
+  const results = await Promise.all(
+    items.map((item) => definition.processItem(item.spec, { inputs, params, context }))
+  );
+
+  return summarizeResults(definition, results, params);
+};
+
+/**
+ * Queue a job for the worker pool and return its public status.
+ * A callback ({ url, requestId }) is posted the final status when the job finishes.
+ * `owner` is the id of the submitting API key; only that key can see or cancel the job.
+ */
+export const submitJob = async (type, { inputs = [], items, params = {}, callback = null, owner = null }) => {
+  getJobType(type);
+  const jobStore = getJobStore();
+
+  const job = {
+    id: uuidv4(),
+    type,
+    status: 'queued',
+    owner,
+    params,
+    callback,
+    // Results are stored on behalf of the submitting request
+    context: detachContext(),
+    items: items.map((item, index) => ({
+      index,
+      name: item.name,
+      spec: item.spec,
+      status: 'queued',
+      result: null,
+      error: null,
+    })),
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  await jobStore.saveInputs(job.id, inputs);
+  await jobStore.saveJob(job);
+  await jobStore.enqueue(job.id);
+
+  startJobWorkers();
+
+  return toPublicJob(job);
+};
+
+/**
+ * Load a job as seen by the API key `owner`: another key's job is treated as missing
+ */
+const loadOwnJob = async (id, owner) => {
+  const job = await getJobStore().getJob(id);
+  if (!job || (job.owner ?? null) !== owner) return null;
+  return job;
+};
+
+/**
+ * Get a job's public status, or null if it does not exist (or has expired)
+ */
+export const getJob = async (id, { owner = null } = {}) => {
+  const job = await loadOwnJob(id, owner);
+  return job ? toPublicJob(job) : null;
+};
+
+/**
+ * Cancel a job. Queued jobs stop immediately; running jobs stop before their next item.
+ */
+export const cancelJob = async (id, { owner = null } = {}) => {
+  const jobStore = getJobStore();
+  const job = await loadOwnJob(id, owner);
+
+  if (!job) return null;
+  if (job.finishedAt) return toPublicJob(job);
+
+  await jobStore.requestCancel(id);
+
+  // A worker that claimed the job first sees the request and finishes it itself
+  if (job.status !== 'queued' || !(await jobStore.claimJob(id))) {
+    return toPublicJob(await jobStore.getJob(id) || job);
+  }
+
+  markCancelled(job);
+  await jobStore.saveJob(job);
+  await jobStore.deleteInputs(id);
+  notifyJobFinished(job);
+
+  return toPublicJob(job);
+};
+
+/**
+ * Post the final job status to the job's callback URL, if it has one
+ */
+const notifyJobFinished = (job) => {
+  if (!job.callback) return;
+
+  try {
+    scheduleWebhook({
+      url: job.callback.url,
+      requestId: job.callback.requestId,
+      owner: job.callback.owner,
+      event: `job.${job.status}`,
+      result: {
+        success: job.status === 'completed',
+        data: toPublicJob(job),
+      },
+    });
+  } catch (error) {
+    logger.error('Job callback failed', { jobId: job.id, error });
+  }
+};
+
+const markCancelled = (job) => {
+  job.items.forEach((item) => {
+    if (item.status === 'queued' || item.status === 'running') {
+      item.status = 'cancelled';
+    }
+  });
+  job.status = 'cancelled';
+  job.finishedAt = new Date().toISOString();
+};
+
+/**
+ * Process a queued job, in the context of the request that submitted it
+ */
+const runJob = async (id) => {
+  const job = await getJobStore().getJob(id);
+
+  // Cancelled or picked up elsewhere while it sat in the queue
+  if (!job || job.status !== 'queued') return;
+  if (!(await getJobStore().claimJob(id))) return;
+
+  await runWithContext(job.context ?? null, () => processJob(job));
+};
+
+/**
+ * Process a job item by item, saving progress after each one
+ */
+const processJob = async (job) => {
+  const jobStore = getJobStore();
+  const { id } = job;
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  await jobStore.saveJob(job);
+
+  try {
+    const definition = getJobType(job.type);
+    const inputs = await jobStore.loadInputs(id);
+    const context = definition.setup
+      ? await definition.setup({ inputs, params: job.params })
+      : {};
+    const archive = isArchiveJob(job.params);
+    const files = [];
+
+    for (const item of job.items) {
+      if (await jobStore.isCancelRequested(id)) {
+        markCancelled(job);
+        break;
+      }
+
+      item.status = 'running';
+      await jobStore.saveJob(job);
+
+      try {
+        if (archive) {
+          const file = await definition.createFile(item.spec, { inputs, params: job.params, context });
+          files.push(file);
+          item.result = describeFile(file);
+        } else {
+          item.result = await definition.processItem(item.spec, { inputs, params: job.params, context });
+        }
+        item.status = 'completed';
+      } catch (error) {
+        logger.warn('Job item failed', { jobId: id, item: item.index, error });
+        item.status = 'failed';
+        item.error = error.message;
+      }
+
+      await jobStore.saveJob(job);
+    }
+
+    if (job.status !== 'cancelled') {
+      const completed = job.items.filter((item) => item.status === 'completed');
+
+      if (completed.length === 0 && job.items.length > 0) {
+        job.status = 'failed';
+        job.error = 'All items failed';
+      } else if (archive) {
+        const failed = job.items
+          .filter((item) => item.status === 'failed')
+          .map((item) => ({ name: item.name, error: item.error }));
+        job.result = { data: await storeArchive(buildArchive(job.type, files, failed)) };
+        job.status = 'completed';
+      } else {
+        job.status = 'completed';
+        job.result = summarizeResults(definition, completed.map((item) => item.result), job.params);
+      }
+    }
+  } catch (error) {
+    logger.error('Job failed', { jobId: id, error });
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = job.finishedAt || new Date().toISOString();
+  await jobStore.saveJob(job);
+  await jobStore.deleteInputs(id);
+  notifyJobFinished(job);
+};
+
+/**
+ * Start the in-process worker pool (safe to call more than once)
+ */
+export const startJobWorkers = () => {
+  if (workersStarted) return;
+  workersStarted = true;
+
+  const jobStore = getJobStore();
+
+  for (let workerIndex = 0; workerIndex < config.jobs.concurrency; workerIndex++) {
+    const work = async () => {
+      while (true) {
+        try {
+          const id = await jobStore.dequeue(DEQUEUE_TIMEOUT_MS);
+          if (id) await runJob(id);
+        } catch (error) {
+          logger.error('Job worker error', { worker: workerIndex, error });
+          await new Promise((resolve) => setTimeout(resolve, DEQUEUE_TIMEOUT_MS));
+        }
+      }
+    };
+    work();
+  }
+};
+
+/**
+ * Shape a stored job for API responses (item specs and callbacks stay internal)
+ */
+export const toPublicJob = (job) => {
+  const total = job.items.length;
+  const completed = job.items.filter((item) => item.status === 'completed').length;
+  const failed = job.items.filter((item) => item.status === 'failed').length;
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    progress: {
+      total,
+      completed,
+      failed,
+      percent: total === 0 ? 100 : Math.round(((completed + failed) / total) * 100),
+    },
+    items: job.items.map((item) => ({
+      index: item.index,
+      name: item.name,
+      status: item.status,
+      result: item.result,
+      error: item.error,
+    })),
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+};
+
+export default {
+  getJobStore,
+  setJobStore,
+  registerJobType,
+  supportsArchive,
+  runJobNow,
+  submitJob,
+  getJob,
+  cancelJob,
+  startJobWorkers,
+  toPublicJob,
+};
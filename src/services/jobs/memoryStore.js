@@ -0,0 +1,93 @@
+/**
+ * Job store that keeps everything in this process.
+ * Jobs are lost on restart; use the redis store to share them between instances.
+ */
+export const createMemoryStore = ({ ttlMs }) => {
+  const jobs = new Map();
+  const inputs = new Map();
+  const cancelRequests = new Set();
+  const claims = new Set();
+  const queue = [];
+  const waiting = [];
+
+  const forget = (id) => {
+    jobs.delete(id);
+    inputs.delete(id);
+    cancelRequests.delete(id);
+    claims.delete(id);
+  };
+
+  return {
+    name: 'memory',
+
+    saveJob: async (job) => {
+      jobs.set(job.id, structuredClone(job));
+
+      // Finished jobs stay around long enough to be polled, then expire
+      if (job.finishedAt) {
+        setTimeout(() => forget(job.id), ttlMs).unref();
+      }
+    },
+
+    getJob: async (id) => {
+      const job = jobs.get(id);
+      return job ? structuredClone(job) : null;
+    },
+
+    saveInputs: async (id, buffers) => {
+      inputs.set(id, buffers);
+    },
+
+    loadInputs: async (id) => inputs.get(id) || [],
+
+    deleteInputs: async (id) => {
+      inputs.delete(id);
+    },
+
+    // True for the first caller only: whoever claims a queued job runs or cancels it
+    claimJob: async (id) => {
+      if (claims.has(id)) return false;
+      claims.add(id);
+      return true;
+    },
+
+    requestCancel: async (id) => {
+      cancelRequests.add(id);
+    },
+
+    isCancelRequested: async (id) => cancelRequests.has(id),
+
+    enqueue: async (id) => {
+      const waiter = waiting.shift();
+      if (waiter) {
+        waiter(id);
+      } else {
+        queue.push(id);
+      }
+    },
+
+    // Resolves with the next job id, or null once timeoutMs passes without one
+    dequeue: (timeoutMs) => {
+      if (queue.length > 0) {
+        return Promise.resolve(queue.shift());
+      }
+
+      return new Promise((resolve) => {
+        const waiter = (id) => {
+          clearTimeout(timer);
+          resolve(id);
+        };
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          resolve(null);
+        }, timeoutMs);
+        timer.unref();
+        waiting.push(waiter);
+      });
+    },
+
+    size: async () => jobs.size,
+  };
+};
+
+export default createMemoryStore;
@@ -0,0 +1,97 @@
+// Queue polling interval; plain LPOP polling works with any Redis-protocol server
+const POLL_INTERVAL_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Job store backed by Redis so any instance can accept, run or report a job
+ */
+export const createRedisStore = ({ client, keyPrefix, ttlMs }) => {
+  const ttlSeconds = Math.ceil(ttlMs / 1000);
+  const key = (...parts) => `${keyPrefix}jobs:${parts.join(':')}`;
+  const queueKey = key('queue');
+
+  return {
+    name: 'redis',
+
+    saveJob: async (job) => {
+      const jobKey = key('job', job.id);
+      if (job.finishedAt) {
+        await client.set(jobKey, JSON.stringify(job), 'EX', ttlSeconds);
+      } else {
+        await client.set(jobKey, JSON.stringify(job));
+      }
+    },
+
+    getJob: async (id) => {
+      const raw = await client.get(key('job', id));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    saveInputs: async (id, buffers) => {
+      if (buffers.length === 0) return;
+      const pipeline = client.pipeline();
+      buffers.forEach((buffer, index) => {
+        // Inputs expire on their own in case a worker dies mid-job
+        pipeline.set(key('input', id, index), buffer, 'EX', ttlSeconds);
+      });
+      pipeline.set(key('inputs', id), buffers.length, 'EX', ttlSeconds);
+      await pipeline.exec();
+    },
+
+    loadInputs: async (id) => {
+      const count = parseInt(await client.get(key('inputs', id))) || 0;
+      const buffers = [];
+      for (let index = 0; index < count; index++) {
+        buffers.push(await client.getBuffer(key('input', id, index)));
+      }
+      return buffers;
+    },
+
+    deleteInputs: async (id) => {
+      const count = parseInt(await client.get(key('inputs', id))) || 0;
+      const keys = [key('inputs', id)];
+      for (let index = 0; index < count; index++) {
+        keys.push(key('input', id, index));
+      }
+      await client.del(...keys);
+    },
+
+    // True for the first caller only: whoever claims a queued job runs or cancels it
+    claimJob: async (id) => (await client.set(key('claim', id), '1', 'EX', ttlSeconds, 'NX')) === 'OK',
+
+    requestCancel: async (id) => {
+      await client.set(key('cancel', id), '1', 'EX', ttlSeconds);
+    },
+
+    isCancelRequested: async (id) => (await client.exists(key('cancel', id))) === 1,
+
+    enqueue: async (id) => {
+      await client.rpush(queueKey, id);
+    },
+
+    // Resolves with the next job id, or null once timeoutMs passes without one
+    dequeue: async (timeoutMs) => {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        const id = await client.lpop(queueKey);
+        if (id) return id;
+        await sleep(POLL_INTERVAL_MS);
+      }
+      return null;
+    },
+
+    size: async () => {
+      let count = 0;
+      let cursor = '0';
+      do {
+        const [next, keys] = await client.scan(cursor, 'MATCH', key('job', '*'), 'COUNT', 100);
+        count += keys.length;
+        cursor = next;
+      } while (cursor !== '0');
+      return count;
+    },
+  };
+};
+
+export default createRedisStore;
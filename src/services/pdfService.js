@@ -1,10 +1,30 @@
-import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
+import path from 'path';
+import { createRequire } from 'module';
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFBool,
+  PDFRef,
+  PDFRawStream,
+  decodePDFRawStream,
+  rgb,
+  degrees,
+  StandardFonts,
+} from 'pdf-lib';
 import sharp from 'sharp';
+import config from '../config/index.js';
+import { formatImage } from './imageService.js';
+import logger from '../utils/logger.js';
+import { timed } from '../utils/timing.js';
+import { ValidationError, ImageLimitError } from '../utils/errors.js';
 
 /**
  * Create PDF from images
  */
-export const createPdfFromImages = async (imageBuffers, options = {}) => {
+export const createPdfFromImages = timed('transform', 'createPdfFromImages', async (imageBuffers, options = {}) => {
   const {
     pageSize = 'A4',
     margin = 20,
@@ -16,7 +36,7 @@ export const createPdfFromImages = async (imageBuffers, options = {}) => {
     throw new Error('No images provided to create PDF');
   }
 
-  console.log(`Creating PDF with ${imageBuffers.length} images, page size: ${pageSize}`);
+  logger.debug('Creating PDF from images', { images: imageBuffers.length, pageSize });
 
   const pdfDoc = await PDFDocument.create();
   
@@ -38,15 +58,19 @@ export const createPdfFromImages = async (imageBuffers, options = {}) => {
     try {
       // Validate buffer
       if (!imageBuffer || !Buffer.isBuffer(imageBuffer) || imageBuffer.length === 0) {
-        console.error(`Image ${i + 1}: Invalid or empty buffer`);
+        logger.warn('Skipping invalid or empty image for PDF', { image: i + 1 });
         continue;
       }
 
-      console.log(`Processing image ${i + 1}/${imageBuffers.length}, buffer size: ${imageBuffer.length} bytes`);
-      
       // Get image metadata to determine format
       const metadata = await sharp(imageBuffer).metadata();
-      console.log(`Image ${i + 1} format: ${metadata.format}, dimensions: ${metadata.width}x${metadata.height}`);
+      logger.debug('Adding image to PDF', {
+        image: i + 1,
+        bytes: imageBuffer.length,
+        format: metadata.format,
+        width: metadata.width,
+        height: metadata.height,
+      });
       
       let image;
       
@@ -56,7 +80,6 @@ export const createPdfFromImages = async (imageBuffers, options = {}) => {
         const jpegBuffer = await sharp(imageBuffer)
           .jpeg({ quality: 95 })
           .toBuffer();
-        console.log(`Image ${i + 1}: Converted to JPEG, size: ${jpegBuffer.length} bytes`);
         image = await pdfDoc.embedJpg(jpegBuffer);
       } else {
         // For PNG, GIF, WebP, etc., convert to PNG and embed
@@ -64,7 +87,6 @@ export const createPdfFromImages = async (imageBuffers, options = {}) => {
           .png()
           .flatten({ background: { r: 255, g: 255, b: 255 } }) // Add white background for transparency
           .toBuffer();
-        console.log(`Image ${i + 1}: Converted to PNG, size: ${pngBuffer.length} bytes`);
         image = await pdfDoc.embedPng(pngBuffer);
       }
     
@@ -105,9 +127,8 @@ export const createPdfFromImages = async (imageBuffers, options = {}) => {
       });
       
       successfulPages++;
-      console.log(`Image ${i + 1}: Successfully added to PDF`);
     } catch (err) {
-      console.error(`Error processing image ${i + 1}: ${err.message}`);
+      logger.warn('Failed to add image to PDF', { image: i + 1, error: err });
       // Continue with other images instead of failing completely
     }
   }
@@ -116,72 +137,519 @@ export const createPdfFromImages = async (imageBuffers, options = {}) => {
     throw new Error('Failed to process any images for PDF creation');
   }
   
-  console.log(`PDF created with ${successfulPages} pages`);
-  
   const pdfBytes = await pdfDoc.save();
-  console.log(`PDF saved, total size: ${pdfBytes.length} bytes`);
+  logger.debug('PDF created', { pages: successfulPages, bytes: pdfBytes.length });
   
   // Convert Uint8Array to Buffer for proper handling
   return Buffer.from(pdfBytes);
+});
+
+// Largest rendered page, in pixels, so a huge page or DPI cannot exhaust memory
+const MAX_RENDER_PIXELS = 40_000_000;
+
+// Most pixels one request may render across all its pages
+const MAX_TOTAL_RENDER_PIXELS = 10 * MAX_RENDER_PIXELS;
+
+const require = createRequire(import.meta.url);
+const STANDARD_FONT_DATA_URL = path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts',
+  path.sep
+);
+
+const lookupNumber = (dict, key, fallback) => {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFNumber ? value.asNumber() : fallback;
+};
+
+const getFilterNames = (dict) => {
+  const filter = dict.lookup(PDFName.of('Filter'));
+  if (filter instanceof PDFName) return [filter.decodeText()];
+  if (filter instanceof PDFArray) {
+    return filter.asArray().map((_, index) => filter.lookup(index, PDFName).decodeText());
+  }
+  return [];
+};
+
+/**
+ * Describe an image color space: component count, plus the palette for
+ * /Indexed and a flag for CMYK. Returns null for spaces we cannot convert.
+ */
+const resolveColorSpace = (context, colorSpace) => {
+  const value = colorSpace instanceof PDFRef ? context.lookup(colorSpace) : colorSpace;
+
+  if (value instanceof PDFName) {
+    switch (value.decodeText()) {
+      case 'DeviceGray':
+      case 'CalGray':
+        return { components: 1 };
+      case 'DeviceRGB':
+      case 'CalRGB':
+        return { components: 3 };
+      case 'DeviceCMYK':
+        return { components: 4, cmyk: true };
+      default:
+        return null;
+    }
+  }
+
+  if (value instanceof PDFArray) {
+    const family = value.lookup(0, PDFName).decodeText();
+
+    if (family === 'ICCBased') {
+      const profile = value.lookup(1, PDFRawStream);
+      const components = lookupNumber(profile.dict, 'N', 3);
+      return { components, cmyk: components === 4 };
+    }
+
+    if (family === 'Indexed') {
+      const base = resolveColorSpace(context, value.get(1));
+      const lookup = value.lookup(3);
+      if (!base || base.cmyk) return null;
+      const table = lookup instanceof PDFRawStream
+        ? decodePDFRawStream(lookup).decode()
+        : lookup.asBytes();
+      return { components: 1, palette: { table, components: base.components } };
+    }
+
+    return resolveColorSpace(context, value.get(0));
+  }
+
+  return null;
+};
+
+/**
+ * Undo PNG row predictors (DecodeParms /Predictor 10-15)
+ */
+const undoPngPredictor = (data, { colors, bitsPerComponent, columns }) => {
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((colors * bitsPerComponent * columns) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = Buffer.alloc(rows * rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    const filter = data[row * (rowLength + 1)];
+    const input = row * (rowLength + 1) + 1;
+    const start = row * rowLength;
+
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? output[start + i - bytesPerPixel] : 0;
+      const up = row > 0 ? output[start - rowLength + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? output[start - rowLength + i - bytesPerPixel] : 0;
+      let value = data[input + i];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += Math.floor((left + up) / 2);
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const dLeft = Math.abs(estimate - left);
+        const dUp = Math.abs(estimate - up);
+        const dUpLeft = Math.abs(estimate - upLeft);
+        value += dLeft <= dUp && dLeft <= dUpLeft ? left : dUp <= dUpLeft ? up : upLeft;
+      }
+
+      output[start + i] = value & 0xff;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Decode a non-JPEG image stream into 8-bit samples, one byte per component
+ */
+const decodeSamples = (stream, { width, height, components, bitsPerComponent }) => {
+  let data = decodePDFRawStream(stream).decode();
+
+  const params = stream.dict.lookup(PDFName.of('DecodeParms'));
+  const predictor = params instanceof PDFDict ? lookupNumber(params, 'Predictor', 1) : 1;
+  if (predictor >= 10) {
+    data = undoPngPredictor(data, {
+      colors: lookupNumber(params, 'Colors', components),
+      bitsPerComponent: lookupNumber(params, 'BitsPerComponent', bitsPerComponent),
+      columns: lookupNumber(params, 'Columns', width),
+    });
+  } else if (predictor !== 1) {
+    return null;
+  }
+
+  const samples = Buffer.alloc(width * height * components);
+  const rowBits = width * components * bitsPerComponent;
+  const rowBytes = Math.ceil(rowBits / 8);
+  const maxValue = (1 << Math.min(bitsPerComponent, 8)) - 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let i = 0; i < width * components; i++) {
+      let value;
+      if (bitsPerComponent === 8) {
+        value = data[y * rowBytes + i];
+      } else if (bitsPerComponent === 16) {
+        value = data[y * rowBytes + i * 2];
+      } else {
+        const bit = i * bitsPerComponent;
+        const byte = data[y * rowBytes + (bit >> 3)];
+        value = (byte >> (8 - bitsPerComponent - (bit & 7))) & maxValue;
+      }
+      samples[y * width * components + i] = value ?? 0;
+    }
+  }
+
+  return { samples, maxValue: bitsPerComponent === 16 ? 255 : maxValue };
+};
+
+/**
+ * Turn a decoded image XObject into a lossless PNG
+ */
+const imageStreamToPng = async (context, stream, { width, height }) => {
+  const { dict } = stream;
+  const isMask = dict.lookup(PDFName.of('ImageMask')) === PDFBool.True;
+  const bitsPerComponent = isMask ? 1 : lookupNumber(dict, 'BitsPerComponent', 8);
+  const colorSpace = isMask ? { components: 1 } : resolveColorSpace(context, dict.get(PDFName.of('ColorSpace')));
+
+  if (!colorSpace || ![1, 2, 4, 8, 16].includes(bitsPerComponent)) return null;
+
+  const decoded = decodeSamples(stream, {
+    width,
+    height,
+    components: colorSpace.components,
+    bitsPerComponent,
+  });
+  if (!decoded) return null;
+
+  const { samples, maxValue } = decoded;
+  const decode = dict.lookup(PDFName.of('Decode'));
+  const inverted = (isMask && !(decode instanceof PDFArray)) ||
+    (decode instanceof PDFArray && decode.lookup(0, PDFNumber).asNumber() === 1);
+
+  // Gray images stay single-channel; everything else becomes RGB
+  const channels = colorSpace.components === 1 && !colorSpace.palette ? 1 : 3;
+  const pixelCount = width * height;
+  const pixels = Buffer.alloc(pixelCount * channels);
+
+  for (let i = 0; i < pixelCount; i++) {
+    if (colorSpace.palette) {
+      const { table, components } = colorSpace.palette;
+      const entry = samples[i] * components;
+      for (let c = 0; c < 3; c++) {
+        pixels[i * 3 + c] = table[entry + (components === 1 ? 0 : c)] ?? 0;
+      }
+    } else if (colorSpace.cmyk) {
+      const [cyan, magenta, yellow, black] = [0, 1, 2, 3].map((c) => samples[i * 4 + c] / maxValue);
+      pixels[i * 3] = Math.round(255 * (1 - cyan) * (1 - black));
+      pixels[i * 3 + 1] = Math.round(255 * (1 - magenta) * (1 - black));
+      pixels[i * 3 + 2] = Math.round(255 * (1 - yellow) * (1 - black));
+    } else {
+      for (let c = 0; c < channels; c++) {
+        const value = Math.round((samples[i * channels + c] / maxValue) * 255);
+        pixels[i * channels + c] = inverted ? 255 - value : value;
+      }
+    }
+  }
+
+  let image = sharp(pixels, { raw: { width, height, channels } });
+
+  // Soft masks carry the image's transparency as a separate grayscale image
+  const softMask = dict.lookup(PDFName.of('SMask'));
+  if (softMask instanceof PDFRawStream &&
+    lookupNumber(softMask.dict, 'Width', 0) === width &&
+    lookupNumber(softMask.dict, 'Height', 0) === height &&
+    getFilterNames(softMask.dict).every((name) => name !== 'DCTDecode' && name !== 'JPXDecode')) {
+    const alpha = decodeSamples(softMask, {
+      width,
+      height,
+      components: 1,
+      bitsPerComponent: lookupNumber(softMask.dict, 'BitsPerComponent', 8),
+    });
+    if (alpha) {
+      const scaled = Buffer.from(alpha.samples.map((value) => Math.round((value / alpha.maxValue) * 255)));
+      image = image.joinChannel(scaled, { raw: { width, height, channels: 1 } });
+    }
+  }
+
+  return await image.png().toBuffer();
+};
+
+/**
+ * Why an embedded image is too large to decode under the upload limits
+ * (MAX_INPUT_DIMENSION, MAX_INPUT_PIXELS), or null if it is not. The
+ * dimensions come from the PDF, so they are checked before anything is
+ * decompressed or allocated.
+ */
+const imageLimitReason = ({ width, height }) => {
+  const { maxPixels, maxDimension } = config.upload;
+
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    return 'Invalid image dimensions';
+  }
+  if (width > maxDimension || height > maxDimension) {
+    return `Image is ${width}x${height}; the largest side allowed is ${maxDimension} pixels`;
+  }
+  if (width * height > maxPixels) {
+    return `Image has ${width * height} pixels; at most ${maxPixels} are allowed`;
+  }
+  return null;
 };
 
 /**
- * Extract images from PDF
+ * Collect image XObjects used by a resources dictionary, including those
+ * nested inside form XObjects
  */
-export const extractImagesFromPdf = async (pdfBuffer) => {
-  // Note: This is a simplified implementation
-  // Full image extraction requires more complex PDF parsing
+const collectImageRefs = (context, resources, found, visitedForms = new Set()) => {
+  const xObjects = resources?.lookup(PDFName.of('XObject'));
+  if (!(xObjects instanceof PDFDict)) return;
+
+  for (const [name, ref] of xObjects.entries()) {
+    const object = context.lookup(ref);
+    if (!(object instanceof PDFRawStream)) continue;
+
+    const subtype = object.dict.lookup(PDFName.of('Subtype'));
+    if (subtype === PDFName.of('Image')) {
+      found.push({ ref, name: name.decodeText(), stream: object });
+    } else if (subtype === PDFName.of('Form') && !visitedForms.has(ref)) {
+      visitedForms.add(ref);
+      collectImageRefs(context, object.dict.lookup(PDFName.of('Resources')), found, visitedForms);
+    }
+  }
+};
+
+/**
+ * Extract the raster images embedded in a PDF without re-encoding where possible:
+ * JPEG and JPEG 2000 streams are returned byte for byte, and Flate/LZW/RLE
+ * pixel data is written out as PNG. Each image is returned once, with the
+ * first page it appears on; images in formats we cannot decode, or over the
+ * upload pixel limits, are listed in `skipped`.
+ */
+export const extractImagesFromPdf = timed('transform', 'extractImagesFromPdf', async (pdfBuffer) => {
   const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const { context } = pdfDoc;
   const pages = pdfDoc.getPages();
-  
+
   const images = [];
-  
-  // For now, we'll render each page as an image
-  // This requires additional libraries like pdf2pic for full implementation
-  
+  const skipped = [];
+  const seen = new Set();
+
+  for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+    const found = [];
+    collectImageRefs(context, pages[pageIndex].node.Resources(), found);
+
+    for (const { ref, name, stream } of found) {
+      const key = ref instanceof PDFRef ? ref.toString() : `${pageIndex}/${name}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const width = lookupNumber(stream.dict, 'Width', 0);
+      const height = lookupNumber(stream.dict, 'Height', 0);
+      const filters = getFilterNames(stream.dict);
+      const image = { page: pageIndex + 1, name, width, height };
+
+      const tooLarge = imageLimitReason(image);
+      if (tooLarge) {
+        skipped.push({ ...image, reason: tooLarge });
+        continue;
+      }
+
+      try {
+        if (filters.length === 1 && filters[0] === 'DCTDecode') {
+          images.push({ ...image, format: 'jpeg', buffer: Buffer.from(stream.contents) });
+        } else if (filters.length === 1 && filters[0] === 'JPXDecode') {
+          images.push({ ...image, format: 'jp2', buffer: Buffer.from(stream.contents) });
+        } else if (filters.every((filter) => !['DCTDecode', 'JPXDecode', 'CCITTFaxDecode', 'JBIG2Decode'].includes(filter))) {
+          const png = await imageStreamToPng(context, stream, { width, height });
+          if (png) {
+            images.push({ ...image, format: 'png', buffer: png });
+          } else {
+            skipped.push({ ...image, reason: 'Unsupported color space or bit depth' });
+          }
+        } else {
+          skipped.push({ ...image, reason: `Unsupported encoding: ${filters.join(', ')}` });
+        }
+      } catch (error) {
+        skipped.push({ ...image, reason: error.message });
+      }
+    }
+  }
+
   return {
     pageCount: pages.length,
-    message: 'PDF loaded successfully. Use specific page rendering for image extraction.',
+    images,
+    skipped,
   };
-};
+});
 
 /**
- * Merge multiple PDFs
+ * Render PDF pages to images.
+ * - pages: 1-based page numbers (defaults to every page)
+ * - dpi: render resolution (72 DPI is one pixel per PDF point)
+ * - format / quality: output encoding, as for formatImage
+ * At most MAX_INPUT_FRAMES pages and MAX_TOTAL_RENDER_PIXELS in all are
+ * rendered; both are checked before the first page is drawn.
  */
-export const mergePdfs = async (pdfBuffers) => {
+export const renderPdfPages = timed('transform', 'renderPdfPages', async (pdfBuffer, options = {}) => {
+  const { pages, dpi = 150, format = 'png', quality = 90 } = options;
+
+  // Loaded on demand: the renderer is large and only this feature needs it
+  const [{ getDocument }, { createCanvas }] = await Promise.all([
+    import('pdfjs-dist/legacy/build/pdf.mjs'),
+    import('@napi-rs/canvas'),
+  ]);
+
+  const document = await getDocument({
+    data: new Uint8Array(pdfBuffer),
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    isEvalSupported: false,
+    // Embedded images over the upload pixel limit are left out of the page
+    maxImageSize: config.upload.maxPixels,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const pageNumbers = pages || Array.from({ length: document.numPages }, (_, index) => index + 1);
+    const outOfRange = pageNumbers.filter((number) => number < 1 || number > document.numPages);
+    if (outOfRange.length > 0) {
+      throw new ValidationError(`Page(s) ${outOfRange.join(', ')} out of range; the PDF has ${document.numPages} page(s)`);
+    }
+
+    const { maxFrames } = config.upload;
+    if (pageNumbers.length > maxFrames) {
+      throw new ImageLimitError(
+        'FRAME_LIMIT_EXCEEDED',
+        `${pageNumbers.length} pages were asked for; at most ${maxFrames} can be rendered at once`,
+        [{ in: 'body', field: 'pages', message: `must select at most ${maxFrames} pages` }]
+      );
+    }
+
+    // Size every page first, so an oversized request fails before any rendering
+    const layouts = [];
+    let totalPixels = 0;
+    for (const pageNumber of pageNumbers) {
+      const page = await document.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: dpi / 72 });
+      const width = Math.ceil(viewport.width);
+      const height = Math.ceil(viewport.height);
+
+      if (width * height > MAX_RENDER_PIXELS) {
+        throw new ValidationError(`Page ${pageNumber} would be ${width}x${height} pixels at ${dpi} DPI; use a lower dpi`);
+      }
+      totalPixels += width * height;
+      layouts.push({ pageNumber, page, viewport, width, height });
+    }
+
+    if (totalPixels > MAX_TOTAL_RENDER_PIXELS) {
+      throw new ImageLimitError(
+        'PIXEL_LIMIT_EXCEEDED',
+        `Rendering these pages at ${dpi} DPI would take ${totalPixels} pixels; at most ${MAX_TOTAL_RENDER_PIXELS} are allowed`,
+        [{ in: 'body', field: 'dpi', message: 'use a lower dpi or fewer pages' }]
+      );
+    }
+
+    const rendered = [];
+    for (const { pageNumber, page, viewport, width, height } of layouts) {
+
+      const canvas = createCanvas(width, height);
+      const canvasContext = canvas.getContext('2d');
+
+      // Pages are transparent by default; render on white like a viewer would
+      canvasContext.fillStyle = '#ffffff';
+      canvasContext.fillRect(0, 0, width, height);
+      await page.render({ canvasContext, viewport, canvas }).promise;
+
+      const buffer = await formatImage(sharp(canvas.toBuffer('image/png')).removeAlpha(), format, quality)
+        .toBuffer();
+      page.cleanup();
+
+      rendered.push({ page: pageNumber, format: format === 'jpg' ? 'jpeg' : format, width, height, buffer });
+    }
+
+    return rendered;
+  } finally {
+    await document.destroy();
+  }
+});
+
+/**
+ * Merge multiple PDFs. `pageSelections[i]` optionally lists the zero-based
+ * pages to take from the i-th PDF, in order; whole documents otherwise.
+ */
+export const mergePdfs = timed('transform', 'mergePdfs', async (pdfBuffers, pageSelections = []) => {
   const mergedPdf = await PDFDocument.create();
   
-  for (const pdfBuffer of pdfBuffers) {
-    const pdf = await PDFDocument.load(pdfBuffer);
-    const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
+  for (let i = 0; i < pdfBuffers.length; i++) {
+    const pdf = await PDFDocument.load(pdfBuffers[i]);
+    const pages = await mergedPdf.copyPages(pdf, pageSelections[i] || pdf.getPageIndices());
     pages.forEach((page) => mergedPdf.addPage(page));
   }
   
   return await mergedPdf.save();
+});
+
+/**
+ * Build a new PDF from a page order (zero-based indices; repeats duplicate a
+ * page, omitted pages are dropped). `rotations` maps a source page index to
+ * extra clockwise degrees, a multiple of 90, applied to every copy of it.
+ */
+export const organizePdf = timed('transform', 'organizePdf', async (pdfBuffer, pageOrder, rotations = {}) => {
+  const sourcePdf = await PDFDocument.load(pdfBuffer);
+  const newPdf = await PDFDocument.create();
+  const pages = await newPdf.copyPages(sourcePdf, pageOrder);
+
+  pages.forEach((page, position) => {
+    const extra = rotations[pageOrder[position]];
+    if (extra) {
+      const angle = (((page.getRotation().angle + extra) % 360) + 360) % 360;
+      page.setRotation(degrees(angle));
+    }
+    newPdf.addPage(page);
+  });
+
+  return Buffer.from(await newPdf.save());
+});
+
+/**
+ * Load a PDF document for repeated page operations
+ */
+export const loadPdf = async (pdfBuffer) => {
+  return await PDFDocument.load(pdfBuffer);
+};
+
+/**
+ * Get the number of pages in a PDF
+ */
+export const getPdfPageCount = async (pdfBuffer) => {
+  const pdf = await PDFDocument.load(pdfBuffer);
+  return pdf.getPageCount();
+};
+
+/**
+ * Copy pages (zero-based indices) of a loaded PDF into a new PDF
+ */
+export const extractPdfPages = async (sourcePdf, pageIndices) => {
+  const newPdf = await PDFDocument.create();
+  const pages = await newPdf.copyPages(sourcePdf, pageIndices);
+  pages.forEach((page) => newPdf.addPage(page));
+  return Buffer.from(await newPdf.save());
 };
 
 /**
- * Split PDF into separate pages
+ * Split PDF into separate files: one per page, or one per group of
+ * zero-based page indices when `pageGroups` is given
  */
-export const splitPdf = async (pdfBuffer) => {
+export const splitPdf = timed('transform', 'splitPdf', async (pdfBuffer, pageGroups) => {
   const pdf = await PDFDocument.load(pdfBuffer);
-  const pageCount = pdf.getPageCount();
+  const groups = pageGroups || pdf.getPageIndices().map((index) => [index]);
   const splitPdfs = [];
   
-  for (let i = 0; i < pageCount; i++) {
-    const newPdf = await PDFDocument.create();
-    const [page] = await newPdf.copyPages(pdf, [i]);
-    newPdf.addPage(page);
-    splitPdfs.push(await newPdf.save());
+  for (const group of groups) {
+    splitPdfs.push(await extractPdfPages(pdf, group));
   }
   
   return splitPdfs;
-};
+});
 
 /**
  * Add watermark to PDF
  */
-export const addWatermark = async (pdfBuffer, watermarkText, options = {}) => {
+export const addWatermark = timed('transform', 'addWatermark', async (pdfBuffer, watermarkText, options = {}) => {
   const {
     fontSize = 50,
     opacity = 0.3,
@@ -209,18 +677,18 @@ export const addWatermark = async (pdfBuffer, watermarkText, options = {}) => {
   }
   
   return await pdfDoc.save();
-};
+});
 
 /**
  * Compress PDF
  */
-export const compressPdf = async (pdfBuffer) => {
+export const compressPdf = timed('transform', 'compressPdf', async (pdfBuffer) => {
   const pdfDoc = await PDFDocument.load(pdfBuffer);
   
   return await pdfDoc.save({
     useObjectStreams: true,
   });
-};
+});
 
 /**
  * Get PDF metadata
@@ -243,8 +711,13 @@ export const getPdfMetadata = async (pdfBuffer) => {
 export default {
   createPdfFromImages,
   extractImagesFromPdf,
+  renderPdfPages,
   mergePdfs,
+  organizePdf,
   splitPdf,
+  loadPdf,
+  getPdfPageCount,
+  extractPdfPages,
   addWatermark,
   compressPdf,
   getPdfMetadata,
@@ -0,0 +1,393 @@
+import Ajv from 'ajv';
+import sharp from 'sharp';
+import { formatImage } from './imageService.js';
+import { timed } from '../utils/timing.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const OUTPUT_FORMATS = ['jpeg', 'jpg', 'png', 'webp', 'avif', 'tiff', 'gif'];
+const MAX_OPERATIONS = 50;
+export const MAX_DIMENSION = 10000;
+
+const colorSchema = {
+  type: 'string',
+  pattern: '^(#[0-9a-fA-F]{3}|#[0-9a-fA-F]{6}|#[0-9a-fA-F]{8}|[a-zA-Z]+)$',
+};
+
+const operation = (type, properties = {}, required = []) => ({
+  type: 'object',
+  properties: { type: { const: type }, ...properties },
+  required: ['type', ...required],
+  additionalProperties: false,
+});
+
+/**
+ * JSON schema for POST /api/pipeline specs
+ */
+export const pipelineSchema = {
+  type: 'object',
+  properties: {
+    operations: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_OPERATIONS,
+      items: {
+        type: 'object',
+        discriminator: { propertyName: 'type' },
+        required: ['type'],
+        oneOf: [
+          operation('crop', {
+            left: { type: 'integer', minimum: 0 },
+            top: { type: 'integer', minimum: 0 },
+            width: { type: 'integer', minimum: 1, maximum: MAX_DIMENSION },
+            height: { type: 'integer', minimum: 1, maximum: MAX_DIMENSION },
+          }, ['left', 'top', 'width', 'height']),
+          operation('rotate', {
+            angle: { type: 'number', minimum: -360, maximum: 360 },
+            background: colorSchema,
+          }, ['angle']),
+          operation('flip', {
+            direction: { enum: ['horizontal', 'vertical', 'both'] },
+          }),
+          operation('resize', {
+            width: { type: 'integer', minimum: 1, maximum: MAX_DIMENSION },
+            height: { type: 'integer', minimum: 1, maximum: MAX_DIMENSION },
+            fit: { enum: ['cover', 'contain', 'fill', 'inside', 'outside'] },
+            position: { type: 'string' },
+            withoutEnlargement: { type: 'boolean' },
+          }),
+          operation('enhance', {
+            brightness: { type: 'number', minimum: 0, maximum: 10 },
+            saturation: { type: 'number', minimum: 0, maximum: 10 },
+            contrast: { type: 'number', minimum: 0, maximum: 10 },
+            sharpen: { type: 'boolean' },
+            blur: { type: 'number', minimum: 0, maximum: 1000 },
+          }),
+          operation('grayscale'),
+          operation('sepia'),
+          operation('negate'),
+          operation('normalize'),
+          operation('blur', {
+            sigma: { type: 'number', minimum: 0.3, maximum: 1000 },
+          }),
+          operation('sharpen', {
+            sigma: { type: 'number', minimum: 0.01, maximum: 10 },
+          }),
+          operation('tint', {
+            color: colorSchema,
+          }, ['color']),
+          operation('compress', {
+            quality: { type: 'integer', minimum: 1, maximum: 100 },
+          }, ['quality']),
+          operation('convert', {
+            format: { enum: OUTPUT_FORMATS },
+            quality: { type: 'integer', minimum: 1, maximum: 100 },
+          }, ['format']),
+        ],
+      },
+    },
+  },
+  required: ['operations'],
+  additionalProperties: false,
+};
+
+const ajv = new Ajv({ allErrors: true, discriminator: true });
+const validateSchema = ajv.compile(pipelineSchema);
+
+/**
+ * Error raised for a pipeline spec that cannot be applied to the given image
+ */
+export class PipelineError extends ValidationError {
+  constructor(message, details = []) {
+    super(message, details);
+    this.name = 'PipelineError';
+  }
+}
+
+const formatSchemaError = (error) => {
+  const path = error.instancePath || '/';
+
+  if (error.keyword === 'discriminator') {
+    return {
+      path: `${path}/type`,
+      message: error.params.tagValue === undefined
+        ? 'operation type is required'
+        : `unknown operation type "${error.params.tagValue}"`,
+    };
+  }
+  if (error.keyword === 'additionalProperties') {
+    return { path, message: `unknown property "${error.params.additionalProperty}"` };
+  }
+  if (error.keyword === 'enum') {
+    return { path, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+  }
+  return { path, message: error.message };
+};
+
+/**
+ * Validate a whole pipeline spec up front.
+ * Returns { valid, errors } with one { path, message } per problem.
+ */
+export const validatePipeline = (spec) => {
+  const errors = validateSchema(spec) ? [] : validateSchema.errors.map(formatSchemaError);
+
+  // Checks the schema cannot express, run even when it failed so every
+  // problem is reported at once
+  const operations = Array.isArray(spec?.operations) ? spec.operations : [];
+  operations.forEach((op, index) => {
+    if (op?.type === 'resize' && !op.width && !op.height) {
+      errors.push({ path: `/operations/${index}`, message: 'resize needs width, height or both' });
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+// Order in which sharp applies operations inside one pipeline, whatever order
+// they are called in. A stage only holds primitives in strictly increasing rank;
+// anything else starts a new stage fed with the previous stage's raw pixels.
+const RANKS = {
+  extract: 0,
+  flip: 1,
+  flop: 2,
+  rotate: 3,
+  resize: 4,
+  blur: 5,
+  modulate: 6,
+  sharpen: 7,
+  linear: 8,
+  normalise: 9,
+  tint: 10,
+  negate: 11,
+};
+
+// Primitives that sharp cannot combine in one pass in either order
+const CONFLICTS = [['sharpen', 'negate']];
+
+const primitive = (kind, index, apply, extra = {}) => ({
+  kind,
+  path: `/operations/${index}`,
+  apply,
+  ...extra,
+});
+
+/**
+ * Expand user-facing operations into sharp primitives and output settings
+ */
+const expandOperations = (operations) => {
+  const primitives = [];
+  const output = {};
+
+  operations.forEach((op, index) => {
+    switch (op.type) {
+      case 'crop':
+        primitives.push(primitive('extract', index, (s) => s.extract({
+          left: op.left,
+          top: op.top,
+          width: op.width,
+          height: op.height,
+        }), { area: op }));
+        break;
+      case 'rotate':
+        primitives.push(primitive('rotate', index, (s) => s.rotate(op.angle, {
+          background: op.background || { r: 255, g: 255, b: 255, alpha: 0 },
+        })));
+        break;
+      case 'flip': {
+        const direction = op.direction || 'vertical';
+        if (direction === 'vertical' || direction === 'both') {
+          primitives.push(primitive('flip', index, (s) => s.flip()));
+        }
+        if (direction === 'horizontal' || direction === 'both') {
+          primitives.push(primitive('flop', index, (s) => s.flop()));
+        }
+        break;
+      }
+      case 'resize':
+        primitives.push(primitive('resize', index, (s) => s.resize({
+          width: op.width,
+          height: op.height,
+          fit: op.fit || 'cover',
+          position: op.position || 'centre',
+          withoutEnlargement: op.withoutEnlargement ?? true,
+        })));
+        break;
+      case 'enhance': {
+        // Same steps, in the same order, as imageService.enhanceImage
+        const { brightness = 1, saturation = 1, contrast = 1, sharpen = false, blur = 0 } = op;
+        if (brightness !== 1 || saturation !== 1) {
+          primitives.push(primitive('modulate', index, (s) => s.modulate({ brightness, saturation })));
+        }
+        if (contrast !== 1) {
+          primitives.push(primitive('linear', index, (s) => s.linear(contrast, 128 * (1 - contrast))));
+        }
+        if (sharpen) {
+          primitives.push(primitive('sharpen', index, (s) => s.sharpen()));
+        }
+        if (blur > 0) {
+          primitives.push(primitive('blur', index, (s) => s.blur(Math.max(blur, 0.3))));
+        }
+        break;
+      }
+      case 'grayscale':
+        primitives.push(primitive('greyscale', index, (s) => s.greyscale()));
+        break;
+      case 'sepia':
+        primitives.push(primitive('modulate', index, (s) => s.modulate({ saturation: 0.8 })));
+        primitives.push(primitive('tint', index, (s) => s.tint({ r: 112, g: 66, b: 20 })));
+        break;
+      case 'negate':
+        primitives.push(primitive('negate', index, (s) => s.negate({ alpha: false })));
+        break;
+      case 'normalize':
+        primitives.push(primitive('normalise', index, (s) => s.normalise()));
+        break;
+      case 'blur':
+        primitives.push(primitive('blur', index, (s) => s.blur(op.sigma ?? 5)));
+        break;
+      case 'sharpen':
+        primitives.push(primitive('sharpen', index, (s) => (op.sigma ? s.sharpen({ sigma: op.sigma }) : s.sharpen())));
+        break;
+      case 'tint':
+        primitives.push(primitive('tint', index, (s) => s.tint(op.color)));
+        break;
+      case 'compress':
+        output.quality = op.quality;
+        break;
+      case 'convert':
+        output.format = op.format;
+        if (op.quality) output.quality = op.quality;
+        break;
+      default:
+        // Unreachable for validated specs
+        throw new PipelineError(`Unknown operation type "${op.type}"`, [
+          { path: `/operations/${index}/type`, message: `unknown operation type "${op.type}"` },
+        ]);
+    }
+  });
+
+  return { primitives, output };
+};
+
+const canJoinStage = (stage, next) => {
+  if (stage.length === 0) return true;
+
+  // Greyscale changes the channel layout, so it always runs on its own
+  if (next.kind === 'greyscale' || stage[0].kind === 'greyscale') return false;
+
+  const last = stage[stage.length - 1];
+  if (RANKS[next.kind] <= RANKS[last.kind]) return false;
+
+  // With a crop and a rotate already queued, sharp would resize the wrong region
+  const kinds = stage.map((p) => p.kind);
+  if (next.kind === 'resize' && kinds.includes('extract') && kinds.includes('rotate')) return false;
+
+  return !CONFLICTS.some(([a, b]) =>
+    (next.kind === a && kinds.includes(b)) ||
+    (next.kind === b && kinds.includes(a))
+  );
+};
+
+/**
+ * Group primitives into as few sharp passes as their order allows
+ */
+export const planPipeline = (operations) => {
+  const { primitives, output } = expandOperations(operations);
+  const stages = [];
+  let current = [];
+
+  for (const next of primitives) {
+    if (!canJoinStage(current, next)) {
+      stages.push(current);
+      current = [];
+    }
+    current.push(next);
+  }
+  stages.push(current);
+
+  return { stages, output };
+};
+
+/**
+ * Run a validated pipeline spec on an image.
+ * Intermediate stages hand raw pixels to the next, so the image is only
+ * decoded once and encoded once.
+ */
+export const runPipeline = timed('transform', 'runPipeline', async (buffer, operations) => {
+  const metadata = await sharp(buffer).metadata();
+  const { stages, output } = planPipeline(operations);
+
+  const format = output.format ||
+    (OUTPUT_FORMATS.includes(metadata.format) ? metadata.format : 'png');
+
+  let input = buffer;
+  let raw = null;
+  let width = metadata.width;
+  let height = metadata.height;
+
+  for (let i = 0; i < stages.length; i++) {
+    const stage = stages[i];
+    const isLast = i === stages.length - 1;
+
+    // Crops always start a stage, so the image size is known here
+    const first = stage[0];
+    if (first?.kind === 'extract') {
+      const { left, top, width: cropWidth, height: cropHeight } = first.area;
+      if (left + cropWidth > width || top + cropHeight > height) {
+        throw new PipelineError('Crop area is outside the image', [{
+          path: first.path,
+          message: `crop area ${cropWidth}x${cropHeight}+${left}+${top} exceeds image size ${width}x${height}`,
+        }]);
+      }
+    }
+
+    let instance = raw ? sharp(input, { raw }) : sharp(input);
+    for (const step of stage) {
+      instance = step.apply(instance);
+    }
+
+    if (isLast) {
+      const result = await formatImage(instance, format, output.quality)
+        .toBuffer({ resolveWithObject: true });
+
+      return {
+        buffer: result.data,
+        format: result.info.format,
+        width: result.info.width,
+        height: result.info.height,
+        size: result.info.size,
+        stages: stages.length,
+      };
+    }
+
+    let result = await instance.raw().toBuffer({ resolveWithObject: true });
+
+    // Greyscale output is single-channel; later colour operations behave
+    // differently on it, so hand the next stage plain sRGB pixels
+    if (result.info.channels < 3) {
+      const { width: rawWidth, height: rawHeight, channels } = result.info;
+      result = await sharp(result.data, { raw: { width: rawWidth, height: rawHeight, channels } })
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    }
+
+    input = result.data;
+    raw = {
+      width: result.info.width,
+      height: result.info.height,
+      channels: result.info.channels,
+    };
+    width = raw.width;
+    height = raw.height;
+  }
+});
+
+export default {
+  OUTPUT_FORMATS,
+  MAX_DIMENSION,
+  pipelineSchema,
+  validatePipeline,
+  planPipeline,
+  runPipeline,
+  PipelineError,
+};
@@ -0,0 +1,90 @@
+import config from '../../config/index.js';
+import { getRedisClient } from '../../config/redis.js';
+import { limiters, routeLimits } from '../../config/rateLimits.js';
+import { compilePathPattern } from '../../utils/pathPattern.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createRedisStore } from './redisStore.js';
+
+let store = null;
+
+/**
+ * Get the configured rate limit store (created on first use)
+ */
+export const getRateLimitStore = () => {
+  if (!store) {
+    if (config.rateLimit.backend === 'redis') {
+      store = createRedisStore({
+        client: getRedisClient(),
+        keyPrefix: config.redis.keyPrefix,
+      });
+    } else if (config.rateLimit.backend === 'memory') {
+      store = createMemoryStore();
+    } else {
+      throw new Error(`Unknown rate limit backend "${config.rateLimit.backend}". Supported backends: memory, redis`);
+    }
+  }
+  return store;
+};
+
+/**
+ * Use a specific store instead of the configured one (e.g. a local Redis stand-in)
+ */
+export const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+const compiledRules = routeLimits.map((rule) => {
+  Object.keys(rule.limits).forEach((name) => {
+    if (!limiters[name]) {
+      throw new Error(`Rate limit rule for ${rule.path} uses unknown limiter "${name}"`);
+    }
+  });
+  return { ...rule, pattern: compilePathPattern(rule.path) };
+});
+
+/**
+ * Find the policy rule for a request, or null if no rule matches
+ */
+export const findRouteLimits = (method, path) => {
+  return compiledRules.find((rule) =>
+    (!rule.method || rule.method === method) && rule.pattern.test(path)
+  ) || null;
+};
+
+/**
+ * Charge a client for one request on each of the given limiters, in order.
+ * Stops at the first limiter that is over its budget.
+ * Returns { allowed, blocked?, states } where each state is
+ * { name, limit, remaining, resetAt } for a limiter that was charged.
+ */
+export const consumeRateLimits = async (clientKey, limits) => {
+  const rateLimitStore = getRateLimitStore();
+  const states = [];
+
+  for (const [name, cost] of Object.entries(limits)) {
+    if (cost <= 0) continue;
+
+    const limiter = limiters[name];
+    const { count, resetAt } = await rateLimitStore.increment(`${name}:${clientKey}`, cost, limiter.windowMs);
+    const state = {
+      name,
+      limit: limiter.max,
+      remaining: Math.max(0, limiter.max - count),
+      resetAt,
+    };
+    states.push(state);
+
+    if (count > limiter.max) {
+      return { allowed: false, blocked: { ...state, message: limiter.message }, states };
+    }
+  }
+
+  return { allowed: true, states };
+};
+
+export default {
+  getRateLimitStore,
+  setRateLimitStore,
+  findRouteLimits,
+  consumeRateLimits,
+};
@@ -0,0 +1,38 @@
+// How often expired windows are swept out of memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Rate limit counters kept in this process.
+ * Counts reset on restart and are not shared; use the redis store for that.
+ */
+export const createMemoryStore = () => {
+  const windows = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    // Adds `cost` to the key's current window and returns { count, resetAt }
+    increment: async (key, cost, windowMs) => {
+      const now = Date.now();
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: windowStart + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += cost;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+};
+
+export default createMemoryStore;
@@ -0,0 +1,28 @@
+/**
+ * Rate limit counters in Redis, shared by every instance.
+ * Each fixed window gets its own key, so plain INCRBY and PEXPIRE are enough
+ * and it works with any Redis-protocol server.
+ */
+export const createRedisStore = ({ client, keyPrefix }) => {
+  return {
+    name: 'redis',
+
+    // Adds `cost` to the key's current window and returns { count, resetAt }
+    increment: async (key, cost, windowMs) => {
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      const resetAt = windowStart + windowMs;
+      const windowKey = `${keyPrefix}ratelimit:${key}:${windowStart}`;
+
+      const [[incrError, count], [expireError]] = await client
+        .pipeline()
+        .incrby(windowKey, cost)
+        .pexpireat(windowKey, resetAt)
+        .exec();
+      if (incrError || expireError) throw incrError || expireError;
+
+      return { count, resetAt };
+    },
+  };
+};
+
+export default createRedisStore;
@@ -0,0 +1,205 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import config from '../config/index.js';
+import { normalizeMimeType } from '../utils/fileSignatures.js';
+import { AppError, RemoteFetchError, LimitExceededError, UnsupportedFormatError } from '../utils/errors.js';
+import { timeStage } from '../utils/timing.js';
+import logger from '../utils/logger.js';
+
+// Addresses imageUrl may never reach: this host, private networks, link-local
+// (cloud metadata at 169.254.169.254), carrier-grade NAT, multicast and reserved ranges
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Whether an address is outside the public internet. IPv4-mapped IPv6
+ * addresses (::ffff:10.0.0.1) are judged by the IPv4 address they carry.
+ */
+export const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return privateRanges.check(mapped[1], 'ipv4');
+  return privateRanges.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup for outgoing requests that refuses private addresses. It runs
+ * when the socket connects, so the address checked is the address used (a
+ * hostname cannot resolve to a public address for a check and a private one
+ * for the connection). `field` names the URL in errors; `allowPrivate()` is
+ * read on every lookup.
+ */
+export const createPublicLookup = (field, allowPrivate) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const refused = addresses.find(({ address }) => isPrivateAddress(address));
+    if (refused && !allowPrivate()) {
+      return callback(new RemoteFetchError(
+        'URL_NOT_ALLOWED',
+        `${field} host ${hostname} resolves to a private address (${refused.address})`
+      ));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const publicLookup = createPublicLookup('imageUrl', () => config.remoteInput.allowPrivateNetworks);
+
+/**
+ * Parse and check a URL we were asked to fetch
+ */
+const parseRemoteUrl = (value, base) => {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch {
+    throw new RemoteFetchError('URL_NOT_ALLOWED', `imageUrl "${value}" is not a valid URL`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new RemoteFetchError('URL_NOT_ALLOWED', `imageUrl must use http or https, not ${url.protocol.slice(0, -1)}`);
+  }
+  if (url.username || url.password) {
+    throw new RemoteFetchError('URL_NOT_ALLOWED', 'imageUrl must not contain credentials');
+  }
+
+  // Sockets skip the lookup for IP addresses, so those are checked here
+  const address = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(address) && isPrivateAddress(address) && !config.remoteInput.allowPrivateNetworks) {
+    throw new RemoteFetchError('URL_NOT_ALLOWED', `imageUrl points at a private address (${address})`);
+  }
+  return url;
+};
+
+const get = (url, signal) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.get(url, {
+    lookup: publicLookup,
+    signal,
+    // A fresh connection per fetch, so every one goes through publicLookup
+    agent: false,
+    headers: {
+      'User-Agent': 'MagicPixels/1.0 (+imageUrl)',
+      Accept: 'image/*, application/pdf;q=0.9, */*;q=0.1',
+    },
+  }, resolve);
+  request.on('error', reject);
+});
+
+// Read a response body, giving up as soon as it passes maxBytes
+const readBody = async (response, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw new LimitExceededError(`imageUrl is larger than the allowed ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const describeFailure = (error, timedOut) => {
+  if (timedOut) {
+    return new RemoteFetchError(
+      'REMOTE_FETCH_TIMEOUT',
+      `imageUrl did not answer within ${config.remoteInput.timeoutMs}ms`,
+      { cause: error }
+    );
+  }
+  if (error instanceof AppError) return error;
+  return new RemoteFetchError('REMOTE_FETCH_FAILED', `Could not fetch imageUrl: ${error.code || error.message}`, {
+    cause: error,
+  });
+};
+
+/**
+ * Fetch an image (or PDF) from a URL for a processing endpoint, guarding
+ * against SSRF: http(s) only, no private or loopback addresses (checked on
+ * every connection, redirects included), at most REMOTE_INPUT_MAX_REDIRECTS
+ * redirects, MAX_FILE_SIZE bytes and REMOTE_INPUT_TIMEOUT_MS overall, and a
+ * content type we accept.
+ * Returns { buffer, mimeType, originalname, url } with the final URL.
+ */
+export const fetchRemoteFile = async (value) => {
+  const { timeoutMs, maxRedirects } = config.remoteInput;
+  const maxBytes = config.upload.maxFileSize;
+  let url = parseRemoteUrl(value);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    return await timeStage('download', 'fetchRemoteFile', async () => {
+      for (let redirects = 0; ; redirects++) {
+        const response = await get(url, controller.signal);
+
+        // Bodies we do not use are never read: destroying the response closes
+        // its connection, so an endless body cannot outlive the request
+        if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+          response.destroy();
+          if (redirects >= maxRedirects) {
+            throw new RemoteFetchError('REMOTE_FETCH_FAILED', `imageUrl redirected more than ${maxRedirects} times`);
+          }
+          url = parseRemoteUrl(response.headers.location, url);
+          continue;
+        }
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          response.destroy();
+          throw new RemoteFetchError('REMOTE_FETCH_FAILED', `imageUrl answered with status ${response.statusCode}`);
+        }
+
+        const mimeType = normalizeMimeType(response.headers['content-type']);
+        const accepted = config.upload.allowedMimeTypes.map(normalizeMimeType);
+        if (mimeType && mimeType !== 'application/octet-stream' && !accepted.includes(mimeType)) {
+          response.destroy();
+          throw new UnsupportedFormatError(`imageUrl returned ${mimeType}, which is not an accepted file type`);
+        }
+
+        if (Number(response.headers['content-length']) > maxBytes) {
+          response.destroy();
+          throw new LimitExceededError(`imageUrl is larger than the allowed ${maxBytes} bytes`);
+        }
+
+        const buffer = await readBody(response, maxBytes);
+        logger.debug('Fetched imageUrl', { url: url.href, bytes: buffer.length, redirects });
+
+        return {
+          buffer,
+          mimeType,
+          originalname: path.posix.basename(url.pathname) || 'image',
+          url: url.href,
+        };
+      }
+    });
+  } catch (error) {
+    throw describeFailure(error, timedOut);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+export default { isPrivateAddress, createPublicLookup, fetchRemoteFile };
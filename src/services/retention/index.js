@@ -0,0 +1,371 @@
+import config from '../../config/index.js';
+import { defaultRetention, routeRetention } from '../../config/retention.js';
+import { compilePathPattern } from '../../utils/pathPattern.js';
+import { getRequestContext } from '../../utils/requestContext.js';
+import { getStorage, withStorageErrors } from '../storage/index.js';
+import { createCloudinaryDriver } from '../storage/cloudinaryDriver.js';
+import { TOOL_FOLDERS, listFolder } from '../cloudinaryService.js';
+import { createSqliteStore } from './sqliteStore.js';
+import { createMemoryStore } from './memoryStore.js';
+import logger from '../../utils/logger.js';
+import { registerGauge } from '../../utils/metrics.js';
+import { StorageError } from '../../utils/errors.js';
+
+const routeRules = routeRetention.map((rule) => ({ ...rule, pattern: compilePathPattern(rule.path) }));
+
+let store = null;
+
+/**
+ * Get the configured retention store (created on first use).
+ * Records are { publicId, storage, resourceType, url, format, owner, route,
+ * downloads, maxDownloads, deleteAfterFirstFetch, createdAt, expiresAt } with
+ * times in epoch milliseconds. Download links to a record are
+ * { id, publicId, owner, format, downloads, maxDownloads, expiresAt }.
+ */
+export const getRetentionStore = () => {
+  if (!store) {
+    if (config.retention.backend === 'sqlite') {
+      store = createSqliteStore({ filename: config.retention.sqlitePath });
+    } else if (config.retention.backend === 'memory') {
+      store = createMemoryStore();
+    } else {
+      throw new Error(`Unknown retention backend "${config.retention.backend}". Supported backends: sqlite, memory`);
+    }
+  }
+  return store;
+};
+
+/**
+ * Use a specific store instead of the configured one
+ */
+export const setRetentionStore = (customStore) => {
+  store = customStore;
+};
+
+registerGauge({
+  name: 'magicpixels_retained_files',
+  help: 'Stored results awaiting deletion by the retention reaper, per storage driver',
+  labelName: 'storage',
+  read: () => getRetentionStore().count(),
+});
+
+/**
+ * The retention policy for a result stored during a request:
+ * the defaults, then the first matching route rule, then the API key's overrides.
+ * Returns { ttlMs, maxDownloads, deleteAfterFirstFetch }.
+ */
+export const resolveRetention = ({ route = null, retention = null } = {}) => {
+  const policy = { ...defaultRetention };
+
+  const rule = route && routeRules.find((entry) => entry.pattern.test(route));
+  if (rule) {
+    for (const field of ['ttlMs', 'maxDownloads', 'deleteAfterFirstFetch']) {
+      if (rule[field] !== undefined) policy[field] = rule[field];
+    }
+  }
+
+  if (retention) {
+    if (retention.ttlSeconds !== undefined) {
+      policy.ttlMs = retention.ttlSeconds === null ? null : retention.ttlSeconds * 1000;
+    }
+    if (retention.maxDownloads !== undefined) policy.maxDownloads = retention.maxDownloads;
+    if (retention.deleteAfterFirstFetch !== undefined) policy.deleteAfterFirstFetch = retention.deleteAfterFirstFetch;
+  }
+
+  return policy;
+};
+
+/**
+ * The effective policy, for the admin API
+ */
+export const describeRetentionPolicy = () => ({
+  backend: config.retention.backend,
+  defaults: defaultRetention,
+  routes: routeRetention,
+  reapIntervalMs: config.retention.reapIntervalMs,
+  orphanGraceMs: config.retention.orphanGraceMs,
+  auditTtlMs: config.retention.auditTtlMs,
+  orphanFolders: TOOL_FOLDERS,
+});
+
+// Downloads a record allows in total, or null for unlimited
+const downloadLimit = (record) => {
+  if (record.deleteAfterFirstFetch) return Math.min(record.maxDownloads ?? 1, 1);
+  return record.maxDownloads;
+};
+
+const isFinished = (record, now) => {
+  const limit = downloadLimit(record);
+  return (record.expiresAt !== null && record.expiresAt <= now)
+    || (limit !== null && record.downloads >= limit);
+};
+
+const deletionReason = (record, now) => {
+  if (record.expiresAt !== null && record.expiresAt <= now) return 'expired';
+  if (record.deleteAfterFirstFetch && record.downloads > 0) return 'first-fetch';
+  return 'download-limit';
+};
+
+/**
+ * Describe a record for API responses: { exists, downloads, remaining,
+ * maxDownloads, deleteAfterFirstFetch, expiresAt } (null means no limit)
+ */
+export const toRetentionStatus = (record) => {
+  if (!record) {
+    return { exists: false, downloads: 0, remaining: 0 };
+  }
+
+  const limit = downloadLimit(record);
+  return {
+    exists: true,
+    downloads: record.downloads,
+    remaining: limit === null ? null : Math.max(0, limit - record.downloads),
+    maxDownloads: record.maxDownloads,
+    deleteAfterFirstFetch: record.deleteAfterFirstFetch,
+    expiresAt: record.expiresAt === null ? null : new Date(record.expiresAt).toISOString(),
+  };
+};
+
+// Files stored for an API key are only visible to that key
+const isVisibleTo = (record, owner) => !record.owner || record.owner === owner;
+
+/**
+ * Start retaining a stored result under the policy of the current request
+ * (see utils/requestContext.js). Returns its retention status.
+ */
+export const retainResult = async ({ publicId, storage, resourceType = 'image', url = null, format = null }) => {
+  const context = getRequestContext() || {};
+  const policy = resolveRetention(context);
+  const now = Date.now();
+
+  const record = {
+    publicId,
+    storage,
+    resourceType,
+    url,
+    format,
+    owner: context.owner ?? null,
+    route: context.route ?? null,
+    downloads: 0,
+    maxDownloads: policy.maxDownloads,
+    deleteAfterFirstFetch: policy.deleteAfterFirstFetch,
+    createdAt: now,
+    expiresAt: policy.ttlMs === null ? null : now + policy.ttlMs,
+  };
+
+  await getRetentionStore().create(record);
+  return toRetentionStatus(record);
+};
+
+/**
+ * Get a stored result's record, or null if it is unknown or not visible to `owner`
+ */
+export const getRetainedResult = async (publicId, { owner = null } = {}) => {
+  const record = await getRetentionStore().get(publicId);
+  return record && isVisibleTo(record, owner) ? record : null;
+};
+
+/**
+ * Get a stored result's retention status
+ */
+export const getRetentionStatus = async (publicId, { owner = null } = {}) => {
+  return toRetentionStatus(await getRetainedResult(publicId, { owner }));
+};
+
+const getDriverFor = (record) => {
+  const active = getStorage();
+  if (record.storage === active.name) return active;
+  if (record.storage === 'cloudinary') return createCloudinaryDriver();
+
+  throw new StorageError(`Cannot reach ${record.storage} storage while the ${active.name} driver is configured`);
+};
+
+/**
+ * Open a stored result for proxying: { stream, contentType, size },
+ * or null if the file is gone from storage
+ */
+export const openResult = async (record, options = {}) => {
+  return withStorageErrors('Reading the result failed', async () => getDriverFor(record).open(record.publicId, {
+    resourceType: record.resourceType,
+    ...options,
+  }));
+};
+
+/**
+ * Delete a stored result and its download links, and record why in the audit:
+ * expired, download-limit, first-fetch, orphan or manual
+ */
+export const deleteResult = async (record, reason = 'manual') => {
+  await getDriverFor(record).remove(record.publicId, { resourceType: record.resourceType });
+
+  const retentionStore = getRetentionStore();
+  await retentionStore.remove(record.publicId);
+  await retentionStore.addAudit({
+    publicId: record.publicId,
+    storage: record.storage,
+    owner: record.owner,
+    route: record.route,
+    reason,
+    downloads: record.downloads,
+    deletedAt: Date.now(),
+  });
+};
+
+/**
+ * Count one download of a stored result. Returns
+ * { allowed, error, downloads, remaining, record, deleteAfter } where
+ * deleteAfter is the deletion reason when this was the file's last download:
+ * the caller deletes it once the download has been sent (the reaper catches
+ * it if that never happens).
+ */
+export const recordDownload = async (publicId, { owner = null } = {}) => {
+  const retentionStore = getRetentionStore();
+  const record = await getRetainedResult(publicId, { owner });
+
+  if (!record) {
+    return { allowed: false, error: 'File not found or already deleted', remaining: 0 };
+  }
+
+  // Counted atomically, so concurrent requests cannot go over the limit
+  const now = Date.now();
+  const updated = await retentionStore.recordDownload(publicId, now);
+
+  if (!updated) {
+    const reason = deletionReason(record, now);
+    await deleteResult(record, reason);
+    return {
+      allowed: false,
+      error: reason === 'expired'
+        ? 'File has expired and has been deleted.'
+        : 'Download limit reached. File has been deleted.',
+      remaining: 0,
+    };
+  }
+
+  const status = toRetentionStatus(updated);
+  return {
+    allowed: true,
+    downloads: status.downloads,
+    remaining: status.remaining,
+    record: updated,
+    deleteAfter: isFinished(updated, now) ? deletionReason(updated, now) : null,
+  };
+};
+
+/**
+ * Delete a result once its last download has gone out
+ */
+export const deleteWhenSent = (res, download) => {
+  if (!download.deleteAfter) return;
+
+  res.on('close', () => {
+    deleteResult(download.record, download.deleteAfter).catch((error) => {
+      logger.error('Failed to delete result', { publicId: download.record.publicId, error });
+    });
+  });
+};
+
+/**
+ * The newest deletions, optionally only one API key's files
+ */
+export const listAudit = async ({ limit = 100, owner = null } = {}) => {
+  return getRetentionStore().listAudit({ limit, owner });
+};
+
+/**
+ * Delete every finished result (expired, used up, or fetched when it should
+ * go after one), plus orphans: files in the Cloudinary tool folders the store
+ * has no record of. Also drops expired download links and old audit entries.
+ * Returns { deleted, orphaned, failed } counts.
+ */
+export const reapResults = async () => {
+  const retentionStore = getRetentionStore();
+  const now = Date.now();
+  let deleted = 0;
+  let orphaned = 0;
+  let failed = 0;
+
+  await retentionStore.removeExpiredLinks(now);
+  await retentionStore.pruneAudit(now - config.retention.auditTtlMs);
+
+  for (const record of await retentionStore.listFinished(now)) {
+    try {
+      await deleteResult(record, deletionReason(record, now));
+      deleted++;
+    } catch (error) {
+      failed++;
+      logger.error('Failed to delete result', { publicId: record.publicId, error });
+    }
+  }
+
+  // Orphans come from the Cloudinary tools, and listing folders needs their credentials
+  if (!config.features.cloudinaryTools) {
+    return { deleted, orphaned, failed };
+  }
+
+  for (const folder of TOOL_FOLDERS) {
+    for (const resource of await listFolder(folder)) {
+      if (now - Date.parse(resource.created_at) < config.retention.orphanGraceMs) continue;
+      if (await retentionStore.get(resource.public_id)) continue;
+
+      try {
+        await deleteResult({
+          publicId: resource.public_id,
+          storage: 'cloudinary',
+          resourceType: 'image',
+          owner: null,
+          route: null,
+          downloads: null,
+        }, 'orphan');
+        orphaned++;
+      } catch (error) {
+        failed++;
+        logger.error('Failed to delete orphaned result', { publicId: resource.public_id, error });
+      }
+    }
+  }
+
+  return { deleted, orphaned, failed };
+};
+
+let reaperStarted = false;
+
+/**
+ * Reap now and then on an interval (safe to call more than once)
+ */
+export const startReaper = () => {
+  if (reaperStarted) return;
+  reaperStarted = true;
+
+  const reap = async () => {
+    try {
+      const { deleted, orphaned } = await reapResults();
+      if (deleted > 0 || orphaned > 0) {
+        logger.info('Retention reaper deleted results', { deleted, orphaned });
+      }
+    } catch (error) {
+      logger.error('Retention reaper failed', { error });
+    }
+  };
+
+  reap();
+  setInterval(reap, config.retention.reapIntervalMs).unref();
+};
+
+export default {
+  getRetentionStore,
+  setRetentionStore,
+  resolveRetention,
+  describeRetentionPolicy,
+  toRetentionStatus,
+  retainResult,
+  getRetainedResult,
+  getRetentionStatus,
+  openResult,
+  deleteResult,
+  recordDownload,
+  deleteWhenSent,
+  listAudit,
+  reapResults,
+  startReaper,
+};
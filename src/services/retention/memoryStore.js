@@ -0,0 +1,111 @@
+// Audit entries kept in memory; older ones are dropped first
+const MAX_AUDIT_ENTRIES = 10000;
+
+// A file is finished once it has expired, used up its downloads, or been fetched when it should go after one
+const isFinished = (record, now) => (record.expiresAt !== null && record.expiresAt <= now)
+  || (record.maxDownloads !== null && record.downloads >= record.maxDownloads)
+  || (record.deleteAfterFirstFetch && record.downloads > 0);
+
+const isLinkFinished = (link, now) => link.expiresAt <= now || link.downloads >= link.maxDownloads;
+
+/**
+ * Retention store that keeps records in this process.
+ * Records are lost on restart, so only use it for development.
+ */
+export const createMemoryStore = () => {
+  const records = new Map();
+  const links = new Map();
+  let audit = [];
+
+  return {
+    name: 'memory',
+
+    create: async (record) => {
+      records.set(record.publicId, { ...record });
+    },
+
+    get: async (publicId) => {
+      const record = records.get(publicId);
+      return record ? { ...record } : null;
+    },
+
+    // Number of retained files per storage driver, e.g. { local: 12 }
+    count: async () => {
+      const counts = {};
+      records.forEach((record) => {
+        counts[record.storage] = (counts[record.storage] || 0) + 1;
+      });
+      return counts;
+    },
+
+    // Counts one download; null when the record is missing or finished
+    recordDownload: async (publicId, now) => {
+      const record = records.get(publicId);
+      if (!record || isFinished(record, now)) return null;
+      record.downloads++;
+      return { ...record };
+    },
+
+    // Removes the record and every download link to it
+    remove: async (publicId) => {
+      records.delete(publicId);
+      links.forEach((link, id) => {
+        if (link.publicId === publicId) links.delete(id);
+      });
+    },
+
+    // Records that are expired, used up or already fetched once when that is all they get
+    listFinished: async (now) => [...records.values()]
+      .filter((record) => isFinished(record, now))
+      .map((record) => ({ ...record })),
+
+    createLink: async (link) => {
+      links.set(link.id, { ...link });
+    },
+
+    getLink: async (id) => {
+      const link = links.get(id);
+      return link ? { ...link } : null;
+    },
+
+    // Counts one use of a link; null when it is missing, expired or used up
+    useLink: async (id, now) => {
+      const link = links.get(id);
+      if (!link || isLinkFinished(link, now)) return null;
+      link.downloads++;
+      return { ...link };
+    },
+
+    removeExpiredLinks: async (now) => {
+      let removed = 0;
+      links.forEach((link, id) => {
+        if (isLinkFinished(link, now)) {
+          links.delete(id);
+          removed++;
+        }
+      });
+      return removed;
+    },
+
+    addAudit: async (entry) => {
+      audit.push({ ...entry });
+      if (audit.length > MAX_AUDIT_ENTRIES) audit.shift();
+    },
+
+    // Newest first, optionally only one owner's files
+    listAudit: async ({ limit, owner = null }) => audit
+      .filter((entry) => owner === null || entry.owner === owner)
+      .slice(-limit)
+      .reverse()
+      .map((entry) => ({ ...entry })),
+
+    pruneAudit: async (before) => {
+      const kept = audit.filter((entry) => entry.deletedAt > before);
+      const removed = audit.length - kept.length;
+      audit = kept;
+      return removed;
+    },
+  };
+};
+
+export default createMemoryStore;
@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const toRecord = (row) => row && ({
+  publicId: row.public_id,
+  storage: row.storage,
+  resourceType: row.resource_type,
+  url: row.url,
+  format: row.format,
+  owner: row.owner,
+  route: row.route,
+  downloads: row.downloads,
+  maxDownloads: row.max_downloads,
+  deleteAfterFirstFetch: Boolean(row.delete_after_first_fetch),
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+});
+
+const toLink = (row) => row && ({
+  id: row.id,
+  publicId: row.public_id,
+  owner: row.owner,
+  format: row.format,
+  downloads: row.downloads,
+  maxDownloads: row.max_downloads,
+  expiresAt: row.expires_at,
+});
+
+const toAuditEntry = (row) => ({
+  publicId: row.public_id,
+  storage: row.storage,
+  owner: row.owner,
+  route: row.route,
+  reason: row.reason,
+  downloads: row.downloads,
+  deletedAt: row.deleted_at,
+});
+
+// A file is finished once it has expired, used up its downloads, or been fetched when it should go after one
+const FINISHED = `
+  (expires_at IS NOT NULL AND expires_at <= @now)
+  OR (max_downloads IS NOT NULL AND downloads >= max_downloads)
+  OR (delete_after_first_fetch = 1 AND downloads > 0)
+`;
+
+/**
+ * Retention store in a SQLite file, so download counts, expiry and the
+ * deletion audit survive restarts. Times are stored as epoch milliseconds;
+ * a NULL max_downloads or expires_at means no limit.
+ */
+export const createSqliteStore = ({ filename }) => {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS retained_files (
+      public_id TEXT PRIMARY KEY,
+      storage TEXT NOT NULL,
+      resource_type TEXT NOT NULL DEFAULT 'image',
+      url TEXT,
+      format TEXT,
+      owner TEXT,
+      route TEXT,
+      downloads INTEGER NOT NULL DEFAULT 0,
+      max_downloads INTEGER,
+      delete_after_first_fetch INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS retained_files_expires_at ON retained_files (expires_at);
+    CREATE TABLE IF NOT EXISTS download_links (
+      id TEXT PRIMARY KEY,
+      public_id TEXT NOT NULL,
+      owner TEXT,
+      format TEXT,
+      downloads INTEGER NOT NULL DEFAULT 0,
+      max_downloads INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS download_links_public_id ON download_links (public_id);
+    CREATE TABLE IF NOT EXISTS retention_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      public_id TEXT NOT NULL,
+      storage TEXT,
+      owner TEXT,
+      route TEXT,
+      reason TEXT NOT NULL,
+      downloads INTEGER,
+      deleted_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS retention_audit_deleted_at ON retention_audit (deleted_at);
+  `);
+
+  // Databases from before retention only tracked Cloudinary tool results
+  const hasLegacyTable = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'downloads'").get();
+  if (hasLegacyTable) {
+    db.transaction(() => {
+      db.exec(`
+        INSERT OR IGNORE INTO retained_files (public_id, storage, owner, downloads, max_downloads, created_at, expires_at)
+        SELECT public_id, 'cloudinary', owner, downloads, max_downloads, created_at, expires_at FROM downloads;
+        DROP TABLE downloads;
+      `);
+    })();
+  }
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT OR REPLACE INTO retained_files (
+        public_id, storage, resource_type, url, format, owner, route,
+        downloads, max_downloads, delete_after_first_fetch, created_at, expires_at
+      ) VALUES (
+        @publicId, @storage, @resourceType, @url, @format, @owner, @route,
+        @downloads, @maxDownloads, @deleteAfterFirstFetch, @createdAt, @expiresAt
+      )
+    `),
+    get: db.prepare('SELECT * FROM retained_files WHERE public_id = ?'),
+    count: db.prepare('SELECT storage, COUNT(*) AS files FROM retained_files GROUP BY storage'),
+    recordDownload: db.prepare(`
+      UPDATE retained_files SET downloads = downloads + 1
+      WHERE public_id = @publicId AND NOT (${FINISHED})
+      RETURNING *
+    `),
+    remove: db.prepare('DELETE FROM retained_files WHERE public_id = ?'),
+    finished: db.prepare(`SELECT * FROM retained_files WHERE ${FINISHED}`),
+    insertLink: db.prepare(`
+      INSERT INTO download_links (id, public_id, owner, format, downloads, max_downloads, expires_at)
+      VALUES (@id, @publicId, @owner, @format, @downloads, @maxDownloads, @expiresAt)
+    `),
+    getLink: db.prepare('SELECT * FROM download_links WHERE id = ?'),
+    useLink: db.prepare(`
+      UPDATE download_links SET downloads = downloads + 1
+      WHERE id = ? AND downloads < max_downloads AND expires_at > ?
+      RETURNING *
+    `),
+    removeLinks: db.prepare('DELETE FROM download_links WHERE public_id = ?'),
+    removeExpiredLinks: db.prepare('DELETE FROM download_links WHERE expires_at <= ? OR downloads >= max_downloads'),
+    insertAudit: db.prepare(`
+      INSERT INTO retention_audit (public_id, storage, owner, route, reason, downloads, deleted_at)
+      VALUES (@publicId, @storage, @owner, @route, @reason, @downloads, @deletedAt)
+    `),
+    listAudit: db.prepare(`
+      SELECT * FROM retention_audit
+      WHERE @owner IS NULL OR owner = @owner
+      ORDER BY id DESC LIMIT @limit
+    `),
+    pruneAudit: db.prepare('DELETE FROM retention_audit WHERE deleted_at <= ?'),
+  };
+
+  const removeRecord = db.transaction((publicId) => {
+    statements.remove.run(publicId);
+    statements.removeLinks.run(publicId);
+  });
+
+  return {
+    name: 'sqlite',
+
+    create: async (record) => {
+      statements.insert.run({ ...record, deleteAfterFirstFetch: record.deleteAfterFirstFetch ? 1 : 0 });
+    },
+
+    get: async (publicId) => toRecord(statements.get.get(publicId)) || null,
+
+    // Number of retained files per storage driver, e.g. { local: 12 }
+    count: async () => Object.fromEntries(statements.count.all().map((row) => [row.storage, row.files])),
+
+    // Counts one download; null when the record is missing or finished
+    recordDownload: async (publicId, now) => toRecord(statements.recordDownload.get({ publicId, now })) || null,
+
+    // Removes the record and every download link to it
+    remove: async (publicId) => {
+      removeRecord(publicId);
+    },
+
+    // Records that are expired, used up or already fetched once when that is all they get
+    listFinished: async (now) => statements.finished.all({ now }).map(toRecord),
+
+    createLink: async (link) => {
+      statements.insertLink.run(link);
+    },
+
+    getLink: async (id) => toLink(statements.getLink.get(id)) || null,
+
+    // Counts one use of a link; null when it is missing, expired or used up
+    useLink: async (id, now) => toLink(statements.useLink.get(id, now)) || null,
+
+    removeExpiredLinks: async (now) => statements.removeExpiredLinks.run(now).changes,
+
+    addAudit: async (entry) => {
+      statements.insertAudit.run(entry);
+    },
+
+    // Newest first, optionally only one owner's files
+    listAudit: async ({ limit, owner = null }) => statements.listAudit.all({ limit, owner }).map(toAuditEntry),
+
+    pruneAudit: async (before) => statements.pruneAudit.run(before).changes,
+  };
+};
+
+export default createSqliteStore;
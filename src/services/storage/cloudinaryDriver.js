@@ -0,0 +1,72 @@
+import { Readable } from 'stream';
+import cloudinary, { uploadBufferToCloudinary, deleteFromCloudinary } from '../../config/cloudinary.js';
+
+/**
+ * Storage driver backed by the existing Cloudinary account
+ */
+export const createCloudinaryDriver = () => ({
+  name: 'cloudinary',
+
+  upload: async (buffer, { name, folder, format, resourceType, driverOptions = {} }) => {
+    const result = await uploadBufferToCloudinary(buffer, {
+      ...(folder && { folder }),
+      ...(name && { public_id: name }),
+      ...(format && { format }),
+      ...(resourceType === 'raw' && { resource_type: 'raw' }),
+      ...driverOptions,
+    });
+
+    return {
+      url: result.secure_url,
+      publicId: result.public_id,
+      format: result.format,
+      width: result.width,
+      height: result.height,
+      size: result.bytes,
+    };
+  },
+
+  // Images can be converted on the way out by passing a format
+  open: async (publicId, { resourceType, format } = {}) => {
+    const url = resourceType === 'raw'
+      ? cloudinary.url(publicId, { secure: true, resource_type: 'raw' })
+      : cloudinary.url(publicId, {
+        secure: true,
+        transformation: [
+          { quality: 'auto:best' },
+          ...(format ? [{ fetch_format: format }] : []),
+        ],
+      });
+
+    const response = await fetch(url);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Failed to fetch file: ${response.status} ${response.statusText}`);
+    }
+
+    return {
+      stream: Readable.fromWeb(response.body),
+      contentType: response.headers.get('content-type'),
+      size: response.headers.get('content-length') ? Number(response.headers.get('content-length')) : undefined,
+    };
+  },
+
+  // Credentials are valid (the Admin API ping needs the key and secret)
+  check: async () => {
+    try {
+      await cloudinary.api.ping();
+      return { cloudName: cloudinary.config().cloud_name };
+    } catch (error) {
+      throw new Error(`Cloudinary is not reachable: ${error.error?.message || error.message}`);
+    }
+  },
+
+  remove: async (publicId, { resourceType } = {}) => {
+    if (resourceType === 'raw') {
+      return cloudinary.uploader.destroy(publicId, { resource_type: 'raw' });
+    }
+    return deleteFromCloudinary(publicId);
+  },
+});
+
+export default createCloudinaryDriver;
@@ -0,0 +1,113 @@
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../../config/index.js';
+import { getMimeType, getExtension } from '../../utils/mimeTypes.js';
+import { createCloudinaryDriver } from './cloudinaryDriver.js';
+import { createLocalDriver } from './localDriver.js';
+import { createS3Driver } from './s3Driver.js';
+import { retainResult } from '../retention/index.js';
+import { timeStage } from '../../utils/timing.js';
+import { AppError, StorageError, ValidationError } from '../../utils/errors.js';
+
+const DEFAULT_FOLDER = 'magicpixels';
+
+const driverFactories = {
+  cloudinary: () => createCloudinaryDriver(),
+  local: () => createLocalDriver(config.storage.local),
+  s3: () => createS3Driver(config.storage.s3),
+};
+
+let activeDriver = null;
+
+/**
+ * Get the configured storage driver (created on first use)
+ */
+export const getStorage = () => {
+  if (!activeDriver) {
+    const factory = driverFactories[config.storage.driver];
+    if (!factory) {
+      throw new Error(
+        `Unknown storage driver "${config.storage.driver}". Supported drivers: ${Object.keys(driverFactories).join(', ')}`
+      );
+    }
+    activeDriver = factory();
+  }
+  return activeDriver;
+};
+
+/**
+ * Run a driver call, reporting its failures as StorageError
+ */
+export const withStorageErrors = async (action, fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new StorageError(`${action}: ${error.message}`, { cause: error });
+  }
+};
+
+/**
+ * Store a processed buffer and return the driver-independent result shape:
+ * { url, publicId, format, width, height, size }.
+ * The result is retained under the current request's policy (config/retention.js).
+ */
+export const storeBuffer = async (buffer, options = {}) => {
+  const {
+    format,
+    resourceType = 'image',
+    folder = DEFAULT_FOLDER,
+    name = uuidv4(),
+    driverOptions,
+  } = options;
+
+  const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  if (data.length === 0) {
+    throw new ValidationError('Cannot store an empty file');
+  }
+
+  // Images get their real format and dimensions; raw files (PDFs) keep what we were told
+  let metadata = {};
+  if (resourceType !== 'raw') {
+    metadata = await timeStage('decode', 'storeBuffer', () => sharp(data).metadata()).catch(() => ({}));
+  }
+
+  const outputFormat = (format === 'jpg' ? 'jpeg' : format) || metadata.format;
+  const driver = getStorage();
+
+  const result = await timeStage('upload', `${driver.name}Upload`, () => withStorageErrors('Storing the result failed', () => driver.upload(data, {
+    key: `${folder}/${name}.${getExtension(outputFormat)}`,
+    name,
+    folder,
+    format: outputFormat,
+    resourceType,
+    contentType: getMimeType(outputFormat),
+    driverOptions,
+  })));
+
+  await retainResult({
+    publicId: result.publicId,
+    storage: driver.name,
+    resourceType,
+    url: result.url,
+    format: result.format || outputFormat,
+  });
+
+  return {
+    url: result.url,
+    publicId: result.publicId,
+    format: result.format || outputFormat,
+    width: result.width ?? metadata.width,
+    height: result.height ?? metadata.height,
+    size: result.size ?? data.length,
+  };
+};
+
+/**
+ * Delete a stored result by its public id
+ */
+export const deleteStored = async (publicId, options = {}) => {
+  return withStorageErrors('Deleting the result failed', () => getStorage().remove(publicId, options));
+};
+
+export default { getStorage, withStorageErrors, storeBuffer, deleteStored };
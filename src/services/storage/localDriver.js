@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { getMimeType } from '../../utils/mimeTypes.js';
+
+/**
+ * Storage driver that writes results to a directory on disk.
+ * Files are served by the static /storage mount in server.js.
+ */
+export const createLocalDriver = ({ directory, publicUrl }) => {
+  const rootDir = path.resolve(process.cwd(), directory);
+  const baseUrl = publicUrl.replace(/\/+$/, '');
+
+  // Keys come from the storage layer, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory: rootDir,
+
+    upload: async (buffer, { key }) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return {
+        url: `${baseUrl}/${key}`,
+        publicId: key,
+        size: buffer.length,
+      };
+    },
+
+    open: async (publicId) => {
+      const filePath = resolveKey(publicId);
+      try {
+        const stats = await fs.stat(filePath);
+        return {
+          stream: createReadStream(filePath),
+          contentType: getMimeType(path.extname(filePath)),
+          size: stats.size,
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Writable directory, checked by writing and removing a probe file
+    check: async () => {
+      const probe = path.join(rootDir, `.health-${process.pid}`);
+      await fs.mkdir(rootDir, { recursive: true });
+      await fs.writeFile(probe, '');
+      await fs.unlink(probe);
+      return { directory: rootDir };
+    },
+
+    remove: async (publicId) => {
+      try {
+        await fs.unlink(resolveKey(publicId));
+        return { result: 'ok' };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { result: 'not found' };
+        throw error;
+      }
+    },
+  };
+};
+
+export default createLocalDriver;
@@ -0,0 +1,102 @@
+import {
+  S3Client,
+  HeadBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+
+/**
+ * Storage driver for S3 and S3-compatible endpoints such as MinIO
+ */
+export const createS3Driver = ({
+  endpoint,
+  region,
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  publicUrl,
+}) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET to be set');
+  }
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(accessKeyId && secretAccessKey && {
+      credentials: { accessKeyId, secretAccessKey },
+    }),
+  });
+
+  // Without an explicit public URL, derive one from the endpoint
+  const baseUrl = (
+    publicUrl ||
+    (endpoint
+      ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+    client,
+    bucket,
+
+    upload: async (buffer, { key, contentType }) => {
+      try {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          ContentLength: buffer.length,
+        }));
+      } catch (error) {
+        throw new Error(`S3 upload failed: ${error.message}`);
+      }
+
+      return {
+        url: `${baseUrl}/${key}`,
+        publicId: key,
+        size: buffer.length,
+      };
+    },
+
+    open: async (publicId) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: publicId }));
+        return {
+          stream: object.Body,
+          contentType: object.ContentType,
+          size: object.ContentLength,
+        };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw new Error(`S3 download failed: ${error.message}`);
+      }
+    },
+
+    // Bucket exists and the credentials can reach it
+    check: async () => {
+      try {
+        await client.send(new HeadBucketCommand({ Bucket: bucket }));
+        return { bucket };
+      } catch (error) {
+        throw new Error(`S3 bucket "${bucket}" is not reachable: ${error.name || error.message}`);
+      }
+    },
+
+    remove: async (publicId) => {
+      try {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: publicId }));
+        return { result: 'ok' };
+      } catch (error) {
+        throw new Error(`S3 delete failed: ${error.message}`);
+      }
+    },
+  };
+};
+
+export default createS3Driver;
@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../../config/index.js';
+import { getRedisClient } from '../../config/redis.js';
+import logger from '../../utils/logger.js';
+import { isPrivateAddress, createPublicLookup } from '../remoteInputService.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createRedisStore } from './redisStore.js';
+
+// Responses worth another attempt; any other 4xx means the receiver rejected it
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
+
+// Deliveries may not reach this host or private networks, same as imageUrl
+const publicLookup = createPublicLookup('callbackUrl', () => config.webhooks.allowPrivateNetworks);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let store = null;
+
+/**
+ * Get the configured delivery log store (created on first use)
+ */
+export const getDeliveryStore = () => {
+  if (!store) {
+    if (config.webhooks.backend === 'redis') {
+      store = createRedisStore({
+        client: getRedisClient(),
+        keyPrefix: config.redis.keyPrefix,
+        ttlMs: config.webhooks.logTtlMs,
+      });
+    } else if (config.webhooks.backend === 'memory') {
+      store = createMemoryStore({ ttlMs: config.webhooks.logTtlMs });
+    } else {
+      throw new Error(`Unknown webhooks backend "${config.webhooks.backend}". Supported backends: memory, redis`);
+    }
+  }
+  return store;
+};
+
+/**
+ * Use a specific store instead of the configured one (e.g. a local Redis stand-in)
+ */
+export const setDeliveryStore = (customStore) => {
+  store = customStore;
+};
+
+/**
+ * Check that a callback URL is an absolute http(s) URL without credentials
+ * that does not point at a private address. Hostnames are checked again
+ * when each delivery connects.
+ */
+export const validateCallbackUrl = (callbackUrl) => {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch {
+    return { valid: false, error: 'callbackUrl must be an absolute URL' };
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { valid: false, error: 'callbackUrl must use http or https' };
+  }
+  if (url.username || url.password) {
+    return { valid: false, error: 'callbackUrl must not contain credentials' };
+  }
+
+  // Sockets skip the lookup for IP addresses, so those are checked here
+  const address = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(address) && isPrivateAddress(address) && !config.webhooks.allowPrivateNetworks) {
+    return { valid: false, error: `callbackUrl points at a private address (${address})` };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Sign a payload: HMAC-SHA256 over "<timestamp>.<body>" with the webhook secret.
+ * Receivers recompute it and compare to the v1 value of X-MagicPixels-Signature.
+ */
+export const signPayload = (body, timestamp, secret = config.webhooks.secret) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Delay before the given retry: exponential backoff with jitter, capped
+ */
+const getBackoffDelay = (attempt) => {
+  const { initialDelayMs, maxDelayMs } = config.webhooks;
+  const delay = Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+// The log is only for reporting: a store that fails does not stop the delivery
+const recordDelivery = async (delivery) => {
+  try {
+    await getDeliveryStore().saveDelivery(delivery);
+  } catch (error) {
+    logger.error('Webhook delivery log could not be saved', { deliveryId: delivery.id, error });
+  }
+};
+
+/**
+ * POST the body and resolve with the response status. Redirects are not followed.
+ */
+const post = (url, headers, body, signal) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    lookup: publicLookup,
+    signal,
+    // A fresh connection per attempt, so every one goes through publicLookup
+    agent: false,
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Make a single delivery attempt
+ */
+const attemptDelivery = async (delivery, body) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const signal = AbortSignal.timeout(config.webhooks.timeoutMs);
+  const attempt = {
+    number: delivery.attempts.length + 1,
+    at: new Date(startedAt).toISOString(),
+    statusCode: null,
+    error: null,
+    durationMs: null,
+  };
+
+  try {
+    attempt.statusCode = await post(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'MagicPixels-Webhooks/1.0',
+      'X-MagicPixels-Event': delivery.event,
+      'X-MagicPixels-Delivery': delivery.id,
+      'X-MagicPixels-Request-Id': delivery.requestId,
+      'X-MagicPixels-Signature': signPayload(body, timestamp),
+    }, body, signal);
+    if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+      attempt.error = `Receiver responded with ${attempt.statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = signal.aborted ? 'Request timed out' : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+  return attempt;
+};
+
+/**
+ * Deliver with retries until it succeeds, is rejected, or runs out of attempts
+ */
+const runDelivery = async (delivery, body) => {
+  const { maxAttempts } = config.webhooks;
+
+  while (delivery.attempts.length < maxAttempts) {
+    const attempt = await attemptDelivery(delivery, body);
+
+    if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+      await recordDelivery(delivery);
+      return;
+    }
+
+    const retryable = attempt.statusCode === null ||
+      attempt.statusCode >= 500 ||
+      RETRYABLE_STATUS_CODES.includes(attempt.statusCode);
+
+    if (!retryable || delivery.attempts.length >= maxAttempts) break;
+
+    const delay = getBackoffDelay(delivery.attempts.length);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    await recordDelivery(delivery);
+    await sleep(delay);
+  }
+
+  delivery.status = 'failed';
+  delivery.nextAttemptAt = null;
+  await recordDelivery(delivery);
+  logger.error('Webhook delivery failed', {
+    deliveryId: delivery.id,
+    url: delivery.url,
+    attempts: delivery.attempts.length,
+  });
+};
+
+/**
+ * Queue a signed webhook POST. Returns the delivery record right away;
+ * attempts and retries happen in the background. `owner` is the id of the
+ * API key that asked for it; only that key can read the delivery log.
+ */
+export const scheduleWebhook = ({ url, event, requestId, owner = null, result }) => {
+  if (!config.features.webhooks) {
+    throw new Error('Webhook callbacks are disabled on this server');
+  }
+
+  const delivery = {
+    id: uuidv4(),
+    requestId,
+    owner,
+    url,
+    event,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const body = JSON.stringify({
+    id: delivery.id,
+    event,
+    requestId,
+    createdAt: delivery.createdAt,
+    result,
+  });
+
+  recordDelivery(delivery)
+    .then(() => runDelivery(delivery, body))
+    .catch((error) => {
+      delivery.status = 'failed';
+      logger.error('Webhook delivery crashed', { deliveryId: delivery.id, error });
+      return recordDelivery(delivery);
+    });
+
+  return delivery;
+};
+
+/**
+ * Get the delivery log for a request, as seen by the API key `owner`
+ */
+export const getDeliveries = async (requestId, { owner = null } = {}) => {
+  const deliveries = await getDeliveryStore().getDeliveries(requestId);
+  return deliveries
+    .filter((delivery) => delivery.owner === owner)
+    .map(({ owner: _owner, ...delivery }) => delivery);
+};
+
+export default {
+  getDeliveryStore,
+  setDeliveryStore,
+  validateCallbackUrl,
+  signPayload,
+  scheduleWebhook,
+  getDeliveries,
+};
@@ -0,0 +1,42 @@
+// How often expired delivery logs are swept out of memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Webhook delivery logs kept in this process.
+ * Logs are lost on restart and are not shared; use the redis store for that.
+ */
+export const createMemoryStore = ({ ttlMs }) => {
+  // requestId -> { deliveries: Map(deliveryId -> delivery), expiresAt }
+  const logs = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    logs.forEach((log, requestId) => {
+      if (log.expiresAt <= now) logs.delete(requestId);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    // A request's log is kept until ttlMs after its last update
+    saveDelivery: async (delivery) => {
+      let log = logs.get(delivery.requestId);
+      if (!log || log.expiresAt <= Date.now()) {
+        log = { deliveries: new Map() };
+        logs.set(delivery.requestId, log);
+      }
+      log.deliveries.set(delivery.id, structuredClone(delivery));
+      log.expiresAt = Date.now() + ttlMs;
+    },
+
+    // Every delivery for the request, oldest first
+    getDeliveries: async (requestId) => {
+      const log = logs.get(requestId);
+      if (!log || log.expiresAt <= Date.now()) return [];
+      return [...log.deliveries.values()].map((delivery) => structuredClone(delivery));
+    },
+  };
+};
+
+export default createMemoryStore;
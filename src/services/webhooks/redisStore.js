@@ -0,0 +1,32 @@
+/**
+ * Webhook delivery logs in Redis, so any instance can report deliveries
+ * another one made. Each request's log is a hash of delivery id to JSON.
+ */
+export const createRedisStore = ({ client, keyPrefix, ttlMs }) => {
+  const key = (requestId) => `${keyPrefix}webhooks:${requestId}`;
+
+  return {
+    name: 'redis',
+
+    // A request's log is kept until ttlMs after its last update
+    saveDelivery: async (delivery) => {
+      const logKey = key(delivery.requestId);
+      const [[setError], [expireError]] = await client
+        .pipeline()
+        .hset(logKey, delivery.id, JSON.stringify(delivery))
+        .pexpire(logKey, ttlMs)
+        .exec();
+      if (setError || expireError) throw setError || expireError;
+    },
+
+    // Every delivery for the request, oldest first
+    getDeliveries: async (requestId) => {
+      const entries = await client.hvals(key(requestId));
+      return entries
+        .map((entry) => JSON.parse(entry))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+  };
+};
+
+export default createRedisStore;
@@ -0,0 +1,181 @@
+import path from 'path';
+import sharp from 'sharp';
+import { getMimeType, getExtension } from './mimeTypes.js';
+import { runJobNow, submitJob, supportsArchive } from '../services/jobs/index.js';
+import { storeArchive } from '../services/archiveService.js';
+import { pipeZip } from './zip.js';
+import { prepareCallback, describeCallback } from '../middleware/webhook.js';
+import { ValidationError } from './errors.js';
+
+// Content types a client can ask for to get the processed bytes back directly.
+// These must be concrete types: offering `image/*` would win over JSON for `*/*`.
+const BINARY_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'image/avif',
+  'image/tiff',
+  'image/gif',
+  'application/pdf',
+  'application/octet-stream',
+];
+
+/**
+ * Check whether the client asked for the result bytes instead of a JSON URL.
+ * `?delivery=inline` (or a `delivery` body field) wins; otherwise the Accept
+ * header decides, with JSON preferred when both are acceptable.
+ */
+export const wantsInlineDelivery = (req) => {
+  const delivery = req.query?.delivery || req.body?.delivery;
+  if (delivery) {
+    return String(delivery).toLowerCase() === 'inline';
+  }
+
+  const preferred = req.accepts(['application/json', ...BINARY_TYPES]);
+  return Boolean(preferred) && preferred !== 'application/json';
+};
+
+/**
+ * Check whether the client asked for a background job instead of waiting
+ * for the result (`?delivery=async`, or the `async=true` shorthand)
+ */
+export const wantsAsyncDelivery = (req) => {
+  const delivery = req.query?.delivery || req.body?.delivery;
+  if (delivery) {
+    return String(delivery).toLowerCase() === 'async';
+  }
+
+  const async = req.query?.async ?? req.body?.async;
+  return async === true || async === 'true' || async === '1';
+};
+
+/**
+ * Build a download file name from the uploaded file's name
+ */
+export const buildFilename = (originalName, suffix, format) => {
+  const base = originalName
+    ? path.basename(originalName, path.extname(originalName))
+    : 'image';
+  // Keep header-safe characters only
+  const safeBase = base.replace(/[^\w.-]+/g, '_') || 'image';
+  return `${safeBase}${suffix ? `-${suffix}` : ''}.${getExtension(format)}`;
+};
+
+/**
+ * Send processed bytes as the response body with format and size headers.
+ * Missing format or dimensions are read from the buffer itself, and the file
+ * name is derived from `originalName` plus `suffix` unless one is given.
+ */
+export const sendInline = async (res, buffer, options = {}) => {
+  const {
+    filename,
+    originalName,
+    suffix,
+    disposition = 'inline',
+    headers = {},
+  } = options;
+  let { format, width, height } = options;
+
+  const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+
+  const isImage = !format || getMimeType(format).startsWith('image/');
+
+  if ((!format || !width || !height) && isImage) {
+    const metadata = await sharp(data).metadata().catch(() => ({}));
+    format = format || metadata.format;
+    width = width || metadata.width;
+    height = height || metadata.height;
+  }
+
+  const outputFormat = format === 'jpg' ? 'jpeg' : format;
+  const name = filename || buildFilename(originalName, suffix, outputFormat);
+
+  res.setHeader('Content-Type', getMimeType(outputFormat));
+  res.setHeader('Content-Disposition', `${disposition}; filename="${name}"`);
+  res.setHeader('Content-Length', data.length);
+  if (outputFormat && isImage) res.setHeader('X-Image-Format', outputFormat);
+  if (width) res.setHeader('X-Image-Width', width);
+  if (height) res.setHeader('X-Image-Height', height);
+  Object.entries(headers).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) res.setHeader(key, value);
+  });
+
+  res.send(data);
+};
+
+/**
+ * Check whether the client asked for multi-file results as one ZIP
+ * (`output=zip`, or inline delivery of a multi-file result)
+ */
+export const wantsArchiveOutput = (req) => {
+  const output = req.query?.output || req.body?.output;
+  if (output) {
+    return String(output).toLowerCase() === 'zip';
+  }
+  return wantsInlineDelivery(req);
+};
+
+/**
+ * Run a multi-item job for a request: queue it and answer 202 with the job
+ * status when async delivery was asked for, otherwise run it and send the result.
+ * Queued jobs fire the request's callbackUrl when they finish, not on submit.
+ * With ZIP output the files come back as one archive with a manifest.json,
+ * streamed to the client for inline delivery and stored otherwise.
+ */
+export const deliverJob = async (req, res, type, job) => {
+  const archive = wantsArchiveOutput(req);
+  if (archive && !supportsArchive(type)) {
+    throw new ValidationError('ZIP output is not available for this endpoint');
+  }
+
+  const jobWithOutput = archive
+    ? { ...job, params: { ...job.params, output: 'zip' } }
+    : job;
+
+  if (wantsAsyncDelivery(req)) {
+    const callback = prepareCallback(req);
+    req.webhookDeferred = true;
+
+    const queuedJob = await submitJob(type, {
+      ...jobWithOutput,
+      callback: callback && !callback.error ? callback : null,
+      owner: req.apiKey?.id || null,
+    });
+
+    return res.status(202).json({
+      success: true,
+      data: queuedJob,
+      ...(callback && { webhook: describeCallback(callback, { event: 'job.finished' }) }),
+    });
+  }
+
+  const result = await runJobNow(type, jobWithOutput);
+
+  if (result.archive) {
+    if (wantsInlineDelivery(req)) {
+      const originalName = req.file?.originalname || req.files?.[0]?.originalname;
+      res.setHeader('Content-Type', getMimeType('zip'));
+      res.setHeader('Content-Disposition', `attachment; filename="${buildFilename(originalName, 'files', 'zip')}"`);
+      return pipeZip(result.archive.entries, res);
+    }
+
+    return res.json({
+      success: true,
+      data: await storeArchive(result.archive),
+    });
+  }
+
+  res.json({
+    success: true,
+    ...result,
+  });
+};
+
+export default {
+  wantsInlineDelivery,
+  wantsAsyncDelivery,
+  buildFilename,
+  sendInline,
+  wantsArchiveOutput,
+  deliverJob,
+};
@@ -0,0 +1,279 @@
+/**
+ * Error codes the API answers with. Each is stable: clients may branch on
+ * `code`, while `error` is a human-readable message that can change.
+ * Served as the catalogue at GET /api/errors.
+ */
+export const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, description: 'A parameter or field is missing or invalid; `details` lists each one when known' },
+  URL_NOT_ALLOWED: { status: 400, description: 'imageUrl is not a public http(s) URL (private, loopback and link-local addresses are refused)' },
+  AUTH_REQUIRED: { status: 401, description: 'No API key was sent' },
+  INVALID_API_KEY: { status: 401, description: 'The API key is unknown or has been revoked' },
+  INVALID_ADMIN_TOKEN: { status: 401, description: 'The admin bearer token is missing or wrong' },
+  INVALID_METRICS_TOKEN: { status: 401, description: 'The /metrics bearer token (METRICS_TOKEN) is missing or wrong' },
+  ORIGIN_NOT_ALLOWED: { status: 403, description: 'The browser origin is not allowed by the CORS policy' },
+  NOT_FOUND: { status: 404, description: 'The route, job, key or file does not exist' },
+  UPLOAD_CONFLICT: { status: 409, description: 'The chunked upload is not at that offset, not fully received, already completed or busy with another request' },
+  GONE: { status: 410, description: 'The file or download link has expired or been used up' },
+  LIMIT_EXCEEDED: { status: 413, description: 'An upload is larger than MAX_FILE_SIZE or has too many files or fields, or a client has too many chunked uploads' },
+  PIXEL_LIMIT_EXCEEDED: { status: 413, description: 'An uploaded image has more pixels than MAX_INPUT_PIXELS' },
+  DIMENSION_LIMIT_EXCEEDED: { status: 413, description: 'An uploaded image is wider or taller than MAX_INPUT_DIMENSION' },
+  FRAME_LIMIT_EXCEEDED: { status: 413, description: 'An uploaded image has more frames or pages than MAX_INPUT_FRAMES' },
+  UNSUPPORTED_FORMAT: { status: 415, description: 'The file type or image format cannot be processed' },
+  CONTENT_MISMATCH: { status: 415, description: 'The file content is a different format from the type it was uploaded as' },
+  DECODE_FAILED: { status: 422, description: 'The file is corrupt or truncated and could not be decoded' },
+  UNSAFE_CONTENT: { status: 422, description: 'The file contains constructs that cannot be made safe (such as SVG entity declarations)' },
+  CHECKSUM_MISMATCH: { status: 422, description: 'The assembled chunked upload does not match the checksum it was completed with' },
+  REMOTE_FETCH_FAILED: { status: 422, description: 'imageUrl could not be fetched: unreachable, an error status or too many redirects' },
+  RATE_LIMITED: { status: 429, description: 'Too many requests in the rate limit window; see Retry-After' },
+  QUOTA_EXCEEDED: { status: 429, description: 'The API key has used up a quota for this period' },
+  INTERNAL_ERROR: { status: 500, description: 'An unexpected server error' },
+  PROVIDER_UNAVAILABLE: { status: 502, description: 'An upstream provider (Gemini, Cloudinary) failed or answered with an error' },
+  PROVIDER_QUOTA_EXCEEDED: { status: 503, description: 'An upstream provider is rate limiting this server; retry later' },
+  STORAGE_FAILED: { status: 503, description: 'Results could not be written to or read from storage' },
+  FEATURE_DISABLED: { status: 503, description: 'The feature is turned off or not configured on this server' },
+  ADMIN_DISABLED: { status: 503, description: 'The admin API has no ADMIN_TOKEN configured' },
+  REMOTE_FETCH_TIMEOUT: { status: 504, description: 'imageUrl did not answer within REMOTE_INPUT_TIMEOUT_MS' },
+};
+
+/**
+ * Base class for errors with a code from ERROR_CODES. errorHandler answers
+ * with the code's status, the message and `details` when there are any.
+ */
+export class AppError extends Error {
+  constructor(message, { code = 'INTERNAL_ERROR', statusCode, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'AppError';
+    this.code = code;
+    this.statusCode = statusCode || ERROR_CODES[code]?.status || 500;
+    if (details) this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, { code: 'VALIDATION_FAILED', details });
+    this.name = 'ValidationError';
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message) {
+    super(message, { code: 'NOT_FOUND' });
+    this.name = 'NotFoundError';
+  }
+}
+
+export class GoneError extends AppError {
+  constructor(message) {
+    super(message, { code: 'GONE' });
+    this.name = 'GoneError';
+  }
+}
+
+export class UnsupportedFormatError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'UNSUPPORTED_FORMAT' });
+    this.name = 'UnsupportedFormatError';
+  }
+}
+
+/**
+ * The file's content (by its magic bytes) is not the type it was uploaded as
+ */
+export class ContentMismatchError extends AppError {
+  constructor(message, details) {
+    super(message, { code: 'CONTENT_MISMATCH', details });
+    this.name = 'ContentMismatchError';
+  }
+}
+
+export class UnsafeContentError extends AppError {
+  constructor(message) {
+    super(message, { code: 'UNSAFE_CONTENT' });
+    this.name = 'UnsafeContentError';
+  }
+}
+
+/**
+ * An image over one of the decode limits: `code` is PIXEL_LIMIT_EXCEEDED,
+ * DIMENSION_LIMIT_EXCEEDED or FRAME_LIMIT_EXCEEDED
+ */
+export class ImageLimitError extends AppError {
+  constructor(code, message, details) {
+    super(message, { code, details });
+    this.name = 'ImageLimitError';
+  }
+}
+
+/**
+ * imageUrl could not be used: `code` is URL_NOT_ALLOWED, REMOTE_FETCH_FAILED
+ * or REMOTE_FETCH_TIMEOUT
+ */
+export class RemoteFetchError extends AppError {
+  constructor(code, message, { details, cause } = {}) {
+    super(message, { code, details, cause });
+    this.name = 'RemoteFetchError';
+  }
+}
+
+/**
+ * A chunked upload request that does not fit the upload's state: `code` is
+ * UPLOAD_CONFLICT or CHECKSUM_MISMATCH
+ */
+export class ChunkedUploadError extends AppError {
+  constructor(code, message, details) {
+    super(message, { code, details });
+    this.name = 'ChunkedUploadError';
+  }
+}
+
+export class DecodeError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'DECODE_FAILED' });
+    this.name = 'DecodeError';
+  }
+}
+
+export class LimitExceededError extends AppError {
+  constructor(message, details) {
+    super(message, { code: 'LIMIT_EXCEEDED', details });
+    this.name = 'LimitExceededError';
+  }
+}
+
+/**
+ * An upstream provider is rate limiting or out of quota. `retryAfter` is in
+ * seconds when the provider says.
+ */
+export class ProviderQuotaError extends AppError {
+  constructor(provider, message, { retryAfter, cause } = {}) {
+    super(message, { code: 'PROVIDER_QUOTA_EXCEEDED', cause });
+    this.name = 'ProviderQuotaError';
+    this.provider = provider;
+    if (retryAfter) this.retryAfter = retryAfter;
+  }
+}
+
+export class ProviderUnavailableError extends AppError {
+  constructor(provider, message, { cause } = {}) {
+    super(message, { code: 'PROVIDER_UNAVAILABLE', cause });
+    this.name = 'ProviderUnavailableError';
+    this.provider = provider;
+  }
+}
+
+export class StorageError extends AppError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'STORAGE_FAILED', cause });
+    this.name = 'StorageError';
+  }
+}
+
+// Sharp's own input errors, and libvips loader errors it passes on
+// ("pngload_buffer: end of stream", "VipsJpeg: Premature end of JPEG file")
+const SHARP_INPUT_ERROR = /^(Input (buffer|file)|\w+load(_buffer|_source)?: |Vips\w*: )/;
+
+/**
+ * Sharp rejects input it cannot read with plain Errors thrown from its own
+ * modules. Returns the matching typed error, or null for anything else.
+ */
+const fromSharpError = (error) => {
+  if (!/node_modules[\\/]sharp[\\/]/.test(error.stack || '') || !SHARP_INPUT_ERROR.test(error.message)) {
+    return null;
+  }
+
+  if (/unsupported image format/.test(error.message)) {
+    return new UnsupportedFormatError('The file is not an image format this server can read', { cause: error });
+  }
+  return new DecodeError('The image could not be decoded; it may be corrupt or truncated', { cause: error });
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB`;
+  if (bytes >= 1024) return `${Math.round((bytes / 1024) * 10) / 10}KB`;
+  return `${bytes} bytes`;
+};
+
+// Multer reports its limits with LIMIT_* codes
+const MULTER_LIMITS = {
+  LIMIT_PART_COUNT: 'Too many form parts',
+  LIMIT_FILE_COUNT: 'Too many files',
+  LIMIT_FIELD_KEY: 'A field name is too long',
+  LIMIT_FIELD_VALUE: 'A field value is too long',
+  LIMIT_FIELD_COUNT: 'Too many fields',
+};
+
+/**
+ * Turn anything thrown by a handler, middleware or library into an AppError
+ */
+export const toAppError = (error, { maxFileSize } = {}) => {
+  if (error instanceof AppError) return error;
+
+  // Validation errors raised before the typed classes existed (ajv, older helpers)
+  if (error.name === 'ValidationError') {
+    return new ValidationError(error.message, error.details);
+  }
+
+  if (error.name === 'MulterError') {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return new LimitExceededError(`File size exceeds the allowed limit (${formatBytes(maxFileSize)})`, [
+        { in: 'body', field: error.field, message: `must be at most ${maxFileSize} bytes` },
+      ]);
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return new ValidationError(`Unexpected file field "${error.field}"`, [
+        { in: 'body', field: error.field, message: 'is not a file field of this endpoint, or has too many files' },
+      ]);
+    }
+    return new LimitExceededError(MULTER_LIMITS[error.code] || error.message);
+  }
+
+  // body-parser
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new LimitExceededError('Request body is too large');
+  }
+
+  const sharpError = fromSharpError(error);
+  if (sharpError) return sharpError;
+
+  // Errors that only carry a status keep it, with the code that status has
+  if (error.statusCode >= 400 && error.statusCode < 600) {
+    const code = Object.keys(ERROR_CODES).find((name) => ERROR_CODES[name].status === error.statusCode);
+    return new AppError(error.message, { code, statusCode: error.statusCode, details: error.details, cause: error });
+  }
+
+  return new AppError(error.message, { cause: error });
+};
+
+/**
+ * The error catalogue: one entry per code
+ */
+export const listErrorCodes = () => Object.entries(ERROR_CODES).map(([code, { status, description }]) => ({
+  code,
+  status,
+  description,
+}));
+
+export default {
+  ERROR_CODES,
+  AppError,
+  ValidationError,
+  NotFoundError,
+  GoneError,
+  UnsupportedFormatError,
+  ContentMismatchError,
+  UnsafeContentError,
+  ImageLimitError,
+  RemoteFetchError,
+  ChunkedUploadError,
+  DecodeError,
+  LimitExceededError,
+  ProviderQuotaError,
+  ProviderUnavailableError,
+  StorageError,
+  toAppError,
+  listErrorCodes,
+};
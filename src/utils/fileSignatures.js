@@ -0,0 +1,82 @@
+// Magic bytes of the formats we accept, checked at `offset` into the file
+const SIGNATURES = [
+  { format: 'jpeg', mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'png', mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { format: 'gif', mimeType: 'image/gif', ascii: 'GIF87a' },
+  { format: 'gif', mimeType: 'image/gif', ascii: 'GIF89a' },
+  { format: 'webp', mimeType: 'image/webp', ascii: 'RIFF', and: { offset: 8, ascii: 'WEBP' } },
+  { format: 'tiff', mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { format: 'tiff', mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { format: 'bmp', mimeType: 'image/bmp', ascii: 'BM' },
+  { format: 'pdf', mimeType: 'application/pdf', ascii: '%PDF-' },
+];
+
+// ISO base media files (AVIF, HEIF) name their brand after `ftyp` at offset 4
+const FTYP_BRANDS = {
+  avif: { format: 'avif', mimeType: 'image/avif' },
+  avis: { format: 'avif', mimeType: 'image/avif' },
+  heic: { format: 'heif', mimeType: 'image/heif' },
+  heix: { format: 'heif', mimeType: 'image/heif' },
+  mif1: { format: 'heif', mimeType: 'image/heif' },
+  msf1: { format: 'heif', mimeType: 'image/heif' },
+};
+
+// Types that name the same format
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/x-bmp': 'image/bmp',
+  'image/heic': 'image/heif',
+  'application/x-pdf': 'application/pdf',
+};
+
+const matches = (buffer, { offset = 0, bytes, ascii }) => {
+  const expected = bytes ? Buffer.from(bytes) : Buffer.from(ascii, 'latin1');
+  return buffer.length >= offset + expected.length
+    && buffer.subarray(offset, offset + expected.length).equals(expected);
+};
+
+// SVG is text: an optional BOM, XML declaration, comments or doctype, then <svg
+const looksLikeSvg = (buffer) => {
+  const head = buffer.subarray(0, 4096);
+  if (head.includes(0)) return false;
+
+  const text = head.toString('utf8').replace(/^\uFEFF/, '');
+  const prolog = /^\s*(<\?xml[^>]*\?>\s*)?((<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>)\s*)*<svg[\s>]/i;
+  return prolog.test(text);
+};
+
+/**
+ * Detect a file's real format from its first bytes: { format, mimeType },
+ * or null if it is none of the formats we accept
+ */
+export const detectFileType = (buffer) => {
+  for (const signature of SIGNATURES) {
+    if (matches(buffer, signature) && (!signature.and || matches(buffer, signature.and))) {
+      return { format: signature.format, mimeType: signature.mimeType };
+    }
+  }
+
+  if (matches(buffer, { offset: 4, ascii: 'ftyp' })) {
+    const brand = FTYP_BRANDS[buffer.subarray(8, 12).toString('latin1')];
+    if (brand) return brand;
+  }
+
+  if (looksLikeSvg(buffer)) {
+    return { format: 'svg', mimeType: 'image/svg+xml' };
+  }
+
+  return null;
+};
+
+/**
+ * The canonical form of a content type (`image/jpg` is `image/jpeg`)
+ */
+export const normalizeMimeType = (mimeType) => {
+  const type = String(mimeType || '').toLowerCase().split(';')[0].trim();
+  return MIME_ALIASES[type] || type;
+};
+
+export default { detectFileType, normalizeMimeType };
@@ -0,0 +1,50 @@
+import config from '../config/index.js';
+import { getRequestContext } from './requestContext.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const threshold = LEVELS[config.logging.level] ?? LEVELS.info;
+
+// Errors do not survive JSON.stringify, so log what matters about them
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  ...(error.statusCode && { statusCode: error.statusCode }),
+  ...(config.nodeEnv !== 'production' && { stack: error.stack }),
+});
+
+const serializeFields = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+  key,
+  value instanceof Error ? serializeError(value) : value,
+]));
+
+/**
+ * Write one JSON log line: { time, level, msg, requestId, ...fields }.
+ * The request id comes from the request (or job) being processed, if any.
+ */
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < threshold) return;
+
+  const requestId = getRequestContext()?.requestId;
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(requestId && { requestId }),
+    ...serializeFields(fields),
+  });
+
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+};
+
+export const debug = (message, fields) => write('debug', message, fields);
+export const info = (message, fields) => write('info', message, fields);
+export const warn = (message, fields) => write('warn', message, fields);
+export const error = (message, fields) => write('error', message, fields);
+
+export default { debug, info, warn, error };
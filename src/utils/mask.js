@@ -0,0 +1,62 @@
+/**
+ * Morphology on single-channel 8-bit masks (one byte per pixel).
+ * Square structuring element of the given radius, done as two separable
+ * passes so the cost does not grow with the radius squared.
+ */
+const morph = (mask, width, height, radius, pick) => {
+  if (radius <= 0) return Buffer.from(mask);
+
+  const horizontal = Buffer.alloc(mask.length);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      let value = mask[row + x];
+      for (let dx = Math.max(0, x - radius); dx <= Math.min(width - 1, x + radius); dx++) {
+        value = pick(value, mask[row + dx]);
+      }
+      horizontal[row + x] = value;
+    }
+  }
+
+  const result = Buffer.alloc(mask.length);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      let value = horizontal[y * width + x];
+      for (let dy = Math.max(0, y - radius); dy <= Math.min(height - 1, y + radius); dy++) {
+        value = pick(value, horizontal[dy * width + x]);
+      }
+      result[y * width + x] = value;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Shrink the white (kept) area of a mask
+ */
+export const erodeMask = (mask, width, height, radius = 1) => morph(mask, width, height, radius, Math.min);
+
+/**
+ * Grow the white (kept) area of a mask
+ */
+export const dilateMask = (mask, width, height, radius = 1) => morph(mask, width, height, radius, Math.max);
+
+/**
+ * Remove white specks smaller than the radius (erode, then dilate)
+ */
+export const openMask = (mask, width, height, radius = 1) =>
+  dilateMask(erodeMask(mask, width, height, radius), width, height, radius);
+
+/**
+ * Fill black holes smaller than the radius (dilate, then erode)
+ */
+export const closeMask = (mask, width, height, radius = 1) =>
+  erodeMask(dilateMask(mask, width, height, radius), width, height, radius);
+
+export default {
+  erodeMask,
+  dilateMask,
+  openMask,
+  closeMask,
+};
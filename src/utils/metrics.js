@@ -0,0 +1,108 @@
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: 'magicpixels_' });
+
+// Image work takes from milliseconds (metadata) to tens of seconds (Cloudinary AI)
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+export const httpRequests = new client.Counter({
+  name: 'magicpixels_http_requests_total',
+  help: 'HTTP requests by route, method and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'magicpixels_http_request_duration_seconds',
+  help: 'HTTP request latency by route, method and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+});
+
+export const httpBytesIn = new client.Counter({
+  name: 'magicpixels_http_request_bytes_total',
+  help: 'Request body bytes received (as declared by Content-Length)',
+  labelNames: ['route'],
+  registers: [registry],
+});
+
+export const httpBytesOut = new client.Counter({
+  name: 'magicpixels_http_response_bytes_total',
+  help: 'Response body bytes sent (as declared by Content-Length)',
+  labelNames: ['route'],
+  registers: [registry],
+});
+
+export const stageDuration = new client.Histogram({
+  name: 'magicpixels_stage_duration_seconds',
+  help: 'Duration of processing stages (download, decode, transform, upload) by operation',
+  labelNames: ['stage', 'operation', 'outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+});
+
+export const geminiCalls = new client.Counter({
+  name: 'magicpixels_gemini_calls_total',
+  help: 'Gemini API calls by model and outcome',
+  labelNames: ['model', 'outcome'],
+  registers: [registry],
+});
+
+export const geminiCallDuration = new client.Histogram({
+  name: 'magicpixels_gemini_call_duration_seconds',
+  help: 'Gemini API call latency by model',
+  labelNames: ['model'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+});
+
+export const geminiFallbacks = new client.Counter({
+  name: 'magicpixels_gemini_fallbacks_total',
+  help: 'Switches to the next Gemini model after a failure ("none" when all were exhausted)',
+  labelNames: ['from', 'to'],
+  registers: [registry],
+});
+
+export const cloudinaryUploadFailures = new client.Counter({
+  name: 'magicpixels_cloudinary_upload_failures_total',
+  help: 'Failed Cloudinary uploads by operation',
+  labelNames: ['operation'],
+  registers: [registry],
+});
+
+/**
+ * Report a gauge whose value is read when metrics are scraped.
+ * `read` returns a number, or an object of label value to number for `labelName`.
+ */
+export const registerGauge = ({ name, help, labelName, read }) => new client.Gauge({
+  name,
+  help,
+  labelNames: labelName ? [labelName] : [],
+  registers: [registry],
+  async collect() {
+    const value = await read();
+    this.reset();
+    if (typeof value === 'number') {
+      this.set(value);
+    } else {
+      Object.entries(value).forEach(([label, count]) => this.set({ [labelName]: label }, count));
+    }
+  },
+});
+
+export default {
+  registry,
+  httpRequests,
+  httpRequestDuration,
+  httpBytesIn,
+  httpBytesOut,
+  stageDuration,
+  geminiCalls,
+  geminiCallDuration,
+  geminiFallbacks,
+  cloudinaryUploadFailures,
+  registerGauge,
+};
@@ -0,0 +1,36 @@
+// Output formats produced by the processing routes and their content types
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  tiff: 'image/tiff',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  bmp: 'image/bmp',
+  heif: 'image/heif',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  json: 'application/json',
+};
+
+/**
+ * Get the content type for a format name or file extension
+ */
+export const getMimeType = (format) => {
+  if (!format) return 'application/octet-stream';
+  return MIME_TYPES[String(format).toLowerCase().replace(/^\./, '')] || 'application/octet-stream';
+};
+
+/**
+ * Get the file extension to use for a format name
+ */
+export const getExtension = (format) => {
+  const normalized = String(format || '').toLowerCase();
+  if (normalized === 'jpeg') return 'jpg';
+  if (normalized === 'heif') return 'heic';
+  return normalized || 'bin';
+};
+
+export default { getMimeType, getExtension };
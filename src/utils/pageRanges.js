@@ -0,0 +1,69 @@
+import { ValidationError } from './errors.js';
+
+const RANGE_PART = /^(\d*)\s*(-?)\s*(\d*)$/;
+
+/**
+ * Parse a page-range spec against a document's page count.
+ *
+ * Grammar: comma-separated parts, each one of
+ *   `7`     a single page
+ *   `1-3`   pages 1 to 3 (`3-1` runs backwards)
+ *   `10-`   page 10 to the last page
+ *   `-4`    the first page to page 4
+ * `all` (or an empty spec) selects every page.
+ *
+ * Returns one group per part, in order: { label, pages } with zero-based
+ * page indices. Throws a ValidationError for bad syntax or out-of-range pages.
+ */
+export const parsePageRanges = (spec, pageCount) => {
+  const text = String(spec ?? '').trim();
+
+  if (text === '' || text.toLowerCase() === 'all') {
+    return [{
+      label: pageCount === 1 ? '1' : `1-${pageCount}`,
+      pages: Array.from({ length: pageCount }, (_, index) => index),
+    }];
+  }
+
+  return text.split(',').map((rawPart) => {
+    const part = rawPart.trim();
+    const match = RANGE_PART.exec(part);
+
+    if (!part || !match || (!match[1] && !match[3]) || (!match[2] && match[3])) {
+      throw new ValidationError(`Invalid page range "${part}". Use forms like 1-3, 7 or 10-`);
+    }
+
+    const [, startText, dash, endText] = match;
+    const start = startText ? parseInt(startText) : 1;
+    const end = dash ? (endText ? parseInt(endText) : pageCount) : start;
+
+    for (const page of [start, end]) {
+      if (page < 1 || page > pageCount) {
+        throw new ValidationError(`Page ${page} in "${part}" is out of range; the document has ${pageCount} page(s)`);
+      }
+    }
+
+    const step = end >= start ? 1 : -1;
+    const pages = [];
+    for (let page = start; page !== end + step; page += step) {
+      pages.push(page - 1);
+    }
+
+    return {
+      label: start === end ? String(start) : `${start}-${end}`,
+      pages,
+    };
+  });
+};
+
+/**
+ * Parse a page-range spec into one flat list of zero-based page indices
+ */
+export const parsePageList = (spec, pageCount) => {
+  return parsePageRanges(spec, pageCount).flatMap((group) => group.pages);
+};
+
+export default {
+  parsePageRanges,
+  parsePageList,
+};
@@ -0,0 +1,15 @@
+/**
+ * Turn a policy path into a RegExp: a trailing `/*` covers the path itself and
+ * everything below it, any other `*` matches within one path segment
+ */
+export const compilePathPattern = (pattern) => {
+  const subtree = pattern.endsWith('/*');
+  const base = subtree ? pattern.slice(0, -2) : pattern;
+  const source = base
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]*');
+  return new RegExp(`^${source}${subtree ? '(?:/.*)?' : '/?'}$`);
+};
+
+export default { compilePathPattern };
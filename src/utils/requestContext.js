@@ -0,0 +1,46 @@
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context:
+ * { requestId, route, owner, retention, timings }.
+ * Everything it awaits or schedules sees the same context.
+ */
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * The context of the request (or job) being processed, or null outside one
+ */
+export const getRequestContext = () => storage.getStore() || null;
+
+/**
+ * A copy of the current context to carry into later work such as a queued
+ * job: the same request id, route and API key, with its own stage timings
+ */
+export const detachContext = () => {
+  const context = getRequestContext();
+  return context ? { ...context, timings: {} } : null;
+};
+
+/**
+ * Keep the current context for a callback that will be called from elsewhere,
+ * such as a stream event (multer calls `next` from the upload stream)
+ */
+export const bindToContext = (fn) => AsyncResource.bind(fn);
+
+/**
+ * Add to the rest of the request's context: the route it hit, and the API
+ * key it came with (its id as the owner of anything stored, and its
+ * retention overrides)
+ */
+export const requestContext = (req, res, next) => {
+  runWithContext({
+    ...getRequestContext(),
+    route: `${req.baseUrl}${req.path}`,
+    owner: req.apiKey?.id ?? null,
+    retention: req.apiKey?.retention ?? null,
+  }, next);
+};
+
+export default { runWithContext, getRequestContext, detachContext, bindToContext, requestContext };
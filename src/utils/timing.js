@@ -0,0 +1,32 @@
+import { getRequestContext } from './requestContext.js';
+import { stageDuration } from './metrics.js';
+
+/**
+ * Run `fn` as a processing stage (download, decode, transform or upload) of an operation
+ * such as resizeImage. Its duration is added to the current request's stage
+ * timings, which the request log reports, and to the stage duration metric.
+ */
+export const timeStage = async (stage, operation, fn) => {
+  const started = process.hrtime.bigint();
+  let outcome = 'error';
+  try {
+    const result = await fn();
+    outcome = 'success';
+    return result;
+  } finally {
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+    stageDuration.observe({ stage, operation, outcome }, elapsedMs / 1000);
+
+    const timings = getRequestContext()?.timings;
+    if (timings) {
+      timings[stage] = Math.round(((timings[stage] || 0) + elapsedMs) * 100) / 100;
+    }
+  }
+};
+
+/**
+ * Wrap an async function so every call is timed as a stage of `operation`
+ */
+export const timed = (stage, operation, fn) => (...args) => timeStage(stage, operation, () => fn(...args));
+
+export default { timeStage, timed };
@@ -0,0 +1,68 @@
+import path from 'path';
+import { ZipArchive } from 'archiver';
+import logger from './logger.js';
+
+/**
+ * Make entry names unique by numbering repeats: a.png, a-2.png, a-3.png
+ */
+export const uniqueEntryNames = (names) => {
+  const used = new Set();
+
+  return names.map((name) => {
+    const extension = path.posix.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+    let candidate = name;
+    for (let n = 2; used.has(candidate); n++) {
+      candidate = `${base}-${n}${extension}`;
+    }
+    used.add(candidate);
+    return candidate;
+  });
+};
+
+// Entries are stored without compression: images and PDFs are already compressed
+const createArchive = (entries) => {
+  const archive = new ZipArchive({ store: true });
+  entries.forEach(({ name, buffer }) => archive.append(buffer, { name }));
+  return archive;
+};
+
+/**
+ * Build a ZIP archive in memory from { name, buffer } entries
+ */
+export const createZipBuffer = (entries) => {
+  return new Promise((resolve, reject) => {
+    const archive = createArchive(entries);
+    const chunks = [];
+
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+    archive.finalize();
+  });
+};
+
+/**
+ * Stream a ZIP archive of { name, buffer } entries into a writable stream
+ * (e.g. an HTTP response) without building it in memory first. An error
+ * after a response has started destroys the response instead of rejecting,
+ * since no error response can follow.
+ */
+export const pipeZip = (entries, destination) => {
+  return new Promise((resolve, reject) => {
+    const archive = createArchive(entries);
+
+    archive.on('error', (error) => {
+      if (!destination.headersSent) return reject(error);
+      logger.warn('ZIP stream failed after the response started', { error });
+      destination.destroy();
+      resolve();
+    });
+    destination.on('finish', resolve);
+    destination.on('close', resolve);
+    archive.pipe(destination);
+    archive.finalize();
+  });
+};
+
+export default { uniqueEntryNames, createZipBuffer, pipeZip };
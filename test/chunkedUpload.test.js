@@ -0,0 +1,184 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { startServer, createKey, request } from './helpers.js';
+
+const CHUNK_SIZE = 1024;
+const MAX_FILE_SIZE = 8 * 1024;
+const MAX_SESSIONS = 4;
+
+let server;
+let image;
+
+// Noise does not compress, so the PNG's size follows its dimensions
+const noiseImage = (size) => sharp(crypto.randomBytes(size * size * 3), {
+  raw: { width: size, height: size, channels: 3 },
+}).png().toBuffer();
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+before(async () => {
+  server = await startServer({
+    AUTH_ENABLED: 'true',
+    CHUNKED_UPLOAD_MAX_CHUNK_SIZE: String(CHUNK_SIZE),
+    CHUNKED_UPLOAD_MAX_SESSIONS: String(MAX_SESSIONS),
+    MAX_FILE_SIZE: String(MAX_FILE_SIZE),
+  });
+  image = await noiseImage(40);
+  assert.ok(image.length > 2 * CHUNK_SIZE && image.length < MAX_FILE_SIZE);
+});
+
+after(() => server.stop());
+
+const sessions = (key, path = '', options = {}) => request(`${server.url}/api/upload/sessions${path}`, {
+  ...options,
+  headers: { 'X-API-Key': key, ...options.headers },
+});
+
+const createUpload = async (key, size) => {
+  const { status, body } = await sessions(key, '', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ size, filename: 'image.png' }),
+  });
+  assert.equal(status, 201);
+  return body.data;
+};
+
+const putChunk = (key, uploadId, offset, chunk) => sessions(key, `/${uploadId}?offset=${offset}`, {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/octet-stream' },
+  body: chunk,
+});
+
+const complete = (key, uploadId, checksum) => sessions(key, `/${uploadId}/complete`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ checksum }),
+});
+
+const uploadAll = async (key, buffer) => {
+  const { uploadId } = await createUpload(key, buffer.length);
+  for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+    const { status } = await putChunk(key, uploadId, offset, buffer.subarray(offset, offset + CHUNK_SIZE));
+    assert.equal(status, 200);
+  }
+  return uploadId;
+};
+
+test('an upload sent in chunks can be completed and used as input', async () => {
+  const key = await createKey(server.url);
+  const uploadId = await uploadAll(key, image);
+
+  const { status, body } = await complete(key, uploadId, sha256(image));
+  assert.equal(status, 200);
+  assert.equal(body.data.complete, true);
+  assert.equal(body.data.mimeType, 'image/png');
+  assert.equal(body.data.size, image.length);
+
+  const resized = await request(`${server.url}/api/resize`, {
+    method: 'POST',
+    headers: { 'X-API-Key': key, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ uploadId, width: 10 }),
+  });
+  assert.equal(resized.status, 200);
+  assert.equal(resized.body.data.width, 10);
+});
+
+test('an interrupted upload resumes from the offset the server reports', async () => {
+  const key = await createKey(server.url);
+  const { uploadId } = await createUpload(key, image.length);
+  await putChunk(key, uploadId, 0, image.subarray(0, CHUNK_SIZE));
+
+  const status = await sessions(key, `/${uploadId}`);
+  assert.equal(status.body.data.offset, CHUNK_SIZE);
+  assert.equal(status.body.data.complete, false);
+
+  const early = await complete(key, uploadId, sha256(image));
+  assert.equal(early.status, 409);
+  assert.equal(early.body.code, 'UPLOAD_CONFLICT');
+
+  const wrongOffset = await putChunk(key, uploadId, 0, image.subarray(0, CHUNK_SIZE));
+  assert.equal(wrongOffset.status, 409);
+  assert.equal(wrongOffset.body.code, 'UPLOAD_CONFLICT');
+
+  for (let offset = CHUNK_SIZE; offset < image.length; offset += CHUNK_SIZE) {
+    await putChunk(key, uploadId, offset, image.subarray(offset, offset + CHUNK_SIZE));
+  }
+  assert.equal((await complete(key, uploadId, sha256(image))).status, 200);
+});
+
+test('chunks larger than the limit are refused', async () => {
+  const key = await createKey(server.url);
+  const { uploadId } = await createUpload(key, image.length);
+
+  const { status, body } = await putChunk(key, uploadId, 0, image.subarray(0, CHUNK_SIZE + 1));
+  assert.equal(status, 413);
+  assert.equal(body.code, 'LIMIT_EXCEEDED');
+});
+
+test('a checksum that does not match is refused', async () => {
+  const key = await createKey(server.url);
+  const uploadId = await uploadAll(key, image);
+
+  const { status, body } = await complete(key, uploadId, sha256(Buffer.from('something else')));
+  assert.equal(status, 422);
+  assert.equal(body.code, 'CHECKSUM_MISMATCH');
+});
+
+test('files that are not images are discarded on completion', async () => {
+  const key = await createKey(server.url);
+  const text = Buffer.alloc(2 * CHUNK_SIZE, 'not an image ');
+  const uploadId = await uploadAll(key, text);
+
+  const { status, body } = await complete(key, uploadId, sha256(text));
+  assert.equal(status, 415);
+  assert.equal(body.code, 'UNSUPPORTED_FORMAT');
+  assert.equal((await sessions(key, `/${uploadId}`)).status, 404);
+});
+
+test('uploads are private to the key that started them', async () => {
+  const owner = await createKey(server.url);
+  const other = await createKey(server.url);
+  const { uploadId } = await createUpload(owner, image.length);
+
+  assert.equal((await sessions(other, `/${uploadId}`)).status, 404);
+  assert.equal((await putChunk(other, uploadId, 0, image.subarray(0, CHUNK_SIZE))).status, 404);
+  assert.equal((await sessions(other, `/${uploadId}`, { method: 'DELETE' })).status, 404);
+
+  assert.equal((await sessions(owner, `/${uploadId}`, { method: 'DELETE' })).status, 200);
+  assert.equal((await sessions(owner, `/${uploadId}`)).status, 404);
+});
+
+test('a key may only keep so many uploads at once', async () => {
+  const key = await createKey(server.url);
+  for (let count = 0; count < MAX_SESSIONS; count++) {
+    await createUpload(key, image.length);
+  }
+
+  const { status, body } = await sessions(key, '', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ size: image.length }),
+  });
+  assert.equal(status, 413);
+  assert.equal(body.code, 'LIMIT_EXCEEDED');
+});
+
+test('endpoints that process in memory refuse uploads over MAX_FILE_SIZE', async () => {
+  const key = await createKey(server.url);
+  const large = await noiseImage(64);
+  assert.ok(large.length > MAX_FILE_SIZE);
+
+  const uploadId = await uploadAll(key, large);
+  assert.equal((await complete(key, uploadId, sha256(large))).status, 200);
+
+  const { status, body } = await request(`${server.url}/api/resize`, {
+    method: 'POST',
+    headers: { 'X-API-Key': key, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ uploadId, width: 10 }),
+  });
+  assert.equal(status, 413);
+  assert.equal(body.code, 'LIMIT_EXCEEDED');
+});
@@ -0,0 +1,81 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+
+let parseHexColor;
+let applyColorKey;
+
+const SIZE = 20;
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+before(async () => {
+  // Config is checked on import
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOG_LEVEL = 'error';
+  ({ parseHexColor, applyColorKey } = await import('../src/services/colorKeyService.js'));
+});
+
+/**
+ * A SIZE x SIZE PNG painted by colorAt(x, y) -> [r, g, b]
+ */
+const paint = (colorAt) => {
+  const data = Buffer.alloc(SIZE * SIZE * 3);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) data.set(colorAt(x, y), (y * SIZE + x) * 3);
+  }
+  return sharp(data, { raw: { width: SIZE, height: SIZE, channels: 3 } }).png().toBuffer();
+};
+
+// White everywhere except a black square outline from 5 to 14
+const onRing = (x, y) => (x === 5 || x === 14 || y === 5 || y === 14) && x >= 5 && x <= 14 && y >= 5 && y <= 14;
+const ringImage = () => paint((x, y) => (onRing(x, y) ? BLACK : WHITE));
+
+const alphaAt = async (buffer, x, y) => {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return data[(y * info.width + x) * info.channels + 3];
+};
+
+test('parseHexColor reads short and long hex colors', () => {
+  assert.deepEqual(parseHexColor('#0f0'), { r: 0, g: 255, b: 0 });
+  assert.deepEqual(parseHexColor('FF8000'), { r: 255, g: 128, b: 0 });
+  assert.equal(parseHexColor('#12345'), null);
+  assert.equal(parseHexColor('white'), null);
+});
+
+test('global mode keys every matching pixel', async () => {
+  const result = await applyColorKey(await ringImage(), { mode: 'global' });
+
+  assert.equal(result.keyedPixels, SIZE * SIZE - 36);
+  assert.equal(await alphaAt(result.buffer, 0, 0), 0);
+  assert.equal(await alphaAt(result.buffer, 10, 10), 0);
+  assert.equal(await alphaAt(result.buffer, 5, 5), 255);
+});
+
+test('flood mode only keys matches connected to a corner', async () => {
+  const result = await applyColorKey(await ringImage(), { mode: 'flood' });
+
+  // The white inside the ring is enclosed, so it stays
+  assert.equal(result.keyedPixels, SIZE * SIZE - 100);
+  assert.equal(await alphaAt(result.buffer, 0, 0), 0);
+  assert.equal(await alphaAt(result.buffer, 10, 10), 255);
+  assert.equal(result.keyedPercent, 75);
+});
+
+test('flood mode keys nothing when no corner matches', async () => {
+  const image = await paint((x, y) => (x === 0 || y === 0 || x === SIZE - 1 || y === SIZE - 1 ? BLACK : WHITE));
+  const result = await applyColorKey(image, { mode: 'flood' });
+  assert.equal(result.keyedPixels, 0);
+});
+
+test('tolerance is measured in the chosen color space', async () => {
+  // Two greys that are close in RGB but far apart in lightness
+  const image = await paint((x) => (x < SIZE / 2 ? [20, 20, 20] : [40, 40, 40]));
+  const targetColor = { r: 20, g: 20, b: 20 };
+
+  const rgb = await applyColorKey(image, { targetColor, tolerance: 40, colorSpace: 'rgb' });
+  assert.equal(rgb.keyedPixels, SIZE * SIZE);
+
+  const lab = await applyColorKey(image, { targetColor, tolerance: 5, colorSpace: 'lab' });
+  assert.equal(lab.keyedPixels, SIZE * SIZE / 2);
+});
@@ -0,0 +1,136 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../src/config/loader.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'magicpixels-config-'));
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Local storage needs no credentials, so only the settings under test matter
+const load = (env = {}) => loadConfig({ STORAGE_DRIVER: 'local', ...env });
+
+// The issues a ConfigError lists for this environment
+const issuesFor = (env) => {
+  try {
+    load(env);
+  } catch (error) {
+    assert.equal(error.name, 'ConfigError');
+    assert.match(error.message, /^Invalid configuration:\n {2}- /);
+    return error.issues;
+  }
+  assert.fail('expected the configuration to be refused');
+};
+
+const writeConfigFile = (name, data) => {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return file;
+};
+
+test('defaults fill in everything that is not set', () => {
+  const { config, file } = load();
+
+  assert.equal(file, null);
+  assert.equal(config.port, 5000);
+  assert.equal(config.storage.driver, 'local');
+  assert.equal(config.storage.local.publicUrl, 'http://localhost:5000/storage');
+  assert.equal(config.jobs.backend, 'memory');
+  assert.equal(config.webhooks.backend, 'memory');
+});
+
+test('environment values are coerced to the schema types', () => {
+  const { config } = load({
+    PORT: ' 8080 ',
+    AUTH_ENABLED: 'FALSE',
+    LOG_LEVEL: 'Warn',
+    CORS_ORIGINS: 'https://a.example.com, https://*.example.org,',
+  });
+
+  assert.equal(config.port, 8080);
+  assert.equal(config.auth.enabled, false);
+  assert.equal(config.logging.level, 'warn');
+  assert.deepEqual(config.cors.origins, ['https://a.example.com', 'https://*.example.org']);
+});
+
+test('every invalid value is reported at once, named by its variable', () => {
+  const issues = issuesFor({
+    PORT: 'eighty',
+    LOG_LEVEL: 'loud',
+    RATE_LIMIT_BACKEND: 'disk',
+    CORS_ORIGINS: 'https://ok.example.com,not-an-origin',
+  });
+
+  assert.equal(issues.length, 4);
+  assert.ok(issues.includes('PORT (port): must be integer, got "eighty"'));
+  assert.ok(issues.includes('LOG_LEVEL (logging.level): must be one of debug, info, warn, error, got "loud"'));
+  assert.ok(issues.some((issue) => issue.startsWith('RATE_LIMIT_BACKEND (rateLimit.backend): must be one of memory, redis')));
+  assert.ok(issues.some((issue) => issue.startsWith('CORS_ORIGINS (cors.origins): must match pattern')));
+});
+
+test('settings required by another setting are checked', () => {
+  assert.deepEqual(issuesFor({ STORAGE_DRIVER: 's3' }), [
+    'S3_BUCKET (storage.s3.bucket) is required when storage.driver is s3',
+  ]);
+});
+
+test('settings that depend on each other are checked together', () => {
+  assert.deepEqual(issuesFor({ DOWNLOAD_LINK_TTL_MS: '7200000', DOWNLOAD_LINK_MAX_TTL_MS: '3600000' }), [
+    'DOWNLOAD_LINK_TTL_MS (downloads.linkTtlMs) must not be longer than downloads.maxLinkTtlMs',
+  ]);
+});
+
+test('auto features turn off with a warning; true ones insist on their settings', () => {
+  const { config, warnings } = load({ FEATURE_WEBHOOKS: 'auto' });
+  assert.equal(config.features.webhooks, false);
+  assert.ok(warnings.includes('Webhook callbacks are disabled: WEBHOOK_SECRET is not set'));
+
+  assert.deepEqual(issuesFor({ FEATURE_WEBHOOKS: 'true' }), [
+    'FEATURE_WEBHOOKS (features.webhooks) is true but WEBHOOK_SECRET (webhooks.secret) is not set',
+  ]);
+
+  const enabled = load({ FEATURE_WEBHOOKS: 'true', WEBHOOK_SECRET: 'a-long-enough-webhook-secret' });
+  assert.equal(enabled.config.features.webhooks, true);
+});
+
+test('secrets must be long enough and not a placeholder, and are not repeated', () => {
+  const issues = issuesFor({
+    ADMIN_TOKEN: 'change_me_to_a_long_random_string',
+    DOWNLOAD_SIGNING_SECRET: 'short',
+  });
+
+  assert.equal(issues.length, 2);
+  assert.ok(issues.includes('ADMIN_TOKEN (auth.adminToken): must be replaced, it is a placeholder'));
+  assert.ok(issues.includes('DOWNLOAD_SIGNING_SECRET (downloads.signingSecret): must NOT have fewer than 16 characters'));
+
+  // Empty means not set
+  assert.equal(load({ ADMIN_TOKEN: '' }).config.auth.adminToken, undefined);
+});
+
+test('a config file is read, and the environment wins over it', () => {
+  const file = writeConfigFile('settings.json', {
+    port: 6000,
+    logging: { level: 'debug' },
+    jobs: { concurrency: 4 },
+  });
+
+  const { config, file: used } = load({ CONFIG_FILE: file, PORT: '7000' });
+  assert.equal(used, file);
+  assert.equal(config.port, 7000);
+  assert.equal(config.logging.level, 'debug');
+  assert.equal(config.jobs.concurrency, 4);
+});
+
+test('problems in the config file name the file', () => {
+  const file = writeConfigFile('bad.json', { jobs: { concurrency: 0 }, colour: 'blue' });
+  const issues = issuesFor({ CONFIG_FILE: file });
+
+  assert.ok(issues.includes(`colour in ${file} is not a known setting`));
+  assert.ok(issues.includes(`jobs.concurrency in ${file}: must be >= 1, got 0`));
+
+  assert.match(issuesFor({ CONFIG_FILE: writeConfigFile('broken.json', '{ "port": ') })[0], /is not valid JSON/);
+  assert.match(issuesFor({ CONFIG_FILE: writeConfigFile('list.json', '[]') })[0], /must contain a JSON object/);
+  assert.match(issuesFor({ CONFIG_FILE: path.join(directory, 'missing.json') })[0], /cannot be read/);
+});
@@ -0,0 +1,66 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let checkOrigin;
+let describeCorsPolicy;
+
+before(async () => {
+  // The allowlist is compiled from the config on import
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOG_LEVEL = 'error';
+  process.env.CORS_ORIGINS = 'https://app.example.com,https://*.example.org,http://localhost:3000/';
+  process.env.CORS_CREDENTIAL_ORIGINS = 'https://app.example.com,https://admin.example.org';
+  process.env.FRONTEND_URL = 'https://frontend.example.net';
+  ({ checkOrigin, describeCorsPolicy } = await import('../src/middleware/cors.js'));
+});
+
+test('exact origins match scheme, host (in any case) and port', () => {
+  assert.equal(checkOrigin('https://app.example.com').allowed, true);
+  assert.equal(checkOrigin('https://APP.example.com').allowed, true);
+  assert.equal(checkOrigin('http://app.example.com').allowed, false);
+  assert.equal(checkOrigin('https://app.example.com:8443').allowed, false);
+  assert.equal(checkOrigin('https://other.example.com').allowed, false);
+  assert.equal(checkOrigin('http://localhost:3000').matchedPattern, 'http://localhost:3000');
+  assert.equal(checkOrigin('http://localhost:3001').allowed, false);
+});
+
+test('wildcards cover subdomains but not the bare host or lookalikes', () => {
+  assert.equal(checkOrigin('https://shop.example.org').matchedPattern, 'https://*.example.org');
+  assert.equal(checkOrigin('https://a.b.example.org').allowed, true);
+  assert.equal(checkOrigin('https://example.org').allowed, false);
+  assert.equal(checkOrigin('https://evilexample.org').allowed, false);
+  assert.equal(checkOrigin('https://shop.example.org.evil.com').allowed, false);
+});
+
+test('only bare origins qualify', () => {
+  assert.equal(checkOrigin('null').allowed, false);
+  assert.equal(checkOrigin('https://app.example.com/path').allowed, false);
+  assert.equal(checkOrigin('https://user@app.example.com').allowed, false);
+  assert.equal(checkOrigin('not a url').allowed, false);
+});
+
+test('FRONTEND_URL is always allowed', () => {
+  assert.equal(checkOrigin('https://frontend.example.net').allowed, true);
+});
+
+test('credentials are limited to the credential origins', () => {
+  assert.equal(checkOrigin('https://app.example.com').credentials, true);
+  assert.equal(checkOrigin('https://admin.example.org').credentials, true);
+  assert.equal(checkOrigin('https://shop.example.org').credentials, false);
+  assert.equal(checkOrigin('https://frontend.example.net').credentials, false);
+  assert.equal(checkOrigin('https://evil.example.com').credentials, false);
+});
+
+test('the described policy says which patterns may send credentials', () => {
+  const policy = describeCorsPolicy();
+  const credentials = Object.fromEntries(policy.origins.map((entry) => [entry.pattern, entry.credentials]));
+
+  assert.deepEqual(credentials, {
+    'https://app.example.com': true,
+    'https://*.example.org': ['https://admin.example.org'],
+    'http://localhost:3000': false,
+    'https://frontend.example.net': false,
+  });
+  assert.equal(policy.origins.find((entry) => entry.pattern === 'https://*.example.org').type, 'wildcard');
+  assert.deepEqual(policy.credentialOrigins, ['https://app.example.com', 'https://admin.example.org']);
+});
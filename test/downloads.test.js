@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createKey, pngImage, imageForm, request } from './helpers.js';
+
+let server;
+let image;
+
+before(async () => {
+  server = await startServer({
+    AUTH_ENABLED: 'true',
+    DOWNLOAD_SIGNING_SECRET: 'test-signing-secret-0123456789',
+  });
+  image = await pngImage();
+});
+
+after(() => server.stop());
+
+const storeResult = async (key) => {
+  const { status, body } = await request(`${server.url}/api/resize`, {
+    method: 'POST',
+    headers: { 'X-API-Key': key },
+    body: imageForm(image, { width: '5' }),
+  });
+  assert.equal(status, 200);
+  return body.data;
+};
+
+const createLink = (key, body) => request(`${server.url}/api/files`, {
+  method: 'POST',
+  headers: { 'X-API-Key': key, 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('a download link serves the file until it is used up', async () => {
+  const key = await createKey(server.url);
+  const { publicId } = await storeResult(key);
+
+  const { status, body } = await createLink(key, { publicId, maxDownloads: 1 });
+  assert.equal(status, 201);
+  assert.equal(body.data.maxDownloads, 1);
+
+  const response = await fetch(body.data.downloadUrl);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Type'), 'image/png');
+  assert.equal(response.headers.get('X-Downloads-Remaining'), '0');
+  const downloaded = Buffer.from(await response.arrayBuffer());
+  assert.deepEqual([...downloaded.subarray(1, 4)], [...Buffer.from('PNG')]);
+
+  const again = await request(body.data.downloadUrl);
+  assert.equal(again.status, 410);
+  assert.equal(again.body.code, 'GONE');
+});
+
+test('download links expire', async () => {
+  const key = await createKey(server.url);
+  const { publicId } = await storeResult(key);
+
+  const { body } = await createLink(key, { publicId, ttl: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+
+  const { status, body: expired } = await request(body.data.downloadUrl);
+  assert.equal(status, 410);
+  assert.equal(expired.code, 'GONE');
+});
+
+test('tampered tokens are refused', async () => {
+  const key = await createKey(server.url);
+  const { publicId } = await storeResult(key);
+  const { body } = await createLink(key, { publicId });
+
+  const url = body.data.downloadUrl;
+  const tampered = `${url.slice(0, -1)}${url.endsWith('A') ? 'B' : 'A'}`;
+  const { status, body: refused } = await request(tampered);
+  assert.equal(status, 404);
+  assert.equal(refused.code, 'NOT_FOUND');
+});
+
+test('links can only be issued for the key\'s own results, within the limits', async () => {
+  const owner = await createKey(server.url);
+  const other = await createKey(server.url);
+  const { publicId } = await storeResult(owner);
+
+  const foreign = await createLink(other, { publicId });
+  assert.equal(foreign.status, 404);
+
+  const tooLong = await createLink(owner, { publicId, ttl: 10 * 24 * 60 * 60 });
+  assert.equal(tooLong.status, 400);
+  assert.equal(tooLong.body.code, 'VALIDATION_FAILED');
+});
+
+test('a key\'s retention policy limits downloads from /storage and deletes the file', async () => {
+  const key = await createKey(server.url, { retention: { maxDownloads: 2 } });
+  const { publicId } = await storeResult(key);
+  const storageUrl = `${server.url}/storage/${publicId}`;
+
+  const first = await fetch(storageUrl);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('X-Downloads-Remaining'), '1');
+  await first.arrayBuffer();
+
+  const second = await fetch(storageUrl);
+  assert.equal(second.status, 200);
+  await second.arrayBuffer();
+
+  // Gone while the last download's deletion is running, not found after it
+  const third = await request(storageUrl);
+  assert.ok([404, 410].includes(third.status), `status ${third.status}`);
+});
+
+test('storage paths that do not decode are not found', async () => {
+  const { status } = await request(`${server.url}/storage/%E0%A4%A`);
+  assert.equal(status, 404);
+});
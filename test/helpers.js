@@ -0,0 +1,146 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const serverPath = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+export const ADMIN_TOKEN = 'test-admin-token-0123456789';
+
+// A self-contained server: local storage and in-memory stores, no API keys
+const BASE_ENV = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  STORAGE_DRIVER: 'local',
+  AUTH_ENABLED: 'false',
+  ADMIN_TOKEN,
+  API_KEYS_BACKEND: 'memory',
+  RATE_LIMIT_BACKEND: 'memory',
+  RETENTION_BACKEND: 'memory',
+  JOBS_BACKEND: 'memory',
+  WEBHOOK_BACKEND: 'memory',
+  FEATURE_AI: 'false',
+  FEATURE_CLOUDINARY_TOOLS: 'false',
+};
+
+const READY_TIMEOUT_MS = 15000;
+
+/**
+ * A port nothing is listening on right now
+ */
+export const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const canConnect = (port) => new Promise((resolve) => {
+  const socket = net.connect(port, '127.0.0.1');
+  socket.once('connect', () => {
+    socket.destroy();
+    resolve(true);
+  });
+  socket.once('error', () => resolve(false));
+});
+
+// Wait for the port to accept connections; an HTTP probe would count against the rate limits
+const waitUntilReady = async (port, child) => {
+  const deadline = Date.now() + READY_TIMEOUT_MS;
+  while (Date.now() < deadline && child.exitCode === null) {
+    if (await canConnect(port)) return;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Server did not start on port ${port}`);
+};
+
+/**
+ * Run the API in a child process with the given environment, in a temporary
+ * working directory so uploads, results and SQLite files are thrown away.
+ * Returns { url, stop }.
+ */
+export const startServer = async (env = {}) => {
+  const port = await freePort();
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'magicpixels-test-'));
+  const output = [];
+
+  const child = spawn(process.execPath, [serverPath], {
+    cwd,
+    env: { PATH: process.env.PATH, ...BASE_ENV, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  child.stdout.on('data', (chunk) => output.push(chunk));
+  child.stderr.on('data', (chunk) => output.push(chunk));
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitUntilReady(port, child);
+  } catch (error) {
+    child.kill();
+    throw new Error(`${error.message}\n${Buffer.concat(output).toString()}`);
+  }
+
+  return {
+    url,
+    directory: cwd,
+    stop: async () => {
+      if (child.exitCode === null) {
+        child.kill();
+        await new Promise((resolve) => child.once('exit', resolve));
+      }
+      fs.rmSync(cwd, { recursive: true, force: true });
+    },
+  };
+};
+
+/**
+ * Issue an API key through the admin API and return the key itself
+ */
+export const createKey = async (url, body = {}) => {
+  const response = await fetch(`${url}/api/admin/keys`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'test', ...body }),
+  });
+  const { data } = await response.json();
+  return data.key;
+};
+
+/**
+ * A small opaque PNG
+ */
+export const pngImage = (width = 20, height = 20) => sharp({
+  create: { width, height, channels: 3, background: '#3366cc' },
+}).png().toBuffer();
+
+/**
+ * multipart/form-data with `image` and any other fields
+ */
+export const imageForm = (buffer, fields = {}, { name = 'image', filename = 'image.png', type = 'image/png' } = {}) => {
+  const form = new FormData();
+  form.append(name, new Blob([buffer], { type }), filename);
+  Object.entries(fields).forEach(([key, value]) => {
+    form.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+  });
+  return form;
+};
+
+/**
+ * fetch that resolves with { status, headers, body } where body is parsed JSON
+ */
+export const request = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const text = await response.text();
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    body = text;
+  }
+  return { status: response.status, headers: response.headers, body };
+};
@@ -0,0 +1,140 @@
+import { test, before, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { sanitizeSvg } from '../src/utils/svgSanitizer.js';
+import { UnsafeContentError } from '../src/utils/errors.js';
+
+let inspectUpload;
+
+before(async () => {
+  // Config is checked on import
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOG_LEVEL = 'error';
+  process.env.MAX_INPUT_DIMENSION = '100';
+  process.env.MAX_INPUT_PIXELS = '5000';
+  process.env.MAX_INPUT_FRAMES = '2';
+  ({ inspectUpload } = await import('../src/services/inspectionService.js'));
+});
+
+const svgDocument = (body) => `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="10" height="10">${body}</svg>`;
+
+const image = (width, height, format = 'png') => sharp({
+  create: { width, height, channels: 3, background: '#808080' },
+})[format]().toBuffer();
+
+// A 1x1 GIF with this many frames, each a single black pixel
+const gifWithFrames = (count) => {
+  const frame = [0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0x02, 0x02, 0x44, 0x01, 0x00];
+  return Buffer.from([
+    ...Buffer.from('GIF89a'), 1, 0, 1, 0, 0x80, 0, 0, 0, 0, 0, 255, 255, 255,
+    ...Array.from({ length: count }, () => frame).flat(),
+    0x3b,
+  ]);
+};
+
+describe('sanitizeSvg', () => {
+  test('leaves a harmless SVG alone', () => {
+    const source = svgDocument('<rect width="10" height="10" fill="url(#g)" style="fill: red"/><use href="#shape"/>');
+    assert.deepEqual(sanitizeSvg(source), { svg: source, removed: 0 });
+  });
+
+  test('removes scripts and embedded documents with their content', () => {
+    const { svg, removed } = sanitizeSvg(svgDocument(
+      '<script>alert(1)</script><svg:script>alert(2)</svg:script>'
+      + '<foreignObject><iframe src="https://example.com"></iframe></foreignObject><circle r="1"/>'
+    ));
+    assert.equal(removed, 3);
+    assert.doesNotMatch(svg, /script|alert|foreignObject|iframe/i);
+    assert.match(svg, /<circle r="1"\/>/);
+  });
+
+  test('removes event handlers and script URLs, however they are spelled', () => {
+    const { svg, removed } = sanitizeSvg(svgDocument(
+      '<rect onload="alert(1)" ONCLICK=\'alert(2)\' width="1"/>'
+      + '<a href="javascript:alert(3)">x</a>'
+      + '<a xlink:href="&#106;ava&#x73;cript:alert(4)">y</a>'
+      + '<set attributeName="href" to="java\nscript:alert(5)"/>'
+    ));
+    assert.equal(removed, 5);
+    assert.doesNotMatch(svg, /alert/);
+    assert.match(svg, /<rect\s+width="1"\/>/);
+  });
+
+  test('removes references to external resources', () => {
+    const { svg, removed } = sanitizeSvg(svgDocument(
+      '<image href="https://tracker.example/pixel.png"/>'
+      + '<image href="data:image/png;base64,AAAA"/>'
+      + '<rect style="fill: url(https://example.com/x)"/>'
+      + '<style>@import "https://example.com/a.css"; rect { fill: url(#g) }</style>'
+      + '<style>rect { background: \\75rl(https://example.com) }</style>'
+    ));
+    assert.equal(removed, 4);
+    assert.doesNotMatch(svg, /example\.com|tracker/);
+    assert.match(svg, /data:image\/png;base64,AAAA/);
+    assert.match(svg, /fill: url\(#g\)/);
+  });
+
+  test('drops doctypes and processing instructions but keeps the XML declaration', () => {
+    const { svg, removed } = sanitizeSvg(
+      '<?xml version="1.0"?><!DOCTYPE svg><?xml-stylesheet href="https://example.com/a.css"?>' + svgDocument('')
+    );
+    assert.equal(removed, 2);
+    assert.ok(svg.startsWith('<?xml version="1.0"?><svg'));
+  });
+
+  test('refuses entity declarations', () => {
+    assert.throws(
+      () => sanitizeSvg('<!DOCTYPE svg [<!ENTITY lol "lol">]>' + svgDocument('&lol;')),
+      (error) => error instanceof UnsafeContentError && error.code === 'UNSAFE_CONTENT'
+    );
+  });
+});
+
+describe('inspectUpload', () => {
+  test('detects the real format from the content', async () => {
+    const png = await image(10, 10);
+    assert.deepEqual(await inspectUpload(png, { declaredType: 'image/png' }), {
+      buffer: png,
+      mimeType: 'image/png',
+      format: 'png',
+    });
+
+    // Clients that do not know the type may leave it out or send octet-stream
+    assert.equal((await inspectUpload(png)).format, 'png');
+    assert.equal((await inspectUpload(png, { declaredType: 'application/octet-stream' })).format, 'png');
+  });
+
+  test('refuses content that differs from its declared type', async () => {
+    await assert.rejects(
+      inspectUpload(await image(10, 10, 'jpeg'), { declaredType: 'image/png', field: 'image' }),
+      (error) => {
+        assert.equal(error.code, 'CONTENT_MISMATCH');
+        assert.deepEqual(error.details, [{ in: 'body', field: 'image', message: 'content is image/jpeg, not image/png' }]);
+        return true;
+      }
+    );
+  });
+
+  test('refuses unknown content and formats that are not allowed', async () => {
+    await assert.rejects(inspectUpload(Buffer.from('just some text')), { code: 'UNSUPPORTED_FORMAT' });
+    await assert.rejects(inspectUpload(await image(10, 10, 'avif')), {
+      code: 'UNSUPPORTED_FORMAT',
+      message: 'AVIF files are not accepted',
+    });
+  });
+
+  test('returns a sanitized SVG', async () => {
+    const source = Buffer.from(svgDocument('<script>alert(1)</script><rect width="10" height="10"/>'));
+    const { buffer, mimeType } = await inspectUpload(source, { declaredType: 'image/svg+xml' });
+
+    assert.equal(mimeType, 'image/svg+xml');
+    assert.doesNotMatch(buffer.toString(), /script/);
+    assert.match(buffer.toString(), /<rect/);
+  });
+
+  test('refuses images that would decode past the limits', async () => {
+    await assert.rejects(inspectUpload(await image(101, 10)), { code: 'DIMENSION_LIMIT_EXCEEDED' });
+    await assert.rejects(inspectUpload(await image(80, 80)), { code: 'PIXEL_LIMIT_EXCEEDED' });
+    await assert.rejects(inspectUpload(gifWithFrames(3)), { code: 'FRAME_LIMIT_EXCEEDED' });
+  });
+});
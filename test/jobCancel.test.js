@@ -0,0 +1,99 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let jobs;
+let store;
+const processed = [];
+
+// Runs around the worker's next claim, to land a cancel between dequeue and start
+let claimHook = null;
+
+before(async () => {
+  // Config is checked on import
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOG_LEVEL = 'error';
+  jobs = await import('../src/services/jobs/index.js');
+  const { createMemoryStore } = await import('../src/services/jobs/memoryStore.js');
+
+  // Workers keep the store they start with, so every test shares this one
+  store = createMemoryStore({ ttlMs: 60 * 1000 });
+  const claimJob = store.claimJob;
+  store.claimJob = async (id) => {
+    const hook = claimHook;
+    claimHook = null;
+    if (hook?.before) await hook.before(id);
+    const claimed = await claimJob(id);
+    if (hook?.after) await hook.after(id);
+    return claimed;
+  };
+  jobs.setJobStore(store);
+
+  jobs.registerJobType('test.echo', {
+    processItem: (spec, { inputs }) => {
+      processed.push(spec);
+      return { spec, inputs: inputs.length };
+    },
+  });
+});
+
+const waitForJob = async (id) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = await jobs.getJob(id);
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not finish`);
+};
+
+const submit = () => jobs.submitJob('test.echo', {
+  inputs: [Buffer.from('input')],
+  items: [{ name: 'a', spec: 'a' }, { name: 'b', spec: 'b' }],
+});
+
+test('a cancel that claims the job first keeps the worker from running it', async () => {
+  let cancelled;
+  claimHook = {
+    before: async (id) => {
+      cancelled = await jobs.cancelJob(id);
+    },
+  };
+  processed.length = 0;
+
+  const { id } = await submit();
+  const job = await waitForJob(id);
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(job.status, 'cancelled');
+  assert.deepEqual(processed, []);
+  assert.deepEqual(await store.loadInputs(id), []);
+});
+
+test('a cancel after the worker claimed the job only asks it to stop', async () => {
+  let cancelled;
+  claimHook = {
+    after: async (id) => {
+      cancelled = await jobs.cancelJob(id);
+    },
+  };
+  processed.length = 0;
+
+  const { id } = await submit();
+  const job = await waitForJob(id);
+
+  // The worker still owned the job, so the cancel did not finish it
+  assert.equal(cancelled.status, 'queued');
+  assert.equal(job.status, 'cancelled');
+  assert.deepEqual(processed, []);
+  assert.deepEqual(job.progress, { total: 2, completed: 0, failed: 0, percent: 0 });
+});
+
+test('jobs nobody cancels still run', async () => {
+  processed.length = 0;
+
+  const { id } = await submit();
+  const job = await waitForJob(id);
+
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(processed, ['a', 'b']);
+  assert.deepEqual(job.items.map((item) => item.result.inputs), [1, 1]);
+});
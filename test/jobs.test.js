@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createKey, pngImage, imageForm, request } from './helpers.js';
+
+let server;
+let image;
+
+before(async () => {
+  server = await startServer({ AUTH_ENABLED: 'true' });
+  image = await pngImage();
+});
+
+after(() => server.stop());
+
+const submitBatch = (key, query = 'delivery=async') => request(`${server.url}/api/resize/batch?${query}`, {
+  method: 'POST',
+  headers: { 'X-API-Key': key },
+  body: imageForm(image, { sizes: [{ width: 5, height: 5 }, { width: 10, height: 10 }] }),
+});
+
+const waitForJob = async (key, id) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await request(`${server.url}/api/jobs/${id}`, { headers: { 'X-API-Key': key } });
+    if (['completed', 'failed', 'cancelled'].includes(body.data?.status)) return body.data;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${id} did not finish`);
+};
+
+test('async delivery queues a job that can be polled to completion', async () => {
+  const key = await createKey(server.url);
+  const { status, body } = await submitBatch(key);
+
+  assert.equal(status, 202);
+  assert.equal(body.data.type, 'resize.sizes');
+  assert.equal(body.data.statusUrl, `/api/jobs/${body.data.id}`);
+
+  const job = await waitForJob(key, body.data.id);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.progress, { total: 2, completed: 2, failed: 0, percent: 100 });
+});
+
+test('jobs are only visible to the key that submitted them', async () => {
+  const owner = await createKey(server.url);
+  const other = await createKey(server.url);
+  const { body } = await submitBatch(owner);
+  const { id } = body.data;
+
+  const seen = await request(`${server.url}/api/jobs/${id}`, { headers: { 'X-API-Key': other } });
+  assert.equal(seen.status, 404);
+  assert.equal(seen.body.code, 'NOT_FOUND');
+
+  const cancelled = await request(`${server.url}/api/jobs/${id}/cancel`, {
+    method: 'POST',
+    headers: { 'X-API-Key': other },
+  });
+  assert.equal(cancelled.status, 404);
+
+  const job = await waitForJob(owner, id);
+  assert.equal(job.status, 'completed');
+});
+
+test('cancelling a finished job leaves it as it was', async () => {
+  const key = await createKey(server.url);
+  const { body } = await submitBatch(key);
+  await waitForJob(key, body.data.id);
+
+  const { status, body: cancelled } = await request(`${server.url}/api/jobs/${body.data.id}/cancel`, {
+    method: 'POST',
+    headers: { 'X-API-Key': key },
+  });
+  assert.equal(status, 200);
+  assert.equal(cancelled.data.status, 'completed');
+});
+
+test('unknown jobs answer 404', async () => {
+  const key = await createKey(server.url);
+  const { status, body } = await request(`${server.url}/api/jobs/00000000-0000-4000-8000-000000000000`, {
+    headers: { 'X-API-Key': key },
+  });
+  assert.equal(status, 404);
+  assert.equal(body.code, 'NOT_FOUND');
+});
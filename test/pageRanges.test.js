@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePageRanges, parsePageList } from '../src/utils/pageRanges.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+const refuses = (spec, pageCount, message) => {
+  assert.throws(() => parsePageRanges(spec, pageCount), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.code, 'VALIDATION_FAILED');
+    assert.match(error.message, message);
+    return true;
+  });
+};
+
+test('an empty spec or all selects every page', () => {
+  const all = [{ label: '1-4', pages: [0, 1, 2, 3] }];
+  assert.deepEqual(parsePageRanges('', 4), all);
+  assert.deepEqual(parsePageRanges(undefined, 4), all);
+  assert.deepEqual(parsePageRanges(' ALL ', 4), all);
+  assert.deepEqual(parsePageRanges('all', 1), [{ label: '1', pages: [0] }]);
+});
+
+test('single pages and ranges give one group per part, in order', () => {
+  assert.deepEqual(parsePageRanges('7, 1-3', 10), [
+    { label: '7', pages: [6] },
+    { label: '1-3', pages: [0, 1, 2] },
+  ]);
+});
+
+test('reversed ranges run backwards', () => {
+  assert.deepEqual(parsePageRanges('3-1', 5), [{ label: '3-1', pages: [2, 1, 0] }]);
+});
+
+test('open ends run to the first or last page', () => {
+  assert.deepEqual(parsePageRanges('8-', 10), [{ label: '8-10', pages: [7, 8, 9] }]);
+  assert.deepEqual(parsePageRanges('-2', 10), [{ label: '1-2', pages: [0, 1] }]);
+  assert.deepEqual(parsePageRanges('3 - 3', 10), [{ label: '3', pages: [2] }]);
+});
+
+test('pages outside the document are refused', () => {
+  refuses('11', 10, /Page 11 in "11" is out of range; the document has 10 page/);
+  refuses('0', 10, /Page 0/);
+  refuses('9-12', 10, /Page 12/);
+  refuses('12-', 10, /Page 12/);
+});
+
+test('malformed parts are refused', () => {
+  for (const spec of ['1,,2', 'a-b', '-', '1 2', '1-2-3', '2.5']) {
+    refuses(spec, 10, /Invalid page range/);
+  }
+});
+
+test('parsePageList flattens the groups', () => {
+  assert.deepEqual(parsePageList('2-1, 4-', 5), [1, 0, 3, 4]);
+});
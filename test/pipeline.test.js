@@ -0,0 +1,124 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+
+let validatePipeline;
+let planPipeline;
+let runPipeline;
+let PipelineError;
+
+// Red left half, blue right half
+let halves;
+
+before(async () => {
+  // Config is checked on import
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOG_LEVEL = 'error';
+  ({ validatePipeline, planPipeline, runPipeline, PipelineError } = await import('../src/services/pipelineService.js'));
+
+  const red = { r: 255, g: 0, b: 0 };
+  const blue = { r: 0, g: 0, b: 255 };
+  const half = (background) => sharp({ create: { width: 10, height: 10, channels: 3, background } }).png().toBuffer();
+  halves = await sharp({ create: { width: 20, height: 10, channels: 3, background: red } })
+    .composite([{ input: await half(blue), left: 10, top: 0 }])
+    .png()
+    .toBuffer();
+});
+
+const kinds = (operations) => planPipeline(operations).stages.map((stage) => stage.map((step) => step.kind));
+
+const centrePixel = async (buffer) => {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const offset = (Math.floor(info.height / 2) * info.width + Math.floor(info.width / 2)) * info.channels;
+  return [...data.subarray(offset, offset + 3)];
+};
+
+test('validatePipeline reports every problem at once', () => {
+  const { valid, errors } = validatePipeline({
+    operations: [
+      { type: 'resize' },
+      { type: 'explode' },
+      { type: 'crop', left: 0, top: 0, width: 5 },
+    ],
+  });
+
+  assert.equal(valid, false);
+  assert.ok(errors.some((error) => error.path === '/operations/0' && /width, height/.test(error.message)));
+  assert.ok(errors.some((error) => error.path === '/operations/1/type' && /"explode"/.test(error.message)));
+  assert.ok(errors.some((error) => error.path === '/operations/2'));
+});
+
+test('operations already in sharp\'s own order share one stage', () => {
+  assert.deepEqual(
+    kinds([{ type: 'crop', left: 0, top: 0, width: 5, height: 5 }, { type: 'resize', width: 2 }, { type: 'negate' }]),
+    [['extract', 'resize', 'negate']],
+  );
+});
+
+test('an operation sharp would run earlier starts a new stage', () => {
+  assert.deepEqual(
+    kinds([{ type: 'resize', width: 5 }, { type: 'crop', left: 0, top: 0, width: 2, height: 2 }]),
+    [['resize'], ['extract']],
+  );
+  assert.deepEqual(
+    kinds([{ type: 'flip', direction: 'horizontal' }, { type: 'crop', left: 0, top: 0, width: 2, height: 2 }]),
+    [['flop'], ['extract']],
+  );
+});
+
+test('grayscale and conflicting primitives run on their own', () => {
+  assert.deepEqual(
+    kinds([{ type: 'resize', width: 5 }, { type: 'grayscale' }, { type: 'negate' }]),
+    [['resize'], ['greyscale'], ['negate']],
+  );
+  assert.deepEqual(
+    kinds([{ type: 'sharpen' }, { type: 'negate' }]),
+    [['sharpen'], ['negate']],
+  );
+  assert.deepEqual(
+    kinds([{ type: 'crop', left: 0, top: 0, width: 5, height: 5 }, { type: 'rotate', angle: 90 }, { type: 'resize', width: 2 }]),
+    [['extract', 'rotate'], ['resize']],
+  );
+});
+
+test('compress and convert set the output instead of adding a stage', () => {
+  const { stages, output } = planPipeline([{ type: 'negate' }, { type: 'convert', format: 'webp', quality: 60 }]);
+  assert.equal(stages.length, 1);
+  assert.deepEqual(output, { format: 'webp', quality: 60 });
+});
+
+test('operations apply in the order they are given', async () => {
+  // A flip before the crop puts the blue half on the left
+  const flipped = await runPipeline(halves, [
+    { type: 'flip', direction: 'horizontal' },
+    { type: 'crop', left: 0, top: 0, width: 10, height: 10 },
+  ]);
+  assert.equal(flipped.stages, 2);
+  assert.deepEqual(await centrePixel(flipped.buffer), [0, 0, 255]);
+
+  const cropped = await runPipeline(halves, [
+    { type: 'crop', left: 0, top: 0, width: 10, height: 10 },
+    { type: 'flip', direction: 'horizontal' },
+  ]);
+  assert.equal(cropped.stages, 1);
+  assert.deepEqual(await centrePixel(cropped.buffer), [255, 0, 0]);
+});
+
+test('crops are checked against the image size at their point in the pipeline', async () => {
+  const inside = await runPipeline(halves, [{ type: 'crop', left: 10, top: 0, width: 10, height: 10 }]);
+  assert.equal(inside.width, 10);
+
+  await assert.rejects(
+    runPipeline(halves, [
+      { type: 'resize', width: 10, height: 5, fit: 'fill' },
+      { type: 'crop', left: 0, top: 0, width: 20, height: 10 },
+    ]),
+    (error) => {
+      assert.ok(error instanceof PipelineError);
+      assert.equal(error.code, 'VALIDATION_FAILED');
+      assert.equal(error.details[0].path, '/operations/1');
+      assert.match(error.details[0].message, /exceeds image size 10x5/);
+      return true;
+    },
+  );
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createKey, pngImage, imageForm, request } from './helpers.js';
+
+let server;
+let image;
+
+before(async () => {
+  server = await startServer({
+    AUTH_ENABLED: 'true',
+    FEATURE_AI: 'true',
+    GEMINI_API_KEY: 'test-gemini-key',
+  });
+  image = await pngImage();
+});
+
+after(() => server.stop());
+
+const usage = async (key) => {
+  const { headers } = await request(`${server.url}/api/convert/formats`, { headers: { 'X-API-Key': key } });
+  return {
+    requests: Number(headers.get('X-Quota-Requests-Used')),
+    bytes: Number(headers.get('X-Quota-Bytes-Used')),
+    aiCalls: Number(headers.get('X-Quota-AI-Calls-Used')),
+  };
+};
+
+/**
+ * POST a multipart form without a Content-Length (Transfer-Encoding: chunked)
+ */
+const postChunked = async (url, key, form) => {
+  const encoded = new Response(form);
+  const body = Buffer.from(await encoded.arrayBuffer());
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(body);
+      controller.close();
+    },
+  });
+
+  const response = await request(url, {
+    method: 'POST',
+    headers: { 'X-API-Key': key, 'Content-Type': encoded.headers.get('Content-Type') },
+    body: stream,
+    duplex: 'half',
+  });
+  return { ...response, sent: body.length };
+};
+
+test('requests past the request quota are refused with QUOTA_EXCEEDED', async () => {
+  const key = await createKey(server.url, { quotas: { requests: 2 } });
+
+  assert.equal((await request(`${server.url}/api/convert/formats`, { headers: { 'X-API-Key': key } })).status, 200);
+  assert.equal((await request(`${server.url}/api/convert/formats`, { headers: { 'X-API-Key': key } })).status, 200);
+
+  const { status, body, headers } = await request(`${server.url}/api/convert/formats`, { headers: { 'X-API-Key': key } });
+  assert.equal(status, 429);
+  assert.equal(body.code, 'QUOTA_EXCEEDED');
+  assert.equal(headers.get('X-Quota-Requests-Limit'), '2');
+});
+
+test('uploads are counted against the data quota', async () => {
+  const key = await createKey(server.url);
+  const form = imageForm(image, { width: '5' });
+  const { length } = Buffer.from(await new Response(form).arrayBuffer());
+
+  const { status } = await request(`${server.url}/api/resize`, {
+    method: 'POST',
+    headers: { 'X-API-Key': key },
+    body: imageForm(image, { width: '5' }),
+  });
+  assert.equal(status, 200);
+
+  const used = await usage(key);
+  assert.ok(used.bytes >= image.length && used.bytes <= length + 512, `bytes used: ${used.bytes}`);
+});
+
+test('uploads streamed without a Content-Length are counted once received', async () => {
+  const key = await createKey(server.url);
+
+  const { status, sent } = await postChunked(`${server.url}/api/resize`, key, imageForm(image, { width: '5' }));
+  assert.equal(status, 200);
+
+  const used = await usage(key);
+  assert.ok(used.bytes >= image.length && used.bytes <= sent, `bytes used: ${used.bytes} of ${sent}`);
+});
+
+test('a streamed upload that uses up the data quota blocks the next request', async () => {
+  const key = await createKey(server.url, { quotas: { bytes: image.length } });
+
+  await postChunked(`${server.url}/api/resize`, key, imageForm(image, { width: '5' }));
+
+  const { status, body } = await request(`${server.url}/api/resize`, {
+    method: 'POST',
+    headers: { 'X-API-Key': key },
+    body: imageForm(image, { width: '5' }),
+  });
+  assert.equal(status, 429);
+  assert.equal(body.code, 'QUOTA_EXCEEDED');
+});
+
+test('AI requests that are turned away do not use AI calls', async () => {
+  const key = await createKey(server.url, { quotas: { aiCalls: 1 } });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { status } = await request(`${server.url}/api/ai-enhance`, {
+      method: 'POST',
+      headers: { 'X-API-Key': key },
+      body: new FormData(),
+    });
+    assert.equal(status, 400);
+  }
+
+  assert.equal((await usage(key)).aiCalls, 0);
+});
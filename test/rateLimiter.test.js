@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createKey, request } from './helpers.js';
+
+const MAX_REQUESTS = 3;
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    AUTH_ENABLED: 'true',
+    RATE_LIMIT_MAX_REQUESTS: String(MAX_REQUESTS),
+  });
+});
+
+after(() => server.stop());
+
+// The server trusts one proxy hop, so each test can act as its own client IP
+let nextAddress = 1;
+const clientAddress = () => `198.51.100.${nextAddress++}`;
+
+const get = (path, { ip, key } = {}) => request(`${server.url}${path}`, {
+  headers: {
+    'X-Forwarded-For': ip,
+    ...(key && { 'X-API-Key': key }),
+  },
+});
+
+test('requests past the window limit get 429 with Retry-After', async () => {
+  const ip = clientAddress();
+
+  for (let count = 1; count <= MAX_REQUESTS; count++) {
+    const { status, headers } = await get('/api/health/live', { ip });
+    assert.equal(status, 200);
+    assert.equal(headers.get('RateLimit-Limit'), String(MAX_REQUESTS));
+    assert.equal(headers.get('RateLimit-Remaining'), String(MAX_REQUESTS - count));
+  }
+
+  const { status, body, headers } = await get('/api/health/live', { ip });
+  assert.equal(status, 429);
+  assert.equal(body.code, 'RATE_LIMITED');
+  assert.ok(Number(headers.get('Retry-After')) > 0);
+});
+
+test('verified API keys are limited per key, not per IP', async () => {
+  const ip = clientAddress();
+  const first = await createKey(server.url);
+  const second = await createKey(server.url);
+
+  for (let count = 0; count < MAX_REQUESTS; count++) {
+    assert.equal((await get('/api/convert/formats', { ip, key: first })).status, 200);
+  }
+  assert.equal((await get('/api/convert/formats', { ip, key: first })).status, 429);
+
+  // Same address, different key: its own budget
+  assert.equal((await get('/api/convert/formats', { ip, key: second })).status, 200);
+});
+
+test('unverified keys share the budget of their IP', async () => {
+  const ip = clientAddress();
+
+  for (let count = 0; count < MAX_REQUESTS; count++) {
+    const { status } = await get('/api/convert/formats', { ip, key: `mpk_forged${count}` });
+    assert.equal(status, 401);
+  }
+
+  const { status, body } = await get('/api/convert/formats', { ip, key: 'mpk_forged-again' });
+  assert.equal(status, 429);
+  assert.equal(body.code, 'RATE_LIMITED');
+});
+
+test('routes cost what their rule says', async () => {
+  const ip = clientAddress();
+  const key = await createKey(server.url);
+
+  // Job polling is free
+  for (let count = 0; count <= MAX_REQUESTS; count++) {
+    const { status } = await get('/api/jobs/00000000-0000-4000-8000-000000000000', { ip, key });
+    assert.equal(status, 404);
+  }
+
+  // A batch costs 3, which uses up the window at once
+  const batch = await request(`${server.url}/api/resize/batch`, {
+    method: 'POST',
+    headers: { 'X-Forwarded-For': ip, 'X-API-Key': key },
+  });
+  assert.notEqual(batch.status, 429);
+  assert.equal(batch.headers.get('RateLimit-Remaining'), '0');
+  assert.equal((await get('/api/convert/formats', { ip, key })).status, 429);
+});
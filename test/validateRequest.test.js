@@ -0,0 +1,110 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let validateRequest;
+let ValidationError;
+
+before(async () => {
+  // Config is checked on import
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.LOG_LEVEL = 'error';
+  ({ validateRequest } = await import('../src/middleware/validateRequest.js'));
+  ({ ValidationError } = await import('../src/utils/errors.js'));
+});
+
+/**
+ * The parts of an Express request validateRequest reads, for the route
+ * mounted at `baseUrl` with the Express path `path`
+ */
+const fakeRequest = ({
+  method = 'POST', baseUrl, path = '/', params = {}, query = {}, body, type = 'multipart/form-data',
+}) => ({
+  method,
+  baseUrl,
+  route: { path },
+  params,
+  query,
+  body,
+  is: (types) => (types.includes(type) ? type : false),
+});
+
+// Resolves with what the middleware passed to next()
+const validate = (req) => new Promise((resolve) => {
+  validateRequest(req, {}, resolve);
+});
+
+test('form fields are coerced to the documented types in place', async () => {
+  const req = fakeRequest({
+    baseUrl: '/api/convert',
+    path: '/multi-format',
+    query: { async: 'true' },
+    body: { formats: 'PNG, webp', quality: ' 80 ', callbackUrl: 'https://example.com/hook' },
+  });
+
+  assert.equal(await validate(req), undefined);
+  assert.deepEqual(req.body, { formats: ['png', 'webp'], quality: 80, callbackUrl: 'https://example.com/hook' });
+  assert.deepEqual(req.query, { async: true });
+});
+
+test('JSON arrays are read and empty non-string fields dropped', async () => {
+  const req = fakeRequest({
+    baseUrl: '/api/convert',
+    path: '/multi-format',
+    body: { formats: '["jpeg", "avif"]', quality: '', output: 'ZIP' },
+  });
+
+  assert.equal(await validate(req), undefined);
+  assert.deepEqual(req.body, { formats: ['jpeg', 'avif'], output: 'zip' });
+});
+
+test('every problem is passed on as one ValidationError', async () => {
+  const error = await validate(fakeRequest({
+    baseUrl: '/api/convert',
+    body: { format: 'bmpx', quality: '500', callbackUrl: 'ftp://example.com' },
+  }));
+
+  assert.ok(error instanceof ValidationError);
+  assert.equal(error.message, 'Invalid request');
+  assert.equal(error.code, 'VALIDATION_FAILED');
+  assert.equal(error.statusCode, 400);
+  assert.deepEqual(error.details, [
+    { in: 'body', field: 'format', message: 'must be one of: jpeg, jpg, png, webp, avif, tiff, gif' },
+    { in: 'body', field: 'quality', message: 'must be <= 100' },
+    { in: 'body', field: 'callbackUrl', message: 'must match pattern "^https?://"' },
+  ]);
+});
+
+test('malformed JSON is refused rather than read as text', async () => {
+  const error = await validate(fakeRequest({
+    baseUrl: '/api/convert',
+    path: '/multi-format',
+    body: { formats: '["png"' },
+  }));
+
+  assert.deepEqual(error.details, [
+    { in: 'body', field: 'formats.0', message: 'must be one of: jpeg, jpg, png, webp, avif, tiff, gif' },
+  ]);
+});
+
+test('query parameters and JSON bodies are checked too', async () => {
+  const error = await validate(fakeRequest({
+    method: 'GET',
+    baseUrl: '/api/admin',
+    path: '/retention/audit',
+    query: { limit: '5000' },
+  }));
+  assert.deepEqual(error.details, [{ in: 'query', field: 'limit', message: 'must be <= 1000' }]);
+
+  const missing = await validate(fakeRequest({
+    baseUrl: '/api/pipeline',
+    body: {},
+    type: 'application/json',
+  }));
+  assert.ok(missing.details.some((detail) => detail.field === 'operations' && detail.message === 'is required'));
+});
+
+test('routes without a documented operation are left alone', async () => {
+  const req = fakeRequest({ baseUrl: '/api/nowhere', body: { anything: 'goes' } });
+  assert.equal(await validate(req), undefined);
+  assert.deepEqual(req.body, { anything: 'goes' });
+});
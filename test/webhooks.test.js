@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { startServer, createKey, pngImage, imageForm, request } from './helpers.js';
+
+const WEBHOOK_SECRET = 'test-webhook-secret-0123456789';
+
+let receiver;
+let receiverPort;
+const received = [];
+let image;
+
+before(async () => {
+  image = await pngImage();
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  receiverPort = receiver.address().port;
+});
+
+after(() => new Promise((resolve) => receiver.close(resolve)));
+
+const resizeWithCallback = (server, key, callbackUrl) => request(
+  `${server.url}/api/resize?callbackUrl=${encodeURIComponent(callbackUrl)}`,
+  { method: 'POST', headers: { 'X-API-Key': key }, body: imageForm(image, { width: '5' }) }
+);
+
+const waitForDeliveries = async (server, key, requestId) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await request(`${server.url}/api/webhooks/${requestId}`, { headers: { 'X-API-Key': key } });
+    const deliveries = body.data?.deliveries || [];
+    if (deliveries.length > 0 && deliveries.every((delivery) => delivery.status !== 'pending')) return deliveries;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Deliveries for ${requestId} did not finish`);
+};
+
+test('callbacks to private addresses are refused', async (t) => {
+  const server = await startServer({
+    AUTH_ENABLED: 'true',
+    WEBHOOK_SECRET,
+    WEBHOOK_MAX_ATTEMPTS: '1',
+  });
+  t.after(() => server.stop());
+  const key = await createKey(server.url);
+  const receivedBefore = received.length;
+
+  const literal = await resizeWithCallback(server, key, `http://127.0.0.1:${receiverPort}/hook`);
+  assert.equal(literal.status, 200);
+  assert.match(literal.body.webhook.error, /private address \(127\.0\.0\.1\)/);
+
+  // Hostnames are checked when the delivery connects
+  const named = await resizeWithCallback(server, key, `http://localhost:${receiverPort}/hook`);
+  assert.ok(named.body.webhook.deliveryId);
+  const [delivery] = await waitForDeliveries(server, key, named.body.webhook.requestId);
+  assert.equal(delivery.status, 'failed');
+  assert.match(delivery.attempts[0].error, /resolves to a private address/);
+
+  assert.equal(received.length, receivedBefore);
+});
+
+test('deliveries are signed and their log is only shown to the same key', async (t) => {
+  const server = await startServer({
+    AUTH_ENABLED: 'true',
+    WEBHOOK_SECRET,
+    WEBHOOK_MAX_ATTEMPTS: '1',
+    WEBHOOK_ALLOW_PRIVATE_NETWORKS: 'true',
+  });
+  t.after(() => server.stop());
+  const key = await createKey(server.url);
+  const other = await createKey(server.url);
+
+  const { body } = await resizeWithCallback(server, key, `http://127.0.0.1:${receiverPort}/hook`);
+  const { requestId, deliveryId } = body.webhook;
+  const [delivery] = await waitForDeliveries(server, key, requestId);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.owner, undefined);
+
+  const hook = received.find(({ headers }) => headers['x-magicpixels-delivery'] === deliveryId);
+  assert.ok(hook);
+  const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(hook.headers['x-magicpixels-signature']);
+  const expected = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${hook.body}`).digest('hex');
+  assert.equal(signature, expected);
+  assert.equal(JSON.parse(hook.body).event, 'request.completed');
+
+  const hidden = await request(`${server.url}/api/webhooks/${requestId}`, { headers: { 'X-API-Key': other } });
+  assert.equal(hidden.status, 404);
+});